@@ -67,6 +67,7 @@ export default defineConfig({
               { text: 'Streams', link: '/reference/streams' },
               { text: 'Dates & times', link: '/reference/dates' },
               { text: 'Other special types', link: '/reference/other-types' },
+              { text: 'Custom converters', link: '/reference/custom-converters' },
               { text: 'Async & promises', link: '/reference/async-promises' },
               { text: 'Ref & out parameters', link: '/reference/ref-out-params' },
               { text: 'Generics', link: '/reference/generics' },
@@ -0,0 +1,448 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+#if !(NETFRAMEWORK || NETSTANDARD)
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Reflection;
+using System.Runtime.InteropServices;
+using System.Text.Json.Nodes;
+
+namespace Microsoft.JavaScript.NodeApi.DotNetHost;
+
+using static Microsoft.JavaScript.NodeApi.DotNetHost.ManagedHost;
+
+/// <summary>
+/// Resolves managed and native dependencies of a .NET application from the application's
+/// `.deps.json` and `.runtimeconfig.json` files, similar to how the .NET host resolves them
+/// when the application is launched.
+/// </summary>
+/// <remarks>
+/// This is like <see cref="System.Runtime.Loader.AssemblyDependencyResolver" />, except that
+/// it also honors additional probing paths from the application's runtime config (including
+/// the nuget package cache for applications that were built but not published), and it
+/// exposes the application's project assemblies so that their types can be exported to JS.
+/// </remarks>
+internal sealed class ApplicationDependencyResolver
+{
+    private readonly Dictionary<string, string> _assemblyPaths =
+        new(StringComparer.OrdinalIgnoreCase);
+    private readonly Dictionary<string, string> _nativeLibraryPaths =
+        new(StringComparer.OrdinalIgnoreCase);
+    private readonly List<string> _projectAssemblyPaths = new();
+    private readonly List<string> _probingPaths = new();
+    private readonly List<string> _ignoredConfigProperties = new();
+
+    /// <summary>
+    /// Prefixes of runtime config properties that are read only when the runtime starts, such as
+    /// GC, threading, and globalization settings. They have no effect when set later.
+    /// </summary>
+    private static readonly string[] s_startupConfigPropertyPrefixes =
+    [
+        "System.GC.",
+        "System.Globalization.",
+        "System.Runtime.TieredCompilation",
+        "System.Runtime.TieredPGO",
+        "System.Threading.Thread.",
+        "System.Threading.ThreadPool.",
+    ];
+
+    /// <summary>
+    /// Creates a new dependency resolver for an application.
+    /// </summary>
+    /// <param name="applicationPath">Path to the application's bin directory, or to the
+    /// application's main assembly file.</param>
+    /// <exception cref="FileNotFoundException">The application's main assembly or `.deps.json`
+    /// file was not found.</exception>
+    public ApplicationDependencyResolver(string applicationPath)
+    {
+        string depsFilePath = FindDepsFile(applicationPath);
+        ApplicationDirectory = Path.GetDirectoryName(depsFilePath)!;
+        ApplicationName = Path.GetFileName(depsFilePath).Substring(
+            0, Path.GetFileName(depsFilePath).Length - ".deps.json".Length);
+        MainAssemblyPath = Path.Combine(ApplicationDirectory, ApplicationName + ".dll");
+        if (!File.Exists(MainAssemblyPath))
+        {
+            throw new FileNotFoundException(
+                $"Application assembly not found: {MainAssemblyPath}", MainAssemblyPath);
+        }
+
+        Trace($"> ApplicationDependencyResolver({depsFilePath})");
+
+        ReadRuntimeConfig(Path.Combine(
+            ApplicationDirectory, ApplicationName + ".runtimeconfig.json"));
+        ReadRuntimeConfig(Path.Combine(
+            ApplicationDirectory, ApplicationName + ".runtimeconfig.dev.json"));
+
+        // Applications that were built but not published may reference package assets that were
+        // not copied to the bin directory, so fall back to the nuget global packages folder.
+        _probingPaths.Add(NuGetPackageResolver.GlobalPackagesFolder);
+
+        ReadDepsFile(depsFilePath);
+
+        Trace($"< ApplicationDependencyResolver() => {_assemblyPaths.Count} assemblies, " +
+            $"{_nativeLibraryPaths.Count} native libraries");
+    }
+
+    public string ApplicationName { get; }
+
+    public string ApplicationDirectory { get; }
+
+    public string MainAssemblyPath { get; }
+
+    /// <summary>
+    /// Gets the names of runtime config properties of the application that were not applied,
+    /// because they only take effect when the runtime starts, and the runtime was already started
+    /// by the host.
+    /// </summary>
+    public IReadOnlyList<string> IgnoredConfigProperties => _ignoredConfigProperties;
+
+    /// <summary>
+    /// Gets the paths of assemblies built from projects that are part of the application,
+    /// not including the main assembly or any package or framework assemblies.
+    /// </summary>
+    public IReadOnlyList<string> ProjectAssemblyPaths => _projectAssemblyPaths;
+
+    /// <summary>
+    /// Gets the resolved path of an assembly that is a dependency of the application,
+    /// or null if the assembly is not a dependency or the file was not found.
+    /// </summary>
+    public string? ResolveAssemblyToPath(AssemblyName assemblyName)
+    {
+        string key = GetAssemblyKey(assemblyName.Name!, assemblyName.CultureName);
+        return _assemblyPaths.TryGetValue(key, out string? assemblyPath) ? assemblyPath : null;
+    }
+
+    /// <summary>
+    /// Gets the resolved path of a native library that is a dependency of the application,
+    /// or null if the library is not a dependency or the file was not found.
+    /// </summary>
+    /// <param name="unmanagedDllName">Name of the native library as specified by a
+    /// <c>DllImport</c>, with or without a platform-specific prefix and extension.</param>
+    public string? ResolveUnmanagedDllToPath(string unmanagedDllName)
+    {
+        foreach (string fileName in GetNativeLibraryFileNames(unmanagedDllName))
+        {
+            if (_nativeLibraryPaths.TryGetValue(fileName, out string? nativeLibraryPath))
+            {
+                return nativeLibraryPath;
+            }
+        }
+
+        return null;
+    }
+
+    private static string FindDepsFile(string applicationPath)
+    {
+        applicationPath = Path.GetFullPath(applicationPath);
+        if (File.Exists(applicationPath))
+        {
+            string depsFilePath = Path.ChangeExtension(applicationPath, ".deps.json");
+            return File.Exists(depsFilePath) ? depsFilePath : throw new FileNotFoundException(
+                $"Application deps file not found: {depsFilePath}", depsFilePath);
+        }
+        else if (!Directory.Exists(applicationPath))
+        {
+            throw new DirectoryNotFoundException(
+                $"Application directory not found: {applicationPath}");
+        }
+
+        // A bin directory may also contain deps files of referenced projects or tools. The
+        // application is the one that also has a runtime config file.
+        string[] depsFilePaths = Directory.GetFiles(applicationPath, "*.deps.json");
+        string[] appDepsFilePaths = depsFilePaths.Where((f) => File.Exists(
+            f.Substring(0, f.Length - ".deps.json".Length) + ".runtimeconfig.json")).ToArray();
+        if (appDepsFilePaths.Length == 1)
+        {
+            return appDepsFilePaths[0];
+        }
+        else if (appDepsFilePaths.Length == 0 && depsFilePaths.Length == 1)
+        {
+            return depsFilePaths[0];
+        }
+        else if (depsFilePaths.Length == 0)
+        {
+            throw new FileNotFoundException(
+                $"Application deps file not found in directory: {applicationPath}");
+        }
+        else
+        {
+            throw new ArgumentException(
+                $"Multiple application deps files were found in directory: {applicationPath}. " +
+                "Specify the path to the application's main assembly instead.");
+        }
+    }
+
+    private void ReadRuntimeConfig(string runtimeConfigPath)
+    {
+        if (!File.Exists(runtimeConfigPath))
+        {
+            return;
+        }
+
+        JsonObject? runtimeOptions = JsonNode.Parse(File.ReadAllText(runtimeConfigPath))
+            ?["runtimeOptions"]?.AsObject();
+        if (runtimeOptions == null)
+        {
+            return;
+        }
+
+        CheckFrameworkVersion(runtimeOptions, runtimeConfigPath);
+
+        if (runtimeOptions["additionalProbingPaths"] is JsonArray probingPaths)
+        {
+            foreach (string? probingPath in probingPaths.Select((p) => (string?)p))
+            {
+                if (!string.IsNullOrEmpty(probingPath))
+                {
+                    _probingPaths.Add(Path.GetFullPath(probingPath, ApplicationDirectory));
+                }
+            }
+        }
+
+        if (runtimeOptions["configProperties"] is JsonObject configProperties)
+        {
+            foreach (KeyValuePair<string, JsonNode?> configProperty in configProperties)
+            {
+                if (s_startupConfigPropertyPrefixes.Any((prefix) =>
+                    configProperty.Key.StartsWith(prefix, StringComparison.Ordinal)))
+                {
+                    Trace($"  ApplicationDependencyResolver: {configProperty.Key} is ignored " +
+                        "because it only takes effect at runtime startup.");
+                    _ignoredConfigProperties.Add(configProperty.Key);
+                    continue;
+                }
+
+                // Properties that were already set by the host (or a previously-loaded
+                // application) take precedence.
+                if (AppContext.GetData(configProperty.Key) == null &&
+                    configProperty.Value is JsonValue configValue)
+                {
+                    Trace($"  ApplicationDependencyResolver: {configProperty.Key}={configValue}");
+                    AppContext.SetData(configProperty.Key, configValue.ToString());
+                }
+            }
+        }
+    }
+
+    private static void CheckFrameworkVersion(JsonObject runtimeOptions, string runtimeConfigPath)
+    {
+        IEnumerable<JsonNode?> frameworks = runtimeOptions["frameworks"]?.AsArray() ??
+            (IEnumerable<JsonNode?>)[runtimeOptions["framework"]];
+        foreach (JsonNode? framework in frameworks)
+        {
+            if ((string?)framework?["name"] == "Microsoft.NETCore.App" &&
+                Version.TryParse(
+                    ((string?)framework?["version"])?.Split('-')[0], out Version? version) &&
+                version.Major > Environment.Version.Major)
+            {
+                throw new NotSupportedException(
+                    $"The application requires .NET {version}, but .NET {Environment.Version} " +
+                    $"is loaded. ({runtimeConfigPath})");
+            }
+        }
+    }
+
+    private void ReadDepsFile(string depsFilePath)
+    {
+        JsonNode deps = JsonNode.Parse(File.ReadAllText(depsFilePath)) ??
+            throw new FormatException($"Invalid deps file: {depsFilePath}");
+        string? runtimeTargetName = (string?)deps["runtimeTarget"]?["name"];
+        JsonObject? target = runtimeTargetName != null ?
+            deps["targets"]?[runtimeTargetName]?.AsObject() : null;
+        if (target == null)
+        {
+            throw new FormatException(
+                $"Runtime target '{runtimeTargetName}' not found in deps file: {depsFilePath}");
+        }
+
+        JsonObject libraries = deps["libraries"]?.AsObject() ?? new JsonObject();
+        string[] runtimeIdentifiers = GetRuntimeIdentifiers();
+
+        foreach (KeyValuePair<string, JsonNode?> targetLibrary in target)
+        {
+            if (targetLibrary.Value is not JsonObject targetLibraryAssets)
+            {
+                continue;
+            }
+
+            JsonNode? library = libraries[targetLibrary.Key];
+            string libraryType = (string?)library?["type"] ?? "package";
+            string? libraryPath = (string?)library?["path"];
+            bool isProject = libraryType == "project";
+
+            // RID-specific assets take precedence over RID-agnostic assets of the same type.
+            Dictionary<string, List<string>> runtimeTargetAssets =
+                SelectRuntimeTargetAssets(targetLibraryAssets, runtimeIdentifiers);
+
+            IEnumerable<(string Path, string? Culture)> runtimeAssets =
+                runtimeTargetAssets.TryGetValue("runtime", out List<string>? ridRuntimeAssets) ?
+                ridRuntimeAssets.Select((a) => (a, (string?)null)) :
+                GetAssetPaths(targetLibraryAssets["runtime"]).Select((a) => (a, (string?)null));
+            runtimeAssets = runtimeAssets.Concat(
+                (targetLibraryAssets["resources"] as JsonObject ?? new JsonObject()).Select(
+                    (r) => (r.Key, (string?)r.Value?["locale"])));
+
+            foreach ((string assetPath, string? culture) in runtimeAssets)
+            {
+                string? filePath = ResolveAssetPath(assetPath, libraryType, libraryPath);
+                if (filePath == null)
+                {
+                    Trace($"  ApplicationDependencyResolver: not found: {assetPath}");
+                    continue;
+                }
+
+                string assemblyName = Path.GetFileNameWithoutExtension(filePath);
+                if (_assemblyPaths.TryAdd(GetAssemblyKey(assemblyName, culture), filePath) &&
+                    isProject && culture == null &&
+                    !string.Equals(
+                        assemblyName, ApplicationName, StringComparison.OrdinalIgnoreCase))
+                {
+                    _projectAssemblyPaths.Add(filePath);
+                }
+            }
+
+            IEnumerable<string> nativeAssets =
+                runtimeTargetAssets.TryGetValue("native", out List<string>? ridNativeAssets) ?
+                ridNativeAssets : GetAssetPaths(targetLibraryAssets["native"]);
+            foreach (string assetPath in nativeAssets)
+            {
+                string? filePath = ResolveAssetPath(assetPath, libraryType, libraryPath);
+                if (filePath == null)
+                {
+                    Trace($"  ApplicationDependencyResolver: not found: {assetPath}");
+                    continue;
+                }
+
+                _nativeLibraryPaths.TryAdd(Path.GetFileName(filePath), filePath);
+            }
+        }
+    }
+
+    private static IEnumerable<string> GetAssetPaths(JsonNode? assets)
+        => (assets as JsonObject)?.Select((a) => a.Key) ?? [];
+
+    /// <summary>
+    /// Selects RID-specific assets of a library for the most specific RID that is compatible
+    /// with the current platform, separately for each asset type.
+    /// </summary>
+    private static Dictionary<string, List<string>> SelectRuntimeTargetAssets(
+        JsonObject targetLibraryAssets, string[] runtimeIdentifiers)
+    {
+        Dictionary<string, List<string>> selectedAssets = new();
+        if (targetLibraryAssets["runtimeTargets"] is not JsonObject runtimeTargets)
+        {
+            return selectedAssets;
+        }
+
+        foreach (IGrouping<string, KeyValuePair<string, JsonNode?>> assetTypeGroup in
+            runtimeTargets.GroupBy((a) => (string?)a.Value?["assetType"] ?? string.Empty))
+        {
+            string? bestRid = runtimeIdentifiers.FirstOrDefault(
+                (rid) => assetTypeGroup.Any((a) => (string?)a.Value?["rid"] == rid));
+            if (bestRid != null)
+            {
+                selectedAssets[assetTypeGroup.Key] = assetTypeGroup
+                    .Where((a) => (string?)a.Value?["rid"] == bestRid)
+                    .Select((a) => a.Key)
+                    .ToList();
+            }
+        }
+
+        return selectedAssets;
+    }
+
+    /// <summary>
+    /// Resolves an asset path from the deps file to a file path, searching first in the
+    /// application directory and then in the package probing paths.
+    /// </summary>
+    private string? ResolveAssetPath(string assetPath, string libraryType, string? libraryPath)
+    {
+        // Assets are copied to the application directory either with their relative path
+        // (for RID-specific assets) or with only the file name.
+        if (Path.GetFileName(assetPath) == "_._")
+        {
+            // Placeholder for an asset that is provided by the framework.
+            return null;
+        }
+
+        string filePath = Path.Combine(ApplicationDirectory, assetPath);
+        if (File.Exists(filePath))
+        {
+            return filePath;
+        }
+
+        filePath = Path.Combine(ApplicationDirectory, Path.GetFileName(assetPath));
+        if (File.Exists(filePath))
+        {
+            return filePath;
+        }
+
+        if (libraryType == "package" && libraryPath != null)
+        {
+            foreach (string probingPath in _probingPaths)
+            {
+                filePath = Path.Combine(probingPath, libraryPath, assetPath);
+                if (File.Exists(filePath))
+                {
+                    return filePath;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    private static string GetAssemblyKey(string assemblyName, string? culture)
+        => string.IsNullOrEmpty(culture) || culture == "neutral" ?
+            assemblyName : culture + "/" + assemblyName;
+
+    /// <summary>
+    /// Gets the RID of the current platform followed by its fallback RIDs,
+    /// from most to least specific.
+    /// </summary>
+    private static string[] GetRuntimeIdentifiers()
+    {
+        string arch = RuntimeInformation.ProcessArchitecture.ToString().ToLowerInvariant();
+        if (RuntimeInformation.IsOSPlatform(OSPlatform.Windows))
+        {
+            return [$"win-{arch}", "win", "any", "base"];
+        }
+        else if (RuntimeInformation.IsOSPlatform(OSPlatform.OSX))
+        {
+            return [$"osx-{arch}", "osx", "unix", "any", "base"];
+        }
+        else if (RuntimeInformation.RuntimeIdentifier.Contains("musl"))
+        {
+            return [$"linux-musl-{arch}", "linux-musl", $"linux-{arch}", "linux", "unix", "any",
+                "base"];
+        }
+        else
+        {
+            return [$"linux-{arch}", "linux", "unix", "any", "base"];
+        }
+    }
+
+    /// <summary>
+    /// Gets possible file names of a native library, with platform-specific prefixes and
+    /// extensions, in the same order the runtime would probe for them.
+    /// </summary>
+    private static IEnumerable<string> GetNativeLibraryFileNames(string libraryName)
+    {
+        string extension =
+            RuntimeInformation.IsOSPlatform(OSPlatform.Windows) ? ".dll" :
+            RuntimeInformation.IsOSPlatform(OSPlatform.OSX) ? ".dylib" : ".so";
+        string prefix = RuntimeInformation.IsOSPlatform(OSPlatform.Windows) ? "" : "lib";
+        string fileName = Path.GetFileName(libraryName);
+
+        yield return fileName + extension;
+        yield return prefix + fileName + extension;
+        yield return fileName;
+        yield return prefix + fileName;
+    }
+}
+
+#endif
@@ -0,0 +1,151 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+#if !(NETFRAMEWORK || NETSTANDARD)
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Reflection;
+using System.Runtime.Loader;
+using Microsoft.JavaScript.NodeApi.Interop;
+
+namespace Microsoft.JavaScript.NodeApi.DotNetHost;
+
+using static Microsoft.JavaScript.NodeApi.DotNetHost.ManagedHost;
+
+/// <summary>
+/// An assembly load context with its own dependency resolution and its own JS namespace root,
+/// for assemblies that must be kept apart from other assemblies loaded by the host, for example
+/// because they depend on different versions of the same assembly.
+/// </summary>
+/// <remarks>
+/// Dependencies of assemblies loaded in the context are resolved first from the .NET system
+/// directories (shared with the host), then from the directories of assemblies that were
+/// explicitly loaded in the same context. Types are exported as namespace properties of the
+/// context's JS object rather than on the main `dotnet` object.
+/// </remarks>
+internal sealed class IsolatedLoadContext : AssemblyLoadContext
+{
+    private readonly Func<string, Assembly?> _loadSystemAssembly;
+    private readonly TypeExporter _typeExporter;
+    private readonly JSReference _exportsReference;
+    private readonly List<string> _assemblyDirectories = new();
+    private readonly HashSet<string> _exportedAssemblyNames = new();
+
+    /// <summary>
+    /// Creates a new isolated load context.
+    /// </summary>
+    /// <param name="name">Name of the load context, for diagnostic purposes.</param>
+    /// <param name="typeExporter">Type exporter of the host, which will share already-exported
+    /// types with the new context.</param>
+    /// <param name="loadSystemAssembly">Callback that loads a system assembly by name,
+    /// or returns null if the name is not a system assembly.</param>
+    public IsolatedLoadContext(
+        string name,
+        TypeExporter typeExporter,
+        Func<string, Assembly?> loadSystemAssembly)
+        : base(name)
+    {
+        _loadSystemAssembly = loadSystemAssembly;
+
+        JSObject exports = new();
+        exports.DefineProperties(
+            JSPropertyDescriptor.DataProperty("name", name),
+            JSPropertyDescriptor.Function("load", LoadAssembly));
+        _exportsReference = new JSReference(exports);
+
+        _typeExporter = typeExporter.CreateIsolatedExporter(exports);
+    }
+
+    /// <summary>
+    /// Gets the JS object that represents the load context. It has a `load()` method for loading
+    /// assemblies into the context, and namespace properties for types in loaded assemblies.
+    /// </summary>
+    public JSValue Exports => _exportsReference.GetValue();
+
+    /// <summary>
+    /// Gets the type exporter that defines namespaces for types loaded in the context.
+    /// </summary>
+    public TypeExporter TypeExporter => _typeExporter;
+
+    /// <summary>
+    /// Loads an assembly into the isolated context and exports its types to the
+    /// context's namespaces.
+    /// </summary>
+    public JSValue LoadAssembly(JSCallbackArgs args)
+    {
+        LoadAssembly((string)args[0].CoerceToString());
+        return default;
+    }
+
+    public Assembly LoadAssembly(string assemblyNameOrFilePath)
+    {
+        Trace($"> IsolatedLoadContext.LoadAssembly({Name}, {assemblyNameOrFilePath})");
+
+        Assembly assembly;
+        if (string.IsNullOrEmpty(Path.GetDirectoryName(assemblyNameOrFilePath)) &&
+            !assemblyNameOrFilePath.EndsWith(".dll", StringComparison.OrdinalIgnoreCase))
+        {
+            assembly = _loadSystemAssembly(assemblyNameOrFilePath) ??
+                throw new FileNotFoundException(
+                    $"System assembly not found: {assemblyNameOrFilePath}");
+        }
+        else
+        {
+            string assemblyFilePath = ResolveCallerRelativePath(assemblyNameOrFilePath);
+            string assemblyDirectory = Path.GetDirectoryName(assemblyFilePath)!;
+            if (!_assemblyDirectories.Contains(assemblyDirectory))
+            {
+                _assemblyDirectories.Add(assemblyDirectory);
+            }
+
+            assembly = LoadFromAssemblyPath(assemblyFilePath);
+        }
+
+        if (_exportedAssemblyNames.Add(assembly.GetName().Name!))
+        {
+            _typeExporter.ExportAssemblyTypes(assembly);
+        }
+
+        Trace($"< IsolatedLoadContext.LoadAssembly() => {assembly.GetName().Version}");
+        return assembly;
+    }
+
+    protected override Assembly? Load(AssemblyName assemblyName)
+    {
+        string name = assemblyName.Name!;
+
+        // The Node API assemblies must be shared with the host, otherwise types like JSValue
+        // would not be compatible across contexts.
+        if (name == typeof(JSValue).Assembly.GetName().Name)
+        {
+            return typeof(JSValue).Assembly;
+        }
+        else if (name == typeof(ManagedHost).Assembly.GetName().Name)
+        {
+            return typeof(ManagedHost).Assembly;
+        }
+
+        Assembly? assembly = _loadSystemAssembly(name);
+        if (assembly != null)
+        {
+            return assembly;
+        }
+
+        foreach (string assemblyDirectory in _assemblyDirectories)
+        {
+            string adjacentPath = Path.Combine(assemblyDirectory, name + ".dll");
+            if (File.Exists(adjacentPath))
+            {
+                Trace($"  IsolatedLoadContext.Load({Name}, {name}) => {adjacentPath}");
+                return LoadFromAssemblyPath(adjacentPath);
+            }
+        }
+
+        Trace($"  IsolatedLoadContext.Load({Name}, {name}) => not resolved");
+        return null;
+    }
+}
+
+#endif
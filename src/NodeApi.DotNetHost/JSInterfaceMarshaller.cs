@@ -7,6 +7,7 @@ using System.Collections.Generic;
 using System.Linq;
 using System.Reflection;
 using System.Reflection.Emit;
+using System.Runtime.CompilerServices;
 using Microsoft.JavaScript.NodeApi.Interop;
 
 namespace Microsoft.JavaScript.NodeApi.DotNetHost;
@@ -22,11 +23,26 @@ internal class JSInterfaceMarshaller
         binder: null,
         new[] { typeof(Delegate), typeof(object?[]) },
         modifiers: null)!;
+    private static readonly MethodInfo s_jsInterfaceAddEventListener =
+        typeof(JSInterface).GetMethod(
+            "AddEventListener", BindingFlags.NonPublic | BindingFlags.Instance)!;
+    private static readonly MethodInfo s_jsInterfaceRemoveEventListener =
+        typeof(JSInterface).GetMethod(
+            "RemoveEventListener", BindingFlags.NonPublic | BindingFlags.Instance)!;
 
     private readonly ConcurrentDictionary<Type, Type> _interfaceTypes = new();
     private readonly AssemblyBuilder _assemblyBuilder;
     private readonly ModuleBuilder _moduleBuilder;
 
+#if !(NETFRAMEWORK || NETSTANDARD)
+    /// <summary>
+    /// Separate collectible dynamic modules for implementations of interfaces from collectible
+    /// assemblies, because a non-collectible dynamic assembly may not reference them.
+    /// </summary>
+    private readonly ConditionalWeakTable<Assembly, ModuleBuilder> _collectibleModuleBuilders =
+        new();
+#endif
+
     public JSInterfaceMarshaller()
     {
         _assemblyBuilder = JSMarshaller.CreateAssemblyBuilder(typeof(JSInterfaceMarshaller));
@@ -47,9 +63,38 @@ internal class JSInterfaceMarshaller
         return BuildInterfaceImplementation(interfaceType, marshaller);
     }
 
+    /// <summary>
+    /// Removes cached interface implementations for interface types that match a predicate,
+    /// for example interfaces defined in an assembly that is being unloaded.
+    /// </summary>
+    public void RemoveCachedTypes(Func<Type, bool> predicate)
+    {
+        foreach (Type interfaceType in _interfaceTypes.Keys.Where(predicate))
+        {
+            _interfaceTypes.TryRemove(interfaceType, out _);
+        }
+    }
+
+    private ModuleBuilder GetModuleBuilder(Type interfaceType)
+    {
+#if !(NETFRAMEWORK || NETSTANDARD)
+        Assembly? collectibleAssembly = interfaceType.GetCollectibleAssembly();
+        if (collectibleAssembly != null)
+        {
+            return _collectibleModuleBuilders.GetValue(
+                collectibleAssembly,
+                (_) => JSMarshaller.CreateAssemblyBuilder(
+                    typeof(JSInterfaceMarshaller), collectible: true)
+                    .DefineDynamicModule(typeof(JSInterfaceMarshaller).Name));
+        }
+#endif
+
+        return _moduleBuilder;
+    }
+
     private Type BuildInterfaceImplementation(Type interfaceType, JSMarshaller marshaller)
     {
-        TypeBuilder typeBuilder = _moduleBuilder.DefineType(
+        TypeBuilder typeBuilder = GetModuleBuilder(interfaceType).DefineType(
             "proxy_" + JSMarshaller.FullTypeName(interfaceType),
             TypeAttributes.Class | TypeAttributes.Sealed,
             typeof(JSInterface),
@@ -126,7 +171,13 @@ internal class JSInterfaceMarshaller
 
         foreach (EventInfo eventInfo in interfaceEvents)
         {
-            BuildEventImplementation(typeBuilder, eventInfo);
+            // The event add method requires a delegate that converts the handler to JS.
+            FieldBuilder? toJSFieldBuilder = eventInfo.AddMethod != null ?
+                CreateDelegateField(eventInfo.AddMethod) : null;
+            string jsEventName = marshaller.AutoCamelCase ?
+                JSMarshaller.ToCamelCase(eventInfo.Name) : eventInfo.Name;
+
+            BuildEventImplementation(typeBuilder, eventInfo, jsEventName, toJSFieldBuilder);
         }
 
         implementationType = typeBuilder.CreateTypeInfo()!;
@@ -171,6 +222,18 @@ internal class JSInterfaceMarshaller
             delegateField.SetValue(null, marshaller.GetToJSMethodDelegate(method));
         }
 
+        foreach (EventInfo eventInfo in interfaceEvents)
+        {
+            if (eventInfo.AddMethod != null)
+            {
+                string fieldName = $"_{eventInfo.AddMethod.Name}_{fieldIndex++}";
+                FieldInfo delegateField = implementationType.GetField(
+                    fieldName, BindingFlags.NonPublic | BindingFlags.Static)!;
+                delegateField.SetValue(
+                    null, marshaller.GetToJSValueDelegate(eventInfo.EventHandlerType!));
+            }
+        }
+
         return implementationType;
     }
 
@@ -469,12 +532,15 @@ internal class JSInterfaceMarshaller
 
     private static void BuildEventImplementation(
         TypeBuilder typeBuilder,
-        EventInfo eventInfo)
+        EventInfo eventInfo,
+        string jsEventName,
+        FieldInfo? toJSDelegateField)
     {
+        Type eventHandlerType = eventInfo.EventHandlerType!;
         EventBuilder eventBuilder = typeBuilder.DefineEvent(
-            eventInfo.DeclaringType!.Name + ".add_" + eventInfo.Name, // Explicit interface impl
+            eventInfo.DeclaringType!.Name + "." + eventInfo.Name, // Explicit interface impl
             EventAttributes.None,
-            eventInfo.EventHandlerType!);
+            eventHandlerType);
 
         MethodAttributes attributes =
             MethodAttributes.Public | MethodAttributes.Virtual | MethodAttributes.Final |
@@ -487,12 +553,27 @@ internal class JSInterfaceMarshaller
                 attributes,
                 CallingConventions.HasThis,
                 returnType: typeof(void),
-                parameterTypes: new[] { eventInfo.EventHandlerType! });
+                parameterTypes: new[] { eventHandlerType });
             addMethodBuilder.DefineParameter(1, ParameterAttributes.None, "value");
 
             ILGenerator il = addMethodBuilder.GetILGenerator();
 
-            // TODO: Implement event add method.
+            /*
+             * this.AddEventListener<THandler>(
+             *     "eventName", value, (JSValue.From<THandler>)_add_event);
+             */
+
+            il.Emit(OpCodes.Ldarg_0); // this
+            il.Emit(OpCodes.Ldstr, jsEventName);
+            il.Emit(OpCodes.Ldarg_1); // value
+
+            // Load the static field for the delegate that converts the handler to a JS function.
+            il.Emit(OpCodes.Ldsfld, toJSDelegateField!);
+            il.Emit(OpCodes.Castclass, typeof(JSValue.From<>).MakeGenericType(eventHandlerType));
+
+            il.Emit(
+                OpCodes.Call,
+                s_jsInterfaceAddEventListener.MakeGenericMethod(eventHandlerType));
             il.Emit(OpCodes.Ret);
 
             eventBuilder.SetAddOnMethod(addMethodBuilder);
@@ -506,12 +587,21 @@ internal class JSInterfaceMarshaller
                 attributes,
                 CallingConventions.HasThis,
                 returnType: typeof(void),
-                parameterTypes: new[] { eventInfo.EventHandlerType! });
+                parameterTypes: new[] { eventHandlerType });
             removeMethodBuilder.DefineParameter(1, ParameterAttributes.None, "value");
 
             ILGenerator il2 = removeMethodBuilder.GetILGenerator();
 
-            // TODO: Implement event remove method.
+            /*
+             * this.RemoveEventListener<THandler>("eventName", value);
+             */
+
+            il2.Emit(OpCodes.Ldarg_0); // this
+            il2.Emit(OpCodes.Ldstr, jsEventName);
+            il2.Emit(OpCodes.Ldarg_1); // value
+            il2.Emit(
+                OpCodes.Call,
+                s_jsInterfaceRemoveEventListener.MakeGenericMethod(eventHandlerType));
             il2.Emit(OpCodes.Ret);
 
             eventBuilder.SetRemoveOnMethod(removeMethodBuilder);
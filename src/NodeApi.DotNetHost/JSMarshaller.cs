@@ -78,6 +78,19 @@ public class JSMarshaller
     private readonly ConcurrentDictionary<Type, LambdaExpression> _toJSExpressions = new();
     private readonly ConcurrentDictionary<MethodInfo, Delegate> _jsMethodDelegates = new();
 
+    /// <summary>
+    /// Custom converters, as functions that build expressions that convert a value to or from JS.
+    /// </summary>
+    private readonly ConcurrentDictionary<
+        Type, (Func<Expression, Expression> ToJS, Func<Expression, Expression> FromJS)>
+        _converters = new();
+
+    /// <summary>
+    /// Assemblies that registered converters via assembly-level
+    /// <see cref="JSMarshalAsAttribute"/>s, keyed by the converted type.
+    /// </summary>
+    private readonly ConcurrentDictionary<Type, Assembly> _converterAssemblies = new();
+
     private static readonly ParameterExpression s_argsParameter =
         Expression.Parameter(typeof(JSCallbackArgs), "__args");
     private static readonly IEnumerable<ParameterExpression> s_argsArray =
@@ -131,6 +144,253 @@ public class JSMarshaller
     /// </summary>
     public bool AutoCamelCase { get; set; }
 
+    /// <summary>
+    /// Gets or sets how .NET decimal values are projected to JavaScript. The default is
+    /// <see cref="JSDecimalMarshalling.String"/>, which is lossless.
+    /// </summary>
+    /// <remarks>
+    /// Marshalling expressions and delegates are cached, so this must be set before any
+    /// marshalling code is generated.
+    /// </remarks>
+    public JSDecimalMarshalling DecimalMarshalling { get; set; }
+
+    /// <summary>
+    /// Gets or sets how .NET 64-bit (and larger) integer values are projected to JavaScript.
+    /// The default is <see cref="JSInt64Marshalling.Number"/>, which throws if a value is outside
+    /// the range of safe JS integers.
+    /// </summary>
+    /// <remarks>
+    /// Marshalling expressions and delegates are cached, so this must be set before any
+    /// marshalling code is generated.
+    /// </remarks>
+    public JSInt64Marshalling Int64Marshalling { get; set; }
+
+    /// <summary>
+    /// Gets or sets how .NET date and time values (other than <see cref="DateTime"/>) are
+    /// projected to JavaScript. The default is <see cref="JSDateMarshalling.Default"/>.
+    /// </summary>
+    /// <remarks>
+    /// Marshalling expressions and delegates are cached, so this must be set before any
+    /// marshalling code is generated.
+    /// </remarks>
+    public JSDateMarshalling DateMarshalling { get; set; }
+
+    /// <summary>
+    /// Registers a custom converter type that marshals values of a .NET type to and from JS.
+    /// </summary>
+    /// <param name="type">The type to be converted.</param>
+    /// <param name="converterType">A type with public static methods <c>JSValue ToJS(T value)</c>
+    /// and <c>T FromJS(JSValue value)</c>, where <c>T</c> is the converted type.</param>
+    /// <exception cref="ArgumentException">The converter type does not have the required
+    /// methods.</exception>
+    /// <exception cref="InvalidOperationException">Marshalling code was already
+    /// generated.</exception>
+    /// <remarks>
+    /// A converter may also be specified by a <see cref="JSMarshalAsAttribute"/> on the converted
+    /// type, which does not require registration. Converters are global to the marshaller, so
+    /// they apply to all assemblies that are marshalled by it. Marshalling expressions and
+    /// delegates are cached, including for types composed from the converted type such as arrays
+    /// and collections, so a converter must be registered before any marshalling code is
+    /// generated.
+    /// </remarks>
+    public void RegisterConverter(Type type, Type converterType)
+    {
+        if (type is null) throw new ArgumentNullException(nameof(type));
+        if (converterType is null) throw new ArgumentNullException(nameof(converterType));
+
+        (Func<Expression, Expression> buildToJS, Func<Expression, Expression> buildFromJS) =
+            BuildConverter(type, converterType);
+        AddConverter(type, buildToJS, buildFromJS);
+    }
+
+    /// <summary>
+    /// Registers custom conversion functions that marshal values of a .NET type to and from JS.
+    /// </summary>
+    /// <typeparam name="T">The type to be converted.</typeparam>
+    /// <param name="toJS">Converts a .NET value to JS.</param>
+    /// <param name="fromJS">Converts a JS value to .NET.</param>
+    /// <exception cref="InvalidOperationException">Marshalling code was already
+    /// generated.</exception>
+    /// <remarks>
+    /// Conversion functions can only be used for dynamic invocation. To also use a custom
+    /// conversion in code generated for a module and in generated type definitions, specify a
+    /// converter type with a <see cref="JSMarshalAsAttribute"/> instead.
+    /// </remarks>
+    public void RegisterConverter<T>(Func<T, JSValue> toJS, Func<JSValue, T> fromJS)
+    {
+        if (toJS is null) throw new ArgumentNullException(nameof(toJS));
+        if (fromJS is null) throw new ArgumentNullException(nameof(fromJS));
+
+        AddConverter(
+            typeof(T),
+            (value) => Expression.Invoke(Expression.Constant(toJS), value),
+            (value) => Expression.Invoke(Expression.Constant(fromJS), value));
+    }
+
+    private void AddConverter(
+        Type type,
+        Func<Expression, Expression> buildToJS,
+        Func<Expression, Expression> buildFromJS)
+    {
+        // Checking only the converted type is not sufficient, because code for composite types
+        // such as arrays, collections, and methods using the type may have been cached.
+        if (HasGeneratedCode)
+        {
+            throw new InvalidOperationException(
+                $"A converter for type {type.FullName} cannot be registered after any values " +
+                "have been marshalled.");
+        }
+
+        _converters[type] = (buildToJS, buildFromJS);
+    }
+
+    private static (Func<Expression, Expression> ToJS, Func<Expression, Expression> FromJS)
+        BuildConverter(Type type, Type converterType)
+    {
+        MethodInfo toJSMethod = GetConverterMethod(converterType, "ToJS", typeof(JSValue), type);
+        MethodInfo fromJSMethod = GetConverterMethod(
+            converterType, "FromJS", type, typeof(JSValue));
+        return (
+            (value) => Expression.Call(toJSMethod, value),
+            (value) => Expression.Call(fromJSMethod, value));
+    }
+
+    private static MethodInfo GetConverterMethod(
+        Type converterType, string name, Type returnType, Type parameterType)
+    {
+        MethodInfo? method = converterType.GetMethod(
+            name,
+            BindingFlags.Public | BindingFlags.Static,
+            binder: null,
+            new[] { parameterType },
+            modifiers: null);
+        return method?.ReturnType == returnType ? method : throw new ArgumentException(
+            $"Converter type {converterType.FullName} does not have a public static method " +
+            $"{returnType.Name} {name}({parameterType.Name} value).",
+            nameof(converterType));
+    }
+
+    /// <summary>
+    /// Gets the custom converter for a type, either registered or specified by a
+    /// <see cref="JSMarshalAsAttribute"/> on the type, or null if the type has no converter.
+    /// </summary>
+    private (Func<Expression, Expression> ToJS, Func<Expression, Expression> FromJS)?
+        GetConverter(Type type)
+    {
+        if (!_converters.TryGetValue(type, out var converter))
+        {
+            JSMarshalAsAttribute? marshalAsAttribute =
+                type.GetCustomAttribute<JSMarshalAsAttribute>();
+            if (marshalAsAttribute == null)
+            {
+                return null;
+            }
+
+            // A converter specified on the type applies to all code for the type, so it does not
+            // need to be registered before other code is generated.
+            converter = BuildConverter(type, marshalAsAttribute.ConverterType);
+            _converters[type] = converter;
+        }
+
+        return converter;
+    }
+
+    /// <summary>
+    /// Registers the converters specified by assembly-level <see cref="JSMarshalAsAttribute"/>s,
+    /// for types that may be defined in other assemblies.
+    /// </summary>
+    /// <exception cref="InvalidOperationException">A converter for one of the types was already
+    /// registered by another assembly, or values of the type were already marshalled. In that
+    /// case none of the assembly's converters are registered.</exception>
+    /// <remarks>
+    /// The converters are owned by the assembly; they are removed by
+    /// <see cref="RemoveConverters(ICollection{Assembly})" /> when the assembly is unloaded.
+    /// </remarks>
+    internal void RegisterConverters(Assembly assembly)
+    {
+        string assemblyName = assembly.GetName().Name!;
+
+        // Validate all the converters before registering any of them.
+        List<(Type Type, MethodInfo ToJS, MethodInfo FromJS)> converters = new();
+        foreach (JSMarshalAsAttribute marshalAsAttribute in
+            assembly.GetCustomAttributes<JSMarshalAsAttribute>())
+        {
+            Type? type = marshalAsAttribute.Type;
+            Type converterType = marshalAsAttribute.ConverterType;
+            if (type == null ||
+                (_converterAssemblies.TryGetValue(type, out Assembly? ownerAssembly) &&
+                ownerAssembly == assembly))
+            {
+                continue;
+            }
+
+            if (ownerAssembly != null)
+            {
+                throw new InvalidOperationException(
+                    $"Assembly {assemblyName} cannot register converter " +
+                    $"{converterType.FullName} for type {type.FullName}, because assembly " +
+                    $"{ownerAssembly.GetName().Name} already registered a converter for the " +
+                    "type.");
+            }
+            else if (_converters.ContainsKey(type))
+            {
+                throw new InvalidOperationException(
+                    $"Assembly {assemblyName} cannot register converter " +
+                    $"{converterType.FullName} for type {type.FullName}, because another " +
+                    "converter for the type was already registered.");
+            }
+            else if (HasCachedTypes((t) => t.IsConstructedFrom(new[] { type })))
+            {
+                // Code for the type, or for composite types such as arrays, collections, and
+                // methods using the type, was already generated without the converter.
+                throw new InvalidOperationException(
+                    $"Assembly {assemblyName} cannot register converter " +
+                    $"{converterType.FullName} for type {type.FullName}, because values of the " +
+                    "type have already been marshalled without the converter.");
+            }
+
+            converters.Add((
+                type,
+                GetConverterMethod(converterType, "ToJS", typeof(JSValue), type),
+                GetConverterMethod(converterType, "FromJS", type, typeof(JSValue))));
+        }
+
+        foreach ((Type type, MethodInfo toJSMethod, MethodInfo fromJSMethod) in converters)
+        {
+            _converters[type] = (
+                (value) => Expression.Call(toJSMethod, value),
+                (value) => Expression.Call(fromJSMethod, value));
+            _converterAssemblies[type] = assembly;
+        }
+    }
+
+    /// <summary>
+    /// Removes converters that were registered by assemblies that are being unloaded, along with
+    /// cached marshalling expressions and delegates that use the converters.
+    /// </summary>
+    /// <remarks>
+    /// The converted types may be defined in other assemblies that remain loaded, so the cached
+    /// code for those types must be removed separately from the unloaded assemblies' own types.
+    /// </remarks>
+    internal void RemoveConverters(ICollection<Assembly> assemblies)
+    {
+        Type[] convertedTypes = _converterAssemblies
+            .Where((entry) => assemblies.Contains(entry.Value))
+            .Select((entry) => entry.Key)
+            .ToArray();
+        if (convertedTypes.Length == 0)
+        {
+            return;
+        }
+
+        foreach (Type type in convertedTypes)
+        {
+            _converterAssemblies.TryRemove(type, out _);
+        }
+
+        RemoveCachedTypes((type) => type.IsConstructedFrom(convertedTypes));
+    }
+
     public static string ToCamelCase(string name)
     {
         if (name.Length == 0)
@@ -200,7 +460,10 @@ public class JSMarshaller
             type == typeof(DateTime) ||
             type == typeof(TimeSpan) ||
             type == typeof(Guid) ||
-            type == typeof(BigInteger))
+            type == typeof(decimal) ||
+            type == typeof(BigInteger) ||
+            IsInt64Type(type) ||
+            IsTemporalType(type))
         {
             return true;
         }
@@ -477,7 +740,7 @@ public class JSMarshaller
             constructor.DeclaringType!, "__result");
         variables = [.. argVariables.Append(resultVariable)];
         statements.Add(Expression.Assign(resultVariable,
-            Expression.New(constructor, argVariables)));
+            Expression.New(constructor, BuildCallArguments(parameters, argVariables))));
 
         if (constructor.DeclaringType!.IsValueType)
         {
@@ -585,7 +848,10 @@ public class JSMarshaller
     {
         if (property is null) throw new ArgumentNullException(nameof(property));
 
+        // A property that returns a writable reference is set by assigning via the reference.
         MethodInfo? setMethod = property.SetMethod ??
+            (property.GetMethod != null && ReturnsWritableRef(property.GetMethod) ?
+                property.GetMethod : null) ??
             throw new ArgumentException("Property does not have a set method.");
         try
         {
@@ -600,6 +866,124 @@ public class JSMarshaller
         }
     }
 
+    /// <summary>
+    /// Builds a lambda expression for a JS callback adapter that gets the value of a .NET field.
+    /// When invoked, the expression will get the field value and marshal it back to JS.
+    /// </summary>
+    /// <remarks>
+    /// The returned expression takes a single <see cref="JSCallbackArgs"/> parameter and
+    /// returns a <see cref="JSValue"/>. For instance fields, the `this` argument for the JS
+    /// callback args must be a JS object that wraps a .NET object matching the field's
+    /// declaring type. The lambda expression may be converted to a <see cref="JSCallback"/>
+    /// delegate with <see cref="LambdaExpression.Compile()"/>.
+    /// </remarks>
+    public Expression<JSCallback> BuildFromJSFieldGetExpression(FieldInfo field)
+    {
+        if (field is null) throw new ArgumentNullException(nameof(field));
+
+        try
+        {
+            /*
+             * JSValue get_FieldClass_FieldName(JSCallbackArgs __args)
+             * {
+             *     ObjectType __this = (ObjectType)__args.ThisArg; // (Instance fields only)
+             *     var __result = __this.FieldName;
+             *     return (JSValue)__result;
+             * }
+             */
+
+            ParameterExpression resultVariable =
+                Expression.Variable(field.FieldType, "__result");
+            List<ParameterExpression> variables = new(2) { resultVariable };
+            LabelTarget returnTarget = Expression.Label(typeof(JSValue));
+            List<Expression> statements = new(5);
+
+            ParameterExpression? thisVariable = null;
+            if (!field.IsStatic)
+            {
+                thisVariable = Expression.Variable(field.DeclaringType!, "__this");
+                variables.Add(thisVariable);
+                statements.AddRange(BuildThisArgumentExpressions(
+                    field.DeclaringType!, thisVariable, returnTarget));
+            }
+
+            statements.Add(
+                Expression.Assign(resultVariable, Expression.Field(thisVariable, field)));
+            statements.Add(Expression.Label(returnTarget,
+                BuildResultExpression(resultVariable, field.FieldType)));
+
+            return Expression.Lambda<JSCallback>(
+                body: Expression.Block(typeof(JSValue), variables, statements),
+                name: FullMemberName(field.DeclaringType!, field.Name, "get_"),
+                parameters: s_argsArray);
+        }
+        catch (Exception ex)
+        {
+            throw new JSMarshallerException(
+                "Failed to build JS callback adapter for .NET field getter.", field, ex);
+        }
+    }
+
+    /// <summary>
+    /// Builds a lambda expression for a JS callback adapter that sets the value of a .NET field.
+    /// When invoked, the delegate will marshal the value from JS and set the field.
+    /// </summary>
+    /// <remarks>
+    /// The returned expression takes a single <see cref="JSCallbackArgs"/> parameter and
+    /// returns a <see cref="JSValue"/>. For instance fields, the `this` argument for the JS
+    /// callback args must be a JS object that wraps a .NET object matching the field's
+    /// declaring type. The lambda expression may be converted to a <see cref="JSCallback"/>
+    /// delegate with <see cref="LambdaExpression.Compile()"/>.
+    /// </remarks>
+    public Expression<JSCallback> BuildFromJSFieldSetExpression(FieldInfo field)
+    {
+        if (field is null) throw new ArgumentNullException(nameof(field));
+        else if (field.IsInitOnly || field.IsLiteral) throw new ArgumentException(
+            "Field is read-only.", nameof(field));
+
+        try
+        {
+            /*
+             * JSValue set_FieldClass_FieldName(JSCallbackArgs __args)
+             * {
+             *     ObjectType __this = (ObjectType)__args.ThisArg; // (Instance fields only)
+             *     var __value = (FieldType)__args[0];
+             *     __this.FieldName = __value;
+             *     return JSValue.Undefined;
+             * }
+             */
+
+            ParameterExpression valueVariable = Expression.Variable(field.FieldType, "__value");
+            List<ParameterExpression> variables = new(2) { valueVariable };
+            LabelTarget returnTarget = Expression.Label(typeof(JSValue));
+            List<Expression> statements = new(6);
+
+            ParameterExpression? thisVariable = null;
+            if (!field.IsStatic)
+            {
+                thisVariable = Expression.Variable(field.DeclaringType!, "__this");
+                variables.Add(thisVariable);
+                statements.AddRange(BuildThisArgumentExpressions(
+                    field.DeclaringType!, thisVariable, returnTarget));
+            }
+
+            statements.Add(Expression.Assign(valueVariable,
+                BuildArgumentExpression(0, field.FieldType)));
+            statements.Add(Expression.Assign(Expression.Field(thisVariable, field), valueVariable));
+            statements.Add(Expression.Label(returnTarget, Expression.Default(typeof(JSValue))));
+
+            return Expression.Lambda<JSCallback>(
+                body: Expression.Block(typeof(JSValue), variables, statements),
+                name: FullMemberName(field.DeclaringType!, field.Name, "set_"),
+                parameters: s_argsArray);
+        }
+        catch (Exception ex)
+        {
+            throw new JSMarshallerException(
+                "Failed to build JS callback adapter for .NET field setter.", field, ex);
+        }
+    }
+
     /// <summary>
     /// Builds a lambda expression for a .NET adapter to a JS method. When invoked, the
     /// delegate will marshal the arguments to JS, invoke the method on the JS class or
@@ -640,6 +1024,25 @@ public class JSMarshaller
                 parameters[i + 1] = Parameter(allMethodParameters[i]);
             }
 
+            if (method.DeclaringType == typeof(IDisposable) ||
+                method.DeclaringType == typeof(IAsyncDisposable))
+            {
+                /*
+                 * void Dispose(JSValue __this) => JSDisposable.Dispose(__this);
+                 */
+                // A JS object is disposed via its [Symbol.dispose]() or [Symbol.asyncDispose]().
+                return Expression.Lambda(
+                    _delegates.Value.GetToJSDelegateType(method.ReturnType, parameters),
+                    Expression.Block(
+                        method.ReturnType,
+                        Expression.Call(
+                            typeof(JSDisposable).GetStaticMethod(
+                                method.Name, new[] { typeof(JSValue) }),
+                            thisParameter)),
+                    name,
+                    parameters);
+            }
+
             /*
              * ReturnType MethodName(JSValue __this, Arg0Type arg0, ...)
              * {
@@ -994,7 +1397,13 @@ public class JSMarshaller
         }
     }
 
-    private LambdaExpression BuildToJSFunctionExpression(Type delegateType)
+    /// <summary>
+    /// Builds a lambda expression that converts a JS function to a .NET delegate of the
+    /// specified type. When invoked, the delegate will marshal the arguments to JS (switching to
+    /// the JS thread if necessary), invoke the JS function, then marshal the return value back
+    /// to .NET.
+    /// </summary>
+    public LambdaExpression BuildToJSFunctionExpression(Type delegateType)
     {
         MethodInfo invokeMethod = delegateType.GetMethod(nameof(Action.Invoke))!;
         LambdaExpression methodExpression = BuildToJSFunctionExpression(invokeMethod);
@@ -1080,7 +1489,12 @@ public class JSMarshaller
             parameters);
     }
 
-    private LambdaExpression BuildFromJSFunctionExpression(Type delegateType)
+    /// <summary>
+    /// Builds a lambda expression that converts a .NET delegate of the specified type to a
+    /// JS function. When invoked, the JS function will marshal the arguments to .NET, invoke
+    /// the delegate, then marshal the return value back to JS.
+    /// </summary>
+    public LambdaExpression BuildFromJSFunctionExpression(Type delegateType)
     {
         MethodInfo invokeMethod = delegateType.GetMethod(nameof(Action.Invoke))!;
         LambdaExpression methodExpression = BuildFromJSFunctionExpression(invokeMethod);
@@ -1540,16 +1954,17 @@ public class JSMarshaller
         }
 
         ParameterExpression? resultVariable = null;
+        IEnumerable<Expression> callArguments = BuildCallArguments(parameters, argVariables);
         if (method.ReturnType == typeof(void))
         {
-            statements.Add(Expression.Call(method, argVariables));
+            statements.Add(Expression.Call(method, callArguments));
         }
         else
         {
-            resultVariable = Expression.Variable(method.ReturnType, "__result");
+            resultVariable = Expression.Variable(GetResultType(method), "__result");
             variables.Add(resultVariable);
             statements.Add(Expression.Assign(resultVariable,
-                Expression.Call(method, argVariables)));
+                BuildCallExpression(null, method, callArguments)));
         }
 
         if (parameters.Any((p) => p.IsOut))
@@ -1562,7 +1977,7 @@ public class JSMarshaller
         }
         else if (method.ReturnType != typeof(void))
         {
-            statements.Add(BuildResultExpression(resultVariable!, method.ReturnType));
+            statements.Add(BuildResultExpression(resultVariable!, resultVariable!.Type));
         }
         else
         {
@@ -1626,17 +2041,18 @@ public class JSMarshaller
 
 
         ParameterExpression? resultVariable = null;
+        IEnumerable<Expression> callArguments = BuildCallArguments(parameters, argVariables);
         if (method.ReturnType == typeof(void))
         {
             statements.Add(Expression.Call(
-                method.IsStatic ? null : thisVariable, method, argVariables));
+                method.IsStatic ? null : thisVariable, method, callArguments));
         }
         else
         {
-            resultVariable = Expression.Variable(method.ReturnType, "__result");
+            resultVariable = Expression.Variable(GetResultType(method), "__result");
             variables.Add(resultVariable);
-            statements.Add(Expression.Assign(resultVariable,
-                Expression.Call(method.IsStatic ? null : thisVariable, method, argVariables)));
+            statements.Add(Expression.Assign(resultVariable, BuildCallExpression(
+                method.IsStatic ? null : thisVariable, method, callArguments)));
         }
 
         if (parameters.Any((p) => p.IsOut))
@@ -1650,7 +2066,7 @@ public class JSMarshaller
         else if (method.ReturnType != typeof(void))
         {
             statements.Add(Expression.Label(returnTarget,
-                BuildResultExpression(resultVariable!, method.ReturnType)));
+                BuildResultExpression(resultVariable!, resultVariable!.Type)));
         }
         else
         {
@@ -1730,15 +2146,18 @@ public class JSMarshaller
          * }
          */
 
-        ParameterExpression resultVariable = Expression.Variable(property.PropertyType, "__result");
+        MethodInfo getMethod = property.GetMethod!;
+        ParameterExpression resultVariable = Expression.Variable(
+            GetResultType(getMethod), "__result");
         List<ParameterExpression> variables = new(1)
         {
             resultVariable
         };
         var statements = new Expression[]
         {
-            Expression.Assign(resultVariable, Expression.Property(null, property)),
-            BuildResultExpression(resultVariable, property.PropertyType),
+            Expression.Assign(resultVariable, getMethod.ReturnType.IsByRef ?
+                BuildCallExpression(null, getMethod, []) : Expression.Property(null, property)),
+            BuildResultExpression(resultVariable, resultVariable.Type),
         };
         return Expression.Lambda<JSCallback>(
             body: Expression.Block(typeof(JSValue), variables, statements),
@@ -1757,8 +2176,10 @@ public class JSMarshaller
          * }
          */
 
+        MethodInfo getMethod = property.GetMethod!;
         ParameterExpression thisVariable = Expression.Variable(property.DeclaringType!, "__this");
-        ParameterExpression resultVariable = Expression.Variable(property.PropertyType, "__result");
+        ParameterExpression resultVariable = Expression.Variable(
+            GetResultType(getMethod), "__result");
         List<ParameterExpression> variables = new(3)
         {
             thisVariable,
@@ -1768,13 +2189,20 @@ public class JSMarshaller
         List<Expression> statements = new(5);
 
         Expression propertyExpression;
-        if (property.GetMethod!.GetParameters().Length == 0)
+        if (getMethod.ReturnType.IsByRef)
+        {
+            propertyExpression = BuildCallExpression(
+                thisVariable,
+                getMethod,
+                getMethod.GetParameters().Select((p, i) => BuildArgumentExpression(i, p)));
+        }
+        else if (getMethod.GetParameters().Length == 0)
         {
             propertyExpression = Expression.Property(thisVariable, property);
         }
         else
         {
-            ParameterInfo indexParameter = property.GetMethod.GetParameters()[0];
+            ParameterInfo indexParameter = getMethod.GetParameters()[0];
             propertyExpression = Expression.Property(
                 thisVariable, property, BuildArgumentExpression(0, indexParameter));
         }
@@ -1783,7 +2211,7 @@ public class JSMarshaller
             property.DeclaringType!, thisVariable, returnTarget));
         statements.Add(Expression.Assign(resultVariable, propertyExpression));
         statements.Add(Expression.Label(returnTarget,
-            BuildResultExpression(resultVariable, property.PropertyType)));
+            BuildResultExpression(resultVariable, resultVariable.Type)));
 
         return Expression.Lambda<JSCallback>(
             body: Expression.Block(typeof(JSValue), variables, statements),
@@ -1802,18 +2230,23 @@ public class JSMarshaller
          * }
          */
 
-        ParameterExpression valueVariable = Expression.Variable(property.PropertyType, "__value");
+        Type valueType = property.PropertyType.IsByRef ?
+            property.PropertyType.GetElementType()! : property.PropertyType;
+        ParameterExpression valueVariable = Expression.Variable(valueType, "__value");
         var variables = new ParameterExpression[] { valueVariable };
         var statements = new Expression[]
         {
             Expression.Assign(valueVariable,
-                    BuildArgumentExpression(0, property.PropertyType)),
-            Expression.Call(property.SetMethod!, valueVariable),
+                    BuildArgumentExpression(0, valueType)),
+            property.SetMethod != null ?
+                Expression.Call(property.SetMethod, valueVariable) :
+                new RefReturnExpression(Expression.Call(property.GetMethod!), valueVariable),
             Expression.Default(typeof(JSValue)),
         };
         return Expression.Lambda<JSCallback>(
             body: Expression.Block(typeof(JSValue), variables, statements),
-            name: FullMethodName(property.SetMethod!),
+            name: property.SetMethod != null ? FullMethodName(property.SetMethod) :
+                FullMethodName(property.GetMethod!, "set_"),
             parameters: s_argsArray);
     }
 
@@ -1828,8 +2261,10 @@ public class JSMarshaller
          * }
          */
 
+        Type valueType = property.PropertyType.IsByRef ?
+            property.PropertyType.GetElementType()! : property.PropertyType;
         ParameterExpression thisVariable = Expression.Variable(property.DeclaringType!, "__this");
-        ParameterExpression valueVariable = Expression.Variable(property.PropertyType, "__value");
+        ParameterExpression valueVariable = Expression.Variable(valueType, "__value");
         List<ParameterExpression> variables = new(3)
         {
             thisVariable,
@@ -1838,8 +2273,19 @@ public class JSMarshaller
         LabelTarget returnTarget = Expression.Label(typeof(JSValue));
         List<Expression> statements = new(6);
 
-        MethodCallExpression setExpression;
-        if (property.SetMethod!.GetParameters().Length == 1)
+        Expression setExpression;
+        if (property.SetMethod == null)
+        {
+            // Assign via the writable reference returned by the getter.
+            MethodInfo getMethod = property.GetMethod!;
+            setExpression = new RefReturnExpression(
+                Expression.Call(
+                    thisVariable,
+                    getMethod,
+                    getMethod.GetParameters().Select((p, i) => BuildArgumentExpression(i, p))),
+                valueVariable);
+        }
+        else if (property.SetMethod.GetParameters().Length == 1)
         {
             setExpression = Expression.Call(thisVariable, property.SetMethod, valueVariable);
         }
@@ -1856,13 +2302,14 @@ public class JSMarshaller
         statements.AddRange(BuildThisArgumentExpressions(
             property.DeclaringType!, thisVariable, returnTarget));
         statements.Add(Expression.Assign(valueVariable,
-                    BuildArgumentExpression(0, property.PropertyType)));
+                    BuildArgumentExpression(0, valueType)));
         statements.Add(setExpression);
         statements.Add(Expression.Label(returnTarget, Expression.Default(typeof(JSValue))));
 
         return Expression.Lambda<JSCallback>(
             body: Expression.Block(typeof(JSValue), variables, statements),
-            name: FullMethodName(property.SetMethod!),
+            name: property.SetMethod != null ? FullMethodName(property.SetMethod) :
+                FullMethodName(property.GetMethod!, "set_"),
             parameters: s_argsArray);
     }
 
@@ -1949,10 +2396,75 @@ public class JSMarshaller
             return Expression.Default(parameter.ParameterType.IsByRef ?
                 parameter.ParameterType.GetElementType()! : parameter.ParameterType);
         }
+        else if (IsSpanType(parameter.ParameterType))
+        {
+            // Span arguments are held as JS values until the call; see BuildCallArguments().
+            return Expression.Property(s_argsParameter, s_argsIndexer, Expression.Constant(index));
+        }
 
         return BuildArgumentExpression(index, parameter.ParameterType);
     }
 
+    /// <summary>
+    /// Builds the argument expressions for a method or constructor call, from the variables
+    /// that hold the converted arguments.
+    /// </summary>
+    /// <remarks>
+    /// A span (ref struct) cannot be stored in a variable of an expression tree, so span
+    /// arguments are held in JSValue variables and converted to spans directly in the call.
+    /// The spans reference the JS memory without copying, so they are valid only for the
+    /// duration of the call.
+    /// </remarks>
+    private static IEnumerable<Expression> BuildCallArguments(
+        ParameterInfo[] parameters,
+        IReadOnlyList<ParameterExpression> argVariables)
+    {
+        return parameters.Select((p, i) => IsSpanType(p.ParameterType) ?
+            BuildSpanArgumentExpression(p.ParameterType, argVariables[i]) : argVariables[i]);
+    }
+
+    private static Expression BuildSpanArgumentExpression(Type spanType, Expression valueExpression)
+    {
+        Type elementType = spanType.GenericTypeArguments[0];
+        if (elementType == typeof(char))
+        {
+            MethodInfo asSpanMethod = typeof(MemoryExtensions).GetStaticMethod(
+                nameof(MemoryExtensions.AsSpan), new[] { typeof(string) });
+            return Expression.Call(
+                asSpanMethod, Expression.Convert(valueExpression, typeof(string)));
+        }
+
+        MethodInfo getBufferDataMethod = typeof(JSValue).GetInstanceMethod(
+            nameof(JSValue.GetBufferData), Type.EmptyTypes, elementType);
+        Expression spanExpression = Expression.Call(valueExpression, getBufferDataMethod);
+        return spanType.GetGenericTypeDefinition() == typeof(ReadOnlySpan<>) ?
+            Expression.Convert(spanExpression, spanType) : spanExpression;
+    }
+
+    /// <summary>
+    /// Builds an expression that calls a method. If the method returns by reference, the
+    /// expression reads the referenced value.
+    /// </summary>
+    private static Expression BuildCallExpression(
+        Expression? instance,
+        MethodInfo method,
+        IEnumerable<Expression> arguments)
+    {
+        MethodCallExpression callExpression = Expression.Call(instance, method, arguments);
+        return method.ReturnType.IsByRef ?
+            new RefReturnExpression(callExpression) : callExpression;
+    }
+
+    /// <summary>
+    /// Gets the type of the value returned by a method, which for a ref return is the type of
+    /// the referenced value.
+    /// </summary>
+    private static Type GetResultType(MethodInfo method)
+    {
+        return method.ReturnType.IsByRef ?
+            method.ReturnType.GetElementType()! : method.ReturnType;
+    }
+
     private Expression BuildArgumentExpression(int index, Type parameterType)
     {
         if (parameterType.IsByRef)
@@ -2096,7 +2608,39 @@ public class JSMarshaller
         IEnumerable<Expression> statements;
 
         MethodInfo? castMethod = GetCastFromJSValueMethod(toType);
-        if (castMethod != null)
+        if (GetConverter(toType) is var (_, fromJSConverter))
+        {
+            /*
+             * value.IsNullOrUndefined() ? null : Converter.FromJS(value)  // (if a reference type)
+             */
+            Expression convertExpression = fromJSConverter(valueParameter);
+            statements = new[]
+            {
+                toType.IsValueType ? convertExpression : Expression.Condition(
+                    Expression.Call(valueParameter, s_isNullOrUndefined),
+                    Expression.Constant(null, toType),
+                    convertExpression),
+            };
+        }
+        else if (IsInt64Type(toType))
+        {
+            // Conversions of 64-bit integers are checked for loss of precision.
+            MethodInfo fromJSMethod = typeof(JSInt64).GetStaticMethod("To" + toType.Name);
+            statements = new[]
+            {
+                Expression.Call(fromJSMethod, valueParameter),
+            };
+        }
+        else if (IsTemporalType(toType))
+        {
+            // Date and time values may be converted from either default JS types or Temporal.
+            MethodInfo fromJSMethod = typeof(JSTemporal).GetStaticMethod("To" + toType.Name);
+            statements = new[]
+            {
+                Expression.Call(fromJSMethod, valueParameter),
+            };
+        }
+        else if (castMethod != null)
         {
             // Cast the JSValue to the target type using the explicit conversion method.
             statements = new[]
@@ -2252,28 +2796,6 @@ public class JSMarshaller
                     Expression.Call(Expression.Call(asJSDate, valueParameter), toDateTime),
                 };
             }
-            else if (toType == typeof(TimeSpan))
-            {
-                MethodInfo asDouble = typeof(JSValue).GetExplicitConversion(
-                    typeof(JSValue), typeof(double));
-                MethodInfo toTimeSpan = typeof(TimeSpan).GetStaticMethod(
-                    nameof(TimeSpan.FromMilliseconds), new[] { typeof(double) });
-                statements = new[]
-                {
-                    Expression.Call(toTimeSpan, Expression.Call(asDouble, valueParameter)),
-                };
-            }
-            else if (toType == typeof(DateTimeOffset))
-            {
-                MethodInfo asJSDate = typeof(JSDate).GetExplicitConversion(
-                    typeof(JSValue), typeof(JSDate));
-                MethodInfo toDateTimeOffset = typeof(JSDate).GetInstanceMethod(
-                    nameof(JSDate.ToDateTimeOffset));
-                statements = new[]
-                {
-                    Expression.Call(Expression.Call(asJSDate, valueParameter), toDateTimeOffset),
-                };
-            }
             else if (toType == typeof(Guid))
             {
                 MethodInfo asString = typeof(JSValue).GetExplicitConversion(
@@ -2285,6 +2807,14 @@ public class JSMarshaller
                     Expression.Call(toGuid, Expression.Call(asString, valueParameter)),
                 };
             }
+            else if (toType == typeof(decimal))
+            {
+                MethodInfo toDecimal = typeof(JSDecimal).GetStaticMethod(nameof(JSDecimal.FromJS));
+                statements = new[]
+                {
+                    Expression.Call(toDecimal, valueParameter),
+                };
+            }
             else if (toType == typeof(BigInteger))
             {
                 MethodInfo asJSBigInt = typeof(JSBigInt).GetExplicitConversion(
@@ -2377,6 +2907,23 @@ public class JSMarshaller
         {
             statements = BuildFromJSToCollectionInterfaceExpressions(toType, variables, valueParameter);
         }
+        else if (toType == typeof(IDisposable) || toType == typeof(IAsyncDisposable))
+        {
+            /*
+             * value.TryUnwrap() as IDisposable ?? new JSDisposable(value)
+             */
+            // A JS object is disposed via its [Symbol.dispose]() or [Symbol.asyncDispose]().
+            statements = new[]
+            {
+                Expression.Coalesce(
+                    Expression.TypeAs(Expression.Call(valueParameter, s_tryUnwrap), toType),
+                    Expression.Convert(
+                        Expression.New(
+                            typeof(JSDisposable).GetConstructor(new[] { typeof(JSValue) })!,
+                            valueParameter),
+                        toType)),
+            };
+        }
         else if (toType.IsInterface)
         {
             // It could be either a wrapped .NET object passed back from JS or a JS object
@@ -2446,7 +2993,43 @@ public class JSMarshaller
         IEnumerable<Expression> statements;
 
         MethodInfo? castMethod = GetCastToJSValueMethod(fromType);
-        if (castMethod != null)
+        if (GetConverter(fromType) is var (toJSConverter, _))
+        {
+            /*
+             * value == null ? JSValue.Undefined : Converter.ToJS(value)  // (if a reference type)
+             */
+            Expression convertExpression = toJSConverter(valueExpression);
+            statements = new[]
+            {
+                fromType.IsValueType ? convertExpression : Expression.Condition(
+                    Expression.Equal(valueExpression, Expression.Constant(null)),
+                    Expression.Default(typeof(JSValue)),
+                    convertExpression),
+            };
+        }
+        else if (IsInt64Type(fromType))
+        {
+            // Conversions of 64-bit integers are checked for loss of precision.
+            MethodInfo toJSMethod = typeof(JSInt64).GetStaticMethod(
+                nameof(JSInt64.ToJS), new[] { fromType, typeof(JSInt64Marshalling) });
+            statements = new[]
+            {
+                Expression.Call(
+                    toJSMethod, valueExpression, Expression.Constant(Int64Marshalling)),
+            };
+        }
+        else if (IsTemporalType(fromType))
+        {
+            // Date and time values are projected according to the date marshalling option.
+            MethodInfo toJSMethod = typeof(JSTemporal).GetStaticMethod(
+                nameof(JSTemporal.ToJS), new[] { fromType, typeof(JSDateMarshalling) });
+            statements = new[]
+            {
+                Expression.Call(
+                    toJSMethod, valueExpression, Expression.Constant(DateMarshalling)),
+            };
+        }
+        else if (castMethod != null)
         {
             // Cast the the source type to JSValue using the implicit conversion method.
             statements = new[]
@@ -2594,28 +3177,6 @@ public class JSMarshaller
                     Expression.Call(asJSValue, Expression.Call(fromDateTime, valueParameter)),
                 };
             }
-            else if (fromType == typeof(TimeSpan))
-            {
-                PropertyInfo doubleValue = typeof(TimeSpan).GetInstanceProperty(
-                    nameof(TimeSpan.TotalMilliseconds));
-                MethodInfo asJSValue = typeof(JSValue).GetImplicitConversion(
-                    typeof(double), typeof(JSValue));
-                statements = new[]
-                {
-                    Expression.Call(asJSValue, Expression.Property(valueParameter, doubleValue)),
-                };
-            }
-            else if (fromType == typeof(DateTimeOffset))
-            {
-                MethodInfo fromDateTimeOffset = typeof(JSDate).GetStaticMethod(
-                    nameof(JSDate.FromDateTimeOffset));
-                MethodInfo asJSValue = typeof(JSDate).GetImplicitConversion(
-                    typeof(JSDate), typeof(JSValue));
-                statements = new[]
-                {
-                    Expression.Call(asJSValue, Expression.Call(fromDateTimeOffset, valueParameter)),
-                };
-            }
             else if (fromType == typeof(Guid))
             {
                 MethodInfo toString = typeof(Guid).GetInstanceMethod(
@@ -2627,6 +3188,15 @@ public class JSMarshaller
                     Expression.Call(asJSValue, Expression.Call(valueParameter, toString)),
                 };
             }
+            else if (fromType == typeof(decimal))
+            {
+                MethodInfo fromDecimal = typeof(JSDecimal).GetStaticMethod(nameof(JSDecimal.ToJS));
+                statements = new[]
+                {
+                    Expression.Call(
+                        fromDecimal, valueParameter, Expression.Constant(DecimalMarshalling)),
+                };
+            }
             else if (fromType == typeof(BigInteger))
             {
                 ConstructorInfo fromBigInteger = typeof(JSBigInt).GetConstructor(
@@ -3006,6 +3576,7 @@ public class JSMarshaller
          * StructName obj = new()
          * {
          *     Property0 = (Property0Type)value["property0"],
+         *     Field0 = (Field0Type)value["field0"],
          *     ...
          * };
          * return obj;
@@ -3031,6 +3602,21 @@ public class JSMarshaller
                 nameof(BuildFromJSToStructExpressions))));
         }
 
+        foreach (FieldInfo field in toType.GetFields(BindingFlags.Public | BindingFlags.Instance))
+        {
+            if (field.IsInitOnly || !TypeExporter.IsSupportedField(field))
+            {
+                continue;
+            }
+
+            Expression fieldName = Expression.Constant(
+                AutoCamelCase ? ToCamelCase(field.Name) : field.Name);
+            memberBindings.Add(Expression.Bind(field, InlineOrInvoke(
+                GetFromJSValueExpression(field.FieldType),
+                Expression.Property(valueVariable, s_valueItem, fieldName),
+                nameof(BuildFromJSToStructExpressions))));
+        }
+
         yield return Expression.Assign(
             objVariable, Expression.MemberInit(Expression.New(toType), memberBindings));
 
@@ -3046,6 +3632,7 @@ public class JSMarshaller
         /*
          * JSValue jsValue = JSRuntimeContext.Current.CreateStruct<StructName>();
          * jsValue["property0"] = (JSValue)value.Property0;
+         * jsValue["field0"] = (JSValue)value.Field0;
          * ...
          * return jsValue;
          */
@@ -3082,6 +3669,11 @@ public class JSMarshaller
                 // Skip indexed properties, where the getter takes one or more parameters.
                 continue;
             }
+            else if (property.PropertyType.IsByRef)
+            {
+                // Skip ref-returning properties, which are not part of the struct value.
+                continue;
+            }
 
             Expression propertyName = Expression.Constant(
                 AutoCamelCase ? ToCamelCase(property.Name) : property.Name);
@@ -3093,6 +3685,23 @@ public class JSMarshaller
                     nameof(BuildToJSFromStructExpressions)));
         }
 
+        foreach (FieldInfo field in fromType.GetFields(BindingFlags.Public | BindingFlags.Instance))
+        {
+            if (!TypeExporter.IsSupportedField(field))
+            {
+                continue;
+            }
+
+            Expression fieldName = Expression.Constant(
+                AutoCamelCase ? ToCamelCase(field.Name) : field.Name);
+            yield return Expression.Assign(
+                Expression.Property(jsValueVariable, s_valueItem, fieldName),
+                InlineOrInvoke(
+                    GetToJSValueExpression(field.FieldType),
+                    Expression.Field(valueExpression, field),
+                    nameof(BuildToJSFromStructExpressions)));
+        }
+
         yield return jsValueVariable;
     }
 
@@ -3691,6 +4300,38 @@ public class JSMarshaller
             .SingleOrDefault();
     }
 
+    /// <summary>
+    /// Checks whether a type is a 64-bit (or larger) integer type, which may be marshalled as
+    /// either a JS number or bigint.
+    /// </summary>
+    private static bool IsInt64Type(Type type)
+    {
+        return type == typeof(long)
+            || type == typeof(ulong)
+            || type == typeof(nint)
+            || type == typeof(nuint)
+#if !(NETFRAMEWORK || NETSTANDARD)
+            || type == typeof(Int128)
+            || type == typeof(UInt128)
+#endif
+            ;
+    }
+
+    /// <summary>
+    /// Checks whether a type is a date or time type that is projected according to the
+    /// <see cref="DateMarshalling"/> option.
+    /// </summary>
+    private static bool IsTemporalType(Type type)
+    {
+        return type == typeof(DateTimeOffset)
+            || type == typeof(TimeSpan)
+#if !(NETFRAMEWORK || NETSTANDARD)
+            || type == typeof(DateOnly)
+            || type == typeof(TimeOnly)
+#endif
+            ;
+    }
+
     /// <summary>
     /// Checks whether an element type is one of the JS TypedArray element types.
     /// </summary>
@@ -3708,6 +4349,35 @@ public class JSMarshaller
             || elementType == typeof(double);
     }
 
+    /// <summary>
+    /// Checks whether a type is a span that can be marshalled from a JS TypedArray, ArrayBuffer,
+    /// or (for <see cref="ReadOnlySpan{T}"/> of <see cref="char"/>) string argument.
+    /// </summary>
+    internal static bool IsSpanType(Type type)
+    {
+        if (!type.IsGenericType)
+        {
+            return false;
+        }
+
+        Type typeDefinition = type.GetGenericTypeDefinition();
+        Type elementType = type.GenericTypeArguments[0];
+        return (typeDefinition == typeof(Span<>) && IsTypedArrayType(elementType)) ||
+            (typeDefinition == typeof(ReadOnlySpan<>) &&
+                (IsTypedArrayType(elementType) || elementType == typeof(char)));
+    }
+
+    /// <summary>
+    /// Checks whether a method (or property getter) returns a writable reference, meaning a
+    /// `ref` return that is not `ref readonly`.
+    /// </summary>
+    internal static bool ReturnsWritableRef(MethodInfo method)
+    {
+        return method.ReturnType.IsByRef && !method.ReturnParameter.GetCustomAttributesData()
+            .Any((a) => a.AttributeType.FullName ==
+                "System.Runtime.CompilerServices.IsReadOnlyAttribute");
+    }
+
     private string FullMethodName(MethodInfo method, string? prefix = null)
     {
         string name = method.Name;
@@ -3722,8 +4392,13 @@ public class JSMarshaller
             prefix ??= string.Empty;
         }
 
+        return FullMemberName(method.DeclaringType!, name, prefix);
+    }
+
+    private string FullMemberName(Type declaringType, string name, string prefix)
+    {
         // Ensure the generated name is unique by appending a counter suffix if necessary.
-        string fullName = $"{prefix}{FullTypeName(method.DeclaringType!)}_{name}";
+        string fullName = $"{prefix}{FullTypeName(declaringType)}_{name}";
         string suffix = string.Empty;
         for (int i = 2; _expressionNames.Contains(fullName + suffix); i++)
         {
@@ -3799,7 +4474,11 @@ public class JSMarshaller
     /// </summary>
     private static ParameterExpression Variable(ParameterInfo parameter)
     {
-        if (parameter.ParameterType.IsByRef)
+        if (IsSpanType(parameter.ParameterType))
+        {
+            return Expression.Parameter(typeof(JSValue), parameter.Name);
+        }
+        else if (parameter.ParameterType.IsByRef)
         {
             return Expression.Parameter(parameter.ParameterType.GetElementType()!, parameter.Name);
         }
@@ -3922,17 +4601,76 @@ public class JSMarshaller
             parameters);
     }
 
-    internal static AssemblyBuilder CreateAssemblyBuilder(Type forType)
+    /// <summary>
+    /// Removes cached marshalling expressions and delegates for types that match a predicate,
+    /// for example all types defined in an assembly that is being unloaded.
+    /// </summary>
+    internal void RemoveCachedTypes(Func<Type, bool> predicate)
+    {
+        RemoveCachedTypes(_fromJSDelegates, predicate);
+        RemoveCachedTypes(_toJSDelegates, predicate);
+        RemoveCachedTypes(_fromJSExpressions, predicate);
+        RemoveCachedTypes(_toJSExpressions, predicate);
+        RemoveCachedTypes(_converters, predicate);
+
+        foreach (MethodInfo method in _jsMethodDelegates.Keys.Where((m) =>
+            (m.DeclaringType != null && predicate(m.DeclaringType)) ||
+            predicate(m.ReturnType) ||
+            m.GetParameters().Any((p) => predicate(p.ParameterType))))
+        {
+            _jsMethodDelegates.TryRemove(method, out _);
+        }
+
+        if (_interfaceMarshaller.IsValueCreated)
+        {
+            _interfaceMarshaller.Value.RemoveCachedTypes(predicate);
+        }
+    }
+
+    /// <summary>
+    /// Checks whether any marshalling expressions or delegates have been generated and cached
+    /// for types that match a predicate, including methods with parameters or return values of
+    /// the matching types.
+    /// </summary>
+    internal bool HasCachedTypes(Func<Type, bool> predicate)
+    {
+        return _fromJSDelegates.Keys.Any(predicate) ||
+            _toJSDelegates.Keys.Any(predicate) ||
+            _fromJSExpressions.Keys.Any(predicate) ||
+            _toJSExpressions.Keys.Any(predicate) ||
+            _jsMethodDelegates.Keys.Any((m) =>
+                (m.DeclaringType != null && predicate(m.DeclaringType)) ||
+                predicate(m.ReturnType) ||
+                m.GetParameters().Any((p) => predicate(p.ParameterType)));
+    }
+
+    /// <summary>
+    /// Gets a value indicating whether any marshalling code has been generated. Marshalling
+    /// options cannot be changed after that, because the generated code is cached.
+    /// </summary>
+    internal bool HasGeneratedCode => HasCachedTypes((_) => true) ||
+        _interfaceMarshaller.IsValueCreated;
+
+    private static void RemoveCachedTypes<T>(
+        ConcurrentDictionary<Type, T> cache, Func<Type, bool> predicate)
+    {
+        foreach (Type type in cache.Keys.Where(predicate))
+        {
+            cache.TryRemove(type, out _);
+        }
+    }
+
+    internal static AssemblyBuilder CreateAssemblyBuilder(Type forType, bool collectible = false)
     {
         string assemblyName = forType.FullName + "_" + Environment.CurrentManagedThreadId;
 
 #if NETFRAMEWORK || NETSTANDARD
-        bool collectible = false;
+        collectible = false;
 #else
         // Make the dynamic assembly collectible if in a collectible load context.
         // The delegate types generated by lambda expressions are not collectible by default;
         // the custom marshalling delegates resolve that problem.
-        bool collectible = System.Runtime.Loader.AssemblyLoadContext.Default.IsCollectible;
+        collectible |= System.Runtime.Loader.AssemblyLoadContext.Default.IsCollectible;
 #endif
 
         return AssemblyBuilder.DefineDynamicAssembly(
@@ -2,10 +2,12 @@
 // Licensed under the MIT License.
 
 using System;
+using System.Collections.Generic;
 using System.Linq;
 using System.Linq.Expressions;
 using System.Reflection;
 using System.Reflection.Emit;
+using System.Runtime.CompilerServices;
 using System.Threading;
 
 namespace Microsoft.JavaScript.NodeApi.DotNetHost;
@@ -40,6 +42,15 @@ internal class JSMarshallerDelegates
     private readonly ModuleBuilder _moduleBuilder;
     private int _index = 0;
 
+#if !(NETFRAMEWORK || NETSTANDARD)
+    /// <summary>
+    /// Separate collectible dynamic modules for delegate types that reference types from
+    /// collectible assemblies, because a non-collectible dynamic assembly may not reference them.
+    /// </summary>
+    private readonly ConditionalWeakTable<Assembly, ModuleBuilder> _collectibleModuleBuilders =
+        new();
+#endif
+
     public JSMarshallerDelegates()
     {
         _assemblyBuilder = JSMarshaller.CreateAssemblyBuilder(typeof(JSMarshallerDelegates));
@@ -155,7 +166,7 @@ internal class JSMarshallerDelegates
         int index = Interlocked.Increment(ref _index);
         string typeName = $"Delegate{parameterTypes.Length + 1}${index}";
 
-        TypeBuilder builder = _moduleBuilder.DefineType(
+        TypeBuilder builder = GetModuleBuilder(parameterTypes.Append(returnType)).DefineType(
             typeName, typeAttributes, parent: typeof(MulticastDelegate));
         CallingConventions callingConvention = CallingConventions.Standard;
         builder.DefineConstructor(ctorAttributes, callingConvention, s_delegateCtorSignature)
@@ -164,4 +175,23 @@ internal class JSMarshallerDelegates
             .SetImplementationFlags(implAttributes);
         return builder.CreateTypeInfo()!;
     }
+
+    private ModuleBuilder GetModuleBuilder(IEnumerable<Type> referencedTypes)
+    {
+#if !(NETFRAMEWORK || NETSTANDARD)
+        Assembly? collectibleAssembly = referencedTypes
+            .Select((t) => t.GetCollectibleAssembly())
+            .FirstOrDefault((a) => a != null);
+        if (collectibleAssembly != null)
+        {
+            return _collectibleModuleBuilders.GetValue(
+                collectibleAssembly,
+                (_) => JSMarshaller.CreateAssemblyBuilder(
+                    typeof(JSMarshallerDelegates), collectible: true)
+                    .DefineDynamicModule(typeof(JSMarshallerDelegates).Name));
+        }
+#endif
+
+        return _moduleBuilder;
+    }
 }
@@ -10,7 +10,11 @@ using System.IO;
 using System.Linq;
 using System.Reflection;
 using System.Runtime.CompilerServices;
+using System.Runtime.ExceptionServices;
 using System.Runtime.InteropServices;
+using System.Text.RegularExpressions;
+using System.Threading;
+using System.Threading.Tasks;
 using Microsoft.JavaScript.NodeApi.Interop;
 using Microsoft.JavaScript.NodeApi.Runtime;
 using static Microsoft.JavaScript.NodeApi.Runtime.JSRuntime;
@@ -31,6 +35,9 @@ namespace Microsoft.JavaScript.NodeApi.DotNetHost;
 public sealed class ManagedHost : JSEventEmitter, IDisposable
 {
     private const string ResolvingEventName = "resolving";
+    private const string AssemblyLoadedEventName = "assemblyLoaded";
+    private const string UnhandledExceptionEventName = "unhandledException";
+    private const string FirstChanceExceptionEventName = "firstChanceException";
 
 #if !(NETFRAMEWORK || NETSTANDARD)
     /// <summary>
@@ -38,15 +45,80 @@ public sealed class ManagedHost : JSEventEmitter, IDisposable
     /// That way, static data is not shared across multiple host instances.
     /// </summary>
     private readonly AssemblyLoadContext _loadContext = new(name: default);
+
+    /// <summary>
+    /// Mapping from assembly file paths to separate collectible load contexts for assemblies
+    /// that were loaded with the `collectible` option, so that they can be unloaded.
+    /// </summary>
+    private readonly Dictionary<string, CollectibleLoadContext> _collectibleLoadContexts = new();
+
+    /// <summary>
+    /// Isolated load contexts created by <c>createLoadContext()</c> or by <c>load()</c> with the
+    /// `isolated` option. Each context has its own dependency resolution and namespace root.
+    /// </summary>
+    private readonly List<IsolatedLoadContext> _isolatedLoadContexts = new();
+
+    /// <summary>
+    /// Dependency resolvers for applications loaded by <c>loadApplication()</c>, which resolve
+    /// managed and native dependencies according to each application's deps file.
+    /// </summary>
+    private readonly List<ApplicationDependencyResolver> _applicationResolvers = new();
+
+    /// <summary>
+    /// Compile method from the generator assembly, loaded on first use by <c>compile()</c>.
+    /// </summary>
+    private MethodInfo? _scriptCompileMethod;
+
+    /// <summary>
+    /// Count of compilations, used to generate unique names for compiled assemblies.
+    /// </summary>
+    private static int s_compilationCount;
 #endif
 
+    /// <summary>
+    /// Matches the file path or URL in each frame of a JS error stack, for example
+    /// `    at Object.&lt;anonymous&gt; (/path/to/module.js:12:34)` or
+    /// `    at file:///path/to/module.mjs:12:34`.
+    /// </summary>
+    private static readonly Regex s_stackFrameFileRegex = new(
+        @"^\s*at (?:.*? \()?(?<file>.+?):\d+:\d+\)?\s*$", RegexOptions.Multiline);
+
+    /// <summary>
+    /// Maximum time to wait for JS listeners of an unhandled exception that terminates the process.
+    /// </summary>
+    private static readonly TimeSpan s_terminatingEventTimeout = TimeSpan.FromSeconds(5);
+
     private JSValueScope? _rootScope;
 
+    /// <summary>
+    /// Synchronization context for the JS thread, used to emit events that are raised by the
+    /// .NET runtime on other threads.
+    /// </summary>
+    private readonly JSSynchronizationContext _synchronizationContext;
+
+    /// <summary>
+    /// Counts of JS listeners for each event, updated on the JS thread whenever a listener is
+    /// added or removed. Events raised by the .NET runtime on any thread are only posted to the
+    /// JS thread if there are listeners.
+    /// </summary>
+    private readonly ConcurrentDictionary<string, int> _listenerCounts = new();
+
+    /// <summary>
+    /// True while the current thread is handling a first-chance exception, to avoid recursion if
+    /// another exception is thrown (and caught) while posting the event.
+    /// </summary>
+    [ThreadStatic] private static bool s_isHandlingFirstChanceException;
+
     /// <summary>
     /// Component that dynamically exports types from loaded assemblies.
     /// </summary>
     private readonly TypeExporter _typeExporter;
 
+    /// <summary>
+    /// Component that describes exported types and namespaces, created on first use.
+    /// </summary>
+    private TypeDescriber? _typeDescriber;
+
     /// <summary>
     /// Mapping from assembly file paths to loaded assemblies.
     /// </summary>
@@ -58,6 +130,11 @@ public sealed class ManagedHost : JSEventEmitter, IDisposable
     /// </summary>
     private readonly ConcurrentDictionary<string, Assembly> _loadedAssembliesByName = new();
 
+    /// <summary>
+    /// Assemblies (or modules) that were loaded from in-memory images, which have no file path.
+    /// </summary>
+    private readonly ConcurrentBag<Assembly> _loadedAssembliesFromBytes = new();
+
     /// <summary>
     /// Tracks names of assemblies that have been exported to JS.
     /// </summary>
@@ -84,6 +161,7 @@ public sealed class ManagedHost : JSEventEmitter, IDisposable
         AppDomain.CurrentDomain.AssemblyResolve += OnResolvingAssembly;
 #else
         _loadContext.Resolving += OnResolvingAssembly;
+        _loadContext.ResolvingUnmanagedDll += OnResolvingUnmanagedDll;
 
         // It shouldn't be necessary to handle resolve events in the default load context.
         // But TypeBuilder (used by JSInterfaceMarshaller) seems to require it when a nuget
@@ -91,14 +169,27 @@ public sealed class ManagedHost : JSEventEmitter, IDisposable
         AssemblyLoadContext.Default.Resolving += OnResolvingAssembly;
 #endif
 
+        _synchronizationContext = JSRuntimeContext.Current.SynchronizationContext;
+        AppDomain.CurrentDomain.AssemblyLoad += OnAssemblyLoaded;
+        AppDomain.CurrentDomain.UnhandledException += OnUnhandledException;
+        AppDomain.CurrentDomain.FirstChanceException += OnFirstChanceException;
+        TaskScheduler.UnobservedTaskException += OnUnobservedTaskException;
+#if NET10_0_OR_GREATER
+        SetUnhandledExceptionHandler(this);
+#endif
+
         JSValue addListener(JSCallbackArgs args)
         {
-            AddListener(eventName: (string)args[0], listener: args[1]);
+            string eventName = (string)args[0];
+            AddListener(eventName, listener: args[1]);
+            _listenerCounts[eventName] = ListenerCount(eventName);
             return args.ThisArg;
         }
         JSValue removeListener(JSCallbackArgs args)
         {
-            RemoveListener(eventName: (string)args[0], listener: args[1]);
+            string eventName = (string)args[0];
+            RemoveListener(eventName, listener: args[1]);
+            _listenerCounts[eventName] = ListenerCount(eventName);
             return args.ThisArg;
         }
 
@@ -113,6 +204,36 @@ public sealed class ManagedHost : JSEventEmitter, IDisposable
             // The load() method loads any .NET assembly and enables dynamic invocation of any APIs.
             JSPropertyDescriptor.Function("load", LoadAssembly),
 
+            // The loadPackage() method loads the assemblies of a nuget package and its
+            // dependencies from a local package folder, and enables dynamic invocation of any APIs.
+            JSPropertyDescriptor.Function("loadPackage", LoadPackage),
+
+            // The loadApplication() method loads the assemblies of a built .NET application,
+            // resolving dependencies according to the application's deps file.
+            JSPropertyDescriptor.Function("loadApplication", LoadApplication),
+
+            // The compile() method compiles C# source code in memory and loads the compiled
+            // assembly, either as a module or for dynamic invocation.
+            JSPropertyDescriptor.Function("compile", Compile),
+
+            // The unload() method unloads an assembly or module that was loaded with the
+            // `collectible` option.
+            JSPropertyDescriptor.Function("unload", UnloadAssembly),
+
+            // The createLoadContext() method creates an isolated context for loading assemblies
+            // that may have conflicting dependencies, with a separate namespace root object.
+            JSPropertyDescriptor.Function("createLoadContext", CreateLoadContext),
+
+            // The describe() method returns metadata about a .NET type or namespace,
+            // including its members and their documentation.
+            JSPropertyDescriptor.Function("describe", Describe),
+
+            // The configure() method sets options for marshalling values between .NET and JS.
+            JSPropertyDescriptor.Function("configure", Configure),
+
+            // The Decimal class wraps .NET decimal values when using the 'decimal' projection.
+            JSPropertyDescriptor.AccessorProperty("Decimal", (_) => JSDecimal.GetClass()),
+
             JSPropertyDescriptor.Function("addListener", addListener),
             JSPropertyDescriptor.Function("removeListener", removeListener),
 
@@ -280,6 +401,27 @@ public sealed class ManagedHost : JSEventEmitter, IDisposable
         catch (FileNotFoundException)
         {
             // The assembly was not found in the system directories.
+            assembly = null;
+        }
+
+#if !(NETFRAMEWORK || NETSTANDARD)
+        if (assembly == null)
+        {
+            // Look for the assembly in the dependencies of any loaded applications.
+            foreach (ApplicationDependencyResolver applicationResolver in _applicationResolvers)
+            {
+                string? assemblyFilePath = applicationResolver.ResolveAssemblyToPath(assemblyInfo);
+                if (assemblyFilePath != null)
+                {
+                    assembly = LoadAssembly(assemblyFilePath, allowNativeLibrary: false);
+                    break;
+                }
+            }
+        }
+#endif
+
+        if (assembly == null)
+        {
             // Emit a resolving event to allow listeners to load the assembly.
             // Resolve listeners may call load(assemblyFilePath) to load the requested assembly.
             Emit(
@@ -297,6 +439,15 @@ public sealed class ManagedHost : JSEventEmitter, IDisposable
             foreach (string? loadedAssemblyFile in
                 _loadedModules.Keys.Concat(_loadedAssembliesByPath.Keys))
             {
+#if !(NETFRAMEWORK || NETSTANDARD)
+                if (_collectibleLoadContexts.ContainsKey(loadedAssemblyFile))
+                {
+                    // Dependencies of a collectible assembly are resolved by its own load context.
+                    // They should not be loaded into the shared (non-collectible) context.
+                    continue;
+                }
+#endif
+
                 string assemblyDirectory =
                     Path.GetDirectoryName(loadedAssemblyFile) ?? string.Empty;
                 if (!string.IsNullOrEmpty(assemblyDirectory))
@@ -328,6 +479,29 @@ public sealed class ManagedHost : JSEventEmitter, IDisposable
         }
     }
 
+#if !(NETFRAMEWORK || NETSTANDARD)
+    /// <summary>
+    /// Resolve native libraries that loaded assemblies depend on, from the native assets of any
+    /// applications loaded by <c>loadApplication()</c>.
+    /// </summary>
+    private nint OnResolvingUnmanagedDll(Assembly assembly, string unmanagedDllName)
+    {
+        foreach (ApplicationDependencyResolver applicationResolver in _applicationResolvers)
+        {
+            string? nativeLibraryPath =
+                applicationResolver.ResolveUnmanagedDllToPath(unmanagedDllName);
+            if (nativeLibraryPath != null)
+            {
+                Trace($"  ManagedHost.OnResolvingUnmanagedDll({unmanagedDllName}) => " +
+                    nativeLibraryPath);
+                return NativeLibrary.Load(nativeLibraryPath);
+            }
+        }
+
+        return default;
+    }
+#endif
+
     public static JSValue GetRuntimeVersion(JSCallbackArgs _)
     {
         return Environment.Version.ToString();
@@ -335,22 +509,43 @@ public sealed class ManagedHost : JSEventEmitter, IDisposable
 
     public static JSValue GetFrameworkMoniker(JSCallbackArgs _)
     {
-        Version runtimeVersion = Environment.Version;
+        return FrameworkMoniker;
+    }
 
-        // For .NET 4 the minor version may be higher, but net472 is the only TFM supported.
-        string tfm = runtimeVersion.Major == 4 ? "net472" :
-            $"net{runtimeVersion.Major}.{runtimeVersion.Minor}";
+    private static string FrameworkMoniker
+    {
+        get
+        {
+            Version runtimeVersion = Environment.Version;
 
-        return tfm;
+            // For .NET 4 the minor version may be higher, but net472 is the only TFM supported.
+            return runtimeVersion.Major == 4 ? "net472" :
+                $"net{runtimeVersion.Major}.{runtimeVersion.Minor}";
+        }
     }
 
     /// <summary>
     /// Loads a .NET assembly that was built to be a Node API module, using static binding to
     /// the APIs the module specifically exports to JS.
     /// </summary>
+    /// <remarks>
+    /// The module may be loaded from a file path or from a `Uint8Array` containing the assembly
+    /// image. A module loaded from an in-memory image is not cached, so each call loads and
+    /// initializes it again.
+    /// </remarks>
     public JSValue LoadModule(JSCallbackArgs args)
     {
-        string assemblyFilePath = System.IO.Path.GetFullPath((string)args[0]);
+        if (GetBytes(args[0]) is byte[] assemblyBytes)
+        {
+            Trace($"> ManagedHost.LoadModule({assemblyBytes.Length} bytes)");
+            JSValue moduleExports = InitializeModuleAssembly(
+                LoadAssemblyFromBytes(assemblyBytes, args[1]));
+            Trace("< ManagedHost.LoadModule() => newly loaded");
+            return moduleExports;
+        }
+
+        string assemblyFilePath = ResolveCallerRelativePath((string)args[0].CoerceToString());
+        bool collectible = GetBooleanOption(args[1], "collectible");
         Trace($"> ManagedHost.LoadModule({assemblyFilePath})");
 
         if (!assemblyFilePath.EndsWith(".dll", StringComparison.OrdinalIgnoreCase))
@@ -367,12 +562,37 @@ public sealed class ManagedHost : JSEventEmitter, IDisposable
         Assembly assembly;
 
 #if NETFRAMEWORK || NETSTANDARD
+        if (collectible)
+        {
+            throw new NotSupportedException(
+                "Collectible assemblies are not supported on .NET Framework.");
+        }
+
         // TODO: Load module assemblies in separate appdomains.
         assembly = Assembly.LoadFrom(assemblyFilePath);
 #else
-        assembly = _loadContext.LoadFromAssemblyPath(assemblyFilePath);
+        assembly = collectible ? LoadCollectibleAssembly(assemblyFilePath) :
+            _loadContext.LoadFromAssemblyPath(assemblyFilePath);
 #endif
 
+        JSValue exports = InitializeModuleAssembly(assembly);
+        if (exports.IsObject())
+        {
+            exportsRef = new JSReference(exports);
+            _loadedModules.Add(assemblyFilePath, exportsRef);
+        }
+
+        Trace("< ManagedHost.LoadModule() => newly loaded");
+
+        return exports;
+    }
+
+    /// <summary>
+    /// Finds and invokes the module initialize method of a loaded module assembly.
+    /// </summary>
+    /// <returns>The module exports.</returns>
+    private static JSValue InitializeModuleAssembly(Assembly assembly)
+    {
         MethodInfo? initializeMethod = null;
 
         // First look for an auto-generated module initializer.
@@ -417,14 +637,6 @@ public sealed class ManagedHost : JSEventEmitter, IDisposable
             exports = new JSValue(result.Value, scope);
         }
 
-        if (exports.IsObject())
-        {
-            exportsRef = new JSReference(exports);
-            _loadedModules.Add(assemblyFilePath, exportsRef);
-        }
-
-        Trace("< ManagedHost.LoadModule() => newly loaded");
-
         return exports;
     }
 
@@ -452,21 +664,68 @@ public sealed class ManagedHost : JSEventEmitter, IDisposable
     /// Loads an arbitrary .NET assembly that isn't necessarily designed as a JS module,
     /// enabling dynamic invocation of any APIs in the assembly.
     /// </summary>
-    /// <returns>A JS object that represents the loaded assembly; each property of the object
-    /// is a public type.</returns>
+    /// <returns>Undefined, or if the `isolated` option was specified, the JS object for a new
+    /// isolated load context where namespaces of types in the assembly are defined.</returns>
     /// <remarks>
     /// Also supports loading native libraries, to make them available for assemblies to
     /// resolve using DllImport.
     /// </remarks>
     public JSValue LoadAssembly(JSCallbackArgs args)
     {
-        string assemblyNameOrFilePath = (string)args[0];
+        if (GetBytes(args[0]) is byte[] assemblyBytes)
+        {
+            Assembly loadedAssembly = LoadAssemblyFromBytes(assemblyBytes, args[1]);
+            if (_exportedAssembliesByName.Add(loadedAssembly.GetName().Name!))
+            {
+                _typeExporter.ExportAssemblyTypes(loadedAssembly);
+            }
+
+            return default;
+        }
+
+        string assemblyNameOrFilePath = (string)args[0].CoerceToString();
+        bool collectible = GetBooleanOption(args[1], "collectible");
+
+        if (!string.IsNullOrEmpty(Path.GetDirectoryName(assemblyNameOrFilePath)) ||
+            assemblyNameOrFilePath.EndsWith(".dll", StringComparison.OrdinalIgnoreCase))
+        {
+            assemblyNameOrFilePath = ResolveCallerRelativePath(assemblyNameOrFilePath);
+        }
+
+        if (GetBooleanOption(args[1], "isolated"))
+        {
+#if NETFRAMEWORK || NETSTANDARD
+            throw new NotSupportedException(
+                "Isolated load contexts are not supported on .NET Framework.");
+#else
+            if (collectible)
+            {
+                throw new NotSupportedException(
+                    "The `isolated` and `collectible` options cannot be combined.");
+            }
+
+            // Load the assembly into a new isolated context named after the assembly, and return
+            // the context object where the assembly's namespaces are defined.
+            IsolatedLoadContext isolatedLoadContext = CreateIsolatedLoadContext(
+                Path.GetFileNameWithoutExtension(assemblyNameOrFilePath));
+            isolatedLoadContext.LoadAssembly(assemblyNameOrFilePath);
+            return isolatedLoadContext.Exports;
+#endif
+        }
 
         if (!_loadedAssembliesByPath.TryGetValue(assemblyNameOrFilePath, out Assembly? assembly) &&
             !_loadedAssembliesByName.TryGetValue(assemblyNameOrFilePath, out assembly))
         {
-            assembly = LoadAssembly(assemblyNameOrFilePath, allowNativeLibrary: true);
+            assembly = LoadAssembly(assemblyNameOrFilePath, allowNativeLibrary: true, collectible);
         }
+#if !(NETFRAMEWORK || NETSTANDARD)
+        else if (assembly != null && assembly.IsCollectible != collectible)
+        {
+            throw new InvalidOperationException(
+                $"Assembly {assembly.GetName().Name} was already loaded " +
+                (assembly.IsCollectible ? "with" : "without") + " the `collectible` option.");
+        }
+#endif
 
         if (assembly != null && !_exportedAssembliesByName.Contains(assembly.GetName().Name!))
         {
@@ -478,115 +737,1011 @@ public sealed class ManagedHost : JSEventEmitter, IDisposable
     }
 
     /// <summary>
-    /// Callback from the 'resolving' event which completes the resolve operation by loading an
-    /// assembly from a file path specified by the event listener.
+    /// Loads the assemblies of a nuget package and its transitive dependencies from a local
+    /// package source folder or the global packages folder, enabling dynamic invocation of any
+    /// APIs in the package assemblies.
     /// </summary>
-    private JSValue ResolveAssembly(JSCallbackArgs args)
+    /// <remarks>
+    /// Packages are not downloaded; they must have been previously restored or copied to one of
+    /// the package folders. Package assemblies that are also provided by the .NET runtime are not
+    /// loaded, because the runtime's version takes precedence.
+    /// </remarks>
+    /// <returns>JS array of the resolved packages (objects with <c>id</c> and <c>version</c>
+    /// properties), where dependencies come before the packages that depend on them.</returns>
+    public JSValue LoadPackage(JSCallbackArgs args)
     {
-        string assemblyFilePath = (string)args[0];
-        LoadAssembly(assemblyFilePath, allowNativeLibrary: false);
-        return default;
+        string packageId = (string)args[0];
+        string? version = args[1].IsString() ? (string)args[1] : null;
+        JSValue options = args[2];
+        string? source = options.IsObject() && options["source"].IsString() ?
+            ResolveCallerRelativePath((string)options["source"]) : null;
+
+        Trace($"> ManagedHost.LoadPackage({packageId}, {version}, {source})");
+
+        NuGetPackageResolver packageResolver = new(source, FrameworkMoniker);
+        string systemAssemblyDirectory =
+            Path.GetDirectoryName(typeof(object).Assembly.Location)!;
+        int assemblyCount = 0;
+        JSArray resolvedPackages = new();
+        foreach (NuGetPackageResolver.ResolvedPackage package in
+            packageResolver.Resolve(packageId, version))
+        {
+            resolvedPackages.Add(new JSObject
+            {
+                ["id"] = package.Id,
+                ["version"] = package.Version,
+            });
+
+            foreach (string assemblyFilePath in package.AssemblyFilePaths)
+            {
+                if (File.Exists(Path.Combine(
+                    systemAssemblyDirectory, Path.GetFileName(assemblyFilePath))))
+                {
+                    Trace("  ManagedHost.LoadPackage() skipping system assembly: " +
+                        Path.GetFileName(assemblyFilePath));
+                    continue;
+                }
+
+                Assembly assembly = LoadAssembly(assemblyFilePath, allowNativeLibrary: false)!;
+                if (_exportedAssembliesByName.Add(assembly.GetName().Name!))
+                {
+                    _typeExporter.ExportAssemblyTypes(assembly);
+                }
+
+                assemblyCount++;
+            }
+        }
+
+        Trace($"< ManagedHost.LoadPackage() => {assemblyCount} assemblies");
+        return resolvedPackages;
     }
 
-    private Assembly? LoadAssembly(string assemblyNameOrFilePath, bool allowNativeLibrary)
+    /// <summary>
+    /// Loads the main assembly of a built .NET application and any assemblies of projects it
+    /// references, enabling dynamic invocation of any APIs in those assemblies. Other managed and
+    /// native dependencies are resolved on demand according to the application's deps file.
+    /// </summary>
+    /// <returns>A JS object with the names of the application's runtime config properties that
+    /// were ignored, because they only take effect when the runtime starts.</returns>
+    /// <remarks>
+    /// The application's `.runtimeconfig.json` is also read, for additional probing paths and
+    /// for runtime config properties that are not already set.
+    /// </remarks>
+    public JSValue LoadApplication(JSCallbackArgs args)
     {
-        Trace($"> ManagedHost.LoadAssembly({assemblyNameOrFilePath})");
+#if NETFRAMEWORK || NETSTANDARD
+        throw new NotSupportedException(
+            "Loading applications is not supported on .NET Framework.");
+#else
+        string applicationPath = ResolveCallerRelativePath((string)args[0].CoerceToString());
+        Trace($"> ManagedHost.LoadApplication({applicationPath})");
 
-        string assemblyFilePath = assemblyNameOrFilePath;
-        if (string.IsNullOrEmpty(Path.GetDirectoryName(assemblyNameOrFilePath)) &&
-            !assemblyNameOrFilePath.EndsWith(".dll", StringComparison.OrdinalIgnoreCase))
+        ApplicationDependencyResolver applicationResolver = new(applicationPath);
+        if (!_applicationResolvers.Any((r) => r.MainAssemblyPath.Equals(
+            applicationResolver.MainAssemblyPath, StringComparison.OrdinalIgnoreCase)))
         {
-            // Load the system assembly from the .NET directory.
-            assemblyFilePath = Path.Combine(
-                Path.GetDirectoryName(typeof(object).Assembly.Location)!,
-                assemblyFilePath + ".dll");
+            _applicationResolvers.Add(applicationResolver);
+        }
 
-            // Also support loading ASP.NET system assemblies.
-            string assemblyFilePath2 = assemblyFilePath.Replace(
-                    "Microsoft.NETCore.App", "Microsoft.AspNetCore.App");
-            if (File.Exists(assemblyFilePath2))
-            {
-                assemblyFilePath = assemblyFilePath2;
-            }
-            else if (RuntimeInformation.IsOSPlatform(OSPlatform.Windows))
+        foreach (string assemblyFilePath in applicationResolver.ProjectAssemblyPaths
+            .Prepend(applicationResolver.MainAssemblyPath))
+        {
+            Assembly assembly = LoadAssembly(assemblyFilePath, allowNativeLibrary: false)!;
+            if (_exportedAssembliesByName.Add(assembly.GetName().Name!))
             {
-                // Also support loading Windows-specific system assemblies.
-                string assemblyFilePath3 = assemblyFilePath.Replace(
-                    "Microsoft.NETCore.App", "Microsoft.WindowsDesktop.App");
-                if (File.Exists(assemblyFilePath3))
-                {
-                    assemblyFilePath = assemblyFilePath3;
-                }
+                _typeExporter.ExportAssemblyTypes(assembly);
             }
         }
-        else if (!Path.IsPathRooted(assemblyFilePath))
+
+        JSArray ignoredConfigProperties = new();
+        foreach (string configPropertyName in applicationResolver.IgnoredConfigProperties)
         {
-            throw new ArgumentException(
-                "Assembly argument must be either an absolute path to an assembly DLL file " +
-                "or the name of a system assembly (without path or DLL extension).");
+            ignoredConfigProperties.Add(configPropertyName);
         }
 
-        Assembly? assembly = _loadedAssembliesByPath.GetOrAdd(assemblyFilePath, _ =>
+        Trace("< ManagedHost.LoadApplication()");
+        return new JSObject
         {
-            try
-            {
+            ["ignoredConfigProperties"] = ignoredConfigProperties,
+        };
+#endif
+    }
+
+    /// <summary>
+    /// Compiles C# source code in memory, then loads the compiled assembly: as a module like
+    /// <c>require()</c> if the source has any `[JSExport]` attributes, otherwise for dynamic
+    /// invocation like <c>load()</c>.
+    /// </summary>
+    /// <returns>A JS object with the compilation diagnostics, and the module exports if the
+    /// assembly was loaded as a module.</returns>
+    /// <remarks>
+    /// The C# compiler is loaded from the `node-api-dotnet-generator` package, which must be
+    /// installed. The compilation references all .NET system assemblies, the Node API assembly,
+    /// all assemblies that were already loaded by the host, and any assemblies specified by the
+    /// `references` option.
+    /// </remarks>
+    public JSValue Compile(JSCallbackArgs args)
+    {
 #if NETFRAMEWORK || NETSTANDARD
-                // TODO: Load assemblies in a separate appdomain.
-                return Assembly.LoadFrom(assemblyFilePath);
+        throw new NotSupportedException(
+            "Compiling C# source code is not supported on .NET Framework.");
 #else
-                return _loadContext.LoadFromAssemblyPath(assemblyFilePath);
-#endif
-            }
-            catch (BadImageFormatException)
-            {
-                if (!allowNativeLibrary)
-                {
-                    throw;
-                }
+        string source = (string)args[0];
+        JSValue options = args[1];
+        string assemblyName = options.IsObject() && options["assemblyName"].IsString() ?
+            (string)options["assemblyName"] :
+            "Compilation" + Interlocked.Increment(ref s_compilationCount);
+
+        Trace($"> ManagedHost.Compile({assemblyName})");
+
+        string[] referencePaths = GetCompilationReferences(
+            options.IsObject() ? options["references"] : default);
+        JSValue result = (JSValue)GetScriptCompileMethod().Invoke(
+            null,
+            BindingFlags.DoNotWrapExceptions,
+            binder: null,
+            new object[] { source, assemblyName, referencePaths },
+            culture: null)!;
+        result["assemblyName"] = assemblyName;
+
+        if ((bool)result["success"])
+        {
+            // The compilation result has the assembly image and symbols in the same form as
+            // the options for loading an assembly from a buffer.
+            Assembly assembly = LoadAssemblyFromBytes(GetBytes(result["assembly"])!, result);
 
-                // This might be a native DLL, not a managed assembly.
-                // Load the native library, which enables it to be auto-resolved by
-                // any later DllImport operations for the same library name.
-                NativeLibrary.Load(assemblyFilePath);
-                return null;
+            if ((bool)result["isModule"])
+            {
+                result["exports"] = InitializeModuleAssembly(assembly);
             }
-            catch (FileNotFoundException fnfex)
+            else if (_exportedAssembliesByName.Add(assembly.GetName().Name!))
             {
-                throw new FileNotFoundException(
-                    $"Assembly file not found: {assemblyNameOrFilePath}", fnfex);
+                _typeExporter.ExportAssemblyTypes(assembly);
             }
-        });
-
-        if (assembly != null)
-        {
-            _loadedAssembliesByName.GetOrAdd(assembly.GetName().Name!, assembly);
         }
 
-        string version = assembly?.GetName().Version?.ToString() ?? "(native library)";
-        Trace($"< ManagedHost.LoadAssembly() => {assemblyFilePath} {version}");
-        return assembly;
+        Trace($"< ManagedHost.Compile() => {(bool)result["success"]}");
+        return result;
+#endif
     }
 
-    private JSValue RunWorker(JSCallbackArgs args)
+#if !(NETFRAMEWORK || NETSTANDARD)
+    /// <summary>
+    /// Gets the paths of assemblies referenced by a compilation: the system assemblies, the
+    /// Node API assembly, assemblies already loaded by the host, and any additional references
+    /// (names of system assemblies or paths to assembly files), which are loaded if necessary.
+    /// </summary>
+    private string[] GetCompilationReferences(JSValue additionalReferences)
     {
-        nint callbackHandleValue = (nint)args[0].ToBigInteger();
-        Trace($"> ManagedHost.RunWorker({callbackHandleValue})");
-
-        GCHandle callbackHandle = GCHandle.FromIntPtr(callbackHandleValue);
-        Action callback = (Action)callbackHandle.Target!;
-        callbackHandle.Free();
+        // Only one assembly with each file name may be referenced. The system assemblies come
+        // first, because the runtime resolves those before any other assemblies.
+        Dictionary<string, string> referencePaths = new(StringComparer.OrdinalIgnoreCase);
+        void AddReference(string? assemblyFilePath)
+        {
+            if (!string.IsNullOrEmpty(assemblyFilePath))
+            {
+                referencePaths.TryAdd(Path.GetFileName(assemblyFilePath), assemblyFilePath!);
+            }
+        }
 
-        try
+        string trustedPlatformAssemblies =
+            AppContext.GetData("TRUSTED_PLATFORM_ASSEMBLIES") as string ?? string.Empty;
+        foreach (string assemblyFilePath in
+            trustedPlatformAssemblies.Split(Path.PathSeparator))
         {
-            // Worker data and argv are available to the callback as NodejsWorker static properties.
-            callback();
-            return JSValue.Undefined;
+            AddReference(assemblyFilePath);
         }
-        finally
+
+        AddReference(typeof(JSValue).Assembly.Location);
+
+        foreach (Assembly? loadedAssembly in _loadedAssembliesByPath.Values)
         {
-            Trace($"< ManagedHost.RunWorker({callbackHandleValue})");
+            AddReference(loadedAssembly?.Location);
         }
-    }
+
+        if (additionalReferences.IsArray())
+        {
+            foreach (JSValue reference in (JSArray)additionalReferences)
+            {
+                string assemblyNameOrFilePath = (string)reference.CoerceToString();
+                if (!string.IsNullOrEmpty(Path.GetDirectoryName(assemblyNameOrFilePath)) ||
+                    assemblyNameOrFilePath.EndsWith(".dll", StringComparison.OrdinalIgnoreCase))
+                {
+                    assemblyNameOrFilePath = ResolveCallerRelativePath(assemblyNameOrFilePath);
+                }
+
+                AddReference(LoadAssembly(assemblyNameOrFilePath, allowNativeLibrary: false)!
+                    .Location);
+            }
+        }
+
+        return referencePaths.Values.ToArray();
+    }
+
+    /// <summary>
+    /// Gets the compile method from the generator assembly in the `node-api-dotnet-generator`
+    /// package, loading the generator and compiler assemblies on first use.
+    /// </summary>
+    private MethodInfo GetScriptCompileMethod()
+    {
+        if (_scriptCompileMethod != null)
+        {
+            return _scriptCompileMethod;
+        }
+
+        const string generatorPackageName = "node-api-dotnet-generator";
+        string generatorAssemblyName = typeof(JSValue).Assembly.GetName().Name + ".Generator";
+
+        // The generator package is usually installed next to this package, but it may be
+        // elsewhere if resolved by the Node.js module resolution algorithm.
+        List<string> generatorPackageDirectories = new();
+        try
+        {
+            JSValue require = JSRuntimeContext.Current.RequireFunction;
+            JSValue packageJsonPath = require.CallMethod(
+                "resolve", generatorPackageName + "/package.json");
+            generatorPackageDirectories.Add(Path.GetDirectoryName((string)packageJsonPath)!);
+        }
+        catch (JSException)
+        {
+            // The generator package was not resolved; try the sibling directory.
+        }
+
+        string packageDirectory = Path.GetDirectoryName(Path.GetDirectoryName(
+            typeof(ManagedHost).Assembly.Location))!;
+        generatorPackageDirectories.Add(
+            Path.Combine(Path.GetDirectoryName(packageDirectory)!, generatorPackageName));
+
+        // The generator package only includes the net8.0 build, which works on later versions.
+        string generatorAssemblyFilePath = generatorPackageDirectories
+            .Select((d) => Path.Combine(d, "net8.0", generatorAssemblyName + ".dll"))
+            .FirstOrDefault(File.Exists) ??
+            throw new FileNotFoundException(
+                $"The C# compiler was not found. Install the `{generatorPackageName}` package " +
+                "to enable compiling C# source code.");
+
+        Trace($"  ManagedHost.GetScriptCompileMethod() => {generatorAssemblyFilePath}");
+
+        Assembly generatorAssembly =
+            LoadAssembly(generatorAssemblyFilePath, allowNativeLibrary: false)!;
+        _scriptCompileMethod = generatorAssembly
+            .GetType(generatorAssemblyName + ".ScriptCompiler", throwOnError: true)!
+            .GetMethod("Compile", BindingFlags.Public | BindingFlags.Static)!;
+        return _scriptCompileMethod;
+    }
+#endif
+
+    private bool HasListeners(string eventName)
+        => _listenerCounts.TryGetValue(eventName, out int count) && count > 0;
+
+    /// <summary>
+    /// Emits an event on the JS thread, if the event has any listeners. Events raised by the
+    /// .NET runtime may occur on any thread, and may occur during a call from JS, so they are
+    /// always emitted asynchronously.
+    /// </summary>
+    private void PostEvent(string eventName, Func<JSValue[]> getArgs)
+    {
+        if (!HasListeners(eventName) || _synchronizationContext.IsDisposed)
+        {
+            return;
+        }
+
+        _synchronizationContext.Post(() =>
+        {
+            try
+            {
+                Emit(eventName, getArgs());
+            }
+            catch (Exception ex)
+            {
+                // An exception thrown by a listener must not become another unhandled exception.
+                Trace($"  ManagedHost.PostEvent({eventName}) listener failed: {ex}");
+            }
+        });
+    }
+
+    private void OnAssemblyLoaded(object? sender, AssemblyLoadEventArgs e)
+    {
+        Assembly assembly = e.LoadedAssembly;
+        PostEvent(AssemblyLoadedEventName, () =>
+        {
+            AssemblyName assemblyName = assembly.GetName();
+            string? assemblyFilePath = assembly.IsDynamic ? null : assembly.Location;
+            return
+            [
+                assemblyName.Name!,
+                assemblyName.Version?.ToString() ?? JSValue.Undefined,
+                string.IsNullOrEmpty(assemblyFilePath) ? JSValue.Undefined : assemblyFilePath!,
+            ];
+        });
+    }
+
+    /// <summary>
+    /// Handles an exception that was not caught on a .NET thread, by emitting it to JS listeners
+    /// of the `unhandledException` event.
+    /// </summary>
+    /// <remarks>
+    /// The .NET runtime terminates the process after an unhandled exception on any thread, unless
+    /// the exception is handled by the host's unhandled exception handler (on .NET 10 or later).
+    /// When the process is terminating, this waits (briefly, in case the JS thread is blocked)
+    /// for the JS listeners to run, so that the exception can at least be logged.
+    /// </remarks>
+    private void OnUnhandledException(object sender, UnhandledExceptionEventArgs e)
+    {
+        if (e.ExceptionObject is not Exception exception ||
+            !HasListeners(UnhandledExceptionEventName) ||
+            _synchronizationContext.IsDisposed)
+        {
+            return;
+        }
+
+        if (e.IsTerminating && JSSynchronizationContext.Current != _synchronizationContext)
+        {
+            try
+            {
+                _synchronizationContext.RunAsync(() =>
+                {
+                    Emit(UnhandledExceptionEventName, new JSError(exception).Value, true);
+                    return Task.CompletedTask;
+                }).Wait(s_terminatingEventTimeout);
+            }
+            catch (Exception ex)
+            {
+                Trace($"  ManagedHost.OnUnhandledException() listener failed: {ex}");
+            }
+        }
+        else
+        {
+            PostEvent(UnhandledExceptionEventName, () =>
+                [new JSError(exception).Value, e.IsTerminating]);
+        }
+    }
+
+    /// <summary>
+    /// Handles an exception from a faulted task that was never awaited or observed, by emitting
+    /// it to JS listeners of the `unhandledException` event. The exception is marked as observed
+    /// if there are any listeners.
+    /// </summary>
+    private void OnUnobservedTaskException(object? sender, UnobservedTaskExceptionEventArgs e)
+    {
+        if (!HasListeners(UnhandledExceptionEventName))
+        {
+            return;
+        }
+
+        e.SetObserved();
+        Exception exception = e.Exception.InnerExceptions.Count == 1 ?
+            e.Exception.InnerExceptions[0] : e.Exception;
+        PostEvent(UnhandledExceptionEventName, () => [new JSError(exception).Value, false]);
+    }
+
+    private void OnFirstChanceException(object? sender, FirstChanceExceptionEventArgs e)
+    {
+        if (s_isHandlingFirstChanceException)
+        {
+            return;
+        }
+
+        s_isHandlingFirstChanceException = true;
+        try
+        {
+            Exception exception = e.Exception;
+            PostEvent(FirstChanceExceptionEventName, () => [new JSError(exception).Value]);
+        }
+        finally
+        {
+            s_isHandlingFirstChanceException = false;
+        }
+    }
+
+#if NET10_0_OR_GREATER
+    /// <summary>
+    /// Host instances that handle exceptions that would otherwise terminate the process.
+    /// </summary>
+    private static readonly List<ManagedHost> s_unhandledExceptionHosts = new();
+
+    /// <summary>
+    /// Registers a host to handle exceptions that were not caught on .NET threads. The process
+    /// survives such an exception if any registered host has `unhandledException` listeners,
+    /// after the exception is emitted to the listeners.
+    /// </summary>
+    /// <remarks>
+    /// The runtime allows only one unhandled exception handler per process. If the application
+    /// already set a handler, then the hosts do not handle unhandled exceptions; the listeners are
+    /// still notified before the process terminates.
+    /// </remarks>
+    private static void SetUnhandledExceptionHandler(ManagedHost host)
+    {
+        lock (s_unhandledExceptionHosts)
+        {
+            if (s_unhandledExceptionHosts.Count == 0)
+            {
+                try
+                {
+                    ExceptionHandling.SetUnhandledExceptionHandler(HandleUnhandledException);
+                }
+                catch (InvalidOperationException)
+                {
+                    Trace("  ManagedHost.SetUnhandledExceptionHandler() handler already set");
+                    return;
+                }
+            }
+
+            s_unhandledExceptionHosts.Add(host);
+        }
+    }
+
+    private static bool HandleUnhandledException(Exception exception)
+    {
+        ManagedHost[] hosts;
+        lock (s_unhandledExceptionHosts)
+        {
+            hosts = s_unhandledExceptionHosts
+                .Where((h) => h.HasListeners(UnhandledExceptionEventName))
+                .ToArray();
+        }
+
+        foreach (ManagedHost host in hosts)
+        {
+            host.PostEvent(UnhandledExceptionEventName, () =>
+                [new JSError(exception).Value, false]);
+        }
+
+        return hosts.Length > 0;
+    }
+#endif
+
+    /// <summary>
+    /// Sets options for marshalling values between .NET and JS via dynamic invocation.
+    /// </summary>
+    /// <remarks>
+    /// The argument is an options object, for example `{ decimal: 'number' }`. Marshalling code
+    /// is generated and cached on first use, so options cannot be changed after any assemblies
+    /// or modules have been loaded, or after any values have been marshalled.
+    /// </remarks>
+    public JSValue Configure(JSCallbackArgs args)
+    {
+        JSValue options = args[0];
+        if (!options.IsObject())
+        {
+            throw new ArgumentException("Configuration options must be an object.");
+        }
+
+        JSMarshaller marshaller = JSMarshaller.Current;
+        JSValue decimalOption = options["decimal"];
+        if (!decimalOption.IsUndefined())
+        {
+            JSDecimalMarshalling decimalMarshalling = (string)decimalOption switch
+            {
+                "string" => JSDecimalMarshalling.String,
+                "number" => JSDecimalMarshalling.Number,
+                "decimal" => JSDecimalMarshalling.Decimal,
+                string value => throw new ArgumentException(
+                    $"Invalid decimal marshalling option: {value}"),
+            };
+
+            if (decimalMarshalling != marshaller.DecimalMarshalling)
+            {
+                EnsureNotLoaded();
+                marshaller.DecimalMarshalling = decimalMarshalling;
+            }
+        }
+
+        JSValue int64Option = options["int64"];
+        if (!int64Option.IsUndefined())
+        {
+            JSInt64Marshalling int64Marshalling = (string)int64Option switch
+            {
+                "number" => JSInt64Marshalling.Number,
+                "bigint" => JSInt64Marshalling.BigInt,
+                string value => throw new ArgumentException(
+                    $"Invalid int64 marshalling option: {value}"),
+            };
+
+            if (int64Marshalling != marshaller.Int64Marshalling)
+            {
+                EnsureNotLoaded();
+                marshaller.Int64Marshalling = int64Marshalling;
+            }
+        }
+
+        JSValue datesOption = options["dates"];
+        if (!datesOption.IsUndefined())
+        {
+            JSDateMarshalling dateMarshalling = (string)datesOption switch
+            {
+                "default" => JSDateMarshalling.Default,
+                "temporal" => JSDateMarshalling.Temporal,
+                string value => throw new ArgumentException(
+                    $"Invalid dates marshalling option: {value}"),
+            };
+
+            if (dateMarshalling != marshaller.DateMarshalling)
+            {
+                EnsureNotLoaded();
+
+                // Fail early if the Temporal API is not available from the runtime or a polyfill.
+                if (dateMarshalling == JSDateMarshalling.Temporal)
+                {
+                    JSTemporal.GetTemporal();
+                }
+
+                marshaller.DateMarshalling = dateMarshalling;
+            }
+        }
+
+        return JSValue.Undefined;
+
+        void EnsureNotLoaded()
+        {
+            // Marshalling code that was already generated, including for system types used via
+            // the namespace properties, would keep using the previous options.
+            if (!_loadedAssembliesByPath.IsEmpty || !_loadedAssembliesFromBytes.IsEmpty ||
+                _loadedModules.Count > 0 || marshaller.HasGeneratedCode)
+            {
+                throw new InvalidOperationException(
+                    "Marshalling options cannot be changed after assemblies have been loaded " +
+                    "or any values have been marshalled.");
+            }
+        }
+    }
+
+    /// <summary>
+    /// Describes a .NET type or namespace that was projected to JS, including constructors,
+    /// methods and their overloads, properties, events, generic parameters, and documentation.
+    /// </summary>
+    /// <returns>A plain JS object that describes the type or namespace.</returns>
+    /// <remarks>
+    /// The argument may be a JS value that represents a .NET type or namespace, such as
+    /// `dotnet.System.IO.File`, or the full name of a type or namespace.
+    /// </remarks>
+    public JSValue Describe(JSCallbackArgs args)
+    {
+        JSValue value = args[0];
+        _typeDescriber ??= new TypeDescriber();
+
+        IEnumerable<TypeExporter> typeExporters = [_typeExporter];
+#if !(NETFRAMEWORK || NETSTANDARD)
+        typeExporters = typeExporters.Concat(_isolatedLoadContexts.Select((c) => c.TypeExporter));
+#endif
+
+        foreach (TypeExporter typeExporter in typeExporters)
+        {
+            if (value.IsString())
+            {
+                string name = (string)value;
+                if (typeExporter.GetTypeProxy(name) is TypeProxy typeProxy)
+                {
+                    return _typeDescriber.DescribeType(typeProxy.Type);
+                }
+                else if (typeExporter.GetNamespaceProxy(name) is NamespaceProxy namespaceProxy)
+                {
+                    return _typeDescriber.DescribeNamespace(namespaceProxy);
+                }
+            }
+            else if (typeExporter.GetExportedType(value) is Type type)
+            {
+                return _typeDescriber.DescribeType(type);
+            }
+            else if (typeExporter.GetNamespaceProxy(value) is NamespaceProxy namespaceProxy)
+            {
+                return _typeDescriber.DescribeNamespace(namespaceProxy);
+            }
+        }
+
+        throw new ArgumentException(value.IsString() ?
+            $"Type or namespace not found: {(string)value}" :
+            "The value does not represent a .NET type or namespace.");
+    }
+
+    /// <summary>
+    /// Callback from the 'resolving' event which completes the resolve operation by loading an
+    /// assembly from a file path specified by the event listener.
+    /// </summary>
+    private JSValue ResolveAssembly(JSCallbackArgs args)
+    {
+        string assemblyFilePath = (string)args[0];
+        LoadAssembly(assemblyFilePath, allowNativeLibrary: false);
+        return default;
+    }
+
+    private Assembly? LoadAssembly(
+        string assemblyNameOrFilePath,
+        bool allowNativeLibrary,
+        bool collectible = false)
+    {
+        Trace($"> ManagedHost.LoadAssembly({assemblyNameOrFilePath})");
+
+        string assemblyFilePath = assemblyNameOrFilePath;
+        if (string.IsNullOrEmpty(Path.GetDirectoryName(assemblyNameOrFilePath)) &&
+            !assemblyNameOrFilePath.EndsWith(".dll", StringComparison.OrdinalIgnoreCase))
+        {
+            // Load the system assembly from the .NET directory.
+            assemblyFilePath = Path.Combine(
+                Path.GetDirectoryName(typeof(object).Assembly.Location)!,
+                assemblyFilePath + ".dll");
+
+            // Also support loading ASP.NET system assemblies.
+            string assemblyFilePath2 = assemblyFilePath.Replace(
+                    "Microsoft.NETCore.App", "Microsoft.AspNetCore.App");
+            if (File.Exists(assemblyFilePath2))
+            {
+                assemblyFilePath = assemblyFilePath2;
+            }
+            else if (RuntimeInformation.IsOSPlatform(OSPlatform.Windows))
+            {
+                // Also support loading Windows-specific system assemblies.
+                string assemblyFilePath3 = assemblyFilePath.Replace(
+                    "Microsoft.NETCore.App", "Microsoft.WindowsDesktop.App");
+                if (File.Exists(assemblyFilePath3))
+                {
+                    assemblyFilePath = assemblyFilePath3;
+                }
+            }
+        }
+        else if (!Path.IsPathRooted(assemblyFilePath))
+        {
+            throw new ArgumentException(
+                "Assembly argument must be either an absolute path to an assembly DLL file " +
+                "or the name of a system assembly (without path or DLL extension).");
+        }
+
+        if (collectible && assemblyFilePath != assemblyNameOrFilePath)
+        {
+            throw new ArgumentException("System assemblies cannot be loaded as collectible.");
+        }
+
+        Assembly? assembly = _loadedAssembliesByPath.GetOrAdd(assemblyFilePath, _ =>
+        {
+            try
+            {
+#if NETFRAMEWORK || NETSTANDARD
+                if (collectible)
+                {
+                    throw new NotSupportedException(
+                        "Collectible assemblies are not supported on .NET Framework.");
+                }
+
+                // TODO: Load assemblies in a separate appdomain.
+                return Assembly.LoadFrom(assemblyFilePath);
+#else
+                return collectible ? LoadCollectibleAssembly(assemblyFilePath) :
+                    _loadContext.LoadFromAssemblyPath(assemblyFilePath);
+#endif
+            }
+            catch (BadImageFormatException)
+            {
+                if (!allowNativeLibrary || collectible)
+                {
+                    throw;
+                }
+
+                // This might be a native DLL, not a managed assembly.
+                // Load the native library, which enables it to be auto-resolved by
+                // any later DllImport operations for the same library name.
+                NativeLibrary.Load(assemblyFilePath);
+                return null;
+            }
+            catch (FileNotFoundException fnfex)
+            {
+                throw new FileNotFoundException(
+                    $"Assembly file not found: {assemblyNameOrFilePath}", fnfex);
+            }
+        });
+
+        if (assembly != null)
+        {
+            _loadedAssembliesByName.GetOrAdd(assembly.GetName().Name!, assembly);
+        }
+
+        string version = assembly?.GetName().Version?.ToString() ?? "(native library)";
+        Trace($"< ManagedHost.LoadAssembly() => {assemblyFilePath} {version}");
+        return assembly;
+    }
+
+    /// <summary>
+    /// Loads an assembly from an in-memory image into the host load context, with optional
+    /// debug symbols from the `pdb` option.
+    /// </summary>
+    /// <remarks>
+    /// Dependencies of the assembly are resolved the same way as for assemblies loaded from
+    /// files, except there is no directory to search for adjacent dependencies.
+    /// </remarks>
+    private Assembly LoadAssemblyFromBytes(byte[] assemblyBytes, JSValue options)
+    {
+        if (GetBooleanOption(options, "collectible") || GetBooleanOption(options, "isolated"))
+        {
+            throw new NotSupportedException(
+                "The `collectible` and `isolated` options are not supported when loading an " +
+                "assembly from a buffer.");
+        }
+
+        byte[]? symbolBytes = options.IsObject() ? GetBytes(options["pdb"]) : null;
+        Trace($"> ManagedHost.LoadAssemblyFromBytes({assemblyBytes.Length} bytes, " +
+            $"{symbolBytes?.Length ?? 0} symbol bytes)");
+
+#if NETFRAMEWORK || NETSTANDARD
+        Assembly assembly = Assembly.Load(assemblyBytes, symbolBytes);
+#else
+        using MemoryStream assemblyStream = new(assemblyBytes);
+        using MemoryStream? symbolStream =
+            symbolBytes != null ? new MemoryStream(symbolBytes) : null;
+        Assembly assembly = _loadContext.LoadFromStream(assemblyStream, symbolStream);
+#endif
+
+        _loadedAssembliesByName.GetOrAdd(assembly.GetName().Name!, assembly);
+        _loadedAssembliesFromBytes.Add(assembly);
+
+        Trace($"< ManagedHost.LoadAssemblyFromBytes() => " +
+            $"{assembly.GetName().Name} {assembly.GetName().Version}");
+        return assembly;
+    }
+
+    /// <summary>
+    /// Gets a copy of the contents of a JS `Uint8Array` (including a Node.js `Buffer`),
+    /// or null if the value is not a `Uint8Array`.
+    /// </summary>
+    private static byte[]? GetBytes(JSValue value)
+        => ((JSTypedArray<byte>?)value)?.Span.ToArray();
+
+    private static bool GetBooleanOption(JSValue options, string name)
+        => options.IsObject() && (bool)options[name].CoerceToBoolean();
+
+    /// <summary>
+    /// Resolves a file path that may be relative or a `file:` URL to an absolute path. A relative
+    /// path is resolved against the directory of the JS module that called into the host, or
+    /// against the current directory if the calling module could not be determined.
+    /// </summary>
+    internal static string ResolveCallerRelativePath(string path)
+    {
+        if (path.StartsWith("file:", StringComparison.OrdinalIgnoreCase))
+        {
+            return Path.GetFullPath(new Uri(path).LocalPath);
+        }
+        else if (Path.IsPathRooted(path))
+        {
+            return Path.GetFullPath(path);
+        }
+
+        string baseDirectory = GetCallerDirectory() ?? Environment.CurrentDirectory;
+        Trace($"  ManagedHost.ResolveCallerRelativePath({path}) => relative to {baseDirectory}");
+        return Path.GetFullPath(Path.Combine(baseDirectory, path));
+    }
+
+    /// <summary>
+    /// Gets the directory of the JS module that called into the host, from the first frame of
+    /// the current JS stack that is a file outside of the node-api-dotnet package.
+    /// </summary>
+    private static string? GetCallerDirectory()
+    {
+        JSValue stack = JSValue.CreateError(null, string.Empty)["stack"];
+        if (!stack.IsString())
+        {
+            return null;
+        }
+
+        // The host assembly is in a target-framework subdirectory of the package directory.
+        string packageDirectory = Path.GetDirectoryName(Path.GetDirectoryName(
+            typeof(ManagedHost).Assembly.Location)) + Path.DirectorySeparatorChar;
+
+        foreach (Match match in s_stackFrameFileRegex.Matches((string)stack))
+        {
+            string filePath = match.Groups["file"].Value;
+            if (filePath.StartsWith("file:", StringComparison.OrdinalIgnoreCase))
+            {
+                if (!Uri.TryCreate(filePath, UriKind.Absolute, out Uri? fileUri))
+                {
+                    continue;
+                }
+
+                filePath = fileUri.LocalPath;
+            }
+
+            if (Path.IsPathRooted(filePath) && File.Exists(filePath) &&
+                !filePath.StartsWith(packageDirectory, StringComparison.OrdinalIgnoreCase))
+            {
+                return Path.GetDirectoryName(filePath);
+            }
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Creates an isolated assembly load context, with its own dependency resolution and
+    /// its own root object for namespaces of types in assemblies loaded in the context.
+    /// </summary>
+    /// <returns>A JS object with a `load()` method for loading assemblies into the context;
+    /// after loading, types are available via namespace properties on the same object.</returns>
+    public JSValue CreateLoadContext(JSCallbackArgs args)
+    {
+#if NETFRAMEWORK || NETSTANDARD
+        throw new NotSupportedException(
+            "Isolated load contexts are not supported on .NET Framework.");
+#else
+        return CreateIsolatedLoadContext((string)args[0]).Exports;
+#endif
+    }
+
+#if !(NETFRAMEWORK || NETSTANDARD)
+    private IsolatedLoadContext CreateIsolatedLoadContext(string name)
+    {
+        Trace($"> ManagedHost.CreateIsolatedLoadContext({name})");
+
+        IsolatedLoadContext loadContext = new(name, _typeExporter, LoadSystemAssembly);
+        _isolatedLoadContexts.Add(loadContext);
+
+        Trace("< ManagedHost.CreateIsolatedLoadContext()");
+        return loadContext;
+    }
+
+    /// <summary>
+    /// Loads a system assembly into the shared load context, so that isolated contexts use the
+    /// same system types as the host. Returns null if the system assembly was not found.
+    /// </summary>
+    private Assembly? LoadSystemAssembly(string assemblyName)
+    {
+        try
+        {
+            return LoadAssembly(assemblyName, allowNativeLibrary: false);
+        }
+        catch (FileNotFoundException)
+        {
+            return null;
+        }
+    }
+#endif
+
+#if !(NETFRAMEWORK || NETSTANDARD)
+    private Assembly LoadCollectibleAssembly(string assemblyFilePath)
+    {
+        CollectibleLoadContext loadContext = new(assemblyFilePath);
+        loadContext.Resolving += OnResolvingAssembly;
+
+        try
+        {
+            Assembly assembly = loadContext.LoadFromAssemblyPath(assemblyFilePath);
+            _collectibleLoadContexts.Add(assemblyFilePath, loadContext);
+            return assembly;
+        }
+        catch
+        {
+            loadContext.Resolving -= OnResolvingAssembly;
+            loadContext.Unload();
+            throw;
+        }
+    }
+#endif
+
+    /// <summary>
+    /// Unloads an assembly that was loaded by <c>load()</c> or <c>require()</c> with the
+    /// `collectible` option, along with any dependencies that were loaded into the same
+    /// collectible load context.
+    /// </summary>
+    /// <returns>Undefined.</returns>
+    /// <remarks>
+    /// The first argument is either the assembly file path or the exports object that was
+    /// returned by <c>require()</c>. Types from the assembly are removed from the exported
+    /// namespaces. If any .NET objects from the assembly are still referenced by JS wrappers,
+    /// an error is thrown and the assembly is not unloaded; release the references and try again.
+    /// <para/>
+    /// Unloading is cooperative: the .NET runtime frees the assembly only after there are no
+    /// remaining references to it, including from JS objects or delegates that were previously
+    /// obtained from the assembly.
+    /// </remarks>
+    public JSValue UnloadAssembly(JSCallbackArgs args)
+    {
+#if NETFRAMEWORK || NETSTANDARD
+        throw new NotSupportedException("Unloading assemblies is not supported on .NET Framework.");
+#else
+        string assemblyFilePath;
+        JSValue assemblyPathOrModule = args[0];
+        if (assemblyPathOrModule.IsString())
+        {
+            assemblyFilePath = ResolveCallerRelativePath((string)assemblyPathOrModule);
+            if (!_collectibleLoadContexts.ContainsKey(assemblyFilePath) &&
+                !assemblyFilePath.EndsWith(".dll", StringComparison.OrdinalIgnoreCase))
+            {
+                assemblyFilePath += ".dll";
+            }
+        }
+        else
+        {
+            assemblyFilePath = _loadedModules.FirstOrDefault(
+                (entry) => entry.Value.GetValue() == assemblyPathOrModule).Key ??
+                throw new ArgumentException(
+                    "Unload argument must be either an assembly file path or " +
+                    "module exports returned from require().");
+        }
+
+        Trace($"> ManagedHost.UnloadAssembly({assemblyFilePath})");
+
+        if (!_collectibleLoadContexts.TryGetValue(
+            assemblyFilePath, out CollectibleLoadContext? loadContext))
+        {
+            throw new InvalidOperationException(
+                "Assembly was not loaded with the `collectible` option: " + assemblyFilePath);
+        }
+
+        Assembly[] assemblies = loadContext.Assemblies.ToArray();
+
+        // Fail without unloading anything if JS still holds wrappers for objects from the
+        // assemblies. Unloading the assemblies would leave those wrappers broken.
+        object[] liveObjects = JSRuntimeContext.Current.GetWrappedObjects(
+            (type) => type.IsFromAssembly(assemblies)).ToArray();
+        if (liveObjects.Length > 0)
+        {
+            string typeNames = string.Join(", ", liveObjects
+                .Select((obj) => obj.GetType().FormatName()).Distinct());
+            throw new InvalidOperationException(
+                $"Cannot unload assembly {Path.GetFileName(assemblyFilePath)} because " +
+                $"{liveObjects.Length} object(s) of type(s) {typeNames} are still referenced " +
+                "by JS. Release the references and try again.");
+        }
+
+        _typeExporter.UnexportAssemblyTypes(assemblies);
+
+        foreach (Assembly assembly in assemblies)
+        {
+            string assemblyName = assembly.GetName().Name!;
+            _exportedAssembliesByName.Remove(assemblyName);
+            ((ICollection<KeyValuePair<string, Assembly>>)_loadedAssembliesByName).Remove(
+                new KeyValuePair<string, Assembly>(assemblyName, assembly));
+        }
+
+        foreach (KeyValuePair<string, Assembly?> entry in _loadedAssembliesByPath
+            .Where((entry) => entry.Value != null && assemblies.Contains(entry.Value)))
+        {
+            _loadedAssembliesByPath.TryRemove(entry.Key, out _);
+        }
+
+        if (_loadedModules.TryGetValue(assemblyFilePath, out JSReference? exportsRef))
+        {
+            // Classes exported by a module are registered in the runtime context by generated
+            // code. Static classes are registered by name, so find them via the module exports.
+            JSObject exports = (JSObject)exportsRef.GetValue();
+            foreach (KeyValuePair<JSValue, JSValue> property in exports)
+            {
+                if (property.Value.IsObject())
+                {
+                    JSRuntimeContext.Current.UnregisterStaticClass(property.Value);
+                }
+            }
+
+            JSRuntimeContext.Current.UnregisterTypes((type) => type.IsFromAssembly(assemblies));
+            _loadedModules.Remove(assemblyFilePath);
+            exportsRef.Dispose();
+        }
+
+        _collectibleLoadContexts.Remove(assemblyFilePath);
+        loadContext.Resolving -= OnResolvingAssembly;
+        loadContext.Unload();
+
+        Trace($"< ManagedHost.UnloadAssembly() => {assemblies.Length} assemblies unloaded");
+        return default;
+#endif
+    }
+
+    private JSValue RunWorker(JSCallbackArgs args)
+    {
+        nint callbackHandleValue = (nint)args[0].ToBigInteger();
+        Trace($"> ManagedHost.RunWorker({callbackHandleValue})");
+
+        GCHandle callbackHandle = GCHandle.FromIntPtr(callbackHandleValue);
+        Action callback = (Action)callbackHandle.Target!;
+        callbackHandle.Free();
+
+        try
+        {
+            // Worker data and argv are available to the callback as NodejsWorker static properties.
+            callback();
+            return JSValue.Undefined;
+        }
+        finally
+        {
+            Trace($"< ManagedHost.RunWorker({callbackHandleValue})");
+        }
+    }
 
     protected override void Dispose(bool disposing)
     {
@@ -595,18 +1750,75 @@ public sealed class ManagedHost : JSEventEmitter, IDisposable
             _rootScope?.Dispose();
             _rootScope = null;
 
+            AppDomain.CurrentDomain.AssemblyLoad -= OnAssemblyLoaded;
+            AppDomain.CurrentDomain.UnhandledException -= OnUnhandledException;
+            AppDomain.CurrentDomain.FirstChanceException -= OnFirstChanceException;
+            TaskScheduler.UnobservedTaskException -= OnUnobservedTaskException;
+#if NET10_0_OR_GREATER
+            lock (s_unhandledExceptionHosts)
+            {
+                s_unhandledExceptionHosts.Remove(this);
+            }
+#endif
+
 #if NETFRAMEWORK || NETSTANDARD
             AppDomain.CurrentDomain.AssemblyResolve -= OnResolvingAssembly;
 #else
             AssemblyLoadContext.Default.Resolving -= OnResolvingAssembly;
             _loadContext.Resolving -= OnResolvingAssembly;
             _loadContext.Unload();
+
+            foreach (CollectibleLoadContext collectibleLoadContext in
+                _collectibleLoadContexts.Values)
+            {
+                collectibleLoadContext.Resolving -= OnResolvingAssembly;
+                collectibleLoadContext.Unload();
+            }
+
+            _collectibleLoadContexts.Clear();
 #endif
         }
 
         base.Dispose(disposing);
     }
 
+#if !(NETFRAMEWORK || NETSTANDARD)
+
+    /// <summary>
+    /// Load context for an assembly that was loaded with the `collectible` option. Dependencies
+    /// found in the same directory as the assembly are loaded into the same context, so that they
+    /// are unloaded together. Other dependencies are resolved by the host.
+    /// </summary>
+    private sealed class CollectibleLoadContext : AssemblyLoadContext
+    {
+        private readonly string _assemblyDirectory;
+
+        public CollectibleLoadContext(string assemblyFilePath)
+            : base(Path.GetFileNameWithoutExtension(assemblyFilePath), isCollectible: true)
+        {
+            _assemblyDirectory = Path.GetDirectoryName(assemblyFilePath)!;
+        }
+
+        protected override Assembly? Load(AssemblyName assemblyName)
+        {
+            // The Node API assemblies must be shared with the host, otherwise types like JSValue
+            // would not be compatible across contexts.
+            if (assemblyName.Name == typeof(JSValue).Assembly.GetName().Name)
+            {
+                return typeof(JSValue).Assembly;
+            }
+            else if (assemblyName.Name == typeof(ManagedHost).Assembly.GetName().Name)
+            {
+                return typeof(ManagedHost).Assembly;
+            }
+
+            string adjacentPath = Path.Combine(_assemblyDirectory, assemblyName.Name + ".dll");
+            return File.Exists(adjacentPath) ? LoadFromAssemblyPath(adjacentPath) : null;
+        }
+    }
+
+#endif
+
 #if NETSTANDARD
 
     private class ConsoleTraceListener : TraceListener
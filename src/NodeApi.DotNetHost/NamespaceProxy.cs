@@ -3,6 +3,7 @@
 
 using System;
 using System.Collections.Generic;
+using System.Linq;
 
 namespace Microsoft.JavaScript.NodeApi.DotNetHost;
 
@@ -80,6 +81,81 @@ internal class NamespaceProxy
     public IDictionary<string, TypeProxy> Types { get; }
         = new Dictionary<string, TypeProxy>();
 
+    /// <summary>
+    /// Gets a value indicating whether the namespace has no known types or child namespaces.
+    /// </summary>
+    public bool IsEmpty => Namespaces.Count == 0 && Types.Count == 0;
+
+    /// <summary>
+    /// Removes types that match a predicate from this namespace and its child namespaces,
+    /// along with any child namespaces that become empty.
+    /// </summary>
+    /// <returns>The number of types that were removed.</returns>
+    public int RemoveTypes(Func<Type, bool> predicate)
+    {
+        int count = 0;
+
+        foreach (KeyValuePair<string, TypeProxy> entry in Types.ToArray())
+        {
+            if (predicate(entry.Value.Type))
+            {
+                Types.Remove(entry.Key);
+                count++;
+
+                // Other generic types with the same name but different numbers of type args
+                // (from other assemblies) may remain, so replace the proxy with one for those.
+                Type[] remainingGenericTypes = entry.Value.GenericTypeDefinitions?
+                    .Where((t) => !predicate(t)).ToArray() ?? [];
+                if (remainingGenericTypes.Length > 0)
+                {
+                    TypeProxy typeProxy = new(this, remainingGenericTypes[0]);
+                    foreach (Type genericType in remainingGenericTypes.Skip(1))
+                    {
+                        typeProxy.AddGenericTypeDefinition(genericType);
+                    }
+
+                    Types.Add(entry.Key, typeProxy);
+                }
+            }
+            else
+            {
+                // The type may still have derived types or extension methods that were removed.
+                entry.Value.RemoveTypeReferences(predicate);
+            }
+        }
+
+        foreach (KeyValuePair<string, NamespaceProxy> entry in Namespaces.ToArray())
+        {
+            count += entry.Value.RemoveTypes(predicate);
+
+            if (entry.Value.IsEmpty)
+            {
+                Namespaces.Remove(entry.Key);
+                entry.Value.Release();
+            }
+        }
+
+        return count;
+    }
+
+    /// <summary>
+    /// Checks whether a JS value is the object that represents this namespace, without creating
+    /// the object if it was not created yet.
+    /// </summary>
+    internal bool IsValue(JSValue value)
+        => _valueReference != null && _valueReference.GetValue() == value;
+
+    /// <summary>
+    /// Releases references to the JS objects that represent the namespace, after it was removed.
+    /// </summary>
+    internal void Release()
+    {
+        _valueReference?.Dispose();
+        _valueReference = null;
+        _tostringReference?.Dispose();
+        _tostringReference = null;
+    }
+
     /// <summary>
     /// Gets the full name of the namespace.
     /// </summary>
@@ -93,7 +169,13 @@ internal class NamespaceProxy
             return (JSProxy)_valueReference.GetValue();
         }
 
-        JSProxy proxy = new(new JSObject(), CreateProxyHandler());
+        // Node.js util.inspect() reads the custom inspect function from the proxy target,
+        // to avoid invoking the proxy handler.
+        JSObject target = new();
+        target[JSValue.SymbolFor("nodejs.util.inspect.custom")] =
+            new JSFunction("inspect", () => FormatInspectString());
+
+        JSProxy proxy = new(target, CreateProxyHandler());
         _valueReference = new JSReference(proxy);
         return proxy;
     }
@@ -111,6 +193,22 @@ internal class NamespaceProxy
         return tostringFunction;
     }
 
+    /// <summary>
+    /// Formats a summary of the namespace for display by Node.js util.inspect(), including names
+    /// of child namespaces and types, without exporting any types.
+    /// </summary>
+    private string FormatInspectString()
+    {
+        const int maxNames = 50;
+        string[] names = Namespaces.Keys.OrderBy((n) => n, StringComparer.Ordinal)
+            .Concat(Types.Keys.OrderBy((n) => n, StringComparer.Ordinal))
+            .ToArray();
+        string more = names.Length > maxNames ?
+            $", ... {names.Length - maxNames} more" : string.Empty;
+        return names.Length == 0 ? $"[Namespace {Name}] {{}}" :
+            $"[Namespace {Name}] {{ {string.Join(", ", names.Take(maxNames))}{more} }}";
+    }
+
     /// <summary>
     /// Creates a handler for a <see cref="JSProxy"/> that supports deferred export of types.
     /// </summary>
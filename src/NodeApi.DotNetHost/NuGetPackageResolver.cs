@@ -0,0 +1,764 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.IO.Compression;
+using System.Linq;
+using System.Xml.Linq;
+
+namespace Microsoft.JavaScript.NodeApi.DotNetHost;
+
+using static Microsoft.JavaScript.NodeApi.DotNetHost.ManagedHost;
+
+/// <summary>
+/// Resolves a NuGet package and its transitive dependencies from local package folders, to
+/// get the assemblies that are compatible with the current runtime, without requiring a
+/// restore operation via an MSBuild project.
+/// </summary>
+/// <remarks>
+/// Packages are never downloaded. A package source folder may use the global packages folder
+/// layout (`{id}/{version}/`, lower-case), the `nuget install` layout (`{Id}.{Version}/`), or
+/// may be a flat feed of `.nupkg` files, which are extracted to a temporary directory. Only
+/// assemblies under `lib/` are resolved; reference-only and runtime-specific assets are ignored.
+/// </remarks>
+internal sealed class NuGetPackageResolver
+{
+    private const string NetCoreFamily = "netcoreapp";
+    private const string NetStandardFamily = "netstandard";
+    private const string NetFrameworkFamily = "netframework";
+
+    private readonly string[] _sources;
+    private readonly string _frameworkMoniker;
+    private readonly (string Family, Version Version) _framework;
+
+    /// <summary>
+    /// Creates a new package resolver.
+    /// </summary>
+    /// <param name="source">Optional path to a local package source folder, which is searched
+    /// before the global packages folder.</param>
+    /// <param name="frameworkMoniker">Target framework moniker of the current runtime, used to
+    /// select compatible assemblies and dependency groups.</param>
+    public NuGetPackageResolver(string? source, string frameworkMoniker)
+    {
+        _sources = source != null ? [source, GlobalPackagesFolder] : [GlobalPackagesFolder];
+        _frameworkMoniker = frameworkMoniker;
+        _framework = ParseFramework(frameworkMoniker) ?? throw new ArgumentException(
+            $"Unsupported target framework: {frameworkMoniker}", nameof(frameworkMoniker));
+    }
+
+    /// <summary>
+    /// Gets the path to the NuGet global packages folder, from the `NUGET_PACKAGES` environment
+    /// variable if set, otherwise the default location under the user's home directory.
+    /// </summary>
+    public static string GlobalPackagesFolder
+    {
+        get
+        {
+            string? globalPackagesFolder = Environment.GetEnvironmentVariable("NUGET_PACKAGES");
+            return !string.IsNullOrEmpty(globalPackagesFolder) ? globalPackagesFolder! :
+                Path.Combine(
+                    Environment.GetFolderPath(Environment.SpecialFolder.UserProfile),
+                    ".nuget",
+                    "packages");
+        }
+    }
+
+    /// <summary>
+    /// A package that was resolved to a directory containing the expanded package contents.
+    /// </summary>
+    public sealed class ResolvedPackage
+    {
+        public ResolvedPackage(string id, string version, string directory)
+        {
+            Id = id;
+            Version = version;
+            Directory = directory;
+        }
+
+        public string Id { get; }
+
+        public string Version { get; }
+
+        public string Directory { get; }
+
+        /// <summary>
+        /// Gets the paths of assemblies in the package that are compatible with the current
+        /// runtime. May be empty for packages that only have dependencies.
+        /// </summary>
+        public IReadOnlyList<string> AssemblyFilePaths { get; internal set; } = [];
+
+        public override string ToString() => $"{Id} {Version}";
+    }
+
+    /// <summary>
+    /// Resolves a package and its transitive dependencies.
+    /// </summary>
+    /// <param name="packageId">ID of the package to resolve.</param>
+    /// <param name="version">Exact version of the package, or null to use the highest
+    /// available version.</param>
+    /// <returns>List of resolved packages, where dependencies come before the packages that
+    /// depend on them, and the requested package is last.</returns>
+    /// <exception cref="DirectoryNotFoundException">The package or one of its dependencies was
+    /// not found in any of the package sources.</exception>
+    /// <exception cref="InvalidOperationException">Packages require conflicting versions of a
+    /// dependency.</exception>
+    public IReadOnlyList<ResolvedPackage> Resolve(string packageId, string? version)
+    {
+        Trace($"> NuGetPackageResolver.Resolve({packageId}, {version})");
+
+        VersionRange versionRange = version != null ?
+            VersionRange.Exact(PackageVersion.Parse(version)) : VersionRange.Any;
+
+        // Minimum versions of packages that were raised because a dependency required a higher
+        // version than was first resolved. As with NuGet, the highest required lower bound wins.
+        Dictionary<string, (VersionRange VersionRange, string RequiredBy)> minimumVersions =
+            new(StringComparer.OrdinalIgnoreCase);
+
+        List<ResolvedPackage> packages;
+        bool isResolved;
+        do
+        {
+            packages = new();
+            Dictionary<string, ResolvedPackage> resolvedPackages =
+                new(StringComparer.OrdinalIgnoreCase);
+            isResolved = ResolvePackage(
+                packageId,
+                versionRange,
+                requiredBy: null,
+                packages,
+                resolvedPackages,
+                minimumVersions);
+        }
+        while (!isResolved);
+
+        Trace($"< NuGetPackageResolver.Resolve() => [{string.Join(", ", packages)}]");
+        return packages;
+    }
+
+    /// <summary>
+    /// Resolves a package and its dependencies, recursively.
+    /// </summary>
+    /// <returns>True if the package was resolved, or false if a minimum version was raised
+    /// because of a version conflict, so that resolution must start over.</returns>
+    /// <exception cref="InvalidOperationException">The package has version requirements that
+    /// cannot all be satisfied.</exception>
+    private bool ResolvePackage(
+        string packageId,
+        VersionRange versionRange,
+        string? requiredBy,
+        List<ResolvedPackage> packages,
+        Dictionary<string, ResolvedPackage> resolvedPackages,
+        Dictionary<string, (VersionRange VersionRange, string RequiredBy)> minimumVersions)
+    {
+        if (resolvedPackages.TryGetValue(packageId, out ResolvedPackage? resolvedPackage))
+        {
+            // Only one version of a package can be loaded in the same load context.
+            PackageVersion resolvedVersion = PackageVersion.Parse(resolvedPackage.Version);
+            if (versionRange.Satisfies(resolvedVersion))
+            {
+                return true;
+            }
+            else if (!versionRange.SatisfiesMin(resolvedVersion))
+            {
+                // The dependency requires a higher version than was resolved. Raise the minimum
+                // version of the package and start over.
+                Trace($"  NuGetPackageResolver: {requiredBy} requires {packageId} " +
+                    $"{versionRange}, but version {resolvedVersion} was already resolved.");
+                minimumVersions[packageId] = (versionRange, requiredBy!);
+                return false;
+            }
+
+            throw new InvalidOperationException(
+                $"Package {requiredBy} requires {packageId} {versionRange}, but version " +
+                $"{resolvedVersion} is required by another package.");
+        }
+
+        (VersionRange VersionRange, string RequiredBy)? minimumVersion = null;
+        if (minimumVersions.TryGetValue(
+            packageId, out (VersionRange VersionRange, string RequiredBy) minimum))
+        {
+            minimumVersion = minimum;
+        }
+
+        (string Version, string Directory)? match =
+            FindPackage(packageId, versionRange, minimumVersion?.VersionRange);
+        if (match == null)
+        {
+            if (minimumVersion != null && FindPackage(packageId, versionRange, null) != null)
+            {
+                throw new InvalidOperationException(
+                    $"Package {packageId} {versionRange} " +
+                    (requiredBy != null ? $"(required by {requiredBy}) " : string.Empty) +
+                    $"conflicts with {packageId} {minimumVersion.Value.VersionRange} " +
+                    $"(required by {minimumVersion.Value.RequiredBy}).");
+            }
+
+            throw new DirectoryNotFoundException(
+                $"Package {packageId} {versionRange} " +
+                (requiredBy != null ? $"(required by {requiredBy}) " : string.Empty) +
+                $"was not found in: {string.Join(", ", _sources)}");
+        }
+
+        resolvedPackage = new ResolvedPackage(
+            packageId, match.Value.Version, match.Value.Directory);
+        Trace($"  NuGetPackageResolver: {resolvedPackage} => {resolvedPackage.Directory}");
+
+        // Add the package before resolving dependencies, to stop on any dependency cycles.
+        resolvedPackages.Add(packageId, resolvedPackage);
+
+        XElement metadata = ReadNuspecMetadata(resolvedPackage);
+        foreach ((string dependencyId, VersionRange dependencyVersionRange)
+            in GetDependencies(metadata))
+        {
+            if (!ResolvePackage(
+                dependencyId,
+                dependencyVersionRange,
+                resolvedPackage.ToString(),
+                packages,
+                resolvedPackages,
+                minimumVersions))
+            {
+                return false;
+            }
+        }
+
+        resolvedPackage.AssemblyFilePaths = GetLibAssemblies(resolvedPackage);
+        packages.Add(resolvedPackage);
+        return true;
+    }
+
+    /// <summary>
+    /// Finds the lowest available version of a package that satisfies a version range, or the
+    /// highest available version if the range has no lower bound, which matches how NuGet
+    /// selects dependency versions.
+    /// </summary>
+    private (string Version, string Directory)? FindPackage(
+        string packageId, VersionRange versionRange, VersionRange? minimumVersion)
+    {
+        foreach (string source in _sources)
+        {
+            if (!Directory.Exists(source))
+            {
+                continue;
+            }
+
+            (PackageVersion Version, string Path)[] candidates =
+                GetAvailableVersions(source, packageId)
+                .Where((c) => versionRange.Satisfies(c.Version) &&
+                    minimumVersion?.SatisfiesMin(c.Version) != false)
+                .OrderBy((c) => c.Version)
+                .ToArray();
+            if (candidates.Length == 0)
+            {
+                continue;
+            }
+
+            // Without a lower bound, prefer the highest stable version over any pre-release.
+            (PackageVersion version, string path) =
+                versionRange.Min != null || minimumVersion != null ? candidates[0] :
+                candidates.Where((c) => !c.Version.IsPrerelease).DefaultIfEmpty(
+                    candidates[candidates.Length - 1]).Last();
+
+            string packageDirectory = path.EndsWith(".nupkg", StringComparison.OrdinalIgnoreCase)
+                ? ExtractPackage(path, packageId, version) : path;
+            return (version.ToString(), packageDirectory);
+        }
+
+        return null;
+    }
+
+    private static IEnumerable<(PackageVersion Version, string Path)> GetAvailableVersions(
+        string source, string packageId)
+    {
+        // Global packages folder layout: {id}/{version}/{id}.nuspec
+        string packageIdDirectory = Path.Combine(source, packageId.ToLowerInvariant());
+        if (Directory.Exists(packageIdDirectory))
+        {
+            foreach (string versionDirectory in Directory.GetDirectories(packageIdDirectory))
+            {
+                if (PackageVersion.TryParse(
+                    Path.GetFileName(versionDirectory), out PackageVersion? version) &&
+                    FindNuspecFile(versionDirectory) != null)
+                {
+                    yield return (version!, versionDirectory);
+                }
+            }
+        }
+
+        // `nuget install` layout: {Id}.{Version}/{Id}.nuspec
+        // Flat feed layout: {Id}.{Version}.nupkg
+        string prefix = packageId + ".";
+        foreach (string entry in Directory.EnumerateFileSystemEntries(source, prefix + "*"))
+        {
+            string name = Path.GetFileName(entry);
+            bool isPackageFile = name.EndsWith(".nupkg", StringComparison.OrdinalIgnoreCase);
+            if (isPackageFile)
+            {
+                name = Path.GetFileNameWithoutExtension(name);
+            }
+            else if (!Directory.Exists(entry) || FindNuspecFile(entry) == null)
+            {
+                continue;
+            }
+
+            // A package ID may itself be a prefix of another package ID, for example
+            // `Foo.1.0.0` vs `Foo.Bar.1.0.0`, so the remainder must parse as a version.
+            if (name.StartsWith(prefix, StringComparison.OrdinalIgnoreCase) &&
+                PackageVersion.TryParse(name.Substring(prefix.Length), out PackageVersion? version))
+            {
+                yield return (version!, entry);
+            }
+        }
+    }
+
+    private static string? FindNuspecFile(string packageDirectory)
+        => Directory.EnumerateFiles(packageDirectory, "*.nuspec").FirstOrDefault();
+
+    /// <summary>
+    /// Extracts a `.nupkg` file to a temporary directory, or returns the previously-extracted
+    /// directory if it exists.
+    /// </summary>
+    private static string ExtractPackage(
+        string packageFilePath, string packageId, PackageVersion version)
+    {
+        string packageDirectory = Path.Combine(
+            Path.GetTempPath(),
+            "node-api-dotnet",
+            "packages",
+            packageId.ToLowerInvariant(),
+            version.ToString().ToLowerInvariant());
+        if (Directory.Exists(packageDirectory) && FindNuspecFile(packageDirectory) != null)
+        {
+            return packageDirectory;
+        }
+
+        Trace($"  NuGetPackageResolver.ExtractPackage({packageFilePath}) => {packageDirectory}");
+
+        // Extract to a unique directory and then move it into place, so that a partially
+        // extracted package is never observed by another process.
+        string extractDirectory = packageDirectory + "." + Guid.NewGuid().ToString("N");
+        ZipFile.ExtractToDirectory(packageFilePath, extractDirectory);
+        try
+        {
+            Directory.Move(extractDirectory, packageDirectory);
+        }
+        catch (IOException) when (Directory.Exists(packageDirectory))
+        {
+            // Another process extracted the same package concurrently.
+            Directory.Delete(extractDirectory, recursive: true);
+        }
+
+        return packageDirectory;
+    }
+
+    private static XElement ReadNuspecMetadata(ResolvedPackage package)
+    {
+        string nuspecFilePath = FindNuspecFile(package.Directory) ??
+            throw new FileNotFoundException($"Package {package} does not have a .nuspec file.");
+
+        // Element names are compared without XML namespaces, because the namespace URI varies
+        // with the nuspec schema version.
+        XDocument nuspec = XDocument.Load(nuspecFilePath);
+        return nuspec.Root?.Elements().FirstOrDefault((e) => e.Name.LocalName == "metadata") ??
+            throw new FormatException($"Invalid .nuspec file: {nuspecFilePath}");
+    }
+
+    private IEnumerable<(string Id, VersionRange VersionRange)> GetDependencies(
+        XElement metadata)
+    {
+        XElement? dependencies = metadata.Elements()
+            .FirstOrDefault((e) => e.Name.LocalName == "dependencies");
+        if (dependencies == null)
+        {
+            return [];
+        }
+
+        XElement[] groups = dependencies.Elements()
+            .Where((e) => e.Name.LocalName == "group")
+            .ToArray();
+        if (groups.Length > 0)
+        {
+            // Select the group for the best compatible framework, or else the group
+            // without a target framework, which applies to any framework.
+            XElement? group = SelectBestFramework(
+                groups.Where((g) => g.Attribute("targetFramework") != null),
+                (g) => g.Attribute("targetFramework")!.Value) ??
+                groups.FirstOrDefault((g) => g.Attribute("targetFramework") == null);
+            dependencies = group;
+        }
+
+        return dependencies?.Elements()
+            .Where((e) => e.Name.LocalName == "dependency" && e.Attribute("id") != null)
+            .Select((e) => (
+                e.Attribute("id")!.Value,
+                VersionRange.Parse(e.Attribute("version")?.Value)))
+            .ToArray() ?? [];
+    }
+
+    private IReadOnlyList<string> GetLibAssemblies(ResolvedPackage package)
+    {
+        string libDirectory = Path.Combine(package.Directory, "lib");
+        if (!Directory.Exists(libDirectory))
+        {
+            return [];
+        }
+
+        string[] frameworkDirectories = Directory.GetDirectories(libDirectory);
+        string? frameworkDirectory = SelectBestFramework(
+            frameworkDirectories, (d) => Path.GetFileName(d));
+        if (frameworkDirectory == null)
+        {
+            // Very old packages may have assemblies directly in the lib directory.
+            string[] libAssemblies = Directory.GetFiles(libDirectory, "*.dll");
+            if (libAssemblies.Length == 0 && frameworkDirectories.Length > 0)
+            {
+                throw new NotSupportedException(
+                    $"Package {package} does not have assemblies compatible with " +
+                    $"{_frameworkMoniker}. Available frameworks: " + string.Join(
+                        ", ", frameworkDirectories.Select((d) => Path.GetFileName(d))));
+            }
+
+            return libAssemblies;
+        }
+
+        // The framework directory may contain only an empty `_._` placeholder file, indicating
+        // the assemblies are provided by the framework.
+        return Directory.GetFiles(frameworkDirectory, "*.dll");
+    }
+
+    /// <summary>
+    /// Selects the item for the framework that is the best match for the current runtime:
+    /// the highest compatible version of the runtime's own framework family is preferred,
+    /// then the highest compatible version of .NET Standard.
+    /// </summary>
+    private T? SelectBestFramework<T>(IEnumerable<T> items, Func<T, string> getFramework)
+        where T : class
+    {
+        T? bestItem = null;
+        (int FamilyRank, Version Version) bestRank = default;
+        foreach (T item in items)
+        {
+            (string Family, Version Version)? framework = ParseFramework(getFramework(item));
+            if (framework == null)
+            {
+                continue;
+            }
+
+            int familyRank;
+            if (framework.Value.Family == _framework.Family &&
+                framework.Value.Version <= _framework.Version)
+            {
+                familyRank = 2;
+            }
+            else if (framework.Value.Family == NetStandardFamily &&
+                framework.Value.Version <= GetMaxNetStandardVersion())
+            {
+                familyRank = 1;
+            }
+            else
+            {
+                continue;
+            }
+
+            if (bestItem == null || familyRank > bestRank.FamilyRank ||
+                (familyRank == bestRank.FamilyRank && framework.Value.Version > bestRank.Version))
+            {
+                bestItem = item;
+                bestRank = (familyRank, framework.Value.Version);
+            }
+        }
+
+        return bestItem;
+    }
+
+    private Version GetMaxNetStandardVersion()
+        => _framework.Family == NetCoreFamily && _framework.Version.Major >= 3 ?
+            new Version(2, 1) : new Version(2, 0);
+
+    /// <summary>
+    /// Parses a short target framework name such as `net8.0`, `netstandard2.0` or `net472`,
+    /// or a long name as used in nuspec dependency groups such as `.NETStandard2.0`.
+    /// </summary>
+    /// <returns>The framework family and version, or null if the framework is not supported
+    /// for loading in this host, including any platform-specific frameworks.</returns>
+    private static (string Family, Version Version)? ParseFramework(string framework)
+    {
+        framework = framework.ToLowerInvariant();
+        if (framework.StartsWith(".netframework"))
+        {
+            framework = "net" + framework.Substring(".netframework".Length).Replace(".", "");
+        }
+        else if (framework.StartsWith("."))
+        {
+            framework = framework.Substring(1);
+        }
+
+        if (framework.Contains("-") || framework.Contains("+"))
+        {
+            return null;
+        }
+
+        string family;
+        string versionString;
+        if (framework.StartsWith(NetStandardFamily))
+        {
+            family = NetStandardFamily;
+            versionString = framework.Substring(NetStandardFamily.Length);
+        }
+        else if (framework.StartsWith(NetCoreFamily))
+        {
+            family = NetCoreFamily;
+            versionString = framework.Substring(NetCoreFamily.Length);
+        }
+        else if (framework.StartsWith("net") && framework.Contains("."))
+        {
+            // net5.0 and later are the continuation of .NET Core.
+            family = NetCoreFamily;
+            versionString = framework.Substring("net".Length);
+        }
+        else if (framework.StartsWith("net") && framework.Length > "net".Length &&
+            framework.Skip("net".Length).All(char.IsDigit))
+        {
+            // .NET Framework versions are written without dots, for example net472.
+            family = NetFrameworkFamily;
+            versionString = string.Join(".", framework.Skip("net".Length));
+        }
+        else
+        {
+            return null;
+        }
+
+        if (!versionString.Contains("."))
+        {
+            versionString += ".0";
+        }
+
+        return Version.TryParse(versionString, out Version? version) ?
+            (family, version!) : null;
+    }
+
+    /// <summary>
+    /// A NuGet package version: a numeric version with up to 4 parts, and an optional
+    /// pre-release label. Build metadata is ignored.
+    /// </summary>
+    private sealed class PackageVersion : IComparable<PackageVersion>
+    {
+        private readonly string _originalString;
+
+        private PackageVersion(Version version, string? label, string originalString)
+        {
+            Version = version;
+            Label = label;
+            _originalString = originalString;
+        }
+
+        public Version Version { get; }
+
+        public string? Label { get; }
+
+        public bool IsPrerelease => Label != null;
+
+        public static PackageVersion Parse(string versionString)
+            => TryParse(versionString, out PackageVersion? version) ? version! :
+                throw new FormatException($"Invalid package version: {versionString}");
+
+        public static bool TryParse(string versionString, out PackageVersion? version)
+        {
+            string originalString = versionString.Trim();
+            versionString = originalString;
+
+            int metadataIndex = versionString.IndexOf('+');
+            if (metadataIndex >= 0)
+            {
+                versionString = versionString.Substring(0, metadataIndex);
+            }
+
+            string? label = null;
+            int labelIndex = versionString.IndexOf('-');
+            if (labelIndex >= 0)
+            {
+                label = versionString.Substring(labelIndex + 1);
+                versionString = versionString.Substring(0, labelIndex);
+            }
+
+            if (!versionString.Contains("."))
+            {
+                versionString += ".0";
+            }
+
+            if (!Version.TryParse(versionString, out Version? numericVersion))
+            {
+                version = null;
+                return false;
+            }
+
+            // Normalize missing parts to zero so that, for example, 1.0 and 1.0.0 are equal.
+            numericVersion = new Version(
+                numericVersion.Major,
+                numericVersion.Minor,
+                Math.Max(numericVersion.Build, 0),
+                Math.Max(numericVersion.Revision, 0));
+            version = new PackageVersion(numericVersion, label, originalString);
+            return true;
+        }
+
+        public int CompareTo(PackageVersion? other)
+        {
+            if (other == null)
+            {
+                return 1;
+            }
+
+            int result = Version.CompareTo(other.Version);
+            if (result != 0)
+            {
+                return result;
+            }
+
+            // A release version is higher than any pre-release of the same version.
+            if (Label == null || other.Label == null)
+            {
+                return (Label == null ? 1 : 0) - (other.Label == null ? 1 : 0);
+            }
+
+            return CompareLabels(Label, other.Label);
+        }
+
+        /// <summary>
+        /// Compares pre-release labels by SemVer 2 rules: dot-separated identifiers are compared
+        /// in order, numeric identifiers are compared as numbers and are lower than alphanumeric
+        /// identifiers, and a label with fewer identifiers is lower if all others are equal.
+        /// </summary>
+        private static int CompareLabels(string label, string otherLabel)
+        {
+            string[] identifiers = label.Split('.');
+            string[] otherIdentifiers = otherLabel.Split('.');
+            for (int i = 0; i < identifiers.Length && i < otherIdentifiers.Length; i++)
+            {
+                bool isNumeric = IsNumericIdentifier(identifiers[i]);
+                bool isOtherNumeric = IsNumericIdentifier(otherIdentifiers[i]);
+                int result;
+                if (isNumeric && isOtherNumeric)
+                {
+                    // Compare by length first, since numeric identifiers may exceed any
+                    // integer type. (SemVer does not allow leading zeros.)
+                    string number = identifiers[i].TrimStart('0');
+                    string otherNumber = otherIdentifiers[i].TrimStart('0');
+                    result = number.Length != otherNumber.Length ?
+                        number.Length - otherNumber.Length :
+                        string.CompareOrdinal(number, otherNumber);
+                }
+                else if (isNumeric || isOtherNumeric)
+                {
+                    result = isNumeric ? -1 : 1;
+                }
+                else
+                {
+                    result = string.Compare(
+                        identifiers[i], otherIdentifiers[i], StringComparison.OrdinalIgnoreCase);
+                }
+
+                if (result != 0)
+                {
+                    return result;
+                }
+            }
+
+            return identifiers.Length - otherIdentifiers.Length;
+        }
+
+        private static bool IsNumericIdentifier(string identifier)
+            => identifier.Length > 0 && identifier.All((c) => c >= '0' && c <= '9');
+
+        public override string ToString() => _originalString;
+    }
+
+    /// <summary>
+    /// A NuGet version range, for example `1.0`, `[1.0]`, `[1.0, 2.0)` or `(, 2.0]`.
+    /// A plain version is a minimum inclusive version.
+    /// </summary>
+    private sealed class VersionRange
+    {
+        private readonly string _originalString;
+
+        private VersionRange(
+            PackageVersion? min,
+            bool isMinInclusive,
+            PackageVersion? max,
+            bool isMaxInclusive,
+            string originalString)
+        {
+            Min = min;
+            IsMinInclusive = isMinInclusive;
+            Max = max;
+            IsMaxInclusive = isMaxInclusive;
+            _originalString = originalString;
+        }
+
+        public static VersionRange Any { get; } = new(null, false, null, false, "(any version)");
+
+        public PackageVersion? Min { get; }
+
+        public bool IsMinInclusive { get; }
+
+        public PackageVersion? Max { get; }
+
+        public bool IsMaxInclusive { get; }
+
+        public static VersionRange Exact(PackageVersion version)
+            => new(version, true, version, true, version.ToString());
+
+        public static VersionRange Parse(string? rangeString)
+        {
+            if (string.IsNullOrWhiteSpace(rangeString))
+            {
+                return Any;
+            }
+
+            rangeString = rangeString!.Trim();
+            if (!rangeString.StartsWith("[") && !rangeString.StartsWith("("))
+            {
+                return new VersionRange(
+                    PackageVersion.Parse(rangeString), true, null, false, rangeString);
+            }
+
+            bool isMinInclusive = rangeString[0] == '[';
+            bool isMaxInclusive = rangeString[rangeString.Length - 1] == ']';
+            string[] parts = rangeString.Substring(1, rangeString.Length - 2).Split(',');
+            PackageVersion? min = !string.IsNullOrWhiteSpace(parts[0]) ?
+                PackageVersion.Parse(parts[0]) : null;
+            PackageVersion? max = parts.Length == 1 ? min :
+                !string.IsNullOrWhiteSpace(parts[1]) ? PackageVersion.Parse(parts[1]) : null;
+            return new VersionRange(min, isMinInclusive, max, isMaxInclusive, rangeString);
+        }
+
+        public bool Satisfies(PackageVersion version)
+            => SatisfiesMin(version) && SatisfiesMax(version);
+
+        public bool SatisfiesMin(PackageVersion version)
+        {
+            if (Min == null)
+            {
+                return true;
+            }
+
+            int result = version.CompareTo(Min);
+            return result > 0 || (result == 0 && IsMinInclusive);
+        }
+
+        public bool SatisfiesMax(PackageVersion version)
+        {
+            if (Max == null)
+            {
+                return true;
+            }
+
+            int result = version.CompareTo(Max);
+            return result < 0 || (result == 0 && IsMaxInclusive);
+        }
+
+        public override string ToString() => _originalString;
+    }
+}
@@ -0,0 +1,118 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Linq.Expressions;
+using System.Reflection;
+#if !NETSTANDARD
+using System.Reflection.Emit;
+#endif
+
+namespace Microsoft.JavaScript.NodeApi.DotNetHost;
+
+/// <summary>
+/// Expression that reads the value referenced by the result of a call to a method (or property
+/// getter) that returns by reference, or assigns a value via the returned reference.
+/// </summary>
+/// <remarks>
+/// LINQ expression trees do not support dereferencing or assigning through a ref return. So when
+/// compiled, this expression reduces to an invocation of a dynamic method that calls the method
+/// and then loads or stores the referenced value. When converted to C# by the source generator,
+/// it is simply the method call (and assignment), because C# implicitly dereferences ref returns.
+/// </remarks>
+public sealed class RefReturnExpression : Expression
+{
+    internal RefReturnExpression(MethodCallExpression call, Expression? value = null)
+    {
+        if (!call.Method.ReturnType.IsByRef)
+        {
+            throw new ArgumentException("Method does not return by reference.", nameof(call));
+        }
+
+        Call = call;
+        Value = value;
+    }
+
+    /// <summary>
+    /// Gets the call to the method that returns by reference.
+    /// </summary>
+    public MethodCallExpression Call { get; }
+
+    /// <summary>
+    /// Gets the value to assign via the returned reference, or null if the referenced value
+    /// is read.
+    /// </summary>
+    public Expression? Value { get; }
+
+    public override ExpressionType NodeType => ExpressionType.Extension;
+
+    public override Type Type => Value == null ?
+        Call.Method.ReturnType.GetElementType()! : typeof(void);
+
+    public override bool CanReduce => true;
+
+    public override Expression Reduce()
+    {
+        MethodInfo method = Call.Method;
+        List<Type> parameterTypes = new(method.GetParameters().Select((p) => p.ParameterType));
+        List<Expression> arguments = new(Call.Arguments);
+        if (Call.Object != null)
+        {
+            parameterTypes.Insert(0, method.DeclaringType!);
+            arguments.Insert(0, Call.Object);
+        }
+
+        if (Value != null)
+        {
+            parameterTypes.Add(Value.Type);
+            arguments.Add(Value);
+        }
+
+        Delegate accessor = CreateAccessor(method, parameterTypes.ToArray());
+        return Invoke(Constant(accessor), arguments);
+    }
+
+    private Delegate CreateAccessor(MethodInfo method, Type[] parameterTypes)
+    {
+#if NETSTANDARD
+        throw new NotSupportedException(
+            $"Ref return of method {method.Name} is not supported on this platform.");
+#else
+        Type elementType = method.ReturnType.GetElementType()!;
+        DynamicMethod accessor = new(
+            (Value == null ? "get_ref_" : "set_ref_") + method.Name,
+            Type,
+            parameterTypes,
+            restrictedSkipVisibility: true);
+        ILGenerator il = accessor.GetILGenerator();
+
+        int argumentCount = parameterTypes.Length - (Value == null ? 0 : 1);
+        for (int i = 0; i < argumentCount; i++)
+        {
+            // A struct instance method is called on the address of the (copied) struct value.
+            bool isStructThis = i == 0 && Call.Object != null && method.DeclaringType!.IsValueType;
+            il.Emit(isStructThis ? OpCodes.Ldarga : OpCodes.Ldarg, (short)i);
+        }
+
+        il.Emit(method.IsVirtual && !method.DeclaringType!.IsValueType ?
+            OpCodes.Callvirt : OpCodes.Call, method);
+
+        if (Value == null)
+        {
+            il.Emit(OpCodes.Ldobj, elementType);
+        }
+        else
+        {
+            il.Emit(OpCodes.Ldarg, (short)argumentCount);
+            il.Emit(OpCodes.Stobj, elementType);
+        }
+
+        il.Emit(OpCodes.Ret);
+
+        Type delegateType = GetDelegateType([.. parameterTypes, Type]);
+        return accessor.CreateDelegate(delegateType);
+#endif
+    }
+}
@@ -0,0 +1,459 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.IO;
+using System.Linq;
+using System.Reflection;
+using System.Text.RegularExpressions;
+using System.Xml.Linq;
+using Microsoft.JavaScript.NodeApi.Interop;
+
+namespace Microsoft.JavaScript.NodeApi.DotNetHost;
+
+using static Microsoft.JavaScript.NodeApi.DotNetHost.ManagedHost;
+
+/// <summary>
+/// Describes .NET types and namespaces that are projected to JS, as plain JS objects, for the
+/// `describe()` API of the dynamic .NET host.
+/// </summary>
+/// <remarks>
+/// Descriptions include the same members that are exported to JS by the
+/// <see cref="TypeExporter" />, along with summaries from the assembly's XML documentation file,
+/// if there is one next to the assembly file.
+/// </remarks>
+internal class TypeDescriber
+{
+    private static readonly Regex s_whitespaceRegex = new(@"\s+");
+
+    /// <summary>
+    /// Mapping from assemblies to their loaded XML documentation, or null if an assembly
+    /// does not have an XML documentation file.
+    /// </summary>
+    private readonly Dictionary<Assembly, Dictionary<string, XElement>?> _assemblyDocs = new();
+
+    public JSValue DescribeNamespace(NamespaceProxy namespaceProxy)
+    {
+        Trace($"> TypeDescriber.DescribeNamespace({namespaceProxy.Name})");
+
+        JSArray namespaces = new();
+        foreach (NamespaceProxy childNamespace in namespaceProxy.Namespaces.Values
+            .OrderBy((ns) => ns.Name, StringComparer.Ordinal))
+        {
+            namespaces.Add(childNamespace.Name);
+        }
+
+        JSArray types = new();
+        foreach (TypeProxy typeProxy in namespaceProxy.Types.Values
+            .OrderBy((t) => t.Name, StringComparer.Ordinal))
+        {
+            types.Add(FormatTypeName(typeProxy.Type));
+        }
+
+        Trace("< TypeDescriber.DescribeNamespace()");
+
+        return new JSObject
+        {
+            ["kind"] = "namespace",
+            ["name"] = namespaceProxy.Name,
+            ["namespaces"] = namespaces,
+            ["types"] = types,
+        };
+    }
+
+    public JSValue DescribeType(Type type)
+    {
+        Trace($"> TypeDescriber.DescribeType({type.FormatName()})");
+
+        JSObject description = new()
+        {
+            ["kind"] = GetTypeKind(type),
+            ["name"] = FormatTypeName(type),
+            ["jsName"] = TypeProxy.GetTypeProxyName(type),
+            ["namespace"] = type.Namespace ?? JSValue.Undefined,
+            ["assembly"] = type.Assembly.GetName().Name!,
+        };
+        SetSummary(description, type);
+
+        Type[] genericArguments = type.IsGenericType ? type.GetGenericArguments() : [];
+        description["genericArity"] = genericArguments.Length;
+        if (type.IsGenericTypeDefinition)
+        {
+            description["genericParameters"] = ToJSArray(genericArguments, (t) => t.Name);
+        }
+        else if (type.IsConstructedGenericType)
+        {
+            description["typeArguments"] = ToJSArray(genericArguments, (t) => FormatTypeName(t));
+        }
+
+        if (type.IsEnum)
+        {
+            description["values"] = ToJSArray(
+                type.GetFields(BindingFlags.Public | BindingFlags.Static),
+                (field) => new JSObject
+                {
+                    ["name"] = field.Name,
+                    ["value"] = Convert.ToInt64(
+                        field.GetRawConstantValue(), CultureInfo.InvariantCulture),
+                });
+
+            Trace("< TypeDescriber.DescribeType()");
+            return description;
+        }
+
+        bool isStatic = type.IsAbstract && type.IsSealed;
+        description["isStatic"] = isStatic;
+        description["isAbstract"] = type.IsAbstract && !type.IsInterface && !isStatic;
+
+        if (type.IsClass && type.BaseType != null && type.BaseType != typeof(object) &&
+            type.BaseType != typeof(MulticastDelegate))
+        {
+            description["baseType"] = FormatTypeName(type.BaseType);
+        }
+
+        description["interfaces"] = ToJSArray(
+            type.GetInterfaces().Where((i) => i.IsPublic || i.IsNestedPublic),
+            (t) => FormatTypeName(t));
+
+        BindingFlags bindingFlags = BindingFlags.Public | BindingFlags.Static |
+            (isStatic ? default : BindingFlags.Instance);
+
+        description["constructors"] = ToJSArray(
+            type.IsInterface || isStatic ? Enumerable.Empty<ConstructorInfo>() :
+                type.GetConstructors(BindingFlags.Public | BindingFlags.Instance)
+                .Where(TypeExporter.IsSupportedConstructor),
+            (constructor) =>
+            {
+                JSObject constructorDescription = new()
+                {
+                    ["parameters"] = DescribeParameters(constructor.GetParameters()),
+                };
+                SetSummary(constructorDescription, constructor);
+                return constructorDescription;
+            });
+
+        description["methods"] = ToJSArray(
+            type.GetMethods(bindingFlags)
+                .Where((m) => !m.IsSpecialName && TypeExporter.IsSupportedMethod(m))
+                .GroupBy((m) => (m.IsStatic, m.Name))
+                .OrderBy((g) => g.Key.Name, StringComparer.Ordinal),
+            (methodGroup) => new JSObject
+            {
+                ["name"] = methodGroup.Key.Name,
+                ["isStatic"] = methodGroup.Key.IsStatic,
+                ["overloads"] = ToJSArray(methodGroup, DescribeMethod),
+            });
+
+        description["properties"] = ToJSArray(
+            type.GetProperties(bindingFlags)
+                .Where((p) => p.GetIndexParameters().Length == 0 &&
+                    TypeExporter.IsSupportedType(p.PropertyType))
+                .OrderBy((p) => p.Name, StringComparer.Ordinal),
+            (property) =>
+            {
+                MethodInfo? getMethod = property.GetGetMethod();
+                MethodInfo? setMethod = property.GetSetMethod();
+                JSObject propertyDescription = new()
+                {
+                    ["name"] = property.Name,
+                    ["type"] = FormatTypeName(property.PropertyType),
+                    ["isStatic"] = (getMethod ?? setMethod)?.IsStatic == true,
+                    ["canRead"] = getMethod != null,
+                    ["canWrite"] = setMethod != null,
+                };
+                SetSummary(propertyDescription, property);
+                return propertyDescription;
+            });
+
+        description["events"] = ToJSArray(
+            type.GetEvents(bindingFlags).OrderBy((e) => e.Name, StringComparer.Ordinal),
+            (eventInfo) =>
+            {
+                JSObject eventDescription = new()
+                {
+                    ["name"] = eventInfo.Name,
+                    ["type"] = FormatTypeName(eventInfo.EventHandlerType!),
+                    ["isStatic"] = eventInfo.GetAddMethod()?.IsStatic == true,
+                };
+                SetSummary(eventDescription, eventInfo);
+                return eventDescription;
+            });
+
+        description["nestedTypes"] = ToJSArray(
+            type.GetNestedTypes(BindingFlags.Public), (t) => FormatTypeName(t));
+
+        Trace("< TypeDescriber.DescribeType()");
+        return description;
+    }
+
+    private JSValue DescribeMethod(MethodInfo method)
+    {
+        JSObject methodDescription = new()
+        {
+            ["parameters"] = DescribeParameters(method.GetParameters()),
+            ["returnType"] = FormatTypeName(method.ReturnType),
+            ["genericArity"] = method.IsGenericMethodDefinition ?
+                method.GetGenericArguments().Length : 0,
+        };
+
+        if (method.IsGenericMethodDefinition)
+        {
+            methodDescription["genericParameters"] = ToJSArray(
+                method.GetGenericArguments(), (t) => t.Name);
+        }
+
+        SetSummary(methodDescription, method);
+        return methodDescription;
+    }
+
+    private static JSArray DescribeParameters(ParameterInfo[] parameters)
+    {
+        return ToJSArray(parameters, (parameter) =>
+        {
+            JSObject parameterDescription = new()
+            {
+                ["name"] = parameter.Name ?? $"arg{parameter.Position}",
+                ["type"] = FormatTypeName(parameter.ParameterType),
+                ["isOptional"] = parameter.IsOptional,
+            };
+
+            if (parameter.ParameterType.IsByRef)
+            {
+                parameterDescription["modifier"] =
+                    parameter.IsOut ? "out" : parameter.IsIn ? "in" : "ref";
+            }
+
+            return parameterDescription;
+        });
+    }
+
+    internal static string GetTypeKind(Type type)
+    {
+        return type.IsEnum ? "enum" :
+            type.IsInterface ? "interface" :
+            type.IsValueType ? "struct" :
+            typeof(Delegate).IsAssignableFrom(type) ? "delegate" :
+            "class";
+    }
+
+    /// <summary>
+    /// Formats a type name for a description, including the namespace and any generic type
+    /// arguments, similar to how it would be written in C# code.
+    /// </summary>
+    private static string FormatTypeName(Type type)
+    {
+        if (type.IsByRef)
+        {
+            return FormatTypeName(type.GetElementType()!);
+        }
+        else if (type.IsGenericParameter)
+        {
+            return type.Name;
+        }
+        else if (type.IsArray)
+        {
+            return FormatTypeName(type.GetElementType()!) +
+                '[' + new string(',', type.GetArrayRank() - 1) + ']';
+        }
+        else if (Nullable.GetUnderlyingType(type) is Type nullableType)
+        {
+            return FormatTypeName(nullableType) + '?';
+        }
+        else if (type.IsGenericType)
+        {
+            Type genericTypeDefinition = type.GetGenericTypeDefinition();
+            string typeName = genericTypeDefinition.FullName ?? genericTypeDefinition.Name;
+            int nameEnd = typeName.LastIndexOf('`');
+            typeName = (nameEnd > 0 ? typeName.Substring(0, nameEnd) : typeName)
+                .Replace('+', '.');
+            return typeName + '<' +
+                string.Join(", ", type.GetGenericArguments().Select(FormatTypeName)) + '>';
+        }
+        else
+        {
+            return (type.FullName ?? type.Name).Replace('+', '.');
+        }
+    }
+
+    private static JSArray ToJSArray<T>(IEnumerable<T> items, Func<T, JSValue> toJSValue)
+    {
+        JSArray array = new();
+        foreach (T item in items)
+        {
+            array.Add(toJSValue(item));
+        }
+        return array;
+    }
+
+    private void SetSummary(JSObject description, MemberInfo member)
+    {
+        string? summary = GetSummary(member);
+        if (!string.IsNullOrEmpty(summary))
+        {
+            description["summary"] = summary!;
+        }
+    }
+
+    /// <summary>
+    /// Gets the summary of a member from the XML documentation file of its assembly,
+    /// or null if there is no documentation for the member.
+    /// </summary>
+    private string? GetSummary(MemberInfo member)
+    {
+        Assembly assembly = member.Module.Assembly;
+        if (!_assemblyDocs.TryGetValue(assembly, out Dictionary<string, XElement>? memberDocs))
+        {
+            memberDocs = LoadAssemblyDocs(assembly);
+            _assemblyDocs.Add(assembly, memberDocs);
+        }
+
+        if (memberDocs == null ||
+            !memberDocs.TryGetValue(GetMemberDocName(member), out XElement? memberElement))
+        {
+            return null;
+        }
+
+        XElement? summaryElement = memberElement.Element("summary");
+        return summaryElement == null ? null :
+            s_whitespaceRegex.Replace(FormatDocText(summaryElement), " ").Trim();
+    }
+
+    private static Dictionary<string, XElement>? LoadAssemblyDocs(Assembly assembly)
+    {
+        if (assembly.IsDynamic || string.IsNullOrEmpty(assembly.Location))
+        {
+            return null;
+        }
+
+        string docFilePath = Path.ChangeExtension(assembly.Location, ".xml");
+        if (!File.Exists(docFilePath))
+        {
+            return null;
+        }
+
+        Trace($"  TypeDescriber.LoadAssemblyDocs({docFilePath})");
+
+        try
+        {
+            Dictionary<string, XElement> memberDocs = new();
+            foreach (XElement memberElement in XDocument.Load(docFilePath).Root?
+                .Element("members")?.Elements("member") ?? [])
+            {
+                string? memberDocName = memberElement.Attribute("name")?.Value;
+                if (memberDocName != null)
+                {
+                    memberDocs[memberDocName] = memberElement;
+                }
+            }
+
+            return memberDocs;
+        }
+        catch (Exception ex)
+        {
+            // Invalid documentation should not prevent describing the types.
+            Trace($"  TypeDescriber.LoadAssemblyDocs() failed: {ex.Message}");
+            return null;
+        }
+    }
+
+    private static string FormatDocText(XNode node)
+    {
+        if (node is XElement element)
+        {
+            if (element.Name == "see" || element.Name == "seealso")
+            {
+                string? target = element.Attribute("cref")?.Value ??
+                    element.Attribute("langword")?.Value ??
+                    element.Attribute("href")?.Value;
+                if (!element.IsEmpty)
+                {
+                    return element.Value;
+                }
+                else if (target != null)
+                {
+                    // Remove the member kind prefix, such as `T:`, from a cref target.
+                    return target.Length > 2 && target[1] == ':' ? target.Substring(2) : target;
+                }
+            }
+            else if (element.Name == "paramref" || element.Name == "typeparamref")
+            {
+                return element.Attribute("name")?.Value ?? string.Empty;
+            }
+
+            return string.Concat(element.Nodes().Select(FormatDocText));
+        }
+
+        return node is XText text ? text.Value : string.Empty;
+    }
+
+    /// <summary>
+    /// Gets the name that identifies a member in an XML documentation file.
+    /// </summary>
+    private static string GetMemberDocName(MemberInfo member)
+    {
+        return member switch
+        {
+            Type type => $"T:{GetDocTypeName(type)}",
+            PropertyInfo property => $"P:{GetDocTypeName(property.DeclaringType!)}.{property.Name}",
+            EventInfo eventInfo => $"E:{GetDocTypeName(eventInfo.DeclaringType!)}.{eventInfo.Name}",
+            MethodInfo method => $"M:{GetDocTypeName(method.DeclaringType!)}.{method.Name}" +
+                (method.IsGenericMethodDefinition ?
+                    "``" + method.GetGenericArguments().Length : string.Empty) +
+                FormatDocParameters(method),
+            ConstructorInfo constructor =>
+                $"M:{GetDocTypeName(constructor.DeclaringType!)}.#ctor" +
+                FormatDocParameters(constructor),
+            _ => string.Empty,
+        };
+    }
+
+    private static string GetDocTypeName(Type type)
+    {
+        if (type.IsConstructedGenericType)
+        {
+            type = type.GetGenericTypeDefinition();
+        }
+
+        return (type.FullName ?? type.Name).Replace('+', '.');
+    }
+
+    private static string FormatDocParameters(MethodBase method)
+    {
+        ParameterInfo[] parameters = method.GetParameters();
+        return parameters.Length == 0 ? string.Empty :
+            '(' + string.Join(",", parameters.Select(
+                (p) => FormatDocParameterType(p.ParameterType))) + ')';
+    }
+
+    private static string FormatDocParameterType(Type type)
+    {
+        if (type.IsByRef)
+        {
+            return FormatDocParameterType(type.GetElementType()!) + '@';
+        }
+        else if (type.IsArray)
+        {
+            return FormatDocParameterType(type.GetElementType()!) +
+                (type.GetArrayRank() == 1 ? "[]" :
+                    '[' + string.Join(",", Enumerable.Repeat("0:", type.GetArrayRank())) + ']');
+        }
+        else if (type.IsGenericParameter)
+        {
+            return (type.DeclaringMethod != null ? "``" : "`") + type.GenericParameterPosition;
+        }
+        else if (type.IsGenericType)
+        {
+            string typeName = GetDocTypeName(type);
+            int nameEnd = typeName.LastIndexOf('`');
+            typeName = nameEnd > 0 ? typeName.Substring(0, nameEnd) : typeName;
+            return typeName + '{' +
+                string.Join(",", type.GetGenericArguments().Select(FormatDocParameterType)) + '}';
+        }
+        else
+        {
+            return GetDocTypeName(type);
+        }
+    }
+}
@@ -8,6 +8,7 @@ using System.IO;
 using System.Linq;
 using System.Reflection;
 using System.Runtime.CompilerServices;
+using System.Threading;
 using System.Threading.Tasks;
 using Microsoft.JavaScript.NodeApi.Interop;
 
@@ -45,7 +46,11 @@ public class TypeExporter
     /// <summary>
     /// Mapping from .NET Type objects to the JS objects that represent each type in JS.
     /// </summary>
-    private readonly Dictionary<Type, JSReference> _exportedTypes = new();
+    /// <remarks>
+    /// The mapping may be shared with other type exporters for isolated load contexts,
+    /// because each type can only be exported once.
+    /// </remarks>
+    private readonly Dictionary<Type, JSReference> _exportedTypes;
 
     /// <summary>
     /// Marshaller that dynamically generates expressions and compiles delegates for
@@ -55,6 +60,8 @@ public class TypeExporter
 
     private readonly JSReference? _namespaces;
 
+    private static int s_staticClassCount;
+
     /// <summary>
     /// Creates a new instance of the <see cref="TypeExporter" /> class.
     /// </summary>
@@ -64,8 +71,17 @@ public class TypeExporter
     /// <param name="namespaces">Optional JS object where top-level .NET namespace properties
     /// (like "System") will be defined for exported types.</param>
     public TypeExporter(JSMarshaller marshaller, JSObject? namespaces = null)
+        : this(marshaller, namespaces, new Dictionary<Type, JSReference>())
+    {
+    }
+
+    private TypeExporter(
+        JSMarshaller marshaller,
+        JSObject? namespaces,
+        Dictionary<Type, JSReference> exportedTypes)
     {
         _marshaller = marshaller;
+        _exportedTypes = exportedTypes;
 
         if (namespaces != null)
         {
@@ -84,6 +100,21 @@ public class TypeExporter
     /// </summary>
     public bool IsDelayLoadEnabled { get; set; } = true;
 
+    /// <summary>
+    /// Creates a type exporter that defines namespaces on a separate JS object, for types loaded
+    /// in an isolated load context. Types that were already exported, such as system types, are
+    /// shared with this exporter.
+    /// </summary>
+    /// <param name="namespaces">JS object where top-level .NET namespace properties will be
+    /// defined for types exported by the new exporter.</param>
+    public TypeExporter CreateIsolatedExporter(JSObject namespaces)
+    {
+        return new TypeExporter(_marshaller, namespaces, _exportedTypes)
+        {
+            IsDelayLoadEnabled = IsDelayLoadEnabled,
+        };
+    }
+
     /// <summary>
     /// Automatically export base types like `System.Object` and `System.Console` as soon as the
     /// 'System' namespace is referenced.
@@ -119,6 +150,11 @@ public class TypeExporter
         Trace($"> {nameof(TypeExporter)}.ExportAssemblyTypes({assemblyName})");
         int count = 0;
 
+        // Register custom converters for types that may be defined in other assemblies, before
+        // any types that use them are exported. (Converters specified directly on types are
+        // found by the marshaller when it builds marshalling code for those types.)
+        _marshaller.RegisterConverters(assembly);
+
         List<TypeProxy> typeProxies = new();
         List<MethodInfo> extensionMethods = new();
         foreach (Type type in assembly.GetTypes())
@@ -152,7 +188,7 @@ public class TypeExporter
                         JSPropertyDescriptor.DataProperty(
                             namespaceParts[0],
                             parentNamespace.Value,
-                            JSPropertyAttributes.Enumerable));
+                            JSPropertyAttributes.Enumerable | JSPropertyAttributes.Configurable));
                 }
             }
 
@@ -172,33 +208,22 @@ public class TypeExporter
                 parentNamespace = childNamespace;
             }
 
-            string typeName = TypeProxy.GetTypeProxyName(type);
-
-            // Multiple generic types may have the same name but with
-            // different numbers of type args. They are only exported once.
-            if (!(type.IsGenericTypeDefinition && parentNamespace.Types.ContainsKey(typeName)))
+            if (AddTypeProxy(parentNamespace, type) is TypeProxy typeProxy)
             {
-                TypeProxy typeProxy = new(parentNamespace, type);
-                parentNamespace.Types.Add(typeName, typeProxy);
                 typeProxies.Add(typeProxy);
-                Trace($"    {parentNamespace}.{typeName}");
-                count++;
             }
 
+            count++;
             extensionMethods.AddRange(GetExtensionMethods(type));
 
             foreach (Type nestedType in type.GetNestedTypes())
             {
-                string nestedTypeName = TypeProxy.GetTypeProxyName(nestedType);
-                if (!(nestedType.IsGenericTypeDefinition &&
-                    parentNamespace.Types.ContainsKey(nestedTypeName)))
+                if (AddTypeProxy(parentNamespace, nestedType) is TypeProxy nestedTypeProxy)
                 {
-                    TypeProxy typeProxy = new(parentNamespace, nestedType);
-                    parentNamespace.Types.Add(nestedTypeName, typeProxy);
-                    typeProxies.Add(typeProxy);
-                    Trace($"    {parentNamespace}.{nestedTypeName}");
-                    count++;
+                    typeProxies.Add(nestedTypeProxy);
                 }
+
+                count++;
             }
         }
 
@@ -219,6 +244,88 @@ public class TypeExporter
         Trace($"< {nameof(TypeExporter)}.ExportAssemblyTypes({assemblyName}) => {count} types");
     }
 
+    /// <summary>
+    /// Adds a proxy for a type to a namespace. Multiple generic types may have the same name but
+    /// different numbers of type args; they share a single proxy (and a single `$` function).
+    /// </summary>
+    /// <returns>The new type proxy, or null if the type was added to an existing proxy.</returns>
+    private static TypeProxy? AddTypeProxy(NamespaceProxy ns, Type type)
+    {
+        string typeName = TypeProxy.GetTypeProxyName(type);
+        Trace($"    {ns}.{typeName}");
+
+        if (type.IsGenericTypeDefinition &&
+            ns.Types.TryGetValue(typeName, out TypeProxy? genericTypeProxy) &&
+            genericTypeProxy.GenericTypeDefinitions != null)
+        {
+            genericTypeProxy.AddGenericTypeDefinition(type);
+            return null;
+        }
+
+        TypeProxy typeProxy = new(ns, type);
+        ns.Types.Add(typeName, typeProxy);
+        return typeProxy;
+    }
+
+    /// <summary>
+    /// Removes types defined in .NET assemblies that are being unloaded from the exported
+    /// namespaces, and releases references to the JS objects that represent the types.
+    /// </summary>
+    /// <param name="assemblies">Assemblies that are being unloaded.</param>
+    /// <remarks>
+    /// Constructed generic types with type arguments from the assemblies, and extension methods
+    /// defined in the assemblies, are also removed. Top-level namespaces that become empty are
+    /// deleted from the JS "namespaces" object (if one was passed to the
+    /// <see cref="TypeExporter" /> constructor).
+    /// </remarks>
+    public void UnexportAssemblyTypes(ICollection<Assembly> assemblies)
+    {
+        string assemblyNames = string.Join(", ", assemblies.Select((a) => a.GetName().Name));
+        Trace($"> {nameof(TypeExporter)}.UnexportAssemblyTypes({assemblyNames})");
+
+        bool isUnloadedType(Type type) => type.IsFromAssembly(assemblies);
+
+        JSRuntimeContext runtimeContext = JSRuntimeContext.Current;
+        foreach (KeyValuePair<Type, JSReference> exportedType in
+            _exportedTypes.Where((entry) => isUnloadedType(entry.Key)).ToArray())
+        {
+            _exportedTypes.Remove(exportedType.Key);
+
+            // Static classes are registered by name rather than by type.
+            if (exportedType.Key.IsAbstract && exportedType.Key.IsSealed &&
+                exportedType.Value.TryGetValue(out JSValue staticClassObject))
+            {
+                runtimeContext.UnregisterStaticClass(staticClassObject);
+            }
+
+            exportedType.Value.Dispose();
+        }
+
+        runtimeContext.UnregisterTypes(isUnloadedType);
+        _marshaller.RemoveCachedTypes(isUnloadedType);
+        _marshaller.RemoveConverters(assemblies);
+
+        int count = 0;
+        foreach (KeyValuePair<string, NamespaceProxy> entry in _exportedNamespaces.ToArray())
+        {
+            count += entry.Value.RemoveTypes(isUnloadedType);
+
+            if (entry.Value.IsEmpty)
+            {
+                _exportedNamespaces.Remove(entry.Key);
+                entry.Value.Release();
+
+                if (_namespaces != null)
+                {
+                    JSObject namespacesObject = (JSObject)_namespaces.GetValue();
+                    namespacesObject.Remove(entry.Key);
+                }
+            }
+        }
+
+        Trace($"< {nameof(TypeExporter)}.UnexportAssemblyTypes() => {count} types");
+    }
+
     private void RegisterDerivedType(TypeProxy derivedType, Type? baseOrInterfaceType = null)
     {
         if (baseOrInterfaceType == null)
@@ -363,6 +470,80 @@ public class TypeExporter
         return namespaceProxy;
     }
 
+    /// <summary>
+    /// Finds the proxy for a namespace whose JS object is the specified value.
+    /// </summary>
+    internal NamespaceProxy? GetNamespaceProxy(JSValue value)
+    {
+        static NamespaceProxy? FindNamespaceProxy(
+            IEnumerable<NamespaceProxy> namespaceProxies, JSValue value)
+        {
+            foreach (NamespaceProxy namespaceProxy in namespaceProxies)
+            {
+                if (namespaceProxy.IsValue(value))
+                {
+                    return namespaceProxy;
+                }
+
+                NamespaceProxy? childNamespaceProxy =
+                    FindNamespaceProxy(namespaceProxy.Namespaces.Values, value);
+                if (childNamespaceProxy != null)
+                {
+                    return childNamespaceProxy;
+                }
+            }
+
+            return null;
+        }
+
+        return value.IsObject() ? FindNamespaceProxy(_exportedNamespaces.Values, value) : null;
+    }
+
+    /// <summary>
+    /// Finds the proxy for a type by its full name, for example `System.IO.File` or (for a
+    /// generic type definition) `System.Collections.Generic.List$`.
+    /// </summary>
+    internal TypeProxy? GetTypeProxy(string typeFullName)
+    {
+        // The type name may include a containing type, if it is a nested type.
+        for (int i = typeFullName.IndexOf('.'); i > 0; i = typeFullName.IndexOf('.', i + 1))
+        {
+            if (GetNamespaceProxy(typeFullName.Substring(0, i))?.Types.TryGetValue(
+                typeFullName.Substring(i + 1), out TypeProxy? typeProxy) == true)
+            {
+                return typeProxy;
+            }
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Gets the .NET type that is represented by a JS value, if the value is an exported
+    /// class, struct, interface, enum, or generic type definition, or a wrapped .NET type object.
+    /// </summary>
+    internal Type? GetExportedType(JSValue value)
+    {
+        if (!value.IsObject())
+        {
+            return null;
+        }
+        else if (value.TryUnwrap() is Type type)
+        {
+            return type;
+        }
+
+        foreach (KeyValuePair<Type, JSReference> entry in _exportedTypes)
+        {
+            if (entry.Value.GetValue() == value)
+            {
+                return entry.Key;
+            }
+        }
+
+        return null;
+    }
+
     internal TypeProxy? GetTypeProxy(Type type)
     {
         if (type.IsConstructedGenericType)
@@ -484,8 +665,14 @@ public class TypeExporter
             object classBuilder;
             if (type.IsInterface || isStatic)
             {
+                // The name of a static class is only used as a key for registering the class
+                // with the runtime context, so it must be unique even when classes with the same
+                // name are loaded in multiple namespaces or isolated load contexts.
+                string className = isStatic ?
+                    type.FullName + "#" + Interlocked.Increment(ref s_staticClassCount) :
+                    type.Name;
                 classBuilder = classBuilderType.CreateInstance(
-                    new[] { typeof(string) }, new[] { type.Name });
+                    new[] { typeof(string) }, new[] { className });
             }
             else
             {
@@ -497,7 +684,9 @@ public class TypeExporter
             }
 
             ExportProperties(type, classBuilder, deferMembers);
+            ExportFields(type, classBuilder, deferMembers);
             ExportMethods(type, classBuilder, deferMembers);
+            ExportEvents(type, classBuilder);
             ExportNestedTypes(type, classBuilder);
 
             string defineMethodName = type.IsInterface ? "DefineInterface" :
@@ -578,6 +767,11 @@ public class TypeExporter
                 ExportTypeIfSupported(property.PropertyType, deferMembers: false);
             }
 
+            if (member is FieldInfo field && !JSMarshaller.IsConvertedType(field.FieldType))
+            {
+                ExportTypeIfSupported(field.FieldType, deferMembers: false);
+            }
+
             if (member is MethodInfo method &&
                 IsSupportedMethod(method) &&
                 !JSMarshaller.IsConvertedType(method.ReturnType))
@@ -585,6 +779,16 @@ public class TypeExporter
                 ExportTypeIfSupported(method.ReturnType, deferMembers: false);
             }
 
+            if (member is EventInfo eventInfo && eventInfo.EventHandlerType != null)
+            {
+                // Event args types must be exported so they can be marshalled to JS listeners.
+                foreach (ParameterInfo handlerParameter in
+                    eventInfo.EventHandlerType.GetMethod(nameof(Action.Invoke))!.GetParameters())
+                {
+                    ExportTypeIfSupported(handlerParameter.ParameterType, deferMembers: false);
+                }
+            }
+
             if (member is MethodInfo interfaceMethod && type.IsInterface)
             {
                 // Interface method parameter types must be exported in case the interface
@@ -697,7 +901,10 @@ public class TypeExporter
                     propertyAttributes |= JSPropertyAttributes.Static;
                 }
 
-                if (property.SetMethod != null)
+                // A property that returns a writable reference is set via the reference.
+                bool isWritable = property.SetMethod != null || (property.GetMethod != null &&
+                    JSMarshaller.ReturnsWritableRef(property.GetMethod));
+                if (isWritable)
                 {
                     propertyAttributes |= JSPropertyAttributes.Writable;
                 }
@@ -713,7 +920,7 @@ public class TypeExporter
                         {
                             JSCallback getter =
                                 _marshaller.BuildFromJSPropertyGetExpression(property).Compile();
-                            JSCallback? setter = property.SetMethod == null ? null :
+                            JSCallback? setter = !isWritable ? null :
                                 _marshaller.BuildFromJSPropertySetExpression(property).Compile();
                             args.ThisArg.DefineProperties(JSPropertyDescriptor.AccessorProperty(
                                 property.Name, getter, setter, propertyAttributes));
@@ -731,7 +938,7 @@ public class TypeExporter
                 }
 
                 JSCallback? setterCallback = null;
-                if (property.SetMethod != null)
+                if (isWritable)
                 {
                     if (defer)
                     {
@@ -770,6 +977,163 @@ public class TypeExporter
         }
     }
 
+    private void ExportFields(Type type, object classBuilder, bool defer)
+    {
+        Type classBuilderType = classBuilder.GetType();
+        MethodInfo? addValuePropertyMethod = classBuilderType.GetInstanceMethod(
+            "AddProperty", new[] { typeof(string), typeof(JSPropertyAttributes) });
+        MethodInfo addPropertyMethod = classBuilderType.GetInstanceMethod(
+            "AddProperty",
+            new[]
+            {
+                typeof(string),
+                typeof(JSCallback),
+                typeof(JSCallback),
+                typeof(JSPropertyAttributes),
+                typeof(object),
+            });
+
+        bool isStatic = type.IsAbstract && type.IsSealed;
+
+        foreach (FieldInfo field in type.GetFields(
+            BindingFlags.Public | BindingFlags.Static |
+            (isStatic ? default : BindingFlags.Instance)))
+        {
+            if (!IsSupportedField(field))
+            {
+                continue;
+            }
+
+            // Fields are projected as properties. Readonly and const fields are read-only.
+            bool isReadOnly = field.IsInitOnly || field.IsLiteral;
+            JSPropertyAttributes fieldAttributes =
+                JSPropertyAttributes.Enumerable | JSPropertyAttributes.Configurable |
+                (isReadOnly ? default : JSPropertyAttributes.Writable);
+
+            Trace($"    {(field.IsStatic ? "static " : string.Empty)}field {field.Name}");
+
+            if (type.IsValueType && !field.IsStatic)
+            {
+                // Struct instance fields are converted to/from `JSValue` by the struct adapter
+                // method, the same as struct instance properties.
+                addValuePropertyMethod.Invoke(
+                    classBuilder,
+                    new object[] { field.Name, fieldAttributes | JSPropertyAttributes.Writable });
+                continue;
+            }
+
+            if (field.IsStatic)
+            {
+                fieldAttributes |= JSPropertyAttributes.Static;
+            }
+
+            JSCallback getterCallback;
+            JSCallback? setterCallback = null;
+            if (defer)
+            {
+                // Set up callbacks that defer generation of marshalling callbacks
+                // for the field until the first time it is accessed.
+                void DefineField(JSValue obj)
+                {
+                    JSCallback getter = _marshaller.BuildFromJSFieldGetExpression(field).Compile();
+                    JSCallback? setter = isReadOnly ? null :
+                        _marshaller.BuildFromJSFieldSetExpression(field).Compile();
+                    obj.DefineProperties(JSPropertyDescriptor.AccessorProperty(
+                        field.Name, getter, setter, fieldAttributes));
+
+                    ExportTypeIfSupported(field.FieldType, deferMembers: true);
+                }
+
+                getterCallback = (args) =>
+                {
+                    DefineField(args.ThisArg);
+                    return args.ThisArg[field.Name];
+                };
+
+                if (!isReadOnly)
+                {
+                    setterCallback = (args) =>
+                    {
+                        DefineField(args.ThisArg);
+                        args.ThisArg[field.Name] = args[0];
+                        return default;
+                    };
+                }
+            }
+            else
+            {
+                getterCallback = _marshaller.BuildFromJSFieldGetExpression(field).Compile();
+                if (!isReadOnly)
+                {
+                    setterCallback = _marshaller.BuildFromJSFieldSetExpression(field).Compile();
+                }
+            }
+
+            addPropertyMethod.Invoke(
+                classBuilder,
+                new object?[]
+                {
+                    field.Name,
+                    getterCallback,
+                    setterCallback,
+                    fieldAttributes,
+                    null,
+                });
+        }
+    }
+
+    private void ExportEvents(Type type, object classBuilder)
+    {
+        if (type.IsValueType)
+        {
+            // Struct instances are passed by value, so JS cannot listen to their events.
+            return;
+        }
+
+        MethodInfo addEventMethod = classBuilder.GetType().GetMethod("AddEvent")!;
+        bool isStatic = type.IsAbstract && type.IsSealed;
+
+        foreach (EventInfo eventInfo in type.GetEvents(
+            BindingFlags.Public | BindingFlags.Static |
+            (isStatic ? default : BindingFlags.Instance)))
+        {
+            Type? eventHandlerType = eventInfo.EventHandlerType;
+            MethodInfo? invokeMethod = eventHandlerType?.GetMethod(nameof(Action.Invoke));
+            if (eventHandlerType == null || invokeMethod == null ||
+                eventInfo.AddMethod?.IsPublic != true ||
+                eventInfo.RemoveMethod?.IsPublic != true ||
+                !IsSupportedType(eventHandlerType) ||
+                !invokeMethod.GetParameters().All((p) => IsSupportedType(p.ParameterType)) ||
+                !(invokeMethod.ReturnType == typeof(void) ||
+                    IsSupportedType(invokeMethod.ReturnType)))
+            {
+                continue;
+            }
+
+            bool isStaticEvent = eventInfo.AddMethod.IsStatic;
+            Trace($"    {(isStaticEvent ? "static " : string.Empty)}event {eventInfo.Name}");
+
+            // Handlers are added and removed via reflection, for both instance and static events.
+            // (The target is null for static events.)
+            Action<object?, Delegate> addHandler =
+                (target, handler) => eventInfo.AddEventHandler(target, handler);
+            Action<object?, Delegate> removeHandler =
+                (target, handler) => eventInfo.RemoveEventHandler(target, handler);
+
+            addEventMethod.MakeGenericMethod(eventHandlerType).Invoke(
+                classBuilder,
+                new object[]
+                {
+                    eventInfo.Name,
+                    _marshaller.GetFromJSValueDelegate(eventHandlerType),
+                    addHandler,
+                    removeHandler,
+                    JSPropertyAttributes.DefaultMethod |
+                        (isStaticEvent ? JSPropertyAttributes.Static : default),
+                });
+        }
+    }
+
     private void ExportMethods(Type type, object classBuilder, bool defer)
     {
         Type classBuilderType = classBuilder.GetType();
@@ -988,7 +1352,7 @@ public class TypeExporter
         return enumObjectReference;
     }
 
-    private static bool IsSupportedType(Type type)
+    internal static bool IsSupportedType(Type type)
     {
         if (type.IsByRef)
         {
@@ -1045,27 +1409,41 @@ public class TypeExporter
 #endif
     }
 
-    private static bool IsSupportedConstructor(ConstructorInfo constructor)
+    internal static bool IsSupportedConstructor(ConstructorInfo constructor)
     {
         return constructor.GetParameters().All(IsSupportedParameter);
     }
 
-    private static bool IsSupportedMethod(MethodInfo method)
+    internal static bool IsSupportedMethod(MethodInfo method)
     {
         return method.CallingConvention != CallingConventions.VarArgs &&
             method.Name != nameof(System.Collections.IEnumerable.GetEnumerator) &&
             method.GetParameters().All(IsSupportedParameter) &&
-            (method.ReturnType == typeof(void) || IsSupportedParameter(method.ReturnParameter));
+            (method.ReturnType == typeof(void) || IsSupportedParameter(method.ReturnParameter)) &&
+            (!method.ReturnType.IsByRef || method.GetParameters().All(
+                (p) => !p.ParameterType.IsByRef && !JSMarshaller.IsSpanType(p.ParameterType)));
+    }
+
+    /// <summary>
+    /// Checks whether a field is projected to JS. Fields of unsupported types (including pointer
+    /// and ref struct types) and fields excluded by <c>[JSExport(false)]</c> are skipped, both
+    /// when exporting the field as a property and when marshalling a struct by value.
+    /// </summary>
+    internal static bool IsSupportedField(FieldInfo field)
+    {
+        return IsSupportedType(field.FieldType) &&
+            field.GetCustomAttribute<JSExportAttribute>()?.Export != false;
     }
 
     private static bool IsSupportedParameter(ParameterInfo parameter)
     {
         Type parameterType = parameter.ParameterType;
 
-        if (parameter.Position < 0 && parameterType.IsByRef)
+        if (parameter.Position >= 0 && JSMarshaller.IsSpanType(parameterType))
         {
-            // Ref return values are not supported.
-            return false;
+            // Span parameters of TypedArray element types (or chars) are supported, though
+            // other uses of ref structs are not.
+            return true;
         }
 
         return IsSupportedType(parameterType);
@@ -1075,34 +1453,54 @@ public class TypeExporter
         Type type,
         Func<Type, JSValue> exportConstructedGeneric)
     {
-        // TODO: Support multiple generic types with same name and differing type arg counts.
+        return ExportGenericTypeDefinition(new[] { type }, exportConstructedGeneric);
+    }
+
+    /// <summary>
+    /// Exports generic type definitions that have the same name but different numbers of type
+    /// parameters, as a single JS function that makes a generic type from type arguments.
+    /// </summary>
+    /// <param name="types">Generic type definitions, where the first one identifies the exported
+    /// function. The list may grow after export, as more same-named types are loaded.</param>
+    /// <param name="exportConstructedGeneric">A callback that exports a constructed generic
+    /// type to JS and returns the exported JS class object.</param>
+    /// <returns>A reference to the exported JS function.</returns>
+    public JSReference ExportGenericTypeDefinition(
+        IReadOnlyList<Type> types,
+        Func<Type, JSValue> exportConstructedGeneric)
+    {
+        if (types.Count == 0) throw new ArgumentException("No generic types.", nameof(types));
 
+        Type type = types[0];
         if (_exportedTypes.TryGetValue(type, out JSReference? genericTypeFunctionReference))
         {
             return genericTypeFunctionReference;
         }
 
-        Trace($"> {nameof(TypeExporter)}.ExportGenericTypeDefinition({type.FormatName()})");
+        Trace($"> {nameof(TypeExporter)}.ExportGenericTypeDefinition({FormatNames(types)})");
 
-        // A generic type definition is exported as a function that constructs the
-        // generic type from type args.
+        // Generic type definitions are exported as a function that constructs the
+        // generic type from type args, choosing the definition by number of type args.
         JSFunction function = new(
-            (args) => MakeGenericType(args, exportConstructedGeneric), callbackData: type);
+            (args) => MakeGenericType(args, exportConstructedGeneric), callbackData: types);
 
-        // Override the type's toString() to return the formatted generic type name.
-        ((JSValue)function).SetProperty("toString", new JSFunction(() => type.FormatName()));
+        // Override the type's toString() to return the formatted generic type name(s).
+        ((JSValue)function).SetProperty("toString", new JSFunction(() => FormatNames(types)));
 
         genericTypeFunctionReference = new JSReference(function);
         _exportedTypes.Add(type, genericTypeFunctionReference);
 
-        Trace($"< {nameof(TypeExporter)}.ExportGenericTypeDefinition({type.FormatName()})");
+        Trace($"< {nameof(TypeExporter)}.ExportGenericTypeDefinition({FormatNames(types)})");
 
         return genericTypeFunctionReference;
     }
 
+    private static string FormatNames(IEnumerable<Type> types)
+        => string.Join(" | ", types.Select((t) => t.FormatName()));
+
     /// <summary>
-    /// Makes and exports a constructed generic type from a generic type definition and
-    /// type arguments.
+    /// Makes and exports a constructed generic type from one of the generic type definitions
+    /// with the same number of type parameters as the supplied type arguments.
     /// </summary>
     /// <param name="args">Type arguments passed as JS values.</param>
     /// <param name="exportConstructedGeneric">A callback that exports a constructed generic
@@ -1112,7 +1510,7 @@ public class TypeExporter
         JSCallbackArgs args,
         Func<Type, JSValue> exportConstructedGeneric)
     {
-        Type genericTypeDefinition = args.Data as Type ??
+        IReadOnlyList<Type> genericTypeDefinitions = args.Data as IReadOnlyList<Type> ??
             throw new ArgumentException("Missing generic type definition.");
 
         Type[] typeArgs = new Type[args.Length];
@@ -1122,6 +1520,22 @@ public class TypeExporter
                 throw new ArgumentException($"Invalid generic type argument at position {i}.");
         }
 
+        Type? genericTypeDefinition = genericTypeDefinitions.FirstOrDefault(
+            (t) => t.GetGenericArguments().Length == typeArgs.Length);
+        if (genericTypeDefinition == null && genericTypeDefinitions.Count > 1)
+        {
+            string typeArgNames = string.Join(", ", typeArgs.Select((t) => t.FormatName()));
+            string typeArgCounts = string.Join(
+                " or ", genericTypeDefinitions.Select((t) => t.GetGenericArguments().Length));
+            throw new JSException(
+                $"Failed to make generic type {FormatNames(genericTypeDefinitions)} with " +
+                $"supplied type arguments: [{typeArgNames}]. " +
+                $"Expected {typeArgCounts} type arguments.");
+        }
+
+        // With a single generic type definition, let MakeGenericType() report a wrong count.
+        genericTypeDefinition ??= genericTypeDefinitions[0];
+
         Type genericType;
         try
         {
@@ -2,6 +2,7 @@
 // Licensed under the MIT License.
 
 using System;
+using System.Collections.Generic;
 using System.Linq;
 using System.Reflection;
 
@@ -97,6 +98,61 @@ internal static class TypeExtensions
                 $"Implicit conversion method for {fromType.Name}->{toType.Name} " +
                 $"not found on type {declaringType.Name}.");
 
+    /// <summary>
+    /// Checks whether a type is defined in one of the specified assemblies, or is an array,
+    /// by-ref, pointer or generic type constructed from a type defined in one of them.
+    /// </summary>
+    public static bool IsFromAssembly(this Type type, ICollection<Assembly> assemblies)
+    {
+        if (type.HasElementType)
+        {
+            return type.GetElementType()!.IsFromAssembly(assemblies);
+        }
+
+        return assemblies.Contains(type.Assembly) ||
+            (type.IsConstructedGenericType &&
+            type.GenericTypeArguments.Any((t) => t.IsFromAssembly(assemblies)));
+    }
+
+    /// <summary>
+    /// Checks whether a type is one of the specified types, or is an array, by-ref, pointer or
+    /// generic type constructed from one of them.
+    /// </summary>
+    public static bool IsConstructedFrom(this Type type, ICollection<Type> types)
+    {
+        if (type.HasElementType)
+        {
+            return type.GetElementType()!.IsConstructedFrom(types);
+        }
+
+        return types.Contains(type) ||
+            (type.IsConstructedGenericType &&
+            type.GenericTypeArguments.Any((t) => t.IsConstructedFrom(types)));
+    }
+
+#if !(NETFRAMEWORK || NETSTANDARD)
+    /// <summary>
+    /// Gets the first collectible assembly that defines the type or any of the types it is
+    /// constructed from, or null if the type does not depend on any collectible assembly.
+    /// </summary>
+    public static Assembly? GetCollectibleAssembly(this Type type)
+    {
+        if (type.HasElementType)
+        {
+            return type.GetElementType()!.GetCollectibleAssembly();
+        }
+
+        if (type.Assembly.IsCollectible)
+        {
+            return type.Assembly;
+        }
+
+        return type.IsConstructedGenericType ?
+            type.GenericTypeArguments.Select((t) => t.GetCollectibleAssembly())
+                .FirstOrDefault((a) => a != null) : null;
+    }
+#endif
+
 #if NETFRAMEWORK || NETSTANDARD
 
     //https://github.com/dotnet/runtime/issues/23493
@@ -18,6 +18,7 @@ using static Microsoft.JavaScript.NodeApi.DotNetHost.ManagedHost;
 internal class TypeProxy
 {
     private JSReference? _jsType;
+    private List<Type>? _genericTypeDefinitions = null;
     private List<MethodInfo>? _extensionMethods = null;
     private List<TypeProxy>? _derivedTypes = null;
 
@@ -29,6 +30,7 @@ internal class TypeProxy
 
         if (type.IsGenericTypeDefinition)
         {
+            _genericTypeDefinitions = new List<Type> { type };
             ConstructedGenerics = new List<TypeProxy>();
         }
     }
@@ -78,9 +80,21 @@ internal class TypeProxy
     /// </summary>
     public Type Type { get; }
 
+    /// <summary>
+    /// Gets the generic type definitions that share the same name, ordered by number of type
+    /// parameters, or null if this type proxy is not for a generic type definition.
+    /// </summary>
+    /// <remarks>
+    /// Multiple generic types may have the same name but different numbers of type parameters,
+    /// for example `Action<T>` and `Action<T1, T2>`. They are all projected as one JS function
+    /// (with a `$` suffix) that makes a generic type according to the number of type arguments.
+    /// The first item is always the proxy's own <see cref="Type" />.
+    /// </remarks>
+    public IReadOnlyList<Type>? GenericTypeDefinitions => _genericTypeDefinitions;
+
     /// <summary>
     /// Gets the collection of proxies for types constructed from the current generic type
-    /// definition, or null if this type proxy is not for a generic type definition.
+    /// definition(s), or null if this type proxy is not for a generic type definition.
     /// </summary>
     public ICollection<TypeProxy>? ConstructedGenerics { get; }
 
@@ -105,7 +119,7 @@ internal class TypeProxy
             if (Type.IsGenericTypeDefinition)
             {
                 _jsType = Namespace.TypeExporter.ExportGenericTypeDefinition(
-                    Type,
+                    _genericTypeDefinitions!,
                     ExportConstructedGenericType);
             }
             else
@@ -113,6 +127,15 @@ internal class TypeProxy
                 _jsType = Namespace.TypeExporter.TryExportType(Type);
             }
 
+            if (_jsType != null && !Type.IsEnum)
+            {
+                // Show the kind and full name of the type when inspected by Node.js util.inspect().
+                // (Enums are plain objects, so the default display of their values is better.)
+                string inspectString = $"[{TypeDescriber.GetTypeKind(Type)} {Type.FormatName()}]";
+                _jsType.GetValue()[JSValue.SymbolFor("nodejs.util.inspect.custom")] =
+                    new JSFunction("inspect", () => inspectString);
+            }
+
             if (_jsType != null)
             {
                 // Note it would be more efficient to include known extension methods when defining
@@ -129,6 +152,37 @@ internal class TypeProxy
         }
     }
 
+    /// <summary>
+    /// Adds another generic type definition that has the same name as the current generic type
+    /// definition but a different number of type parameters.
+    /// </summary>
+    public void AddGenericTypeDefinition(Type genericTypeDefinition)
+    {
+        if (_genericTypeDefinitions == null)
+        {
+            throw new InvalidOperationException(
+                $"Type proxy {Name} is not for a generic type definition.");
+        }
+
+        int typeArgCount = genericTypeDefinition.GetGenericArguments().Length;
+        if (_genericTypeDefinitions.Any((t) => t.GetGenericArguments().Length == typeArgCount))
+        {
+            // A generic type with the same name and number of type args (possibly in another
+            // assembly) is already known. The first one wins.
+            return;
+        }
+
+        // Keep the proxy's own type first, and the others ordered by number of type args.
+        int index = 1;
+        while (index < _genericTypeDefinitions.Count &&
+            _genericTypeDefinitions[index].GetGenericArguments().Length < typeArgCount)
+        {
+            index++;
+        }
+
+        _genericTypeDefinitions.Insert(index, genericTypeDefinition);
+    }
+
     /// <summary>
     /// For a class, gets all subclasses of the current class; for an interface, gets all
     /// interfaces that extend the current interface as well as classes that implement the
@@ -207,11 +261,13 @@ internal class TypeProxy
             else
             {
                 Type extensionTargetType = extensionMethod.GetParameters()[0].ParameterType;
-                if (extensionTargetType.GenericTypeArguments.Length ==
-                    Type.GetGenericArguments().Length)
+                Type? genericTypeDefinition = _genericTypeDefinitions!.FirstOrDefault(
+                    (t) => t.GetGenericArguments().Length ==
+                        extensionTargetType.GenericTypeArguments.Length);
+                if (genericTypeDefinition != null)
                 {
                     // Apply the method to the matching specific constructed generic type.
-                    Type genericType = Type.MakeGenericType(
+                    Type genericType = genericTypeDefinition.MakeGenericType(
                         extensionTargetType.GenericTypeArguments);
                     TypeProxy genericTypeProxy = GetOrCreateConstructedGeneric(
                         genericType);
@@ -224,7 +280,11 @@ internal class TypeProxy
             if (extensionMethod.IsGenericMethodDefinition && Type.IsConstructedGenericType)
             {
                 // Are the extension method type args always the same as the target type args?
+                // (Also skip methods that extend a same-named generic type of different arity.)
+                Type extensionTargetType = extensionMethod.GetParameters()[0].ParameterType;
                 if (extensionMethod.GetGenericArguments().Length !=
+                    Type.GenericTypeArguments.Length ||
+                    extensionTargetType.GetGenericArguments().Length !=
                     Type.GenericTypeArguments.Length)
                 {
                     // Not supported.
@@ -253,6 +313,64 @@ internal class TypeProxy
         }
     }
 
+    /// <summary>
+    /// Removes derived types, constructed generic types, and extension methods that match a
+    /// predicate, for example because the assembly that defines them is being unloaded.
+    /// Extension methods that were already exported to JS are removed from the JS prototype.
+    /// </summary>
+    public void RemoveTypeReferences(Func<Type, bool> predicate)
+    {
+        _derivedTypes?.RemoveAll((t) => predicate(t.Type));
+        _genericTypeDefinitions?.RemoveAll((t) => t != Type && predicate(t));
+
+        if (ConstructedGenerics != null)
+        {
+            foreach (TypeProxy genericTypeProxy in ConstructedGenerics.ToArray())
+            {
+                if (predicate(genericTypeProxy.Type))
+                {
+                    ConstructedGenerics.Remove(genericTypeProxy);
+                }
+                else
+                {
+                    genericTypeProxy.RemoveTypeReferences(predicate);
+                }
+            }
+        }
+
+        if (_extensionMethods == null)
+        {
+            return;
+        }
+
+        string[] removedMethodNames = _extensionMethods
+            .Where((m) => predicate(m.DeclaringType!))
+            .Select((m) => m.Name)
+            .Distinct()
+            .ToArray();
+        _extensionMethods.RemoveAll((m) => predicate(m.DeclaringType!));
+
+        if (_jsType != null)
+        {
+            foreach (string methodName in removedMethodNames)
+            {
+                MethodInfo[] remainingExtensionMethods =
+                    _extensionMethods.Where((m) => m.Name == methodName).ToArray();
+                if (remainingExtensionMethods.Length > 0 ||
+                    Type.GetMethods(BindingFlags.Public | BindingFlags.Instance)
+                        .Any((m) => m.Name == methodName))
+                {
+                    // Re-define the method without the removed overloads.
+                    ExportExtensionMethod(methodName, remainingExtensionMethods);
+                }
+                else
+                {
+                    ((JSObject)Value!.Value["prototype"]).Remove(methodName);
+                }
+            }
+        }
+    }
+
     /// <summary>
     /// Gets the full name of the type.
     /// </summary>
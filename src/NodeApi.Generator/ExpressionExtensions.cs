@@ -8,6 +8,7 @@ using System.Linq.Expressions;
 using System.Reflection;
 using System.Runtime.CompilerServices;
 using System.Text;
+using Microsoft.JavaScript.NodeApi.DotNetHost;
 using static Microsoft.JavaScript.NodeApi.DotNetHost.JSMarshaller;
 
 namespace Microsoft.JavaScript.NodeApi.Generator;
@@ -71,6 +72,7 @@ internal static class ExpressionExtensions
             ConstantExpression constant => constant.Type == typeof(Type) ?
                 $"typeof({FormatType((Type)constant.Value!)})" :
                 constant.Type == typeof(bool) ? constant.ToString().ToLowerInvariant() :
+                constant.Type.IsEnum ? $"{FormatType(constant.Type)}.{constant.Value}" :
                 constant.ToString(),
 
             DefaultExpression defaultExpression => "default",
@@ -201,6 +203,12 @@ internal static class ExpressionExtensions
                     ToCS(((MemberAssignment)b).Expression, path, variables) + ",\n")) +
                 "}",
 
+            // C# implicitly dereferences a ref return, and can assign through it.
+            RefReturnExpression refReturn => refReturn.Value == null ?
+                ToCS(refReturn.Call, path, variables) :
+                ToCS(refReturn.Call, path, variables) + " = " +
+                    ToCS(refReturn.Value, path, variables),
+
             _ => throw new NotImplementedException(
                 "Expression type not implemented: " +
                 $"{expression.GetType().Name} ({expression.NodeType}) at {path}"),
@@ -55,6 +55,23 @@ public class ModuleGenerator : SourceGenerator, ISourceGenerator
             (context.Compilation.AssemblyName ?? "Assembly") + ".NodeApi.g.cs";
         try
         {
+            // Module-wide marshalling options are specified on the assembly-level attribute.
+            AttributeData? assemblyExportAttribute = GetJSExportAttribute(
+                context.Compilation.Assembly);
+            _marshaller.DecimalMarshalling = GetNamedArgumentValue(
+                assemblyExportAttribute,
+                nameof(JSExportAttribute.DecimalAs),
+                JSDecimalMarshalling.String);
+            _marshaller.Int64Marshalling = GetNamedArgumentValue(
+                assemblyExportAttribute,
+                nameof(JSExportAttribute.Int64As),
+                JSInt64Marshalling.Number);
+            _marshaller.DateMarshalling = GetNamedArgumentValue(
+                assemblyExportAttribute,
+                nameof(JSExportAttribute.DatesAs),
+                JSDateMarshalling.Default);
+            RegisterConverters();
+
             ISymbol? moduleInitializer = GetModuleInitializer();
             List<ISymbol> exportItems = GetModuleExportItems().ToList();
 
@@ -96,6 +113,55 @@ public class ModuleGenerator : SourceGenerator, ISourceGenerator
           .OfType<ITypeSymbol>();
     }
 
+    /// <summary>
+    /// Registers custom converters specified by [JSMarshalAs] attributes on the assembly
+    /// and on types in the current compilation.
+    /// </summary>
+    private void RegisterConverters()
+    {
+        foreach (AttributeData attribute in Context.Compilation.Assembly.GetAttributes()
+            .Where(IsMarshalAsAttribute))
+        {
+            if (attribute.ConstructorArguments.Length == 2 &&
+                attribute.ConstructorArguments[0].Value is ITypeSymbol typeSymbol &&
+                attribute.ConstructorArguments[1].Value is ITypeSymbol converterSymbol)
+            {
+                RegisterConverter(typeSymbol, converterSymbol, attribute);
+            }
+        }
+
+        foreach (ITypeSymbol typeSymbol in GetCompilationTypes())
+        {
+            AttributeData? attribute = typeSymbol.GetAttributes()
+                .FirstOrDefault(IsMarshalAsAttribute);
+            if (attribute?.ConstructorArguments.Length == 1 &&
+                attribute.ConstructorArguments[0].Value is ITypeSymbol converterSymbol)
+            {
+                RegisterConverter(typeSymbol, converterSymbol, attribute);
+            }
+        }
+
+        static bool IsMarshalAsAttribute(AttributeData a)
+            => a.AttributeClass?.AsType() == typeof(JSMarshalAsAttribute);
+    }
+
+    private void RegisterConverter(
+        ITypeSymbol typeSymbol, ITypeSymbol converterSymbol, AttributeData attribute)
+    {
+        try
+        {
+            _marshaller.RegisterConverter(typeSymbol.AsType(), converterSymbol.AsType());
+        }
+        catch (ArgumentException ex)
+        {
+            ReportDiagnostic(
+                DiagnosticSeverity.Error,
+                DiagnosticId.InvalidConverter,
+                attribute.ApplicationSyntaxReference?.GetSyntax().GetLocation(),
+                ex.Message);
+        }
+    }
+
     /// <summary>
     /// Scans classes and static methods to find a single item with a [JSModule] attribute.
     /// </summary>
@@ -345,6 +411,7 @@ public class ModuleGenerator : SourceGenerator, ISourceGenerator
         s += "}";
         s += "}";
 
+        GenerateInterfaceEventCallbackAdapters();
         GenerateCallbackAdapters(ref s);
 
         foreach (ITypeSymbol interfaceSymbol in _exportedInterfaces)
@@ -660,6 +727,10 @@ public class ModuleGenerator : SourceGenerator, ISourceGenerator
             {
                 s += $".AddProperty(\"{field.Name}\", {field.ConstantValue}, {propertyAttributes})";
             }
+            else if (member is IFieldSymbol classOrStructField)
+            {
+                ExportField(ref s, classOrStructField, GetExportName(member));
+            }
             else if (member is INamedTypeSymbol nestedType &&
                 nestedType.TypeKind != TypeKind.Delegate)
             {
@@ -676,6 +747,24 @@ public class ModuleGenerator : SourceGenerator, ISourceGenerator
         {
             ExportMethod(ref s, methodGroup, methodGroup.Key);
         }
+
+        if (type.TypeKind == TypeKind.Class || type.TypeKind == TypeKind.Interface)
+        {
+            // Events from base types are included because the `on()`, `once()`, and `off()`
+            // methods defined for this type hide the methods defined for any base type.
+            IEnumerable<IEventSymbol> events = GetMembers(type, includeBaseMembers: true)
+                .OfType<IEventSymbol>()
+                .Where((e) => e.DeclaredAccessibility == Accessibility.Public ||
+                    e.ContainingType.TypeKind == TypeKind.Interface)
+                .Where((e) => !isStreamClass || e.IsStatic)
+                .Where((e) => !e.IsStatic || SymbolEqualityComparer.Default.Equals(
+                    e.ContainingType, type))
+                .Where(IsExported);
+            foreach (IEventSymbol @event in events)
+            {
+                ExportEvent(ref s, @event, GetExportName(@event));
+            }
+        }
     }
 
     /// <summary>
@@ -731,7 +820,7 @@ public class ModuleGenerator : SourceGenerator, ISourceGenerator
       IPropertySymbol property,
       string exportName)
     {
-        bool writable = property.SetMethod != null ||
+        bool writable = property.SetMethod != null || property.ReturnsByRef ||
             (!property.IsStatic && property.ContainingType.TypeKind == TypeKind.Struct);
         string attributes = "JSPropertyAttributes.Enumerable | JSPropertyAttributes.Configurable" +
             (writable ? " | JSPropertyAttributes.Writable" : string.Empty) +
@@ -771,7 +860,16 @@ public class ModuleGenerator : SourceGenerator, ISourceGenerator
             s += $"getter: (obj) => obj.{property.Name},";
         }
 
-        if (property.SetMethod?.DeclaredAccessibility != Accessibility.Public)
+        if (property.ReturnsByRef &&
+            property.GetMethod?.DeclaredAccessibility == Accessibility.Public)
+        {
+            // A property that returns a writable reference is set by assigning via the reference.
+            Expression<JSCallback> adapter =
+                _marshaller.BuildFromJSPropertySetExpression(property.AsPropertyInfo());
+            _callbackAdapters.Add(adapter.Name!, adapter);
+            s += $"setter: {adapter.Name},";
+        }
+        else if (property.SetMethod?.DeclaredAccessibility != Accessibility.Public)
         {
             s += $"setter: null,";
         }
@@ -796,6 +894,103 @@ public class ModuleGenerator : SourceGenerator, ISourceGenerator
         s.DecreaseIndent();
     }
 
+    /// <summary>
+    /// Generates code for a field exported on a class or struct, as a property.
+    /// Readonly and const fields are projected as read-only properties.
+    /// </summary>
+    private void ExportField(
+      ref SourceBuilder s,
+      IFieldSymbol field,
+      string exportName)
+    {
+        bool isReadOnly = field.IsReadOnly || field.IsConst;
+        bool isStructInstanceField =
+            !field.IsStatic && field.ContainingType.TypeKind == TypeKind.Struct;
+        bool writable = !isReadOnly || isStructInstanceField;
+        string attributes = "JSPropertyAttributes.Enumerable | JSPropertyAttributes.Configurable" +
+            (writable ? " | JSPropertyAttributes.Writable" : string.Empty) +
+            (field.IsStatic ? " | JSPropertyAttributes.Static" : string.Empty);
+
+        if (isStructInstanceField)
+        {
+            // Struct instance fields are converted to/from `JSValue` by the struct adapter
+            // method, the same as struct instance properties.
+            s += $".AddProperty(\"{exportName}\", {attributes})";
+            return;
+        }
+
+        s += $".AddProperty(\"{exportName}\",";
+        s.IncreaseIndent();
+
+        string typeFullName = GetFullName(field.ContainingType);
+
+        if (field.Type.AsType() != typeof(JSValue))
+        {
+            Expression<JSCallback> adapter =
+                _marshaller.BuildFromJSFieldGetExpression(field.AsFieldInfo());
+            _callbackAdapters.Add(adapter.Name!, adapter);
+            s += $"getter: {adapter.Name},";
+        }
+        else if (field.IsStatic)
+        {
+            s += $"getter: () => {typeFullName}.{field.Name},";
+        }
+        else
+        {
+            s += $"getter: (obj) => obj.{field.Name},";
+        }
+
+        if (isReadOnly)
+        {
+            s += $"setter: null,";
+        }
+        else if (field.Type.AsType() != typeof(JSValue))
+        {
+            Expression<JSCallback> adapter =
+                _marshaller.BuildFromJSFieldSetExpression(field.AsFieldInfo());
+            _callbackAdapters.Add(adapter.Name!, adapter);
+            s += $"setter: {adapter.Name},";
+        }
+        else if (field.IsStatic)
+        {
+            s += $"setter: (value) => {typeFullName}.{field.Name} = value,";
+        }
+        else
+        {
+            s += $"setter: (obj, value) => obj.{field.Name} = value,";
+        }
+
+        s += $"{attributes})";
+
+        s.DecreaseIndent();
+    }
+
+    /// <summary>
+    /// Generates code for an event exported on a class or interface.
+    /// </summary>
+    private void ExportEvent(
+      ref SourceBuilder s,
+      IEventSymbol @event,
+      string exportName)
+    {
+        Type eventHandlerType = @event.Type.AsType();
+        LambdaExpression fromJSAdapter = _marshaller.BuildToJSFunctionExpression(eventHandlerType);
+        _callbackAdapters[fromJSAdapter.Name!] = fromJSAdapter;
+
+        string attributes = "JSPropertyAttributes.DefaultMethod" +
+            (@event.IsStatic ? " | JSPropertyAttributes.Static" : string.Empty);
+        string targetParameter = @event.IsStatic ? "_" : "obj";
+        string target = @event.IsStatic ? GetFullName(@event.ContainingType) : "obj";
+
+        s += $".AddEvent<{ExpressionExtensions.FormatType(eventHandlerType)}>(" +
+            $"\"{exportName}\", {fromJSAdapter.Name},";
+        s.IncreaseIndent();
+        s += $"({targetParameter}, handler) => {target}.{@event.Name} += handler,";
+        s += $"({targetParameter}, handler) => {target}.{@event.Name} -= handler,";
+        s += $"{attributes})";
+        s.DecreaseIndent();
+    }
+
     private void ExportDelegate(ITypeSymbol delegateType)
     {
         MethodInfo delegateInvokeMethod = delegateType.AsType().GetMethod("Invoke")!;
@@ -873,6 +1068,19 @@ public class ModuleGenerator : SourceGenerator, ISourceGenerator
                     typeof(JSExportAttribute).Namespace);
     }
 
+    /// <summary>
+    /// Gets the value of an enum-typed named argument of an attribute, or a default value if
+    /// the attribute or argument is not present.
+    /// </summary>
+    private static T GetNamedArgumentValue<T>(
+        AttributeData? attribute, string name, T defaultValue) where T : struct, Enum
+    {
+        TypedConstant? argument = attribute?.NamedArguments
+            .FirstOrDefault((a) => a.Key == name).Value;
+        return argument?.Value is int value ?
+            (T)Enum.ToObject(typeof(T), value) : defaultValue;
+    }
+
     /// <summary>
     /// Checks whether an adapter must be generated for a method. An adapter is unnecessary if
     /// the method takes either no parameters or a single JSCallbackArgs parameter and returns
@@ -955,6 +1163,31 @@ public class ModuleGenerator : SourceGenerator, ISourceGenerator
 
                 s += "}";
             }
+            else if (member is IEventSymbol @event)
+            {
+                s++;
+
+                /*
+                 * event EventHandlerType IInterfaceName.EventName
+                 * {
+                 *     add => AddEventListener("eventName", value, from_EventHandlerType);
+                 *     remove => RemoveEventListener("eventName", value);
+                 * }
+                 */
+                // The adapter that converts the handler to JS is generated along with the other
+                // callback adapters; see GenerateInterfaceEventCallbackAdapters().
+                Type eventHandlerType = @event.Type.AsType();
+                LambdaExpression toJSAdapter =
+                    _marshaller.BuildFromJSFunctionExpression(eventHandlerType);
+
+                string jsEventName = JSMarshaller.ToCamelCase(@event.Name);
+                s += $"event {ExpressionExtensions.FormatType(eventHandlerType)} " +
+                    $"{GetFullName(member.ContainingType)}.{@event.Name}";
+                s += "{";
+                s += $"add => AddEventListener(\"{jsEventName}\", value, {toJSAdapter.Name});";
+                s += $"remove => RemoveEventListener(\"{jsEventName}\", value);";
+                s += "}";
+            }
             else if (member is IMethodSymbol method &&
                 method.MethodKind == MethodKind.Ordinary)
             {
@@ -1035,6 +1268,22 @@ public class ModuleGenerator : SourceGenerator, ISourceGenerator
         }
     }
 
+    /// <summary>
+    /// Collects adapters that convert event handlers to JS functions, for the events of
+    /// interfaces that may be implemented by JS.
+    /// </summary>
+    private void GenerateInterfaceEventCallbackAdapters()
+    {
+        foreach (IEventSymbol @event in _exportedInterfaces
+            .SelectMany((i) => GetMembers(i, includeBaseMembers: true))
+            .OfType<IEventSymbol>())
+        {
+            LambdaExpression toJSAdapter =
+                _marshaller.BuildFromJSFunctionExpression(@event.Type.AsType());
+            _callbackAdapters[toJSAdapter.Name!] = toJSAdapter;
+        }
+    }
+
     /// <summary>
     /// Generate supporting adapter methods that the module initialization depended on.
     /// </summary>
@@ -0,0 +1,121 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+using System.Collections.Immutable;
+using System.IO;
+using System.Linq;
+using System.Text;
+using Microsoft.CodeAnalysis;
+using Microsoft.CodeAnalysis.CSharp;
+using Microsoft.CodeAnalysis.CSharp.Syntax;
+using Microsoft.CodeAnalysis.Emit;
+
+namespace Microsoft.JavaScript.NodeApi.Generator;
+
+/// <summary>
+/// Compiles C# source code in memory, for the `compile()` API of the dynamic .NET host.
+/// </summary>
+/// <remarks>
+/// The .NET host loads this class from the generator package at runtime via reflection, so that
+/// the host itself does not depend on the compiler. If the source code has any `[JSExport]`
+/// attributes, the <see cref="ModuleGenerator" /> runs as part of the compilation, so that the
+/// compiled assembly can be loaded as a JS module.
+/// </remarks>
+public static class ScriptCompiler
+{
+    /// <summary>
+    /// Compiles C# source code to an in-memory assembly.
+    /// </summary>
+    /// <param name="source">C# source code of a single compilation unit.</param>
+    /// <param name="assemblyName">Name of the compiled assembly.</param>
+    /// <param name="referencePaths">Paths to assemblies referenced by the compilation.</param>
+    /// <returns>A JS object with `success`, `isModule` and `diagnostics` properties, and if the
+    /// compilation succeeded, `assembly` and `pdb` properties with the compiled images.</returns>
+    public static JSValue Compile(string source, string assemblyName, string[] referencePaths)
+    {
+        CSharpParseOptions parseOptions = new(LanguageVersion.Latest);
+        SyntaxTree syntaxTree = CSharpSyntaxTree.ParseText(
+            source, parseOptions, path: assemblyName + ".cs", encoding: Encoding.UTF8);
+        CSharpCompilation compilation = CSharpCompilation.Create(
+            assemblyName,
+            [syntaxTree],
+            referencePaths.Select((p) => MetadataReference.CreateFromFile(p)),
+            new CSharpCompilationOptions(
+                OutputKind.DynamicallyLinkedLibrary,
+                optimizationLevel: OptimizationLevel.Release,
+                nullableContextOptions: NullableContextOptions.Enable));
+
+        bool isModule = HasJSExportAttributes(syntaxTree);
+        ImmutableArray<Diagnostic> generatorDiagnostics = ImmutableArray<Diagnostic>.Empty;
+        if (isModule)
+        {
+            GeneratorDriver generatorDriver = CSharpGeneratorDriver.Create(
+                [new ModuleGenerator()], parseOptions: parseOptions);
+            generatorDriver.RunGeneratorsAndUpdateCompilation(
+                compilation, out Compilation generatedCompilation, out generatorDiagnostics);
+            compilation = (CSharpCompilation)generatedCompilation;
+        }
+
+        using MemoryStream assemblyStream = new();
+        using MemoryStream pdbStream = new();
+        EmitResult emitResult = compilation.Emit(
+            assemblyStream,
+            pdbStream,
+            options: new EmitOptions(debugInformationFormat: DebugInformationFormat.PortablePdb));
+
+        JSArray diagnostics = new();
+        foreach (Diagnostic diagnostic in generatorDiagnostics.Concat(emitResult.Diagnostics)
+            .Where((d) => d.Severity != DiagnosticSeverity.Hidden))
+        {
+            diagnostics.Add(ToJSDiagnostic(diagnostic));
+        }
+
+        JSObject result = new()
+        {
+            ["success"] = emitResult.Success,
+            ["isModule"] = isModule,
+            ["diagnostics"] = diagnostics,
+        };
+
+        if (emitResult.Success)
+        {
+            result["assembly"] = new JSTypedArray<byte>(assemblyStream.ToArray());
+            result["pdb"] = new JSTypedArray<byte>(pdbStream.ToArray());
+        }
+
+        return result;
+    }
+
+    private static bool HasJSExportAttributes(SyntaxTree syntaxTree)
+    {
+        return syntaxTree.GetRoot().DescendantNodes().OfType<AttributeSyntax>().Any((a) =>
+        {
+            string name = a.Name.ToString();
+            int lastDot = name.LastIndexOf('.');
+            name = lastDot >= 0 ? name.Substring(lastDot + 1) : name;
+            return name == "JSExport" || name == nameof(JSExportAttribute);
+        });
+    }
+
+    private static JSValue ToJSDiagnostic(Diagnostic diagnostic)
+    {
+        JSObject jsDiagnostic = new()
+        {
+            ["id"] = diagnostic.Id,
+            ["severity"] = diagnostic.Severity.ToString().ToLowerInvariant(),
+            ["message"] = diagnostic.GetMessage(),
+        };
+
+        if (diagnostic.Location.IsInSource)
+        {
+            // Line and column numbers are 1-based, as in compiler output.
+            FileLinePositionSpan lineSpan = diagnostic.Location.GetLineSpan();
+            jsDiagnostic["line"] = lineSpan.StartLinePosition.Line + 1;
+            jsDiagnostic["column"] = lineSpan.StartLinePosition.Character + 1;
+            jsDiagnostic["endLine"] = lineSpan.EndLinePosition.Line + 1;
+            jsDiagnostic["endColumn"] = lineSpan.EndLinePosition.Character + 1;
+        }
+
+        return jsDiagnostic;
+    }
+}
@@ -46,6 +46,7 @@ public abstract class SourceGenerator
         ReferenedTypeNotExported,
         ESModulePropertiesAreConst,
         DocLoadError,
+        InvalidConverter,
     }
 
     public static string GetNamespace(ISymbol symbol)
@@ -326,10 +326,12 @@ internal static class SymbolExtensions
             BuildSymbolicTypeMembers(typeSymbol, typeBuilder, genericTypeParameters);
 
             // Preserve JS attributes, which might be referenced by the marshaller.
+            // Custom converter attributes are excluded; the module generator registers converters.
             foreach (AttributeData attribute in typeSymbol.GetAttributes())
             {
                 if (attribute.AttributeClass!.ContainingNamespace.ToString()!.StartsWith(
-                        typeof(JSExportAttribute).Namespace!, StringComparison.Ordinal))
+                        typeof(JSExportAttribute).Namespace!, StringComparison.Ordinal) &&
+                    attribute.AttributeClass.Name != nameof(JSMarshalAsAttribute))
                 {
                     Type attributeType = attribute.AttributeClass.AsType();
                     ConstructorInfo constructor = attributeType.GetConstructor(
@@ -465,6 +467,9 @@ internal static class SymbolExtensions
             .OfType<IMethodSymbol>()
             .Where((m) => m.DeclaredAccessibility == Accessibility.Public)
             .SelectMany((m) => m.Parameters.Select((p) => p.Type).Append(m.ReturnType))
+            .Concat(typeSymbol.GetMembers().OfType<IFieldSymbol>()
+                .Where((f) => f.DeclaredAccessibility == Accessibility.Public)
+                .Select((f) => f.Type))
             .OfType<INamedTypeSymbol>()
             .Distinct(SymbolEqualityComparer.Default).Cast<INamedTypeSymbol?>())
         {
@@ -509,9 +514,10 @@ internal static class SymbolExtensions
             {
                 // TODO: Events
             }
-            else if (memberSymbol is IFieldSymbol fieldSymbol)
+            else if (memberSymbol is IFieldSymbol fieldSymbol &&
+                typeSymbol.TypeKind != TypeKind.Enum)
             {
-                // TODO: Fields (at least const fields)
+                BuildSymbolicField(typeBuilder, fieldSymbol, genericTypeParameters);
             }
             else if (memberSymbol is INamedTypeSymbol nestedTypeSymbol)
             {
@@ -600,8 +606,9 @@ internal static class SymbolExtensions
             genericMethodParameters == null ? genericTypeParameters :
             genericTypeParameters.Concat(genericMethodParameters).ToArray();
 
+        Type returnType = methodSymbol.ReturnType.AsType(genericParameters, buildType: false);
         methodBuilder.SetReturnType(
-            methodSymbol.ReturnType.AsType(genericParameters, buildType: false));
+            methodSymbol.ReturnsByRef ? returnType.MakeByRefType() : returnType);
         methodBuilder.SetParameters(methodSymbol.Parameters.Select(
             (p) => p.Type.AsType(genericParameters, buildType: false)).ToArray());
         BuildSymbolicParameters(methodBuilder, methodSymbol.Parameters);
@@ -640,10 +647,18 @@ internal static class SymbolExtensions
             (propertySymbol.ExplicitInterfaceImplementations.Length > 0 ?
                 MethodAttributes.Final : default);
 
+        // Writable ref returns are symbolically represented as by-ref types, so that the marshaller
+        // can assign via the reference. A `ref readonly` return is just read (dereferenced).
+        Type propertyType = propertySymbol.Type.AsType(genericTypeParameters, buildType: false);
+        if (propertySymbol.ReturnsByRef)
+        {
+            propertyType = propertyType.MakeByRefType();
+        }
+
         PropertyBuilder propertyBuilder = typeBuilder.DefineProperty(
             propertySymbol.Name,
             PropertyAttributes.None,
-            propertySymbol.Type.AsType(genericTypeParameters, buildType: false),
+            propertyType,
             propertySymbol.Parameters.Select(
                 (p) => p.Type.AsType(genericTypeParameters, buildType: false)).ToArray());
 
@@ -653,7 +668,7 @@ internal static class SymbolExtensions
                 propertySymbol.GetMethod.Name,
                 attributes,
                 propertySymbol.IsStatic ? CallingConventions.Standard : CallingConventions.HasThis,
-                propertySymbol.GetMethod.ReturnType.AsType(genericTypeParameters, buildType: false),
+                propertyType,
                 propertySymbol.GetMethod.Parameters.Select(
                     (p) => p.Type.AsType(genericTypeParameters, buildType: false)).ToArray());
             BuildSymbolicParameters(getMethodBuilder, propertySymbol.GetMethod.Parameters);
@@ -690,6 +705,36 @@ internal static class SymbolExtensions
         }
     }
 
+    private static void BuildSymbolicField(
+        TypeBuilder typeBuilder,
+        IFieldSymbol fieldSymbol,
+        Type[]? genericTypeParameters)
+    {
+        FieldAttributes attributes = FieldAttributes.Public |
+            (fieldSymbol.IsStatic ? FieldAttributes.Static : default) |
+            (fieldSymbol.IsReadOnly ? FieldAttributes.InitOnly : default) |
+            (fieldSymbol.IsConst ? FieldAttributes.Literal | FieldAttributes.HasDefault : default);
+
+        FieldBuilder fieldBuilder = typeBuilder.DefineField(
+            fieldSymbol.Name,
+            fieldSymbol.Type.AsType(genericTypeParameters, buildType: false),
+            attributes);
+
+        if (fieldSymbol.IsConst)
+        {
+            fieldBuilder.SetConstant(fieldSymbol.ConstantValue);
+        }
+
+        // Preserve a [JSExport(false)] exclusion, which the marshaller checks for struct fields.
+        if (ModuleGenerator.GetJSExportAttribute(fieldSymbol)?.ConstructorArguments
+            .SingleOrDefault().Value is false)
+        {
+            fieldBuilder.SetCustomAttribute(new CustomAttributeBuilder(
+                typeof(JSExportAttribute).GetConstructor(new[] { typeof(bool) })!,
+                new object[] { false }));
+        }
+    }
+
     private static void BuildSymbolicParameters(
         MethodBuilder methodBuilder, IReadOnlyList<IParameterSymbol> parameters)
     {
@@ -766,6 +811,20 @@ internal static class SymbolExtensions
                 $"Method not found: {type.Name}.{methodSymbol.Name}");
     }
 
+    /// <summary>
+    /// Gets real or symbolic field info for a field symbol.
+    /// </summary>
+    public static FieldInfo AsFieldInfo(this IFieldSymbol fieldSymbol)
+    {
+        Type type = fieldSymbol.ContainingType.AsType();
+
+        BindingFlags bindingFlags = BindingFlags.Public |
+            (fieldSymbol.IsStatic ? BindingFlags.Static : BindingFlags.Instance);
+        FieldInfo? fieldInfo = type.GetField(fieldSymbol.Name, bindingFlags);
+        return fieldInfo ?? throw new InvalidOperationException(
+                $"Field not found: {type.Name}.{fieldSymbol.Name}");
+    }
+
     /// <summary>
     /// Gets real or symbolic property info for a property symbol.
     /// </summary>
@@ -196,13 +196,18 @@ dotnet.load(assemblyName);";
     private readonly HashSet<string> _imports;
     private readonly Dictionary<string, XDocument> _assemblyDocs = new();
     private readonly List<MemberInfo> _exportedMembers = new();
+    private readonly Dictionary<Assembly, ILookup<string?, Type>> _genericTypesByNamespace = new();
+    private Dictionary<string, string>? _assemblyConverterTSTypes;
     private bool _isModule;
     private bool _autoCamelCase;
     private bool _emitDisposable;
+    private bool _emitAsyncDisposable;
     private bool _emitDuplex;
     private bool _emitType;
     private bool _emitDateTime;
     private bool _emitDateTimeOffset;
+    private bool _emitDecimal;
+    private bool _emitTemporal;
 
     /// <summary>
     /// When generating type definitions for a system assembly, some supplemental type definitions
@@ -288,6 +293,18 @@ dotnet.load(assemblyName);";
                 ExportAll = assemblyExportAttribute != null &&
                     GetExportAttributeValue(assemblyExportAttribute),
                 ExcludePatterns = excludePatterns?.ToList() ?? new List<string>(),
+                DecimalMarshalling = GetNamedArgumentValue(
+                    assemblyExportAttribute,
+                    nameof(JSExportAttribute.DecimalAs),
+                    JSDecimalMarshalling.String),
+                Int64Marshalling = GetNamedArgumentValue(
+                    assemblyExportAttribute,
+                    nameof(JSExportAttribute.Int64As),
+                    JSInt64Marshalling.Number),
+                DateMarshalling = GetNamedArgumentValue(
+                    assemblyExportAttribute,
+                    nameof(JSExportAttribute.DatesAs),
+                    JSDateMarshalling.Default),
             };
 
             generator.LoadAssemblyDocs();
@@ -389,6 +406,25 @@ dotnet.load(assemblyName);";
 
     public List<string> ExcludePatterns { get; set; } = new();
 
+    /// <summary>
+    /// Gets or sets how .NET decimal values are projected to JavaScript, which must match the
+    /// projection used for marshalling. The default is <see cref="JSDecimalMarshalling.String"/>.
+    /// </summary>
+    public JSDecimalMarshalling DecimalMarshalling { get; set; }
+
+    /// <summary>
+    /// Gets or sets how .NET 64-bit (and larger) integer values are projected to JavaScript,
+    /// which must match the projection used for marshalling. The default is
+    /// <see cref="JSInt64Marshalling.Number"/>.
+    /// </summary>
+    public JSInt64Marshalling Int64Marshalling { get; set; }
+
+    /// <summary>
+    /// Gets or sets how .NET date and time values are projected to JavaScript, which must match
+    /// the projection used for marshalling. The default is <see cref="JSDateMarshalling.Default"/>.
+    /// </summary>
+    public JSDateMarshalling DateMarshalling { get; set; }
+
     public override void ReportDiagnostic(Diagnostic diagnostic)
     {
         if (SuppressWarnings && diagnostic.Severity == DiagnosticSeverity.Warning)
@@ -507,8 +543,7 @@ dotnet.load(assemblyName);";
             {
                 string exportName = GetExportName(member);
 
-                if (member is PropertyInfo exportedProperty &&
-                    exportedProperty.SetMethod != null)
+                if (member is PropertyInfo exportedProperty && IsWritable(exportedProperty))
                 {
                     ReportWarning(
                         DiagnosticId.ESModulePropertiesAreConst,
@@ -627,6 +662,16 @@ dotnet.load(assemblyName);";
         return constructorArgument.Value as bool? ?? true;
     }
 
+    private static T GetNamedArgumentValue<T>(
+        CustomAttributeData? attribute, string name, T defaultValue) where T : struct, Enum
+    {
+        object? value = attribute?.NamedArguments
+            .Where((a) => a.MemberName == name)
+            .Select((a) => a.TypedValue.Value)
+            .FirstOrDefault();
+        return value is int intValue ? (T)Enum.ToObject(typeof(T), intValue) : defaultValue;
+    }
+
     private static bool IsPublic(MemberInfo member)
     {
         if (member is not Type &&
@@ -729,7 +774,7 @@ dotnet.load(assemblyName);";
             GenerateDocComments(ref s, property);
             string exportName = GetExportName(property);
             string propertyType = GetTSType(property);
-            string varKind = property.SetMethod == null ? "const " : "var ";
+            string varKind = IsWritable(property) ? "var " : "const ";
             s += $"export {varKind}{exportName}: {propertyType};";
         }
         else
@@ -759,10 +804,17 @@ interface IType {
 ");
         }
 
+        if (_emitAsyncDisposable)
+        {
+            s.Insert(insertIndex, @"
+type IAsyncDisposable = AsyncDisposable;
+");
+        }
+
         if (_emitDisposable)
         {
             s.Insert(insertIndex, @"
-interface IDisposable { dispose(): void; }
+type IDisposable = Disposable;
 ");
         }
 
@@ -782,6 +834,76 @@ type DateTimeOffset = Date & { offset?: number }
 ");
         }
 
+        if (_emitDecimal)
+        {
+            const string decimalMembers = @"
+	add(other: Decimal | string | number | bigint): Decimal;
+	subtract(other: Decimal | string | number | bigint): Decimal;
+	multiply(other: Decimal | string | number | bigint): Decimal;
+	divide(other: Decimal | string | number | bigint): Decimal;
+	remainder(other: Decimal | string | number | bigint): Decimal;
+	negate(): Decimal;
+	round(decimals?: number): Decimal;
+	compareTo(other: Decimal | string | number | bigint): number;
+	equals(other: Decimal | string | number | bigint): boolean;
+	toNumber(): number;
+	toString(): string;
+	toJSON(): string;
+";
+            s.Insert(insertIndex, _isSystemAssembly ? @"
+/** A JS projection of a .NET decimal value, with arithmetic performed by .NET. */
+declare namespace js { interface Decimal {" + decimalMembers + @"} }
+" : @"
+/** A JS projection of a .NET decimal value, with arithmetic performed by .NET. */
+interface Decimal {" + decimalMembers + @"}
+");
+        }
+
+        if (_emitTemporal)
+        {
+            const string temporalTypes = @"
+	interface ZonedDateTime {
+		readonly epochNanoseconds: bigint;
+		readonly offsetNanoseconds: number;
+		readonly timeZoneId: string;
+		toString(): string;
+	}
+	interface Duration {
+		readonly sign: number;
+		readonly days: number;
+		readonly hours: number;
+		readonly minutes: number;
+		readonly seconds: number;
+		readonly milliseconds: number;
+		readonly microseconds: number;
+		readonly nanoseconds: number;
+		toString(): string;
+	}
+	interface PlainDate {
+		readonly year: number;
+		readonly month: number;
+		readonly day: number;
+		toString(): string;
+	}
+	interface PlainTime {
+		readonly hour: number;
+		readonly minute: number;
+		readonly second: number;
+		readonly millisecond: number;
+		readonly microsecond: number;
+		readonly nanosecond: number;
+		toString(): string;
+	}
+";
+            s.Insert(insertIndex, _isSystemAssembly ? @"
+/** JS Temporal API types that .NET date and time values are projected to. */
+declare namespace js { namespace Temporal {" + temporalTypes + @"} }
+" : @"
+/** JS Temporal API types that .NET date and time values are projected to. */
+declare namespace Temporal {" + temporalTypes + @"}
+");
+        }
+
         if (_emitDateTime)
         {
             s.Insert(insertIndex, _isSystemAssembly ? @"
@@ -858,24 +980,34 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
         string implementsKind = type.IsInterface ? "extends" : "implements";
 
         string implements = string.Empty;
+        bool isDisposable = false;
+        bool isAsyncDisposable = false;
         Type[] interfaceTypes = type.GetInterfaces().Where(IsExported).ToArray();
         foreach (Type interfaceType in interfaceTypes)
         {
             string prefix = (implements.Length == 0 ? $" {implementsKind}" : ",") +
                 (interfaceTypes.Length > 1 ? "\n\t" : " ");
 
-            if (isStreamSubclass &&
+            if ((isStreamSubclass || type.IsValueType) &&
                 (interfaceType.Name == nameof(IDisposable) ||
                 interfaceType.Name == nameof(IAsyncDisposable)))
             {
                 // Stream projections extend JS Duplex class which has different close semantics.
+                // Structs are passed by value, so JS cannot dispose them.
                 continue;
             }
-            else if (interfaceType == typeof(IDisposable))
+            else if (interfaceType.FullName == typeof(IDisposable).FullName)
             {
                 implements += prefix + nameof(IDisposable);
+                isDisposable = true;
                 _emitDisposable = true;
             }
+            else if (interfaceType.FullName == typeof(IAsyncDisposable).FullName)
+            {
+                implements += prefix + nameof(IAsyncDisposable);
+                isAsyncDisposable = true;
+                _emitAsyncDisposable = true;
+            }
             else if (interfaceType.Namespace != typeof(IList<>).Namespace &&
                 !HasExplicitInterfaceImplementations(type, interfaceType))
             {
@@ -944,6 +1076,18 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
                 }
             }
 
+            // Fields are projected as properties. Include only fields declared by the current type.
+            if (!type.IsInterface)
+            {
+                foreach (FieldInfo field in
+                    type.GetFields(bindingFlags | BindingFlags.DeclaredOnly)
+                    .Where((f) => IsExported(f) && !IsExcluded(f)))
+                {
+                    if (isFirstMember) isFirstMember = false; else s++;
+                    ExportTypeMember(ref s, field);
+                }
+            }
+
             // Include methods that are declared on the current type or the same name as a method
             // declared on the current type. This ensures the full set of overloads is included.
             string[] declaredMethodNames =
@@ -959,6 +1103,25 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
                     ExportTypeMember(ref s, method);
                 }
             }
+
+            if (!type.IsValueType)
+            {
+                GenerateEventMethods(ref s, type, exportName, isStaticClass, ref isFirstMember);
+            }
+
+            // Disposable .NET objects can be disposed with the JS `using` statement. (Interfaces
+            // inherit the symbol-keyed methods from the TS Disposable interfaces.)
+            if (isDisposable && !type.IsInterface)
+            {
+                if (isFirstMember) isFirstMember = false; else s++;
+                s += "[Symbol.dispose](): void;";
+            }
+
+            if (isAsyncDisposable && !type.IsInterface)
+            {
+                if (isFirstMember) isFirstMember = false; else s++;
+                s += "[Symbol.asyncDispose](): Promise<void>;";
+            }
         }
         else
         {
@@ -979,6 +1142,100 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
         }
     }
 
+    /// <summary>
+    /// Generates `on()`, `once()`, and `off()` method overloads for each event of a class or
+    /// interface, with the event name as a string literal type.
+    /// </summary>
+    /// <remarks>
+    /// The event methods return the object they were called on, to support chaining: the class
+    /// instance for instance events, or the class (or static class namespace) for static events.
+    /// </remarks>
+    private void GenerateEventMethods(
+        ref SourceBuilder s,
+        Type type,
+        string exportName,
+        bool isStaticClass,
+        ref bool isFirstMember)
+    {
+        BindingFlags bindingFlags = BindingFlags.Public | BindingFlags.Instance |
+            (type.IsInterface ? default : BindingFlags.Static);
+
+        // Include inherited instance events, because the event methods of the derived class hide
+        // the event methods of the base class. Static events are included only on the declaring
+        // type. Interfaces include events of base interfaces.
+        IEnumerable<EventInfo> events = type.GetEvents(bindingFlags)
+            .Where((e) => !IsStaticEvent(e) || e.DeclaringType == type);
+        if (type.IsInterface)
+        {
+            events = events.Concat(type.GetInterfaces().SelectMany((i) => i.GetEvents()));
+        }
+
+        EventInfo[] exportedEvents = events
+            .Where((e) => IsExported(e) && !IsExcluded(e))
+            .ToArray();
+
+        foreach (bool isStatic in new[] { false, true })
+        {
+            EventInfo[] staticOrInstanceEvents =
+                exportedEvents.Where((e) => IsStaticEvent(e) == isStatic).ToArray();
+            if (staticOrInstanceEvents.Length == 0)
+            {
+                continue;
+            }
+
+            foreach (string methodName in new[] { "on", "once", "off" })
+            {
+                // Skip event methods that would conflict with methods exported by the type.
+                if (type.GetMethods(bindingFlags).Any((m) =>
+                    m.IsStatic == isStatic && IsExported(m) && GetExportName(m) == methodName))
+                {
+                    continue;
+                }
+
+                foreach (EventInfo eventInfo in staticOrInstanceEvents)
+                {
+                    if (isFirstMember) isFirstMember = false; else s++;
+                    GenerateDocComments(ref s, eventInfo);
+
+                    string eventName = GetExportName(eventInfo);
+                    string listenerType = GetTSListenerType(eventInfo.EventHandlerType!);
+                    string parameters = $"eventName: '{eventName}', listener: {listenerType}";
+                    if (isStaticClass)
+                    {
+                        s += $"export function {methodName}({parameters}): typeof {exportName};";
+                    }
+                    else
+                    {
+                        s += isStatic ?
+                            $"static {methodName}({parameters}): typeof {exportName};" :
+                            $"{methodName}({parameters}): this;";
+                    }
+                }
+            }
+        }
+    }
+
+    private static bool IsStaticEvent(EventInfo eventInfo)
+        => (eventInfo.AddMethod ?? eventInfo.RemoveMethod)?.IsStatic ?? false;
+
+    /// <summary>
+    /// Gets the TS function type of a JS listener for an event. The sender parameter of an event
+    /// handler that follows the .NET `(object sender, TEventArgs e)` pattern is omitted.
+    /// </summary>
+    private string GetTSListenerType(Type eventHandlerType)
+    {
+        MethodInfo invokeMethod = eventHandlerType.GetMethod(nameof(Action.Invoke))!;
+        ParameterInfo[] parameters = invokeMethod.GetParameters();
+        if (parameters.Length == 2 &&
+            parameters[0].ParameterType.FullName == typeof(object).FullName)
+        {
+            parameters = parameters.Skip(1).ToArray();
+        }
+
+        string returnType = GetTSType(invokeMethod.ReturnParameter);
+        return $"({GetTSParameters(parameters)}) => {returnType}";
+    }
+
     private static bool HasExplicitInterfaceImplementations(Type type, Type interfaceType)
     {
         if (type.IsInterface)
@@ -1060,20 +1317,68 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
 
     private void GenerateGenericTypeFactory(ref SourceBuilder s, Type type)
     {
-        GenerateDocComments(ref s, type, "[Generic type factory] ");
-        string exportName = GetExportName(type);
-        Type[] typeArgs = type.GetGenericArguments();
-        string typeParams = string.Join(", ", typeArgs.Select((t) => $"{t.Name}: IType"));
-        string typeParamsAsAny = string.Join(", ", typeArgs.Select((_) => $"any"));
-
-        // TODO: Instead of `any` here, use TypeScript to map each generic type arg to JS.
-        s += $"export function {exportName}$({typeParams}): " +
-            (type.IsInterface || type.BaseType?.FullName == typeof(MulticastDelegate).FullName ?
-            "IType;" : $"typeof {exportName}${typeArgs.Length}<{typeParamsAsAny}>;");
+        // Generic types that have the same name but different numbers of type parameters share
+        // one factory function that is overloaded by number of type args. The overloads are all
+        // generated (together) along with the type that has the fewest type parameters.
+        Type[] genericTypes = GetSameNameGenericTypeDefinitions(type);
+        if (genericTypes[0] != type)
+        {
+            return;
+        }
+
+        foreach (Type genericType in genericTypes)
+        {
+            GenerateDocComments(ref s, genericType, "[Generic type factory] ");
+            string exportName = GetExportName(genericType);
+            Type[] typeArgs = genericType.GetGenericArguments();
+            string typeParams = string.Join(", ", typeArgs.Select((t) => $"{t.Name}: IType"));
+            string typeParamsAsAny = string.Join(", ", typeArgs.Select((_) => $"any"));
+
+            // TODO: Instead of `any` here, use TypeScript to map each generic type arg to JS.
+            s += $"export function {exportName}$({typeParams}): " +
+                (genericType.IsInterface ||
+                genericType.BaseType?.FullName == typeof(MulticastDelegate).FullName ?
+                "IType;" : $"typeof {exportName}${typeArgs.Length}<{typeParamsAsAny}>;");
+        }
+
         s++;
         _emitType = true;
     }
 
+    /// <summary>
+    /// Gets exported generic type definitions that have the same export name and containing
+    /// namespace (or type) as a generic type definition, ordered by number of type parameters.
+    /// </summary>
+    private Type[] GetSameNameGenericTypeDefinitions(Type type)
+    {
+        string exportName = GetExportName(type);
+        IEnumerable<Type> candidateTypes;
+        if (type.DeclaringType != null)
+        {
+            candidateTypes = type.DeclaringType.GetNestedTypes();
+        }
+        else
+        {
+            // Index the generic types in the assembly to avoid scanning all types repeatedly.
+            if (!_genericTypesByNamespace.TryGetValue(
+                type.Assembly, out ILookup<string?, Type>? genericTypes))
+            {
+                genericTypes = type.Assembly.GetTypes()
+                    .Where((t) => t.IsPublic && t.IsGenericTypeDefinition)
+                    .ToLookup((t) => t.Namespace);
+                _genericTypesByNamespace.Add(type.Assembly, genericTypes);
+            }
+
+            candidateTypes = genericTypes[type.Namespace];
+        }
+
+        return candidateTypes
+            .Where((t) => t.IsGenericTypeDefinition && GetExportName(t) == exportName &&
+                (t == type || IsExported(t)))
+            .OrderBy((t) => t.GetGenericArguments().Length)
+            .ToArray();
+    }
+
     private void GenerateExtensionMethods(ref SourceBuilder s, Type type)
     {
         bool isStaticClass = type.IsAbstract && type.IsSealed;
@@ -1183,7 +1488,7 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
             if (declaringType.IsAbstract && declaringType.IsSealed &&
                 !declaringType.IsGenericTypeDefinition)
             {
-                string varKind = property.SetMethod == null ? "const " : "var ";
+                string varKind = IsWritable(property) ? "var " : "const ";
                 s += $"export {varKind}{propertyName}: {propertyType};";
             }
             else
@@ -1191,7 +1496,7 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
                 bool isStatic = property.GetMethod?.IsStatic ??
                     property.SetMethod?.IsStatic ?? false;
                 string modifiers = (isStatic ? "static " : "") +
-                    (property.SetMethod == null ? "readonly " : "");
+                    (IsWritable(property) ? "" : "readonly ");
                 string optionalToken = string.Empty;
                 if (propertyType.EndsWith(UndefinedTypeSuffix, StringComparison.Ordinal))
                 {
@@ -1203,6 +1508,35 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
                     $"{propertyType};";
             }
         }
+        else if (member is FieldInfo field)
+        {
+            string memberName = GetExportName(field);
+
+            GenerateDocComments(ref s, field);
+            string fieldName = TSIdentifier(memberName);
+            string fieldType = GetTSType(field);
+            bool isReadOnly = field.IsInitOnly || field.IsLiteral;
+
+            if (declaringType.IsAbstract && declaringType.IsSealed &&
+                !declaringType.IsGenericTypeDefinition)
+            {
+                string varKind = isReadOnly ? "const " : "var ";
+                s += $"export {varKind}{fieldName}: {fieldType};";
+            }
+            else
+            {
+                string modifiers = (field.IsStatic ? "static " : "") +
+                    (isReadOnly ? "readonly " : "");
+                string optionalToken = string.Empty;
+                if (fieldType.EndsWith(UndefinedTypeSuffix, StringComparison.Ordinal))
+                {
+                    fieldType = fieldType.Substring(
+                        0, fieldType.Length - UndefinedTypeSuffix.Length);
+                    optionalToken = "?";
+                }
+                s += $"{modifiers}{fieldName}{optionalToken}: {fieldType};";
+            }
+        }
         else if (member is MethodInfo method)
         {
             string memberName = GetExportName(method);
@@ -1297,6 +1631,16 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
         {
             return IsExcluded(method);
         }
+        else if (member is FieldInfo field)
+        {
+            // Exclude fields with types that can't be marshalled to JS.
+            return field.FieldType.IsPointer || IsExcluded(field.FieldType);
+        }
+        else if (member is EventInfo @event)
+        {
+            // Exclude events with handler types that can't be marshalled to JS.
+            return @event.EventHandlerType == null || IsExcluded(@event.EventHandlerType);
+        }
 
         if (type.BaseType != null && IsExcluded(type.BaseType))
         {
@@ -1524,6 +1868,27 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
         return tsType;
     }
 
+    private string GetTSType(FieldInfo field)
+    {
+        // TypeScript does not allow type parameters in static members.
+        bool allowTypeParameters = !field.IsStatic;
+
+        NullabilityInfo nullability = FixNullability(_nullabilityContext.Create(field));
+        string tsType = GetTSType(field.FieldType, nullability, allowTypeParameters);
+
+        if (tsType == "unknown" || tsType.Contains("unknown"))
+        {
+            string className = field.DeclaringType!.Name;
+            string typeName = ExpressionExtensions.FormatType(field.FieldType);
+            ReportWarning(
+                DiagnosticId.UnsupportedPropertyType,
+                $"Field {className}.{field.Name} with unsupported field type {typeName} " +
+                    $"will be projected as {tsType}.");
+        }
+
+        return tsType;
+    }
+
     private string GetTSType(ParameterInfo parameter)
     {
         string tsType;
@@ -1628,6 +1993,19 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
         return tsType;
     }
 
+    private static bool ReturnsWritableRef(MethodInfo method)
+    {
+        return method.ReturnType.IsByRef && !method.ReturnParameter.GetCustomAttributesData()
+            .Any((a) => a.AttributeType.FullName ==
+                "System.Runtime.CompilerServices.IsReadOnlyAttribute");
+    }
+
+    private static bool IsWritable(PropertyInfo property)
+    {
+        return property.SetMethod != null ||
+            (property.GetMethod != null && ReturnsWritableRef(property.GetMethod));
+    }
+
     /// <summary>
     /// The generator loads all referenced types in a separate MetadataLoadContext,
     /// which causes a problem with NullabilityInfoContext when it tries to detect
@@ -1656,6 +2034,62 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
         return nullability;
     }
 
+    /// <summary>
+    /// Gets the TS type for .NET 64-bit (and larger) integer types.
+    /// </summary>
+    private string Int64Type => Int64Marshalling == JSInt64Marshalling.BigInt ? "bigint" : "number";
+
+    /// <summary>
+    /// Gets the name of the JS Temporal type that a .NET date or time type is projected to when
+    /// using <see cref="JSDateMarshalling.Temporal"/>, or null if it is not such a type.
+    /// </summary>
+    private static string? GetTemporalTypeName(Type type) => type.FullName switch
+    {
+        "System.DateTimeOffset" => "ZonedDateTime",
+        "System.TimeSpan" => "Duration",
+        "System.DateOnly" => "PlainDate",
+        "System.TimeOnly" => "PlainTime",
+        _ => null,
+    };
+
+    /// <summary>
+    /// Gets the TS type for a .NET type that is marshalled by a custom converter, as specified by
+    /// a [JSMarshalAs] attribute on either the type or the assembly, or null if the type does
+    /// not have a custom converter.
+    /// </summary>
+    private string? GetConverterTSType(Type type)
+    {
+        CustomAttributeData? marshalAsAttribute = GetAttribute<JSMarshalAsAttribute>(type);
+        if (marshalAsAttribute != null)
+        {
+            return GetTSTypeArgument(marshalAsAttribute);
+        }
+
+        if (_assemblyConverterTSTypes == null)
+        {
+            _assemblyConverterTSTypes = new();
+            foreach (CustomAttributeData attribute in _assembly.GetCustomAttributesData().Where(
+                (a) => a.AttributeType.FullName == typeof(JSMarshalAsAttribute).FullName))
+            {
+                if (attribute.ConstructorArguments.Count == 2 &&
+                    attribute.ConstructorArguments[0].Value is Type convertedType)
+                {
+                    _assemblyConverterTSTypes[convertedType.FullName!] =
+                        GetTSTypeArgument(attribute);
+                }
+            }
+        }
+
+        return type.FullName != null &&
+            _assemblyConverterTSTypes.TryGetValue(type.FullName, out string? tsType) ?
+            tsType : null;
+
+        static string GetTSTypeArgument(CustomAttributeData attribute)
+            => attribute.NamedArguments.FirstOrDefault(
+                (a) => a.MemberName == nameof(JSMarshalAsAttribute.TSType))
+                .TypedValue.Value as string ?? "unknown";
+    }
+
     private string GetTSType(
         Type type,
         NullabilityInfo? nullability,
@@ -1674,21 +2108,38 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
             "System.SByte" => "number",
             "System.Int16" => "number",
             "System.Int32" => "number",
-            "System.Int64" => "number",
+            "System.Int64" => Int64Type,
             "System.Byte" => "number",
             "System.UInt16" => "number",
             "System.UInt32" => "number",
-            "System.UInt64" => "number",
+            "System.UInt64" => Int64Type,
+            "System.IntPtr" => Int64Type,
+            "System.UIntPtr" => Int64Type,
+            "System.Int128" => Int64Type,
+            "System.UInt128" => Int64Type,
             "System.Single" => "number",
             "System.Double" => "number",
             "System.String" => "string",
-            "System.TimeSpan" => "number",
+            "System.TimeSpan" => DateMarshalling == JSDateMarshalling.Temporal ? null : "number",
+            "System.DateOnly" => DateMarshalling == JSDateMarshalling.Temporal ? null : "string",
+            "System.TimeOnly" => DateMarshalling == JSDateMarshalling.Temporal ? null : "string",
             "System.Guid" => "string",
+            "System.Decimal" => DecimalMarshalling switch
+            {
+                JSDecimalMarshalling.Number => "number",
+                JSDecimalMarshalling.Decimal => null,
+                _ => "string",
+            },
             "System.Numerics.BigInteger" => "bigint",
             _ => null,
         };
 
-        if (primitiveType != null)
+        string? converterType = GetConverterTSType(type);
+        if (converterType != null)
+        {
+            tsType = converterType;
+        }
+        else if (primitiveType != null)
         {
             tsType = primitiveType;
         }
@@ -1784,6 +2235,11 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
             tsType = type.Name;
             _emitDisposable = true;
         }
+        else if (type.FullName == typeof(IAsyncDisposable).FullName)
+        {
+            tsType = type.Name;
+            _emitAsyncDisposable = true;
+        }
         else if (type.FullName == typeof(Stream).FullName)
         {
             tsType = "Duplex";
@@ -1794,11 +2250,22 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
             _emitDateTime = true;
             tsType = (_isSystemAssembly ? "js." : "") + type.Name;
         }
+        else if (DateMarshalling == JSDateMarshalling.Temporal &&
+            GetTemporalTypeName(type) is string temporalTypeName)
+        {
+            _emitTemporal = true;
+            tsType = (_isSystemAssembly ? "js." : "") + "Temporal." + temporalTypeName;
+        }
         else if (type.FullName == typeof(DateTimeOffset).FullName)
         {
             _emitDateTimeOffset = true;
             tsType = (_isSystemAssembly ? "js." : "") + type.Name;
         }
+        else if (type.FullName == typeof(decimal).FullName)
+        {
+            _emitDecimal = true;
+            tsType = (_isSystemAssembly ? "js." : "") + JSDecimal.ClassName;
+        }
         else if (IsExported(type))
         {
             // Types exported from a module are not namespaced.
@@ -1834,8 +2301,16 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
             {
                 tsType = $"Promise<{GetTSType(typeArgs[0], typeArgsNullability?[0], allowTypeParams)}>";
             }
+            else if (typeDefinitionName == typeof(ReadOnlySpan<>).FullName &&
+                typeArgs[0].FullName == typeof(char).FullName)
+            {
+                // A ReadOnlySpan<char> parameter is marshalled from a JS string.
+                tsType = "string";
+            }
             else if (typeDefinitionName == typeof(Memory<>).FullName ||
-                typeDefinitionName == typeof(ReadOnlyMemory<>).FullName)
+                typeDefinitionName == typeof(ReadOnlyMemory<>).FullName ||
+                typeDefinitionName == typeof(Span<>).FullName ||
+                typeDefinitionName == typeof(ReadOnlySpan<>).FullName)
             {
                 Type elementType = typeArgs[0];
                 tsType = elementType.FullName switch
@@ -1852,6 +2327,13 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
                     "System.Double" => "Float64Array",
                     _ => "unknown",
                 };
+
+                if (tsType != "unknown" && (typeDefinitionName == typeof(Span<>).FullName ||
+                    typeDefinitionName == typeof(ReadOnlySpan<>).FullName))
+                {
+                    // Span parameters also accept an ArrayBuffer, viewed as the element type.
+                    tsType += " | ArrayBuffer";
+                }
             }
             else if (typeDefinitionName == typeof(IList<>).FullName ||
                 typeDefinitionName == typeof(List<>).FullName ||
@@ -2238,6 +2720,7 @@ type DateTime = Date & { kind?: 'utc' | 'local' | 'unspecified' }
             ConstructorInfo constructor => $"M:{constructor.DeclaringType!.FullName}.#ctor" +
                 FormatDocMethodParameters(constructor),
             FieldInfo field => $"F:{field.DeclaringType!.FullName}.{field.Name}",
+            EventInfo @event => $"E:{@event.DeclaringType!.FullName}.{@event.Name}",
             _ => string.Empty,
         };
     }
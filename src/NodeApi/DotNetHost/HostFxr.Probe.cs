@@ -0,0 +1,426 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+#if !(NETFRAMEWORK || NETSTANDARD)
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Runtime.InteropServices;
+using System.Text;
+
+namespace Microsoft.JavaScript.NodeApi.DotNetHost;
+
+internal static partial class HostFxr
+{
+    /// <summary>
+    /// Searches for .NET installations and hostfxr versions compatible with the target version,
+    /// recording the reason each candidate was rejected.
+    /// </summary>
+    /// <param name="targetVersion">Requested .NET version.</param>
+    /// <param name="allowPrerelease">True if prerelease hostfxr versions may be selected.</param>
+    /// <param name="dotnetRoot">Explicitly requested .NET installation root, or null to search
+    /// the environment and default installation locations.</param>
+    /// <returns>A report of all candidate locations and versions. If a compatible hostfxr
+    /// was found, its path is in <see cref="HostFxrProbeReport.SelectedPath"/>.</returns>
+    public static HostFxrProbeReport Probe(
+        Version targetVersion,
+        bool allowPrerelease,
+        string? dotnetRoot)
+    {
+        HostFxrProbeReport report = new(targetVersion, RuntimeInformation.ProcessArchitecture)
+        {
+            LoadedPath = LoadedPath,
+        };
+
+        string libraryName = GetLibHostFxrFileName();
+        foreach (DotNetRootCandidate candidate in GetDotNetRootCandidates(dotnetRoot))
+        {
+            report.Candidates.Add(candidate);
+            if (report.SelectedPath != null)
+            {
+                candidate.RejectedReason = "A compatible host was already found at a " +
+                    "higher-priority location.";
+                continue;
+            }
+
+            ProbeDotNetRoot(candidate, report, libraryName, allowPrerelease);
+        }
+
+        return report;
+    }
+
+    private static void ProbeDotNetRoot(
+        DotNetRootCandidate candidate,
+        HostFxrProbeReport report,
+        string libraryName,
+        bool allowPrerelease)
+    {
+        if (!Directory.Exists(candidate.Path))
+        {
+            candidate.RejectedReason = "Directory not found.";
+            return;
+        }
+
+        candidate.Exists = true;
+
+        string fxrDir = Path.Combine(candidate.Path, "host", "fxr");
+        if (!Directory.Exists(fxrDir))
+        {
+            candidate.RejectedReason = $"HostFXR directory not found: {fxrDir}";
+            return;
+        }
+
+        List<(HostFxrVersionCandidate Candidate, Version Version)> compatibleVersions = new();
+        foreach (string versionDir in Directory.GetDirectories(fxrDir))
+        {
+            HostFxrVersionCandidate versionCandidate = new(
+                Path.GetFileName(versionDir), Path.Combine(versionDir, libraryName));
+            candidate.Versions.Add(versionCandidate);
+
+            string versionString = versionCandidate.Version;
+            int hyphenIndex = versionString.IndexOf('-');
+            if (hyphenIndex >= 0)
+            {
+                if (!allowPrerelease)
+                {
+                    versionCandidate.RejectedReason = "Prerelease versions are not allowed.";
+                    continue;
+                }
+
+                versionString = versionString.Substring(0, hyphenIndex);
+            }
+
+            if (!Version.TryParse(versionString, out Version? version))
+            {
+                versionCandidate.RejectedReason = "Unrecognized version directory name.";
+                continue;
+            }
+
+            if (version < report.TargetVersion)
+            {
+                versionCandidate.RejectedReason =
+                    $"Version is lower than the target version {report.TargetVersion}.";
+                continue;
+            }
+
+            if (!File.Exists(versionCandidate.Path))
+            {
+                versionCandidate.RejectedReason = $"Library not found: {versionCandidate.Path}";
+                continue;
+            }
+
+            versionCandidate.Architecture = GetLibraryArchitecture(versionCandidate.Path);
+            if (versionCandidate.Architecture != null &&
+                versionCandidate.Architecture != report.ProcessArchitecture)
+            {
+                string libraryArchitecture =
+                    FormatArchitecture(versionCandidate.Architecture.Value);
+                versionCandidate.RejectedReason =
+                    $"Architecture mismatch: the library is {libraryArchitecture} but the " +
+                    $"process is {FormatArchitecture(report.ProcessArchitecture)}.";
+                continue;
+            }
+
+            compatibleVersions.Add((versionCandidate, version));
+        }
+
+        if (compatibleVersions.Count == 0)
+        {
+            candidate.RejectedReason = candidate.Versions.Count == 0 ?
+                $"No versions found in {fxrDir}" :
+                $"No compatible versions found in {fxrDir}";
+            return;
+        }
+
+        // Select the latest patch version of the lowest major.minor version that is compatible
+        // with the target version.
+        (HostFxrVersionCandidate selected, Version selectedVersion) = compatibleVersions
+            .OrderBy((v) => v.Version.Major)
+            .ThenBy((v) => v.Version.Minor)
+            .ThenByDescending((v) => v.Version)
+            .First();
+        foreach ((HostFxrVersionCandidate other, _) in compatibleVersions)
+        {
+            if (other != selected)
+            {
+                other.RejectedReason = $"A better match was selected: {selected.Version}";
+            }
+        }
+
+        report.SelectedPath = selected.Path;
+        NativeHost.Trace($"    Selected HostFxr version {selectedVersion} at {candidate.Path}");
+    }
+
+    private static IEnumerable<DotNetRootCandidate> GetDotNetRootCandidates(string? dotnetRoot)
+    {
+        if (!string.IsNullOrEmpty(dotnetRoot))
+        {
+            // An explicitly requested root overrides all other locations.
+            yield return new DotNetRootCandidate(dotnetRoot, "dotnetRoot option");
+            yield break;
+        }
+
+        // Try to find the .NET installation root from the environment variables.
+        // The architecture-specific variable takes precedence, as with the .NET app host.
+        string archVariable = "DOTNET_ROOT_" +
+            RuntimeInformation.ProcessArchitecture.ToString().ToUpperInvariant();
+        foreach (string variable in new[] { archVariable, "DOTNET_ROOT" })
+        {
+            string? value = Environment.GetEnvironmentVariable(variable);
+            if (!string.IsNullOrEmpty(value))
+            {
+                yield return new DotNetRootCandidate(value, $"{variable} environment variable");
+            }
+        }
+
+        if (RuntimeInformation.IsOSPlatform(OSPlatform.Windows))
+        {
+            yield return new DotNetRootCandidate(
+                Path.Combine(
+                    Environment.GetFolderPath(Environment.SpecialFolder.ProgramFiles),
+                    "dotnet"),
+                "default location");
+        }
+        else if (RuntimeInformation.IsOSPlatform(OSPlatform.Linux))
+        {
+            yield return new DotNetRootCandidate("/usr/share/dotnet", "default location");
+            yield return new DotNetRootCandidate("/usr/lib/dotnet", "default location");
+        }
+        else if (RuntimeInformation.IsOSPlatform(OSPlatform.OSX))
+        {
+            yield return new DotNetRootCandidate("/usr/local/share/dotnet", "default location");
+
+            if (RuntimeInformation.ProcessArchitecture == Architecture.X64)
+            {
+                // x64 .NET is installed in a subdirectory on Apple Silicon.
+                yield return new DotNetRootCandidate(
+                    "/usr/local/share/dotnet/x64", "default location (emulated x64)");
+            }
+        }
+        else
+        {
+            throw new PlatformNotSupportedException();
+        }
+    }
+
+    /// <summary>
+    /// Reads the CPU architecture of a native library from its PE, ELF, or Mach-O header.
+    /// </summary>
+    /// <returns>The library architecture, or null if it could not be determined (including
+    /// for universal binaries which support multiple architectures).</returns>
+    private static Architecture? GetLibraryArchitecture(string libraryPath)
+    {
+        try
+        {
+            using FileStream stream = File.OpenRead(libraryPath);
+            using BinaryReader reader = new(stream);
+
+            uint magic = reader.ReadUInt32();
+            if ((magic & 0xFFFF) == 0x5A4D) // "MZ"
+            {
+                stream.Position = 0x3C;
+                stream.Position = reader.ReadUInt32() + 4; // Skip the "PE\0\0" signature.
+                return reader.ReadUInt16() switch
+                {
+                    0x014C => Architecture.X86,
+                    0x8664 => Architecture.X64,
+                    0xAA64 => Architecture.Arm64,
+                    _ => null,
+                };
+            }
+            else if (magic == 0x464C457F) // "\x7FELF"
+            {
+                stream.Position = 18;
+                return reader.ReadUInt16() switch
+                {
+                    0x03 => Architecture.X86,
+                    0x3E => Architecture.X64,
+                    0xB7 => Architecture.Arm64,
+                    _ => null,
+                };
+            }
+            else if (magic == 0xFEEDFACF) // 64-bit Mach-O
+            {
+                return reader.ReadUInt32() switch
+                {
+                    0x01000007 => Architecture.X64,
+                    0x0100000C => Architecture.Arm64,
+                    _ => null,
+                };
+            }
+        }
+        catch (Exception ex)
+        {
+            NativeHost.Trace($"    Failed to read library architecture: {ex.Message}");
+        }
+
+        return null;
+    }
+
+    private static string FormatArchitecture(Architecture architecture)
+        => architecture.ToString().ToLowerInvariant();
+
+    /// <summary>
+    /// Results of searching for a .NET installation and compatible hostfxr library.
+    /// </summary>
+    public sealed class HostFxrProbeReport
+    {
+        public HostFxrProbeReport(Version targetVersion, Architecture processArchitecture)
+        {
+            TargetVersion = targetVersion;
+            ProcessArchitecture = processArchitecture;
+        }
+
+        public Version TargetVersion { get; }
+
+        public Architecture ProcessArchitecture { get; }
+
+        public List<DotNetRootCandidate> Candidates { get; } = new();
+
+        /// <summary>
+        /// Gets the path of the compatible hostfxr library that was found, or null if none.
+        /// </summary>
+        public string? SelectedPath { get; set; }
+
+        /// <summary>
+        /// Gets the path of the hostfxr library that is already loaded in the process, if any.
+        /// </summary>
+        public string? LoadedPath { get; init; }
+
+        /// <summary>
+        /// Converts the report to a JS object.
+        /// </summary>
+        public JSValue ToJS(string targetFramework)
+        {
+            JSValue report = JSValue.CreateObject();
+            report.SetProperty("targetFramework", targetFramework);
+            report.SetProperty("targetVersion", TargetVersion.ToString());
+            report.SetProperty("platform", RuntimeInformation.OSDescription);
+            report.SetProperty("architecture", FormatArchitecture(ProcessArchitecture));
+            report.SetProperty("selectedPath", SelectedPath);
+            report.SetProperty("loadedPath", LoadedPath);
+
+            JSArray candidates = new();
+            foreach (DotNetRootCandidate candidate in Candidates)
+            {
+                JSValue candidateValue = JSValue.CreateObject();
+                candidateValue.SetProperty("path", candidate.Path);
+                candidateValue.SetProperty("source", candidate.Source);
+                candidateValue.SetProperty("exists", candidate.Exists);
+                candidateValue.SetProperty("rejectedReason", candidate.RejectedReason);
+
+                JSArray versions = new();
+                foreach (HostFxrVersionCandidate version in candidate.Versions)
+                {
+                    JSValue versionValue = JSValue.CreateObject();
+                    versionValue.SetProperty("version", version.Version);
+                    versionValue.SetProperty("path", version.Path);
+                    versionValue.SetProperty("architecture", version.Architecture == null ?
+                        JSValue.Undefined : FormatArchitecture(version.Architecture.Value));
+                    versionValue.SetProperty("rejectedReason", version.RejectedReason);
+                    versions.Add(versionValue);
+                }
+
+                candidateValue.SetProperty("versions", versions);
+                candidates.Add(candidateValue);
+            }
+
+            report.SetProperty("candidates", candidates);
+            return report;
+        }
+
+        /// <summary>
+        /// Formats a multi-line summary of the reasons why each candidate was rejected.
+        /// </summary>
+        public override string ToString()
+        {
+            StringBuilder s = new();
+            s.Append($"Failed to find an installed .NET host compatible with target version " +
+                $"{TargetVersion} ({FormatArchitecture(ProcessArchitecture)}).");
+
+            foreach (DotNetRootCandidate candidate in Candidates)
+            {
+                s.AppendLine();
+                s.Append($"  {candidate.Path} ({candidate.Source}): {candidate.RejectedReason}");
+
+                foreach (HostFxrVersionCandidate version in candidate.Versions
+                    .Where((v) => v.RejectedReason != null))
+                {
+                    s.AppendLine();
+                    s.Append($"    {version.Version}: {version.RejectedReason}");
+                }
+            }
+
+            s.AppendLine();
+            s.Append("Install a compatible .NET runtime, or set the DOTNET_ROOT environment " +
+                "variable to the location of a .NET installation.");
+            return s.ToString();
+        }
+    }
+
+    /// <summary>
+    /// A location that was searched for a .NET installation.
+    /// </summary>
+    public sealed class DotNetRootCandidate
+    {
+        public DotNetRootCandidate(string path, string source)
+        {
+            Path = path;
+            Source = source;
+        }
+
+        public string Path { get; }
+
+        /// <summary>
+        /// Describes where the candidate location came from, for example an environment variable.
+        /// </summary>
+        public string Source { get; }
+
+        public bool Exists { get; set; }
+
+        public List<HostFxrVersionCandidate> Versions { get; } = new();
+
+        public string? RejectedReason { get; set; }
+    }
+
+    /// <summary>
+    /// A version of the hostfxr library that was found in a .NET installation.
+    /// </summary>
+    public sealed class HostFxrVersionCandidate
+    {
+        public HostFxrVersionCandidate(string version, string path)
+        {
+            Version = version;
+            Path = path;
+        }
+
+        public string Version { get; }
+
+        public string Path { get; }
+
+        public Architecture? Architecture { get; set; }
+
+        public string? RejectedReason { get; set; }
+    }
+}
+
+/// <summary>
+/// Thrown when a .NET host compatible with the requested version could not be found.
+/// </summary>
+internal sealed class HostFxrNotFoundException : FileNotFoundException
+{
+    public HostFxrNotFoundException(HostFxr.HostFxrProbeReport report)
+        : base(report.ToString())
+    {
+        Report = report;
+    }
+
+    /// <summary>
+    /// Gets the report of locations and versions that were searched.
+    /// </summary>
+    public HostFxr.HostFxrProbeReport Report { get; }
+}
+
+#endif
@@ -4,7 +4,6 @@
 #if !(NETFRAMEWORK || NETSTANDARD)
 
 using System;
-using System.IO;
 using System.Runtime.InteropServices;
 using System.Text;
 
@@ -18,23 +17,27 @@ internal static partial class HostFxr
 {
     public static nint Handle { get; private set; }
 
-    public static void Initialize(Version targetVersion, bool allowPrerelease = false)
+    /// <summary>
+    /// Gets the path of the hostfxr library that was loaded, or null if it is not loaded yet.
+    /// </summary>
+    public static string? LoadedPath { get; private set; }
+
+    public static void Initialize(
+        Version targetVersion,
+        bool allowPrerelease = false,
+        string? dotnetRoot = null)
     {
         if (Handle == default)
         {
             NativeHost.Trace("> HostFxr.Initialize()");
 
-            string hostfxrPath = GetHostFxrPath(targetVersion, allowPrerelease);
+            HostFxrProbeReport probeReport = Probe(targetVersion, allowPrerelease, dotnetRoot);
+            string hostfxrPath = probeReport.SelectedPath ??
+                throw new HostFxrNotFoundException(probeReport);
             NativeHost.Trace("    HostFxr path: " + hostfxrPath);
 
-            if (!File.Exists(hostfxrPath))
-            {
-                NativeHost.Trace("    HostFxr not found!");
-                throw new FileNotFoundException(
-                    ".NET runtime host library not found.", hostfxrPath);
-            }
-
             Handle = NativeLibrary.Load(hostfxrPath);
+            LoadedPath = hostfxrPath;
 
             NativeHost.Trace("< HostFxr.Initialize()");
         }
@@ -51,58 +54,16 @@ internal static partial class HostFxr
         span.Slice(encodedCount, capacity - encodedCount).Clear();
     }
 
-    private static string GetHostFxrPath(Version targetVersion, bool allowPrerelease)
+    /// <summary>
+    /// Encodes a string to a new null-terminated byte array, using the platform-specific
+    /// HostFxr encoding.
+    /// </summary>
+    public static byte[] Encode(string str)
     {
-        // TODO: Port more of the logic to find hostfxr path from
-        // https://github.com/dotnet/runtime/blob/main/src/native/corehost/nethost/nethost.cpp
-        // (Select the correct architecture.)
-        string libraryName = GetLibHostFxrFileName();
-        string dotnetRoot = GetDotNetRoot();
-        NativeHost.Trace("    .NET root: " + dotnetRoot);
-
-        string fxrDir = Path.Combine(dotnetRoot, "host", "fxr");
-        if (!Directory.Exists(fxrDir))
-        {
-            throw new DirectoryNotFoundException(".NET HostFXR not found at " + fxrDir);
-        }
-
-        string[] versionDirs = Directory.GetDirectories(fxrDir);
-        Array.Sort(versionDirs);
-
-        string? hostfxrPath = null;
-        Version? foundVersion = null;
-
-        // Scan available hostfxr versions and find the best match to the target version.
-        for (int i = 0; i < versionDirs.Length; i++)
-        {
-            string versionString = Path.GetFileName(versionDirs[i]);
-            if (allowPrerelease)
-            {
-                int hyphenIndex = versionString.IndexOf('-');
-                if (hyphenIndex >= 0)
-                {
-                    versionString = versionString.Substring(0, hyphenIndex);
-                }
-            }
-
-            if (!Version.TryParse(versionString, out Version? version))
-            {
-                // Skip prerelease versions when not allowed (or other unexpected subdir format).
-                continue;
-            }
-
-            // Select the latest patch version of the major.minor version that matches the target
-            // version, or the next highest found major.minor if an exact match wasn't found.
-            if (version >= targetVersion && (foundVersion == null ||
-                (version.Major == foundVersion.Major && version.Minor == foundVersion.Minor)))
-            {
-                hostfxrPath = Path.Combine(versionDirs[i], libraryName);
-                foundVersion = version;
-            }
-        }
-
-        return hostfxrPath ?? throw new Exception("Failed to find an installed .NET host " +
-            $"compatible with target version {targetVersion}.");
+        int capacity = HostFxr.Encoding.GetByteCount(str) + 2;
+        byte[] bytes = new byte[capacity];
+        HostFxr.Encoding.GetBytes(str, 0, str.Length, bytes, 0);
+        return bytes;
     }
 
     private static string GetLibHostFxrFileName()
@@ -125,57 +86,6 @@ internal static partial class HostFxr
         }
     }
 
-    private static string GetDotNetRoot()
-    {
-        // Try to find the .NET installation root from the environment variable.
-        string? dotnetRoot = Environment.GetEnvironmentVariable("DOTNET_ROOT");
-        if (!string.IsNullOrEmpty(dotnetRoot) && Directory.Exists(dotnetRoot))
-        {
-            return dotnetRoot;
-        }
-
-        string defaultRoot;
-        string? defaultRoot2 = null;
-        if (RuntimeInformation.IsOSPlatform(OSPlatform.Windows))
-        {
-            defaultRoot = Path.Combine(
-                Environment.GetFolderPath(Environment.SpecialFolder.ProgramFiles),
-                "dotnet");
-        }
-        else if (RuntimeInformation.IsOSPlatform(OSPlatform.Linux))
-        {
-            defaultRoot = "/usr/share/dotnet";
-            defaultRoot2 = "/usr/lib/dotnet";
-        }
-        else if (RuntimeInformation.IsOSPlatform(OSPlatform.OSX))
-        {
-            defaultRoot = "/usr/local/share/dotnet";
-        }
-        else
-        {
-            throw new PlatformNotSupportedException();
-        }
-
-        if (Directory.Exists(defaultRoot))
-        {
-            return defaultRoot;
-        }
-
-        if (defaultRoot2 == null)
-        {
-            throw new DirectoryNotFoundException(
-                ".NET installation not found at " + defaultRoot);
-        }
-
-        if (Directory.Exists(defaultRoot2))
-        {
-            return defaultRoot2;
-        }
-
-        throw new DirectoryNotFoundException(
-            ".NET installation not found at " + defaultRoot2);
-    }
-
     public record struct hostfxr_handle(nint Handle);
 
     public enum hostfxr_delegate_type
@@ -191,12 +101,9 @@ internal static partial class HostFxr
 
     public unsafe struct hostfxr_initialize_parameters
     {
-        // Not used.
-        /*
         public nuint size;
-        public byte* host_path;
-        public byte* dotnet_root;
-        */
+        public byte* host_path;   // UTF-16 on Windows, UTF-8 elsewhere
+        public byte* dotnet_root; // UTF-16 on Windows, UTF-8 elsewhere
     }
 
     // The returned function pointer must be converted to a specific delegate via
@@ -225,6 +132,18 @@ internal static partial class HostFxr
         return status;
     }
 
+    public static unsafe hostfxr_status hostfxr_set_runtime_property_value(
+        hostfxr_handle hostContextHandle,
+        byte* name,  // UTF-16 on Windows, UTF-8 elsewhere
+        byte* value) // UTF-16 on Windows, UTF-8 elsewhere
+    {
+        nint funcHandle = NativeLibrary.GetExport(
+            Handle, nameof(hostfxr_set_runtime_property_value));
+        var funcDelegate = (delegate* unmanaged[Cdecl]< // HOSTFXR_CALLTYPE = cdecl
+            hostfxr_handle, byte*, byte*, hostfxr_status>)funcHandle;
+        return funcDelegate(hostContextHandle, name, value);
+    }
+
     public static unsafe hostfxr_status hostfxr_get_runtime_delegate(
         hostfxr_handle hostContextHandle,
         hostfxr_delegate_type delegateType,
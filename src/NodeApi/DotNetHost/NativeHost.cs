@@ -4,9 +4,12 @@
 #if !(NETFRAMEWORK || NETSTANDARD)
 
 using System;
+using System.Collections.Generic;
 using System.IO;
+using System.Linq;
 using System.Runtime.CompilerServices;
 using System.Runtime.InteropServices;
+using System.Text.Json.Nodes;
 using Microsoft.JavaScript.NodeApi.Runtime;
 using static Microsoft.JavaScript.NodeApi.DotNetHost.HostFxr;
 using static Microsoft.JavaScript.NodeApi.DotNetHost.MSCorEE;
@@ -64,7 +67,10 @@ internal unsafe partial class NativeHost : IDisposable
             new JSValue(exports, hostScope).DefineProperties(
                 // The package index.js will invoke the initialize method with the path to
                 // the managed host assembly.
-                JSPropertyDescriptor.Function("initialize", host.InitializeManagedHost));
+                JSPropertyDescriptor.Function("initialize", host.InitializeManagedHost),
+
+                // The probe method reports on the search for a compatible .NET installation.
+                JSPropertyDescriptor.Function("probe", ProbeDotNetHost));
         }
         catch (Exception ex)
         {
@@ -117,14 +123,13 @@ internal unsafe partial class NativeHost : IDisposable
 
         JSValue require = args[2];
         JSValue import = args[3];
+        HostOptions options = HostOptions.FromJS(args[4]);
         Trace($"> NativeHost.InitializeManagedHost({targetFramework}, {managedHostPath})");
 
         try
         {
             JSValue exports;
-            if (!targetFramework.Contains('.') &&
-                targetFramework.StartsWith("net", StringComparison.Ordinal) &&
-                targetFramework.Length >= 5)
+            if (IsFrameworkTarget(targetFramework))
             {
                 // .NET Framework
                 Version frameworkVersion = new(
@@ -138,13 +143,9 @@ internal unsafe partial class NativeHost : IDisposable
             else
             {
                 // .NET 5 or later
-#if NETFRAMEWORK || NETSTANDARD
-                Version dotnetVersion = Version.Parse(targetFramework.Substring(3));
-#else
                 Version dotnetVersion = Version.Parse(targetFramework.AsSpan(3));
-#endif
                 exports = InitializeDotNetHost(
-                    dotnetVersion, managedHostPath, require, import);
+                    dotnetVersion, managedHostPath, require, import, options);
             }
 
             // Save init parameters and result in case of re-init.
@@ -164,6 +165,38 @@ internal unsafe partial class NativeHost : IDisposable
         }
     }
 
+    /// <summary>
+    /// Searches for a .NET installation compatible with a target framework, without loading it.
+    /// </summary>
+    /// <returns>JS object with details about the candidate .NET installation locations and
+    /// versions, and why each one was rejected or selected.</returns>
+    private static JSValue ProbeDotNetHost(JSCallbackArgs args)
+    {
+        string targetFramework = (string)args[0];
+        HostOptions options = HostOptions.FromJS(args[1]);
+        Trace($"> NativeHost.ProbeDotNetHost({targetFramework})");
+
+        if (IsFrameworkTarget(targetFramework))
+        {
+            throw new NotSupportedException(
+                "Probing is only supported for .NET 5 or later target frameworks.");
+        }
+
+        Version dotnetVersion = Version.Parse(targetFramework.AsSpan(3));
+        HostFxrProbeReport report = HostFxr.Probe(
+            dotnetVersion, options.AllowPrerelease, options.DotNetRoot);
+
+        Trace("< NativeHost.ProbeDotNetHost()");
+        return report.ToJS(targetFramework);
+    }
+
+    private static bool IsFrameworkTarget(string targetFramework)
+    {
+        return !targetFramework.Contains('.') &&
+            targetFramework.StartsWith("net", StringComparison.Ordinal) &&
+            targetFramework.Length >= 5;
+    }
+
     /// <summary>
     /// Initializes the .NET Framework 4.x runtime using MSCOREE.
     /// </summary>
@@ -243,12 +276,14 @@ internal unsafe partial class NativeHost : IDisposable
     /// <param name="managedHostPath">Path to the managed host assembly file.</param>
     /// <param name="require">Require function passed in by the init script.</param>
     /// <param name="import">Import function passed in by the init script.</param>
+    /// <param name="options">Additional runtime options passed in by the init script.</param>
     /// <returns>JS exports value from the managed host.</returns>
     private JSValue InitializeDotNetHost(
         Version targetVersion,
         string managedHostPath,
         JSValue require,
-        JSValue import)
+        JSValue import,
+        HostOptions options)
     {
         Trace("    Initializing .NET " + targetVersion);
 
@@ -258,7 +293,7 @@ internal unsafe partial class NativeHost : IDisposable
 
         string runtimeConfigPath = Path.Join(
             Path.GetDirectoryName(managedHostPath), nodeApiAssemblyName + ".runtimeconfig.json");
-        _hostContextHandle = InitializeManagedRuntime(targetVersion, runtimeConfigPath);
+        _hostContextHandle = InitializeManagedRuntime(targetVersion, runtimeConfigPath, options);
 
         // Get a CLR function that can load an assembly.
         Trace("    Getting runtime load-assembly delegate...");
@@ -326,34 +361,125 @@ internal unsafe partial class NativeHost : IDisposable
 
     private hostfxr_handle InitializeManagedRuntime(
         Version targetVersion,
-        string runtimeConfigPath)
+        string runtimeConfigPath,
+        HostOptions options)
     {
         Trace($"> NativeHost.InitializeManagedRuntime({runtimeConfigPath})");
 
         // Load the library that provides CLR hosting APIs.
-        HostFxr.Initialize(targetVersion, allowPrerelease: true);
-
-        int runtimeConfigPathCapacity = HostFxr.Encoding.GetByteCount(runtimeConfigPath) + 2;
+        HostFxr.Initialize(targetVersion, options.AllowPrerelease, options.DotNetRoot);
+
+        // Other options are applied via the initialize parameters and runtime properties, but the
+        // roll-forward policy can only be specified via runtimeconfig.json. So a modified copy of
+        // the config file is used (temporarily) if a policy was requested. The copy is written
+        // next to the original, so that the config base directory is unchanged.
+        string? generatedRuntimeConfigPath = null;
+        string? generatedDevRuntimeConfigPath = null;
+        if (options.RollForward != null)
+        {
+            (generatedRuntimeConfigPath, generatedDevRuntimeConfigPath) =
+                WriteRuntimeConfig(runtimeConfigPath, options.RollForward);
+            runtimeConfigPath = generatedRuntimeConfigPath;
+        }
 
         hostfxr_status status;
         hostfxr_handle hostContextHandle;
-        fixed (byte* runtimeConfigPathBytes = new byte[runtimeConfigPathCapacity])
+        try
         {
-            Encode(runtimeConfigPath, runtimeConfigPathBytes, runtimeConfigPathCapacity);
+            byte[] runtimeConfigPathBytes = HostFxr.Encode(runtimeConfigPath);
+            byte[]? dotnetRootBytes = options.DotNetRoot == null ? null :
+                HostFxr.Encode(options.DotNetRoot);
 
-            // Initialize the CLR with configuration from runtimeconfig.json.
-            Trace("    Initializing runtime...");
+            fixed (byte* runtimeConfigPathPointer = runtimeConfigPathBytes)
+            fixed (byte* dotnetRootPointer = dotnetRootBytes)
+            {
+                hostfxr_initialize_parameters initializeParameters = new()
+                {
+                    size = (nuint)sizeof(hostfxr_initialize_parameters),
+                    dotnet_root = dotnetRootPointer,
+                };
+
+                // Initialize the CLR with configuration from runtimeconfig.json.
+                Trace("    Initializing runtime...");
+
+                status = hostfxr_initialize_for_runtime_config(
+                    runtimeConfigPathPointer,
+                    dotnetRootPointer == null ? null : &initializeParameters,
+                    out hostContextHandle);
+            }
+        }
+        finally
+        {
+            if (generatedRuntimeConfigPath != null)
+            {
+                File.Delete(generatedRuntimeConfigPath);
+            }
 
-            status = hostfxr_initialize_for_runtime_config(
-                runtimeConfigPathBytes, initializeParameters: null, out hostContextHandle);
+            if (generatedDevRuntimeConfigPath != null)
+            {
+                File.Delete(generatedDevRuntimeConfigPath);
+            }
         }
 
         CheckStatus(status, "Failed to initialize CLR host.");
 
+        foreach (KeyValuePair<string, string> property in options.RuntimeProperties)
+        {
+            Trace($"    Setting runtime property: {property.Key}={property.Value}");
+
+            fixed (byte* nameBytes = HostFxr.Encode(property.Key))
+            fixed (byte* valueBytes = HostFxr.Encode(property.Value))
+            {
+                status = hostfxr_set_runtime_property_value(
+                    hostContextHandle, nameBytes, valueBytes);
+            }
+
+            CheckStatus(status, $"Failed to set runtime property '{property.Key}'.");
+        }
+
         Trace("< NativeHost.InitializeManagedRuntime()");
         return hostContextHandle;
     }
 
+    /// <summary>
+    /// Writes a copy of a runtimeconfig.json file with a different roll-forward policy, in the
+    /// same directory as the original. If there is a runtimeconfig.dev.json file, it is also
+    /// copied, because the host finds it by the name of the runtimeconfig.json file.
+    /// </summary>
+    /// <returns>Paths to the written (temporary) runtime config and dev runtime config files;
+    /// the dev runtime config path is null if there is no dev runtime config.</returns>
+    private static (string RuntimeConfigPath, string? DevRuntimeConfigPath) WriteRuntimeConfig(
+        string runtimeConfigPath,
+        string rollForward)
+    {
+        const string runtimeConfigSuffix = ".runtimeconfig.json";
+        const string devRuntimeConfigSuffix = ".runtimeconfig.dev.json";
+
+        JsonNode runtimeConfig = JsonNode.Parse(File.ReadAllText(runtimeConfigPath)) ??
+            throw new InvalidDataException("Invalid runtime config file: " + runtimeConfigPath);
+        JsonObject runtimeOptions = runtimeConfig["runtimeOptions"]?.AsObject() ??
+            throw new InvalidDataException("Invalid runtime config file: " + runtimeConfigPath);
+        runtimeOptions["rollForward"] = rollForward;
+
+        string basePath = runtimeConfigPath.Substring(
+            0, runtimeConfigPath.Length - runtimeConfigSuffix.Length);
+        string generatedBasePath = basePath + "." + Environment.ProcessId;
+        string generatedRuntimeConfigPath = generatedBasePath + runtimeConfigSuffix;
+        Trace("    Writing runtime config: " + generatedRuntimeConfigPath);
+        File.WriteAllText(generatedRuntimeConfigPath, runtimeConfig.ToJsonString());
+
+        string? generatedDevRuntimeConfigPath = null;
+        string devRuntimeConfigPath = basePath + devRuntimeConfigSuffix;
+        if (File.Exists(devRuntimeConfigPath))
+        {
+            generatedDevRuntimeConfigPath = generatedBasePath + devRuntimeConfigSuffix;
+            Trace("    Copying dev runtime config: " + generatedDevRuntimeConfigPath);
+            File.Copy(devRuntimeConfigPath, generatedDevRuntimeConfigPath, overwrite: true);
+        }
+
+        return (generatedRuntimeConfigPath, generatedDevRuntimeConfigPath);
+    }
+
     public void Dispose()
     {
         // Close the CLR host context handle, if it's still open.
@@ -381,6 +507,82 @@ internal unsafe partial class NativeHost : IDisposable
                 $"{message} Status: {status}" : $"{message} HRESULT: 0x{(uint)status:x8}");
         }
     }
+
+    /// <summary>
+    /// Optional .NET runtime settings, from the options object passed to the init script.
+    /// </summary>
+    private sealed class HostOptions
+    {
+        private static readonly string[] s_rollForwardPolicies =
+        [
+            "LatestPatch", "Minor", "LatestMinor", "Major", "LatestMajor", "Disable",
+        ];
+
+        /// <summary>
+        /// Gets the root directory of the .NET installation to use, or null to search for
+        /// the .NET installation in the default locations.
+        /// </summary>
+        public string? DotNetRoot { get; private init; }
+
+        /// <summary>
+        /// Gets the roll-forward policy that overrides the one in runtimeconfig.json, or null
+        /// to use the default policy.
+        /// </summary>
+        public string? RollForward { get; private init; }
+
+        /// <summary>
+        /// Gets a value indicating whether prerelease versions of the .NET host may be selected.
+        /// The default is true.
+        /// </summary>
+        public bool AllowPrerelease { get; private init; } = true;
+
+        /// <summary>
+        /// Gets runtime configuration properties that are applied in addition to (or overriding)
+        /// the `configProperties` in runtimeconfig.json.
+        /// </summary>
+        public IReadOnlyDictionary<string, string> RuntimeProperties { get; private init; } =
+            new Dictionary<string, string>();
+
+        public static HostOptions FromJS(JSValue options)
+        {
+            if (!options.IsObject())
+            {
+                return new HostOptions();
+            }
+
+            string? rollForward = (string?)options["rollForward"];
+            if (rollForward != null)
+            {
+                rollForward = s_rollForwardPolicies.FirstOrDefault((p) =>
+                    p.Equals(rollForward, StringComparison.OrdinalIgnoreCase)) ??
+                    throw new ArgumentException(
+                        $"Invalid roll-forward policy: '{rollForward}'. Valid values are: " +
+                        string.Join(", ", s_rollForwardPolicies));
+            }
+
+            Dictionary<string, string> runtimeProperties = new();
+            JSValue runtimePropertiesValue = options["runtimeProperties"];
+            if (runtimePropertiesValue.IsObject())
+            {
+                foreach (KeyValuePair<JSValue, JSValue> property in
+                    (JSObject)runtimePropertiesValue)
+                {
+                    // Runtime property values are always strings, as in runtimeconfig.json.
+                    runtimeProperties[(string)property.Key] =
+                        (string)property.Value.CoerceToString();
+                }
+            }
+
+            JSValue allowPrerelease = options["allowPrerelease"];
+            return new HostOptions
+            {
+                DotNetRoot = (string?)options["dotnetRoot"],
+                RollForward = rollForward,
+                AllowPrerelease = allowPrerelease.IsUndefined() || (bool)allowPrerelease,
+                RuntimeProperties = runtimeProperties,
+            };
+        }
+    }
 }
 
 #endif
@@ -264,6 +264,38 @@ public readonly struct JSCallbackOverload
             }
         }
 
+        if (matchCount > 1)
+        {
+            // A string argument matches both string and ReadOnlySpan<char> parameters. Prefer
+            // the string overloads, since span overloads are typically equivalent alternatives.
+            JSCallbackOverload? stringOverload = null;
+            int stringMatchCount = 0;
+            for (int overloadIndex = 0; overloadIndex < overloads.Count; overloadIndex++)
+            {
+                if (isMatch[overloadIndex] &&
+                    !HasCharSpanParameterForString(overloads[overloadIndex], argValueTypes))
+                {
+                    stringOverload = overloads[overloadIndex];
+                    stringMatchCount++;
+                }
+            }
+
+            if (stringMatchCount > 0 && stringMatchCount < matchCount)
+            {
+                for (int overloadIndex = 0; overloadIndex < overloads.Count; overloadIndex++)
+                {
+                    if (isMatch[overloadIndex] &&
+                        HasCharSpanParameterForString(overloads[overloadIndex], argValueTypes))
+                    {
+                        isMatch[overloadIndex] = false;
+                    }
+                }
+
+                matchingOverload = stringOverload;
+                matchCount = stringMatchCount;
+            }
+        }
+
         if (matchCount == 0)
         {
             string argTypesList = string.Join(", ", argValueTypes.ToArray());
@@ -275,6 +307,22 @@ public readonly struct JSCallbackOverload
         return matchCount == 1 ? matchingOverload : null;
     }
 
+    private static bool HasCharSpanParameterForString(
+        JSCallbackOverload overload,
+        Span<JSValueType> argValueTypes)
+    {
+        for (int argIndex = 0; argIndex < argValueTypes.Length; argIndex++)
+        {
+            if (argValueTypes[argIndex] == JSValueType.String &&
+                overload.ParameterTypes[argIndex] == typeof(ReadOnlySpan<char>))
+            {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
     private static bool IsArgumentJSValueTypeMatch(JSValueType argumentType, Type parameterType)
     {
         // Note this does not consider nullable type annotations.
@@ -291,14 +339,72 @@ public readonly struct JSCallbackOverload
             JSValueType.Boolean => parameterType == typeof(bool),
             JSValueType.Number => (parameterType.IsPrimitive && parameterType != typeof(bool)) ||
                 parameterType.IsEnum || parameterType == typeof(TimeSpan),
-            JSValueType.String => parameterType == typeof(string) || parameterType == typeof(Guid),
+            JSValueType.String => parameterType == typeof(string) ||
+                parameterType == typeof(Guid) || parameterType == typeof(ReadOnlySpan<char>) ||
+                IsDateOrTimeOnlyType(parameterType),
             JSValueType.Object => !parameterType.IsPrimitive && parameterType != typeof(string),
             JSValueType.Function => typeof(Delegate).IsAssignableFrom(parameterType),
-            JSValueType.BigInt => parameterType == typeof(System.Numerics.BigInteger),
+            JSValueType.BigInt => parameterType == typeof(System.Numerics.BigInteger) ||
+                IsInt64Type(parameterType),
             _ => false,
         };
     }
 
+    /// <summary>
+    /// Checks whether a type is a 64-bit (or larger) integer type, which may be converted from
+    /// a JS bigint.
+    /// </summary>
+    private static bool IsInt64Type(Type type)
+    {
+        return type == typeof(long) || type == typeof(ulong) ||
+            type == typeof(nint) || type == typeof(nuint)
+#if !(NETFRAMEWORK || NETSTANDARD)
+            || type == typeof(Int128) || type == typeof(UInt128)
+#endif
+            ;
+    }
+
+    /// <summary>
+    /// Checks whether a type is a date-only or time-only type, which may be converted from an
+    /// ISO 8601 date or time string.
+    /// </summary>
+    private static bool IsDateOrTimeOnlyType(Type type)
+    {
+#if !(NETFRAMEWORK || NETSTANDARD)
+        return type == typeof(DateOnly) || type == typeof(TimeOnly);
+#else
+        return false;
+#endif
+    }
+
+    /// <summary>
+    /// Gets the name of a property that identifies the JS Temporal type which may be converted
+    /// to a .NET date or time type, or null if the type is not such a type.
+    /// </summary>
+    private static string? GetTemporalPropertyName(Type type)
+    {
+        if (type == typeof(DateTimeOffset))
+        {
+            return "epochNanoseconds"; // Temporal.ZonedDateTime or Temporal.Instant
+        }
+        else if (type == typeof(TimeSpan))
+        {
+            return "nanoseconds"; // Temporal.Duration
+        }
+#if !(NETFRAMEWORK || NETSTANDARD)
+        else if (type == typeof(DateOnly))
+        {
+            return "day"; // Temporal.PlainDate
+        }
+        else if (type == typeof(TimeOnly))
+        {
+            return "nanosecond"; // Temporal.PlainTime
+        }
+#endif
+
+        return null;
+    }
+
     private static JSCallbackOverload? ResolveByArgumentNumericTypes(
         IReadOnlyList<JSCallbackOverload> overloads,
         JSCallbackArgs args,
@@ -691,6 +797,12 @@ public readonly struct JSCallbackOverload
         {
             return parameterType.IsAssignableFrom(dotnetType);
         }
+        else if (parameterType.IsGenericType &&
+            (parameterType.GetGenericTypeDefinition() == typeof(Span<>) ||
+            parameterType.GetGenericTypeDefinition() == typeof(ReadOnlySpan<>)))
+        {
+            return IsArgumentBufferTypeMatch(arg, parameterType.GenericTypeArguments[0]);
+        }
         else if (parameterType.IsValueType &&
             !parameterType.IsPrimitive && !parameterType.IsEnum) // struct type
         {
@@ -713,6 +825,12 @@ public readonly struct JSCallbackOverload
                     return true;
                 }
             }
+            else if (GetTemporalPropertyName(parameterType) is string temporalPropertyName &&
+                arg.HasProperty(temporalPropertyName))
+            {
+                // A JS Temporal object (or a polyfill) matches the corresponding .NET type.
+                return true;
+            }
             else if (jsType == JSValue.Global["Object"])
             {
                 // TODO: Check for required (non-nullable) properties in the JS object?
@@ -776,6 +894,35 @@ public readonly struct JSCallbackOverload
         return false;
     }
 
+    private static bool IsArgumentBufferTypeMatch(JSValue arg, Type elementType)
+    {
+        if (arg.IsArrayBuffer())
+        {
+            // The contents of an ArrayBuffer can be viewed as any element type.
+            return elementType != typeof(char);
+        }
+        else if (!arg.IsTypedArray())
+        {
+            return false;
+        }
+
+        arg.GetTypedArrayLength(out JSTypedArrayType arrayType);
+        return arrayType switch
+        {
+            JSTypedArrayType.Int8 => elementType == typeof(sbyte),
+            JSTypedArrayType.UInt8 or JSTypedArrayType.UInt8Clamped => elementType == typeof(byte),
+            JSTypedArrayType.Int16 => elementType == typeof(short),
+            JSTypedArrayType.UInt16 => elementType == typeof(ushort),
+            JSTypedArrayType.Int32 => elementType == typeof(int),
+            JSTypedArrayType.UInt32 => elementType == typeof(uint),
+            JSTypedArrayType.BigInt64 => elementType == typeof(long),
+            JSTypedArrayType.BigUInt64 => elementType == typeof(ulong),
+            JSTypedArrayType.Float32 => elementType == typeof(float),
+            JSTypedArrayType.Float64 => elementType == typeof(double),
+            _ => false,
+        };
+    }
+
     private static JSValue GetDefaultArg(Type parameterType, object? defaultValue)
     {
         if (defaultValue == null)
@@ -2,6 +2,7 @@
 // Licensed under the MIT License.
 
 using System;
+using System.Collections.Generic;
 using System.IO;
 using System.Linq;
 
@@ -9,7 +10,10 @@ namespace Microsoft.JavaScript.NodeApi.Interop;
 
 public class JSClassBuilder<T> : JSPropertyDescriptorList<JSClassBuilder<T>, T> where T : notnull
 {
+    private const string InspectSymbolName = "nodejs.util.inspect.custom";
+
     private readonly JSCallbackDescriptor? _constructorDescriptor;
+    private readonly List<JSEventProjection> _events = new();
 
     public string ClassName { get; }
 
@@ -50,6 +54,34 @@ public class JSClassBuilder<T> : JSPropertyDescriptorList<JSClassBuilder<T>, T>
         return (T?)args.ThisArg.Unwrap(typeof(T).Name);
     }
 
+    /// <summary>
+    /// Adds a .NET event that JS can listen to via EventEmitter-style `on()`, `once()`, and
+    /// `off()` methods, which are added to the class when it is defined.
+    /// </summary>
+    /// <typeparam name="TDelegate">Event handler delegate type.</typeparam>
+    /// <param name="name">Name of the event, as used by JS.</param>
+    /// <param name="fromJS">Converts a JS listener function to an event handler delegate.</param>
+    /// <param name="addHandler">Adds a handler to the event of the target object. (The target
+    /// is null for a static event.)</param>
+    /// <param name="removeHandler">Removes a handler from the event of the target object.</param>
+    /// <param name="attributes">Attributes of the event; only the `Static` flag is used.</param>
+    public JSClassBuilder<T> AddEvent<TDelegate>(
+        string name,
+        JSValue.To<TDelegate> fromJS,
+        Action<T, TDelegate> addHandler,
+        Action<T, TDelegate> removeHandler,
+        JSPropertyAttributes attributes = JSPropertyAttributes.DefaultMethod)
+        where TDelegate : Delegate
+    {
+        _events.Add(new JSEventProjection<T, TDelegate>(
+            name,
+            attributes.HasFlag(JSPropertyAttributes.Static),
+            fromJS,
+            addHandler,
+            removeHandler));
+        return this;
+    }
+
     /// <summary>
     /// Creates a class definition for the built class.
     /// </summary>
@@ -92,6 +124,9 @@ public class JSClassBuilder<T> : JSPropertyDescriptorList<JSClassBuilder<T>, T>
         }
         else
         {
+            AddInstanceInspect();
+            AddEventMethods();
+            AddDisposeMethods();
             classObject = JSValue.DefineClass(
                 ClassName,
                 new JSCallbackDescriptor(
@@ -140,6 +175,7 @@ public class JSClassBuilder<T> : JSPropertyDescriptorList<JSClassBuilder<T>, T>
         }
 
         AddTypeToString();
+        AddInstanceInspect();
 
         JSValue classObject;
         if (_constructorDescriptor != null)
@@ -195,6 +231,7 @@ public class JSClassBuilder<T> : JSPropertyDescriptorList<JSClassBuilder<T>, T>
         }
 
         AddTypeToString();
+        AddEventMethods();
 
         JSValue obj = JSValue.CreateObject();
         obj.DefineProperties(Properties.ToArray());
@@ -232,6 +269,9 @@ public class JSClassBuilder<T> : JSPropertyDescriptorList<JSClassBuilder<T>, T>
         }
 
         AddTypeToString();
+        AddInstanceInspect();
+        AddEventMethods();
+        AddDisposeMethods();
 
         JSValue obj = JSValue.DefineClass(
             ClassName,
@@ -313,4 +353,211 @@ public class JSClassBuilder<T> : JSPropertyDescriptorList<JSClassBuilder<T>, T>
             (_) => typeof(T).FormatName(),
             JSPropertyAttributes.Static | JSPropertyAttributes.DefaultMethod);
     }
+
+    /// <summary>
+    /// Adds `on()`, `once()`, and `off()` methods for adding and removing listeners to the
+    /// events of the class, separately for instance and static events. A method is not added if
+    /// the class already has a member with the same name.
+    /// </summary>
+    private void AddEventMethods()
+    {
+        foreach (bool isStatic in new[] { false, true })
+        {
+            JSEventProjection[] events = _events.Where((e) => e.IsStatic == isStatic).ToArray();
+            if (events.Length == 0)
+            {
+                continue;
+            }
+
+            JSPropertyAttributes attributes = JSPropertyAttributes.DefaultMethod |
+                (isStatic ? JSPropertyAttributes.Static : default);
+
+            AddEventMethod("on", events, attributes, (e, target, args) =>
+                e.AddListener(target, args.ThisArg, args[1], once: false));
+            AddEventMethod("once", events, attributes, (e, target, args) =>
+                e.AddListener(target, args.ThisArg, args[1], once: true));
+            AddEventMethod("off", events, attributes, (e, target, args) =>
+                e.RemoveListener(target, args[1]));
+        }
+    }
+
+    private delegate void EventMethodCallback(
+        JSEventProjection eventProjection, object? target, JSCallbackArgs args);
+
+    private void AddEventMethod(
+        string methodName,
+        JSEventProjection[] events,
+        JSPropertyAttributes attributes,
+        EventMethodCallback callback)
+    {
+        bool isStatic = attributes.HasFlag(JSPropertyAttributes.Static);
+        if (Properties.Any((p) => p.Name == methodName &&
+            p.Attributes.HasFlag(JSPropertyAttributes.Static) == isStatic))
+        {
+            return;
+        }
+
+        AddMethod(
+            methodName,
+            (args) =>
+            {
+                string eventName = (string)args[0];
+                JSEventProjection eventProjection =
+                    events.FirstOrDefault((e) => e.Name == eventName) ??
+                    throw new ArgumentException($"Event not found: {eventName}");
+                object? target = isStatic ? null : Unwrap(args);
+                callback(eventProjection, target, args);
+
+                // Return `this` to support chaining, as with Node.js EventEmitter.
+                return args.ThisArg;
+            },
+            attributes);
+    }
+
+    /// <summary>
+    /// Adds a `[Symbol.dispose]()` method on the class prototype if the type implements
+    /// <see cref="IDisposable"/>, and a `[Symbol.asyncDispose]()` method that returns a promise
+    /// if the type implements <see cref="IAsyncDisposable"/>, so that instances can be disposed
+    /// with the JS `using` and `await using` statements.
+    /// </summary>
+    private void AddDisposeMethods()
+    {
+        // Explicit resource management symbols are not defined by older JS runtimes.
+        if (typeof(IDisposable).IsAssignableFrom(typeof(T)) &&
+            JSValue.Global["Symbol"]["dispose"].IsSymbol())
+        {
+            Properties.Add(new JSPropertyDescriptor(
+                JSSymbol.Dispose,
+                method: (args) =>
+                {
+                    ((IDisposable?)Unwrap(args))?.Dispose();
+                    return JSValue.Undefined;
+                },
+                attributes: JSPropertyAttributes.DefaultMethod));
+        }
+
+        if (typeof(IAsyncDisposable).IsAssignableFrom(typeof(T)) &&
+            JSValue.Global["Symbol"]["asyncDispose"].IsSymbol())
+        {
+            Properties.Add(new JSPropertyDescriptor(
+                JSSymbol.AsyncDispose,
+                method: (args) => ((IAsyncDisposable?)Unwrap(args))?.DisposeAsync().AsPromise() ??
+                    JSPromise.Resolve(),
+                attributes: JSPropertyAttributes.DefaultMethod));
+        }
+    }
+
+    /// <summary>
+    /// Adds a `[Symbol.for('nodejs.util.inspect.custom')]()` method on the class prototype, so that
+    /// Node.js `util.inspect()` and `console.log()` display instances with the full name of the
+    /// .NET type, the result of <see cref="object.ToString()"/> (if it is overridden), and the
+    /// values of the instance properties.
+    /// </summary>
+    private void AddInstanceInspect()
+    {
+        JSValue inspectSymbol = JSValue.SymbolFor(InspectSymbolName);
+
+        // Return early if there is already an inspect method defined.
+        foreach (JSPropertyDescriptor property in Properties)
+        {
+            if (!property.Attributes.HasFlag(JSPropertyAttributes.Static) &&
+                property.NameValue?.IsSymbol() == true &&
+                property.NameValue.Value.StrictEquals(inspectSymbol))
+            {
+                return;
+            }
+        }
+
+        Properties.Add(new JSPropertyDescriptor(
+            inspectSymbol,
+            method: InspectInstance,
+            attributes: JSPropertyAttributes.DefaultMethod));
+    }
+
+    /// <summary>
+    /// Implements `[util.inspect.custom](depth, options, inspect)` for an instance of the class.
+    /// </summary>
+    private static JSValue InspectInstance(JSCallbackArgs args)
+    {
+        JSValue thisArg = args.ThisArg;
+        JSValue options = args[1];
+        JSValue inspect = args[2];
+
+        // Structs are passed by value, so a struct instance does not wrap a .NET object.
+        object? instance = thisArg.IsObject() ? thisArg.TryUnwrap() : null;
+        Type type = instance?.GetType() ?? typeof(T);
+        string typeName = type.FormatName();
+
+        if (args[0].IsNumber() && (double)args[0] < 0)
+        {
+            return $"[{typeName}]";
+        }
+
+        string? stringValue = null;
+        if (instance != null && IsToStringOverridden(type))
+        {
+            try
+            {
+                stringValue = instance.ToString();
+            }
+            catch (Exception)
+            {
+                // Display the type and properties without the string value.
+            }
+        }
+
+        JSValue objectClass = JSRuntimeContext.Current.Import(null, "Object");
+        JSValue objectPrototype = objectClass["prototype"];
+        JSValue properties = JSValue.CreateObject();
+
+        // Include own data properties (of structs), then accessor properties on the prototype
+        // chain (of classes), including properties inherited from base classes.
+        foreach (JSValue name in (JSArray)objectClass.CallMethod("keys", thisArg))
+        {
+            properties[name] = thisArg[name];
+        }
+
+        for (JSValue prototype = thisArg.GetPrototype();
+            prototype.IsObject() && !prototype.StrictEquals(objectPrototype);
+            prototype = prototype.GetPrototype())
+        {
+            foreach (JSValue name in
+                (JSArray)objectClass.CallMethod("getOwnPropertyNames", prototype))
+            {
+                if (properties.HasOwnProperty(name) || !objectClass.CallMethod(
+                    "getOwnPropertyDescriptor", prototype, name)["get"].IsFunction())
+                {
+                    continue;
+                }
+
+                try
+                {
+                    properties[name] = thisArg[name];
+                }
+                catch (JSException)
+                {
+                    // Skip properties that cannot be read from this instance.
+                }
+            }
+        }
+
+        JSValue nestedOptions = objectClass.CallMethod(
+            "assign", JSValue.CreateObject(), options);
+        JSValue depth = options["depth"];
+        nestedOptions["depth"] = depth.IsNumber() ? (double)depth - 1 : depth;
+
+        string propertiesString = (string)inspect.Call(
+            JSValue.Undefined, properties, nestedOptions);
+        return stringValue != null ?
+            $"{typeName} ({stringValue}) {propertiesString}" :
+            $"{typeName} {propertiesString}";
+    }
+
+    private static bool IsToStringOverridden(Type type)
+    {
+        Type? declaringType = type.GetMethod(nameof(ToString), Type.EmptyTypes)?.DeclaringType;
+        return declaringType != null &&
+            declaringType != typeof(object) &&
+            declaringType != typeof(ValueType);
+    }
 }
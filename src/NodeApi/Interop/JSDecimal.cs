@@ -0,0 +1,145 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+using System;
+using System.Globalization;
+
+namespace Microsoft.JavaScript.NodeApi.Interop;
+
+/// <summary>
+/// Converts .NET <see cref="decimal"/> values to and from JS values, according to a
+/// <see cref="JSDecimalMarshalling"/> projection.
+/// </summary>
+/// <remarks>
+/// With the <see cref="JSDecimalMarshalling.Decimal"/> projection, values are instances of a
+/// `Decimal` JS class that is defined once per runtime context. The class wraps a .NET decimal
+/// value, and its arithmetic methods are implemented by .NET, so that no precision is lost.
+/// </remarks>
+public static class JSDecimal
+{
+    /// <summary>
+    /// Name of the JS class that wraps .NET decimal values.
+    /// </summary>
+    public const string ClassName = "Decimal";
+
+    private const NumberStyles ParseStyles = NumberStyles.Number | NumberStyles.AllowExponent;
+
+    /// <summary>
+    /// Converts a .NET decimal value to a JS value.
+    /// </summary>
+    public static JSValue ToJS(decimal value, JSDecimalMarshalling marshalling)
+    {
+        return marshalling switch
+        {
+            JSDecimalMarshalling.Number => (double)value,
+            JSDecimalMarshalling.Decimal => CreateObject(value),
+            _ => value.ToString(CultureInfo.InvariantCulture),
+        };
+    }
+
+    /// <summary>
+    /// Converts a JS string, number, bigint, or `Decimal` object to a .NET decimal value.
+    /// </summary>
+    /// <exception cref="InvalidCastException">The JS value cannot be converted to a decimal
+    /// value.</exception>
+    /// <exception cref="FormatException">A JS string is not a valid decimal number.</exception>
+    /// <exception cref="OverflowException">The JS value is outside the range of a decimal
+    /// value.</exception>
+    public static decimal FromJS(JSValue value)
+    {
+        switch (value.TypeOf())
+        {
+            case JSValueType.String:
+                return decimal.Parse((string)value, ParseStyles, CultureInfo.InvariantCulture);
+            case JSValueType.Number:
+                return (decimal)(double)value;
+            case JSValueType.BigInt:
+                return (decimal)((JSBigInt)value).ToBigInteger();
+            case JSValueType.Object:
+                if (value.TryUnwrap() is decimal decimalValue)
+                {
+                    return decimalValue;
+                }
+                break;
+        }
+
+        throw new InvalidCastException(
+            $"Cannot convert JS {value.TypeOf().ToString().ToLowerInvariant()} to decimal.");
+    }
+
+    /// <summary>
+    /// Gets the `Decimal` JS class constructor for the current runtime context, defining the
+    /// class if it was not already defined.
+    /// </summary>
+    public static JSValue GetClass()
+        => JSRuntimeContext.Current.GetOrRegisterClass(typeof(decimal), DefineClass);
+
+    /// <summary>
+    /// Creates an instance of the `Decimal` JS class that wraps a .NET decimal value.
+    /// </summary>
+    public static JSValue CreateObject(decimal value)
+        => GetClass().CallAsConstructor(JSValue.CreateExternal(value));
+
+    private static JSValue DefineClass()
+    {
+        return JSValue.DefineClass(
+            ClassName,
+            new JSCallbackDescriptor(ClassName, Construct),
+            Method("add", (a, b) => a + b),
+            Method("subtract", (a, b) => a - b),
+            Method("multiply", (a, b) => a * b),
+            Method("divide", (a, b) => a / b),
+            Method("remainder", (a, b) => a % b),
+            JSPropertyDescriptor.Function(
+                "negate",
+                (args) => CreateObject(-GetValue(args.ThisArg)),
+                JSPropertyAttributes.DefaultMethod),
+            JSPropertyDescriptor.Function(
+                "round",
+                (args) => CreateObject(decimal.Round(
+                    GetValue(args.ThisArg),
+                    args.Length > 0 && !args[0].IsUndefined() ? (int)args[0] : 0)),
+                JSPropertyAttributes.DefaultMethod),
+            JSPropertyDescriptor.Function(
+                "compareTo",
+                (args) => GetValue(args.ThisArg).CompareTo(FromJS(args[0])),
+                JSPropertyAttributes.DefaultMethod),
+            JSPropertyDescriptor.Function(
+                "equals",
+                (args) => GetValue(args.ThisArg) == FromJS(args[0]),
+                JSPropertyAttributes.DefaultMethod),
+            JSPropertyDescriptor.Function(
+                "toNumber",
+                (args) => (double)GetValue(args.ThisArg),
+                JSPropertyAttributes.DefaultMethod),
+            JSPropertyDescriptor.Function(
+                "toString",
+                (args) => GetValue(args.ThisArg).ToString(CultureInfo.InvariantCulture),
+                JSPropertyAttributes.DefaultMethod),
+            JSPropertyDescriptor.Function(
+                "toJSON",
+                (args) => GetValue(args.ThisArg).ToString(CultureInfo.InvariantCulture),
+                JSPropertyAttributes.DefaultMethod));
+    }
+
+    private static JSValue Construct(JSCallbackArgs args)
+    {
+        // An external value is passed when constructing an instance from .NET.
+        JSValue arg = args.Length > 0 ? args[0] : JSValue.Undefined;
+        decimal value = arg.IsExternal() ? (decimal)arg.GetValueExternal() :
+            arg.IsUndefined() ? 0m : FromJS(arg);
+
+        args.ThisArg.Wrap(value);
+        return args.ThisArg;
+    }
+
+    private static JSPropertyDescriptor Method(string name, Func<decimal, decimal, decimal> op)
+    {
+        return JSPropertyDescriptor.Function(
+            name,
+            (args) => CreateObject(op(GetValue(args.ThisArg), FromJS(args[0]))),
+            JSPropertyAttributes.DefaultMethod);
+    }
+
+    private static decimal GetValue(JSValue thisArg) => (decimal)thisArg.Unwrap(ClassName);
+}
@@ -0,0 +1,79 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+using System;
+using System.Threading.Tasks;
+
+namespace Microsoft.JavaScript.NodeApi.Interop;
+
+/// <summary>
+/// Enables a JS object to be used as a .NET <see cref="IDisposable"/> or
+/// <see cref="IAsyncDisposable"/>, by forwarding to the object's <c>[Symbol.dispose]()</c> or
+/// <c>[Symbol.asyncDispose]()</c> method.
+/// </summary>
+/// <remarks>
+/// For compatibility with JS objects that were written to implement the .NET interface before
+/// JS had explicit resource management, a <c>dispose()</c> method is also supported.
+/// </remarks>
+public sealed class JSDisposable : JSInterface, IDisposable, IAsyncDisposable
+{
+    public JSDisposable(JSValue value) : base(value)
+    {
+    }
+
+    void IDisposable.Dispose() => ValueReference.Run(Dispose);
+
+    ValueTask IAsyncDisposable.DisposeAsync() => ValueReference.Run(DisposeAsync);
+
+    /// <summary>
+    /// Disposes a JS object by calling its <c>[Symbol.dispose]()</c> method, or else its
+    /// <c>dispose()</c> method.
+    /// </summary>
+    /// <exception cref="InvalidCastException">The JS value does not have a dispose
+    /// method.</exception>
+    public static void Dispose(JSValue value)
+    {
+        JSValue disposeMethod = GetMethod(value, "dispose");
+        if (!disposeMethod.IsFunction())
+        {
+            disposeMethod = value.IsObject() ? value["dispose"] : JSValue.Undefined;
+            if (!disposeMethod.IsFunction())
+            {
+                throw new InvalidCastException(
+                    "The JS value does not have a [Symbol.dispose]() or dispose() method.");
+            }
+        }
+
+        disposeMethod.Call(value);
+    }
+
+    /// <summary>
+    /// Asynchronously disposes a JS object by calling its <c>[Symbol.asyncDispose]()</c> method
+    /// and awaiting the returned promise, or else disposes it synchronously.
+    /// </summary>
+    /// <exception cref="InvalidCastException">The JS value does not have a dispose
+    /// method.</exception>
+    public static ValueTask DisposeAsync(JSValue value)
+    {
+        JSValue asyncDisposeMethod = GetMethod(value, "asyncDispose");
+        if (!asyncDisposeMethod.IsFunction())
+        {
+            Dispose(value);
+            return default;
+        }
+
+        JSValue result = asyncDisposeMethod.Call(value);
+        return result.IsPromise() ? new ValueTask(((JSPromise)result).AsTask()) : default;
+    }
+
+    /// <summary>
+    /// Gets a method of a JS object that is keyed by a well-known symbol, or undefined if either
+    /// the object or the JS runtime does not have the method.
+    /// </summary>
+    private static JSValue GetMethod(JSValue value, string symbolName)
+    {
+        // Explicit resource management symbols are not defined by older JS runtimes.
+        JSValue symbol = JSValue.Global["Symbol"][symbolName];
+        return value.IsObject() && symbol.IsSymbol() ? value[symbol] : JSValue.Undefined;
+    }
+}
@@ -0,0 +1,211 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Reflection;
+using System.Runtime.CompilerServices;
+
+namespace Microsoft.JavaScript.NodeApi.Interop;
+
+/// <summary>
+/// Projects a .NET event to JavaScript, tracking the JS listeners that were added to the event
+/// via EventEmitter-style `on()`, `once()`, and `off()` methods, along with the .NET handler
+/// delegates that were created for each listener.
+/// </summary>
+/// <remarks>
+/// JS listeners are invoked with `this` set to the JS object that the listener was added to. If
+/// the event handler delegate type follows the .NET `(object sender, TEventArgs e)` pattern then
+/// the sender argument is omitted, so listeners receive only the event args.
+/// </remarks>
+internal abstract class JSEventProjection
+{
+    private readonly ConditionalWeakTable<object, List<Listener>> _instanceListeners = new();
+    private readonly List<Listener> _staticListeners = new();
+    private readonly bool _hasSenderParameter;
+
+    protected JSEventProjection(string name, bool isStatic, Type delegateType)
+    {
+        Name = name;
+        IsStatic = isStatic;
+        _hasSenderParameter = HasSenderParameter(delegateType);
+    }
+
+    /// <summary>
+    /// Gets the name of the event, as used by JS.
+    /// </summary>
+    public string Name { get; }
+
+    /// <summary>
+    /// Gets a value indicating whether the event is static.
+    /// </summary>
+    public bool IsStatic { get; }
+
+    /// <summary>
+    /// Adds a JS listener to the event.
+    /// </summary>
+    /// <param name="target">The .NET object that raises the event, or null for a static event.
+    /// </param>
+    /// <param name="thisArg">The JS object the listener was added to, which becomes the `this`
+    /// value when the listener is invoked.</param>
+    /// <param name="listener">The JS listener function.</param>
+    /// <param name="once">True if the listener should be removed after it is invoked once.</param>
+    public void AddListener(object? target, JSValue thisArg, JSValue listener, bool once)
+    {
+        if (!listener.IsFunction())
+        {
+            throw new ArgumentException("The event listener must be a function.", nameof(listener));
+        }
+
+        // The target and `this` are referenced weakly by the handler, to avoid preventing them
+        // from being collected while the handler is attached to the target's event.
+        WeakReference<object>? targetReference = target == null ? null : new(target);
+        JSReference thisReference = new(thisArg, isWeak: true);
+        JSReference listenerReference = new(listener);
+
+        Listener? registration = null;
+        JSFunction function = new(Name, (JSCallbackArgs args) =>
+        {
+            if (once && registration != null)
+            {
+                object? onceTarget = null;
+                if (targetReference == null || targetReference.TryGetTarget(out onceTarget))
+                {
+                    RemoveListener(onceTarget, registration);
+                }
+            }
+
+            int skipCount = _hasSenderParameter ? 1 : 0;
+            JSValue[] listenerArgs = new JSValue[Math.Max(args.Length - skipCount, 0)];
+            for (int i = 0; i < listenerArgs.Length; i++)
+            {
+                listenerArgs[i] = args[i + skipCount];
+            }
+
+            thisReference.TryGetValue(out JSValue thisValue);
+            return listenerReference.GetValue().Call(thisValue, listenerArgs);
+        });
+
+        registration = new Listener(listenerReference, CreateHandler(function));
+        AddHandler(target, registration.Handler);
+        GetListeners(target).Add(registration);
+    }
+
+    /// <summary>
+    /// Removes the most recently added registration of a JS listener from the event, if found.
+    /// </summary>
+    /// <param name="target">The .NET object that raises the event, or null for a static event.
+    /// </param>
+    /// <param name="listener">The JS listener function.</param>
+    public void RemoveListener(object? target, JSValue listener)
+    {
+        List<Listener> listeners = GetListeners(target);
+        Listener? registration = listeners.LastOrDefault(
+            (l) => l.Function.GetValue().StrictEquals(listener));
+        if (registration != null)
+        {
+            RemoveListener(target, registration);
+        }
+    }
+
+    private void RemoveListener(object? target, Listener registration)
+    {
+        if (GetListeners(target).Remove(registration))
+        {
+            RemoveHandler(target, registration.Handler);
+        }
+    }
+
+    private List<Listener> GetListeners(object? target)
+    {
+        if (IsStatic)
+        {
+            return _staticListeners;
+        }
+
+        if (target == null)
+        {
+            throw new InvalidOperationException(
+                $"A target object is required for non-static event '{Name}'.");
+        }
+
+        return _instanceListeners.GetValue(target, (_) => new List<Listener>());
+    }
+
+    /// <summary>
+    /// Creates a .NET event handler delegate that invokes a JS function.
+    /// </summary>
+    protected abstract Delegate CreateHandler(JSValue function);
+
+    /// <summary>
+    /// Adds a .NET event handler delegate to the event.
+    /// </summary>
+    protected abstract void AddHandler(object? target, Delegate handler);
+
+    /// <summary>
+    /// Removes a .NET event handler delegate from the event.
+    /// </summary>
+    protected abstract void RemoveHandler(object? target, Delegate handler);
+
+    /// <summary>
+    /// Checks whether an event handler delegate type follows the .NET
+    /// `(object sender, TEventArgs e)` pattern.
+    /// </summary>
+    internal static bool HasSenderParameter(Type delegateType)
+    {
+        ParameterInfo[]? parameters = delegateType.GetMethod("Invoke")?.GetParameters();
+        return parameters?.Length == 2 && parameters[0].ParameterType == typeof(object);
+    }
+
+    private sealed class Listener
+    {
+        public Listener(JSReference function, Delegate handler)
+        {
+            Function = function;
+            Handler = handler;
+        }
+
+        /// <summary>
+        /// Gets a reference to the JS listener function.
+        /// </summary>
+        public JSReference Function { get; }
+
+        /// <summary>
+        /// Gets the .NET handler that was added to the event for the listener.
+        /// </summary>
+        public Delegate Handler { get; }
+    }
+}
+
+/// <summary>
+/// Projects a .NET event with a specific handler delegate type to JavaScript.
+/// </summary>
+internal sealed class JSEventProjection<TObject, TDelegate> : JSEventProjection
+    where TDelegate : Delegate
+{
+    private readonly JSValue.To<TDelegate> _fromJS;
+    private readonly Action<TObject, TDelegate> _addHandler;
+    private readonly Action<TObject, TDelegate> _removeHandler;
+
+    public JSEventProjection(
+        string name,
+        bool isStatic,
+        JSValue.To<TDelegate> fromJS,
+        Action<TObject, TDelegate> addHandler,
+        Action<TObject, TDelegate> removeHandler)
+        : base(name, isStatic, typeof(TDelegate))
+    {
+        _fromJS = fromJS;
+        _addHandler = addHandler;
+        _removeHandler = removeHandler;
+    }
+
+    protected override Delegate CreateHandler(JSValue function) => _fromJS(function);
+
+    protected override void AddHandler(object? target, Delegate handler)
+        => _addHandler((TObject)target!, (TDelegate)handler);
+
+    protected override void RemoveHandler(object? target, Delegate handler)
+        => _removeHandler((TObject)target!, (TDelegate)handler);
+}
@@ -0,0 +1,195 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+using System;
+using System.Globalization;
+using System.Numerics;
+
+namespace Microsoft.JavaScript.NodeApi.Interop;
+
+/// <summary>
+/// Converts .NET 64-bit (and larger) integer values to and from JS values, according to a
+/// <see cref="JSInt64Marshalling"/> projection.
+/// </summary>
+/// <remarks>
+/// Unlike the explicit and implicit conversions between <see cref="JSValue"/> and .NET integer
+/// types, these conversions never silently lose precision. A value that cannot be represented
+/// exactly by the target type causes an <see cref="OverflowException"/>, or an
+/// <see cref="InvalidCastException"/> if a JS number is not an integer.
+/// </remarks>
+public static class JSInt64
+{
+    /// <summary>
+    /// The maximum integer value that can be represented exactly by a JS number,
+    /// equivalent to JS `Number.MAX_SAFE_INTEGER`.
+    /// </summary>
+    public const long MaxSafeInteger = (1L << 53) - 1;
+
+    public static JSValue ToJS(long value, JSInt64Marshalling marshalling)
+    {
+        if (marshalling == JSInt64Marshalling.BigInt)
+        {
+            return JSValue.CreateBigInt(value);
+        }
+
+        if (value > MaxSafeInteger || value < -MaxSafeInteger)
+        {
+            throw NewUnsafeIntegerException(value.ToString(CultureInfo.InvariantCulture));
+        }
+
+        return JSValue.CreateNumber(value);
+    }
+
+    public static JSValue ToJS(ulong value, JSInt64Marshalling marshalling)
+    {
+        if (marshalling == JSInt64Marshalling.BigInt)
+        {
+            return JSValue.CreateBigInt(value);
+        }
+
+        if (value > (ulong)MaxSafeInteger)
+        {
+            throw NewUnsafeIntegerException(value.ToString(CultureInfo.InvariantCulture));
+        }
+
+        return JSValue.CreateNumber((long)value);
+    }
+
+    public static JSValue ToJS(nint value, JSInt64Marshalling marshalling)
+        => ToJS((long)value, marshalling);
+
+    public static JSValue ToJS(nuint value, JSInt64Marshalling marshalling)
+        => ToJS((ulong)value, marshalling);
+
+    public static long ToInt64(JSValue value)
+    {
+        if (value.IsBigInt())
+        {
+            long result = value.ToInt64BigInt(out bool isLossless);
+            return isLossless ? result : throw NewOverflowException(value, nameof(Int64));
+        }
+
+        return (long)GetSafeInteger(value, nameof(Int64));
+    }
+
+    public static ulong ToUInt64(JSValue value)
+    {
+        if (value.IsBigInt())
+        {
+            ulong result = value.ToUInt64BigInt(out bool isLossless);
+            return isLossless ? result : throw NewOverflowException(value, nameof(UInt64));
+        }
+
+        double number = GetSafeInteger(value, nameof(UInt64));
+        return number >= 0 ? (ulong)number : throw NewOverflowException(value, nameof(UInt64));
+    }
+
+    public static nint ToIntPtr(JSValue value)
+    {
+        long result = ToInt64(value);
+        return IntPtr.Size == 8 || (result >= int.MinValue && result <= int.MaxValue) ?
+            (nint)result : throw NewOverflowException(value, nameof(IntPtr));
+    }
+
+    public static nuint ToUIntPtr(JSValue value)
+    {
+        ulong result = ToUInt64(value);
+        return UIntPtr.Size == 8 || result <= uint.MaxValue ?
+            (nuint)result : throw NewOverflowException(value, nameof(UIntPtr));
+    }
+
+#if !(NETFRAMEWORK || NETSTANDARD)
+
+    public static JSValue ToJS(Int128 value, JSInt64Marshalling marshalling)
+    {
+        if (marshalling == JSInt64Marshalling.BigInt)
+        {
+            return JSValue.CreateBigInt((BigInteger)value);
+        }
+
+        if (value > MaxSafeInteger || value < -MaxSafeInteger)
+        {
+            throw NewUnsafeIntegerException(value.ToString(CultureInfo.InvariantCulture));
+        }
+
+        return JSValue.CreateNumber((long)value);
+    }
+
+    public static JSValue ToJS(UInt128 value, JSInt64Marshalling marshalling)
+    {
+        if (marshalling == JSInt64Marshalling.BigInt)
+        {
+            return JSValue.CreateBigInt((BigInteger)value);
+        }
+
+        if (value > (ulong)MaxSafeInteger)
+        {
+            throw NewUnsafeIntegerException(value.ToString(CultureInfo.InvariantCulture));
+        }
+
+        return JSValue.CreateNumber((long)value);
+    }
+
+    public static Int128 ToInt128(JSValue value)
+    {
+        if (value.IsBigInt())
+        {
+            BigInteger result = value.ToBigInteger();
+            bool isInRange = result >= Int128.MinValue && result <= Int128.MaxValue;
+            return isInRange ? (Int128)result : throw NewOverflowException(value, nameof(Int128));
+        }
+
+        return (Int128)(long)GetSafeInteger(value, nameof(Int128));
+    }
+
+    public static UInt128 ToUInt128(JSValue value)
+    {
+        if (value.IsBigInt())
+        {
+            BigInteger result = value.ToBigInteger();
+            bool isInRange = result >= 0 && result <= UInt128.MaxValue;
+            return isInRange ? (UInt128)result : throw NewOverflowException(value, nameof(UInt128));
+        }
+
+        double number = GetSafeInteger(value, nameof(UInt128));
+        return number >= 0 ?
+            (UInt128)(ulong)number : throw NewOverflowException(value, nameof(UInt128));
+    }
+
+#endif // !(NETFRAMEWORK || NETSTANDARD)
+
+    /// <summary>
+    /// Gets the value of a JS number, ensuring it is an integer in the range that can be
+    /// represented exactly.
+    /// </summary>
+    private static double GetSafeInteger(JSValue value, string typeName)
+    {
+        double number = (double)value;
+        if (Math.Floor(number) != number)
+        {
+            throw new InvalidCastException(
+                $"JS number {FormatNumber(number)} is not an integer and cannot be converted " +
+                $"to {typeName}.");
+        }
+        else if (Math.Abs(number) > MaxSafeInteger)
+        {
+            throw new OverflowException(
+                $"JS number {FormatNumber(number)} is outside the range of safe integers, so " +
+                "it may have lost precision. Use a bigint value instead.");
+        }
+
+        return number;
+    }
+
+    private static string FormatNumber(double number)
+        => number.ToString("R", CultureInfo.InvariantCulture);
+
+    private static OverflowException NewOverflowException(JSValue value, string typeName)
+        => new($"JS {value.TypeOf().ToString().ToLowerInvariant()} value " +
+            $"{(string)value.CoerceToString()} is outside the range of {typeName}.");
+
+    private static OverflowException NewUnsafeIntegerException(string value)
+        => new($"Integer value {value} is outside the range of safe JS integers. " +
+            $"Use {nameof(JSInt64Marshalling)}.{nameof(JSInt64Marshalling.BigInt)} marshalling " +
+            "to marshal it as a JS bigint.");
+}
@@ -2,6 +2,7 @@
 // Licensed under the MIT License.
 
 using System;
+using System.Collections.Generic;
 using System.Reflection;
 
 namespace Microsoft.JavaScript.NodeApi.Interop;
@@ -12,6 +13,9 @@ namespace Microsoft.JavaScript.NodeApi.Interop;
 /// </summary>
 public abstract class JSInterface
 {
+    private readonly List<(string EventName, Delegate Handler, JSReference Listener)>
+        _eventListeners = new();
+
     protected JSInterface(JSValue value)
     {
         ValueReference = new JSReference(value, isWeak: false);
@@ -76,4 +80,97 @@ public abstract class JSInterface
             return interfaceMethodDelegate.DynamicInvoke(args);
         });
     }
+
+    /// <summary>
+    /// Adds a .NET event handler as a listener to an event of the JS object, by calling the
+    /// EventEmitter-style `on()` method of the JS object. Automatically switches to the JS thread
+    /// if needed.
+    /// </summary>
+    /// <param name="eventName">Name of the event, as used by JS.</param>
+    /// <param name="handler">Event handler to add.</param>
+    /// <param name="toJS">Converts the event handler to a JS function.</param>
+    /// <remarks>
+    /// This method is used by the interface marshalling code to implement event `add` accessors.
+    /// If the event handler delegate type follows the .NET `(object sender, TEventArgs e)` pattern,
+    /// the JS listener is called with only the event args, and this object is the sender.
+    /// </remarks>
+    protected void AddEventListener<TDelegate>(
+        string eventName,
+        TDelegate? handler,
+        JSValue.From<TDelegate> toJS)
+        where TDelegate : Delegate
+    {
+        if (handler == null)
+        {
+            return;
+        }
+
+        ValueReference.Run((value) =>
+        {
+            JSValue listener = toJS(handler);
+            if (JSEventProjection.HasSenderParameter(typeof(TDelegate)))
+            {
+                JSReference handlerFunctionReference = new(listener);
+                listener = new JSFunction(eventName, (JSCallbackArgs args) =>
+                {
+                    JSValue[] handlerArgs = new JSValue[args.Length + 1];
+                    handlerArgs[0] = JSValue.CreateExternal(this);
+                    for (int i = 0; i < args.Length; i++)
+                    {
+                        handlerArgs[i + 1] = args[i];
+                    }
+
+                    return handlerFunctionReference.GetValue().Call(args.ThisArg, handlerArgs);
+                });
+            }
+
+            value.CallMethod("on", eventName, listener);
+
+            lock (_eventListeners)
+            {
+                _eventListeners.Add((eventName, handler, new JSReference(listener)));
+            }
+        });
+    }
+
+    /// <summary>
+    /// Removes a .NET event handler that was previously added as a listener to an event of the
+    /// JS object, by calling the EventEmitter-style `off()` method of the JS object.
+    /// Automatically switches to the JS thread if needed.
+    /// </summary>
+    /// <param name="eventName">Name of the event, as used by JS.</param>
+    /// <param name="handler">Event handler to remove.</param>
+    /// <remarks>
+    /// This method is used by the interface marshalling code to implement event `remove`
+    /// accessors.
+    /// </remarks>
+    protected void RemoveEventListener<TDelegate>(string eventName, TDelegate? handler)
+        where TDelegate : Delegate
+    {
+        if (handler == null)
+        {
+            return;
+        }
+
+        JSReference? listenerReference = null;
+        lock (_eventListeners)
+        {
+            int index = _eventListeners.FindLastIndex(
+                (l) => l.EventName == eventName && l.Handler.Equals(handler));
+            if (index >= 0)
+            {
+                listenerReference = _eventListeners[index].Listener;
+                _eventListeners.RemoveAt(index);
+            }
+        }
+
+        if (listenerReference != null)
+        {
+            ValueReference.Run((value) =>
+            {
+                value.CallMethod("off", eventName, listenerReference.GetValue());
+                listenerReference.Dispose();
+            });
+        }
+    }
 }
@@ -255,6 +255,24 @@ public sealed class JSRuntimeContext : IDisposable
         return constructorFunction;
     }
 
+    /// <summary>
+    /// Gets a registered class JS constructor, or defines and registers the class if it was not
+    /// already registered.
+    /// </summary>
+    /// <param name="classType">Type associated with the class.</param>
+    /// <param name="defineClass">Callback that defines the JS class, invoked only if the class
+    /// was not already registered.</param>
+    /// <returns>The JS constructor.</returns>
+    internal JSValue GetOrRegisterClass(Type classType, Func<JSValue> defineClass)
+    {
+        if (_classMap.TryGetValue(classType, out JSReference? constructorReference))
+        {
+            return constructorReference.GetValue();
+        }
+
+        return RegisterClass(classType, defineClass());
+    }
+
     /// <summary>
     /// Registers a static class JS object, preventing it from being GC'd before the module is
     /// unloaded.
@@ -272,6 +290,81 @@ public sealed class JSRuntimeContext : IDisposable
         return classObject;
     }
 
+    /// <summary>
+    /// Unregisters class and struct JS constructors (and collection proxy handlers) for types
+    /// that match a predicate, for example all types defined in an assembly that is being
+    /// unloaded. Existing JS wrappers for instances of the types are not affected.
+    /// </summary>
+    /// <param name="predicate">Selects the types to be unregistered.</param>
+    public void UnregisterTypes(Func<Type, bool> predicate)
+    {
+        if (predicate == null) throw new ArgumentNullException(nameof(predicate));
+
+        foreach (Type type in _classMap.Keys.Where(predicate))
+        {
+            if (_classMap.TryRemove(type, out JSReference? constructorReference))
+            {
+                constructorReference.Dispose();
+            }
+        }
+
+        foreach (Type type in _structMap.Keys.Where(predicate))
+        {
+            if (_structMap.TryRemove(type, out JSReference? constructorReference))
+            {
+                constructorReference.Dispose();
+            }
+        }
+
+        foreach (Type type in _collectionProxyHandlerMap.Keys.Where(predicate))
+        {
+            _collectionProxyHandlerMap.TryRemove(type, out _);
+        }
+    }
+
+    /// <summary>
+    /// Unregisters a static class JS object that was previously registered.
+    /// </summary>
+    /// <param name="classObject">Object that was returned from
+    /// <see cref="JSClassBuilder{T}.DefineStaticClass"/>.</param>
+    /// <returns>True if the static class was found and unregistered, otherwise false.</returns>
+    public bool UnregisterStaticClass(JSValue classObject)
+    {
+        foreach (KeyValuePair<string, JSReference> entry in _staticClassMap)
+        {
+            if (entry.Value.TryGetValue(out JSValue value) && value.StrictEquals(classObject) &&
+                _staticClassMap.TryRemove(entry.Key, out _))
+            {
+                entry.Value.Dispose();
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+#if !(NETFRAMEWORK || NETSTANDARD)
+    /// <summary>
+    /// Gets .NET objects that are currently wrapped by JS objects that have not been released.
+    /// </summary>
+    /// <param name="predicate">Selects the types of objects to be returned.</param>
+    /// <remarks>
+    /// JS wrappers that are no longer referenced may still be found until they are collected
+    /// by the JS garbage collector.
+    /// </remarks>
+    public IEnumerable<object> GetWrappedObjects(Func<Type, bool> predicate)
+    {
+        if (predicate == null) throw new ArgumentNullException(nameof(predicate));
+
+        // ConditionalWeakTable<> is not enumerable in .NET Framework.
+        return _objectMap
+            .Where((entry) => predicate(entry.Key.GetType()) &&
+                !entry.Value.IsDisposed && entry.Value.TryGetValue(out _))
+            .Select((entry) => entry.Key)
+            .ToArray();
+    }
+#endif
+
     /// <summary>
     /// Gets a class JS constructor that was previously registered.
     /// </summary>
@@ -0,0 +1,352 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+using System;
+using System.Globalization;
+using System.IO;
+using System.Numerics;
+
+namespace Microsoft.JavaScript.NodeApi.Interop;
+
+/// <summary>
+/// Converts .NET date and time values to and from JS values, according to a
+/// <see cref="JSDateMarshalling"/> projection.
+/// </summary>
+/// <remarks>
+/// The JS <c>Temporal</c> API is obtained from the global <c>Temporal</c> object when the JS
+/// runtime supports it. Otherwise a polyfill package (<c>@js-temporal/polyfill</c> or
+/// <c>temporal-polyfill</c>) is loaded if it can be resolved from the current working directory.
+/// <para/>
+/// Temporal values have nanosecond precision while .NET values have 100-nanosecond (tick)
+/// precision, so any remaining nanoseconds are truncated when converting to .NET.
+/// </remarks>
+public static class JSTemporal
+{
+    private const long NanosecondsPerTick = 100;
+    private const long TicksPerMicrosecond = 10;
+    private const long UnixEpochTicks = 621355968000000000;
+
+    private static readonly string[] s_polyfillModuleNames =
+        new[] { "@js-temporal/polyfill", "temporal-polyfill" };
+
+    // The cached reference is thread-local because it must be initialized on each JS thread.
+    [ThreadStatic] private static JSReference? s_temporal;
+
+    /// <summary>
+    /// Gets the JS <c>Temporal</c> namespace object, from either the JS runtime or a polyfill.
+    /// </summary>
+    /// <exception cref="NotSupportedException">The Temporal API is not available.</exception>
+    public static JSValue GetTemporal()
+    {
+        if (s_temporal != null)
+        {
+            return s_temporal.GetValue();
+        }
+
+        JSValue temporal = JSValue.Global["Temporal"];
+        if (!temporal.IsObject())
+        {
+            temporal = LoadPolyfill();
+        }
+
+        s_temporal = new JSReference(temporal);
+        return temporal;
+    }
+
+    private static JSValue LoadPolyfill()
+    {
+        JSValue process = JSValue.Global["process"];
+        JSValue moduleModule = GetModuleModule(process);
+        if (process.IsObject() && moduleModule.IsObject())
+        {
+            // Resolve polyfill packages the same way as a script in the current directory.
+            JSValue createRequire = moduleModule["createRequire"];
+            JSValue require = createRequire.Call(
+                JSValue.Undefined, (string)process.CallMethod("cwd") + Path.DirectorySeparatorChar);
+
+            foreach (string moduleName in s_polyfillModuleNames)
+            {
+                JSValue temporal;
+                try
+                {
+                    temporal = require.Call(JSValue.Undefined, moduleName)["Temporal"];
+                }
+                catch (JSException ex) when (IsModuleNotFound(ex, moduleName))
+                {
+                    // The polyfill package is not installed.
+                    continue;
+                }
+
+                if (temporal.IsObject())
+                {
+                    return temporal;
+                }
+            }
+        }
+
+        throw new NotSupportedException(
+            "The JS Temporal API is not available. Use a JS runtime that supports Temporal, or " +
+            $"install a polyfill package such as {s_polyfillModuleNames[0]}.");
+    }
+
+    /// <summary>
+    /// Gets the Node.js built-in <c>module</c> module, or undefined if it is not available.
+    /// </summary>
+    private static JSValue GetModuleModule(JSValue process)
+    {
+        if (process.IsObject() && process["getBuiltinModule"].IsFunction())
+        {
+            return process.CallMethod("getBuiltinModule", "module");
+        }
+
+        // Node.js versions before 20.16 and 22.3 do not have process.getBuiltinModule(), so fall
+        // back to a global require function, or the one provided by the host.
+        JSValue require = JSValue.Global["require"];
+        if (!require.IsFunction())
+        {
+            try
+            {
+                require = JSRuntimeContext.Current.RequireFunction;
+            }
+            catch (InvalidOperationException)
+            {
+                return JSValue.Undefined;
+            }
+        }
+
+        return require.Call(JSValue.Undefined, "module");
+    }
+
+    /// <summary>
+    /// Checks whether an error thrown by <c>require()</c> is because the required module itself
+    /// was not found, as opposed to an error while loading the module or one of its dependencies.
+    /// </summary>
+    private static bool IsModuleNotFound(JSException exception, string moduleName)
+    {
+        JSValue? error = exception.Error?.Value;
+        return error is not null && error.Value.IsObject() &&
+            error.Value["code"].IsString() && (string)error.Value["code"] == "MODULE_NOT_FOUND" &&
+            exception.Message.Contains($"'{moduleName}'");
+    }
+
+    public static JSValue ToJS(DateTimeOffset value, JSDateMarshalling marshalling)
+    {
+        if (marshalling != JSDateMarshalling.Temporal)
+        {
+            return JSDate.FromDateTimeOffset(value);
+        }
+
+        BigInteger epochNanoseconds =
+            (BigInteger)(value.UtcTicks - UnixEpochTicks) * NanosecondsPerTick;
+
+        // The offset is used as the time zone ID, for example "+05:30".
+        string timeZone = value.ToString("zzz", CultureInfo.InvariantCulture);
+
+        return GetTemporal()["ZonedDateTime"].CallAsConstructor(
+            JSValue.CreateBigInt(epochNanoseconds), timeZone);
+    }
+
+    public static JSValue ToJS(TimeSpan value, JSDateMarshalling marshalling)
+    {
+        if (marshalling != JSDateMarshalling.Temporal)
+        {
+            return value.TotalMilliseconds;
+        }
+
+        // Hours are not balanced into days, because the length of a Temporal day may depend on
+        // the time zone. All fields have the same sign as the time span.
+        long ticks = value.Ticks;
+        return GetTemporal()["Duration"].CallAsConstructor(
+            0, // years
+            0, // months
+            0, // weeks
+            0, // days
+            ticks / TimeSpan.TicksPerHour,
+            ticks / TimeSpan.TicksPerMinute % 60,
+            ticks / TimeSpan.TicksPerSecond % 60,
+            ticks / TimeSpan.TicksPerMillisecond % 1000,
+            ticks / TicksPerMicrosecond % 1000,
+            ticks % TicksPerMicrosecond * NanosecondsPerTick);
+    }
+
+    /// <summary>
+    /// Converts a JS <c>Date</c> (optionally with an <c>offset</c> property),
+    /// <c>Temporal.ZonedDateTime</c>, or <c>Temporal.Instant</c> to a .NET
+    /// <see cref="DateTimeOffset"/>.
+    /// </summary>
+    public static DateTimeOffset ToDateTimeOffset(JSValue value)
+    {
+        if (value.IsObject())
+        {
+            JSValue epochNanoseconds = value["epochNanoseconds"];
+            if (epochNanoseconds.IsBigInt())
+            {
+                DateTimeOffset utcValue = new(
+                    checked(ToTicks(epochNanoseconds.ToBigInteger()) + UnixEpochTicks),
+                    TimeSpan.Zero);
+
+                // A Temporal.Instant has no offset, so it is converted as UTC.
+                JSValue offsetNanoseconds = value["offsetNanoseconds"];
+                return offsetNanoseconds.IsNumber() ? utcValue.ToOffset(
+                    TimeSpan.FromTicks((long)offsetNanoseconds / NanosecondsPerTick)) : utcValue;
+            }
+        }
+
+        return ((JSDate)value).ToDateTimeOffset();
+    }
+
+    /// <summary>
+    /// Converts a JS number of milliseconds or a <c>Temporal.Duration</c> to a .NET
+    /// <see cref="TimeSpan"/>.
+    /// </summary>
+    /// <exception cref="InvalidCastException">The duration has years, months, or weeks, which
+    /// do not have a fixed length.</exception>
+    public static TimeSpan ToTimeSpan(JSValue value)
+    {
+        if (!value.IsObject())
+        {
+            return TimeSpan.FromMilliseconds((double)value);
+        }
+
+        if (GetInteger(value, "years") != 0 ||
+            GetInteger(value, "months") != 0 ||
+            GetInteger(value, "weeks") != 0)
+        {
+            throw new InvalidCastException(
+                "A JS duration with years, months, or weeks cannot be converted to TimeSpan.");
+        }
+
+        return new TimeSpan(checked(
+            GetInteger(value, "days") * TimeSpan.TicksPerDay +
+            GetInteger(value, "hours") * TimeSpan.TicksPerHour +
+            GetInteger(value, "minutes") * TimeSpan.TicksPerMinute +
+            GetInteger(value, "seconds") * TimeSpan.TicksPerSecond +
+            GetInteger(value, "milliseconds") * TimeSpan.TicksPerMillisecond +
+            GetInteger(value, "microseconds") * TicksPerMicrosecond +
+            GetInteger(value, "nanoseconds") / NanosecondsPerTick));
+    }
+
+#if !(NETFRAMEWORK || NETSTANDARD)
+
+    private const string DateFormat = "yyyy-MM-dd";
+    private const string TimeFormat = "HH:mm:ss.FFFFFFF";
+    private static readonly string[] s_timeFormats = new[] { "HH:mm", "HH:mm:ss", TimeFormat };
+
+    public static JSValue ToJS(DateOnly value, JSDateMarshalling marshalling)
+    {
+        if (marshalling != JSDateMarshalling.Temporal)
+        {
+            return value.ToString(DateFormat, CultureInfo.InvariantCulture);
+        }
+
+        return GetTemporal()["PlainDate"].CallAsConstructor(value.Year, value.Month, value.Day);
+    }
+
+    public static JSValue ToJS(TimeOnly value, JSDateMarshalling marshalling)
+    {
+        if (marshalling != JSDateMarshalling.Temporal)
+        {
+            // Fractional seconds are omitted when they are zero, consistent with Temporal.
+            return value.ToString(TimeFormat, CultureInfo.InvariantCulture);
+        }
+
+        long ticks = value.Ticks;
+        return GetTemporal()["PlainTime"].CallAsConstructor(
+            value.Hour,
+            value.Minute,
+            value.Second,
+            value.Millisecond,
+            ticks / TicksPerMicrosecond % 1000,
+            ticks % TicksPerMicrosecond * NanosecondsPerTick);
+    }
+
+    /// <summary>
+    /// Converts an ISO 8601 date string (<c>YYYY-MM-DD</c>) or a <c>Temporal.PlainDate</c>
+    /// (or other object with <c>year</c>, <c>month</c> and <c>day</c> properties) to a .NET
+    /// <see cref="DateOnly"/>.
+    /// </summary>
+    public static DateOnly ToDateOnly(JSValue value)
+    {
+        if (value.IsString())
+        {
+            return DateOnly.ParseExact(
+                (string)value, DateFormat, CultureInfo.InvariantCulture, DateTimeStyles.None);
+        }
+        else if (value.IsObject() && value["year"].IsNumber())
+        {
+            value = ToIsoCalendar(value);
+            return new DateOnly(
+                (int)value["year"], (int)value["month"], (int)value["day"]);
+        }
+
+        throw new InvalidCastException(
+            $"Cannot convert JS {value.TypeOf().ToString().ToLowerInvariant()} to DateOnly.");
+    }
+
+    /// <summary>
+    /// Converts an ISO 8601 time string (<c>HH:mm[:ss[.fffffffff]]</c>) or a
+    /// <c>Temporal.PlainTime</c> (or other object with <c>hour</c> and <c>minute</c> properties)
+    /// to a .NET <see cref="TimeOnly"/>.
+    /// </summary>
+    public static TimeOnly ToTimeOnly(JSValue value)
+    {
+        if (value.IsString())
+        {
+            // Temporal time strings may have up to 9 fractional digits, but .NET supports 7.
+            string timeString = (string)value;
+            int fractionIndex = timeString.IndexOf('.') + 1;
+            if (fractionIndex > 0 && timeString.Length - fractionIndex > 7)
+            {
+                timeString = timeString.Substring(0, fractionIndex + 7);
+            }
+
+            return TimeOnly.ParseExact(
+                timeString, s_timeFormats, CultureInfo.InvariantCulture, DateTimeStyles.None);
+        }
+        else if (value.IsObject() && value["hour"].IsNumber())
+        {
+            return new TimeOnly(checked(
+                GetInteger(value, "hour") * TimeSpan.TicksPerHour +
+                GetInteger(value, "minute") * TimeSpan.TicksPerMinute +
+                GetInteger(value, "second") * TimeSpan.TicksPerSecond +
+                GetInteger(value, "millisecond") * TimeSpan.TicksPerMillisecond +
+                GetInteger(value, "microsecond") * TicksPerMicrosecond +
+                GetInteger(value, "nanosecond") / NanosecondsPerTick));
+        }
+
+        throw new InvalidCastException(
+            $"Cannot convert JS {value.TypeOf().ToString().ToLowerInvariant()} to TimeOnly.");
+    }
+
+    /// <summary>
+    /// Converts a Temporal date object with a non-ISO calendar to the ISO calendar, so that its
+    /// year, month and day properties are compatible with .NET.
+    /// </summary>
+    private static JSValue ToIsoCalendar(JSValue value)
+    {
+        JSValue calendarId = value["calendarId"];
+        return calendarId.IsString() && (string)calendarId != "iso8601" ?
+            value.CallMethod("withCalendar", "iso8601") : value;
+    }
+
+#endif // !(NETFRAMEWORK || NETSTANDARD)
+
+    /// <summary>
+    /// Gets an integer property value of a Temporal object, or zero if the property is undefined.
+    /// </summary>
+    private static long GetInteger(JSValue value, string propertyName)
+    {
+        JSValue propertyValue = value[propertyName];
+        return propertyValue.IsUndefined() ? 0 : (long)propertyValue;
+    }
+
+    /// <summary>
+    /// Converts a number of nanoseconds to ticks, rounding toward negative infinity so that
+    /// times before the epoch are truncated consistently.
+    /// </summary>
+    private static long ToTicks(BigInteger nanoseconds)
+    {
+        BigInteger ticks = BigInteger.DivRem(nanoseconds, NanosecondsPerTick, out BigInteger rem);
+        return (long)(rem < 0 ? ticks - 1 : ticks);
+    }
+}
@@ -0,0 +1,32 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+namespace Microsoft.JavaScript.NodeApi;
+
+/// <summary>
+/// Specifies how .NET date and time values are projected to JavaScript. This applies to
+/// <see cref="System.DateTimeOffset"/>, <see cref="System.TimeSpan"/>, and (on .NET 6 or later)
+/// <c>DateOnly</c> and <c>TimeOnly</c>. .NET <see cref="System.DateTime"/> values are always
+/// projected as JS <c>Date</c> objects.
+/// </summary>
+/// <remarks>
+/// Regardless of the projection, a value marshalled from JS may be either the default JS type
+/// or the corresponding JS <c>Temporal</c> type.
+/// </remarks>
+public enum JSDateMarshalling
+{
+    /// <summary>
+    /// <c>DateTimeOffset</c> values are projected as JS <c>Date</c> objects with an
+    /// <c>offset</c> property, <c>TimeSpan</c> values as a number of milliseconds, and
+    /// <c>DateOnly</c> and <c>TimeOnly</c> values as ISO 8601 date and time strings.
+    /// This is the default.
+    /// </summary>
+    Default = 0,
+
+    /// <summary>
+    /// Values are projected as JS <c>Temporal.ZonedDateTime</c>, <c>Temporal.Duration</c>,
+    /// <c>Temporal.PlainDate</c> and <c>Temporal.PlainTime</c> objects, which are lossless.
+    /// This requires a JS runtime that supports the <c>Temporal</c> API, or a polyfill.
+    /// </summary>
+    Temporal,
+}
@@ -0,0 +1,31 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+namespace Microsoft.JavaScript.NodeApi;
+
+/// <summary>
+/// Specifies how .NET <see cref="decimal"/> values are projected to JavaScript.
+/// </summary>
+/// <remarks>
+/// Regardless of the projection, a decimal value marshalled from JS may be a string, number,
+/// bigint, or `Decimal` object.
+/// </remarks>
+public enum JSDecimalMarshalling
+{
+    /// <summary>
+    /// Decimal values are projected as JS strings in invariant-culture format, which is lossless.
+    /// This is the default.
+    /// </summary>
+    String = 0,
+
+    /// <summary>
+    /// Decimal values are projected as JS numbers, which may lose precision.
+    /// </summary>
+    Number,
+
+    /// <summary>
+    /// Decimal values are projected as instances of a JS `Decimal` class that wraps the .NET
+    /// value and supports arithmetic via .NET.
+    /// </summary>
+    Decimal,
+}
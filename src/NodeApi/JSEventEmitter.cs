@@ -79,6 +79,21 @@ public class JSEventEmitter : IDisposable
         }
     }
 
+    public int ListenerCount(string eventName)
+    {
+        if (_nodeEmitter != null)
+        {
+            return (int)_nodeEmitter.GetValue().CallMethod("listenerCount", eventName);
+        }
+
+        if (_listeners!.TryGetValue(eventName, out JSReference? eventListenersReference))
+        {
+            return ((JSArray)eventListenersReference.GetValue()).Length;
+        }
+
+        return 0;
+    }
+
     public void Once(string eventName, JSCallback listener)
     {
         if (_nodeEmitter != null)
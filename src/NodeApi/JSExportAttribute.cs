@@ -70,6 +70,7 @@ namespace Microsoft.JavaScript.NodeApi;
     AttributeTargets.Delegate |
     AttributeTargets.Constructor |
     AttributeTargets.Property |
+    AttributeTargets.Field |
     AttributeTargets.Method |
     AttributeTargets.Event
 )]
@@ -130,4 +131,39 @@ public class JSExportAttribute : Attribute
     /// Use the name "default" to create a default export.
     /// </remarks>
     public string? Name { get; }
+
+    /// <summary>
+    /// Gets or sets how .NET decimal values are projected to JavaScript by the module. The
+    /// default is <see cref="JSDecimalMarshalling.String"/>, which is lossless.
+    /// </summary>
+    /// <remarks>
+    /// This option applies to the whole module, so it is only valid on an assembly-level
+    /// attribute, for example <c>[assembly: JSExport(DecimalAs = JSDecimalMarshalling.Number)]</c>.
+    /// It affects both the generated marshalling code and the generated type definitions.
+    /// </remarks>
+    public JSDecimalMarshalling DecimalAs { get; set; }
+
+    /// <summary>
+    /// Gets or sets how .NET 64-bit (and larger) integer values are projected to JavaScript by
+    /// the module. The default is <see cref="JSInt64Marshalling.Number"/>, which throws if a value
+    /// cannot be represented exactly by a JS number.
+    /// </summary>
+    /// <remarks>
+    /// This option applies to the whole module, so it is only valid on an assembly-level
+    /// attribute, for example <c>[assembly: JSExport(Int64As = JSInt64Marshalling.BigInt)]</c>.
+    /// It affects both the generated marshalling code and the generated type definitions.
+    /// </remarks>
+    public JSInt64Marshalling Int64As { get; set; }
+
+    /// <summary>
+    /// Gets or sets how .NET date and time values (other than <see cref="System.DateTime"/>)
+    /// are projected to JavaScript by the module. The default is
+    /// <see cref="JSDateMarshalling.Default"/>.
+    /// </summary>
+    /// <remarks>
+    /// This option applies to the whole module, so it is only valid on an assembly-level
+    /// attribute, for example <c>[assembly: JSExport(DatesAs = JSDateMarshalling.Temporal)]</c>.
+    /// It affects both the generated marshalling code and the generated type definitions.
+    /// </remarks>
+    public JSDateMarshalling DatesAs { get; set; }
 }
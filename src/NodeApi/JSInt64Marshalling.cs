@@ -0,0 +1,27 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+namespace Microsoft.JavaScript.NodeApi;
+
+/// <summary>
+/// Specifies how .NET 64-bit (and larger) integer values are projected to JavaScript. This
+/// applies to <see cref="long"/>, <see cref="ulong"/>, <see cref="System.IntPtr"/>,
+/// <see cref="System.UIntPtr"/>, and (on .NET 7 or later) <c>Int128</c> and <c>UInt128</c>.
+/// </summary>
+/// <remarks>
+/// Regardless of the projection, an integer value marshalled from JS may be either a number or a
+/// bigint. Conversions that would lose precision throw an exception instead of truncating.
+/// </remarks>
+public enum JSInt64Marshalling
+{
+    /// <summary>
+    /// Integer values are projected as JS numbers. A value outside the range of "safe" JS
+    /// integers (beyond ±(2^53 - 1)) cannot be marshalled. This is the default.
+    /// </summary>
+    Number = 0,
+
+    /// <summary>
+    /// Integer values are projected as JS bigints, which is lossless.
+    /// </summary>
+    BigInt,
+}
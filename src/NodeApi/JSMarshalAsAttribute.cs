@@ -0,0 +1,77 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+using System;
+
+namespace Microsoft.JavaScript.NodeApi;
+
+/// <summary>
+/// Specifies a custom converter that marshals values of a .NET type to and from JavaScript.
+/// </summary>
+/// <remarks>
+/// The converter type must have public static methods <c>JSValue ToJS(T value)</c> and
+/// <c>T FromJS(JSValue value)</c>, where <c>T</c> is the converted type. For a reference type,
+/// the converter methods are not called for null values; null is marshalled as undefined and
+/// vice versa. A custom converter takes precedence over built-in conversions.
+/// <para/>
+/// When applied to a class or struct, the attribute specifies the converter for that type.
+/// When applied to an assembly, it specifies the converter for a type that may be defined in
+/// another assembly. Either way, the converter is used by dynamic invocation, by the code
+/// generated for a module, and by the generated type definitions.
+/// </remarks>
+/// <example>
+/// <code>
+/// // Marshal the system Uri type as a string.
+/// [assembly: JSMarshalAs(typeof(Uri), typeof(UriConverter), TSType = "string")]
+///
+/// public static class UriConverter
+/// {
+///     public static JSValue ToJS(Uri value) => value.ToString();
+///     public static Uri FromJS(JSValue value) => new Uri((string)value);
+/// }
+/// </code>
+/// </example>
+[AttributeUsage(
+    AttributeTargets.Assembly |
+    AttributeTargets.Class |
+    AttributeTargets.Struct,
+    AllowMultiple = true
+)]
+public sealed class JSMarshalAsAttribute : Attribute
+{
+    /// <summary>
+    /// Specifies a custom converter for the class or struct that the attribute is applied to.
+    /// </summary>
+    /// <param name="converterType">The type of the converter.</param>
+    public JSMarshalAsAttribute(Type converterType)
+    {
+        ConverterType = converterType;
+    }
+
+    /// <summary>
+    /// Specifies a custom converter for a type, with an assembly-level attribute.
+    /// </summary>
+    /// <param name="type">The type to be converted.</param>
+    /// <param name="converterType">The type of the converter.</param>
+    public JSMarshalAsAttribute(Type type, Type converterType)
+    {
+        Type = type;
+        ConverterType = converterType;
+    }
+
+    /// <summary>
+    /// Gets the type to be converted, or null if the attribute is applied to that type.
+    /// </summary>
+    public Type? Type { get; }
+
+    /// <summary>
+    /// Gets the type of the converter.
+    /// </summary>
+    public Type ConverterType { get; }
+
+    /// <summary>
+    /// Gets or sets the TypeScript type that converted values have in generated type
+    /// definitions. The default is <c>unknown</c>.
+    /// </summary>
+    public string? TSType { get; set; }
+}
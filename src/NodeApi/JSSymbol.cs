@@ -13,6 +13,8 @@ public readonly struct JSSymbol : IJSValue<JSSymbol>
     // Cached symbol references are thread-local because they must be initialized on each JS thread.
     [ThreadStatic] private static JSReference? s_iteratorSymbol;
     [ThreadStatic] private static JSReference? s_asyncIteratorSymbol;
+    [ThreadStatic] private static JSReference? s_disposeSymbol;
+    [ThreadStatic] private static JSReference? s_asyncDisposeSymbol;
 
     /// <summary>
     /// Implicitly converts a <see cref="JSSymbol" /> to a <see cref="JSValue" />.
@@ -181,6 +183,22 @@ public readonly struct JSSymbol : IJSValue<JSSymbol>
     /// </summary>
     public static JSSymbol AsyncIterator => Get("asyncIterator", ref s_asyncIteratorSymbol);
 
+    /// <summary>
+    /// Gets the well-known symbol for the method that disposes an object, as used by the JS
+    /// <c>using</c> statement.
+    /// </summary>
+    /// <exception cref="InvalidCastException">The JS runtime does not support explicit resource
+    /// management.</exception>
+    public static JSSymbol Dispose => Get("dispose", ref s_disposeSymbol);
+
+    /// <summary>
+    /// Gets the well-known symbol for the method that asynchronously disposes an object, as used
+    /// by the JS <c>await using</c> statement.
+    /// </summary>
+    /// <exception cref="InvalidCastException">The JS runtime does not support explicit resource
+    /// management.</exception>
+    public static JSSymbol AsyncDispose => Get("asyncDispose", ref s_asyncDisposeSymbol);
+
     // TODO: Add static properties for other well-known symbols.
 
     /// <summary>
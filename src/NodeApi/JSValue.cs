@@ -1012,7 +1012,7 @@ public readonly struct JSValue : IJSValue<JSValue>
             sbyte => type == JSTypedArrayType.Int8,
             byte => type == JSTypedArrayType.UInt8 || type == JSTypedArrayType.UInt8Clamped,
             short => type == JSTypedArrayType.Int16,
-            ushort => type == JSTypedArrayType.Int16,
+            ushort => type == JSTypedArrayType.UInt16,
             int => type == JSTypedArrayType.Int32,
             uint => type == JSTypedArrayType.UInt32,
             long => type == JSTypedArrayType.BigInt64,
@@ -1029,6 +1029,33 @@ public readonly struct JSValue : IJSValue<JSValue>
         return new Span<T>((void*)data, (int)length);
     }
 
+    /// <summary>
+    /// Gets a span over the memory of a JS TypedArray (including a Node.js Buffer) or
+    /// ArrayBuffer, without copying.
+    /// </summary>
+    /// <remarks>
+    /// The span is only valid while the JS value is not collected, so typically only for the
+    /// duration of a callback. A TypedArray must have an element type matching
+    /// <typeparamref name="T"/>, while the contents of an ArrayBuffer are reinterpreted as
+    /// elements of type <typeparamref name="T"/>.
+    /// </remarks>
+    /// <exception cref="InvalidCastException">The value is not a TypedArray with a matching
+    /// element type, or an ArrayBuffer.</exception>
+    public Span<T> GetBufferData<T>() where T : struct
+    {
+        if (IsTypedArray())
+        {
+            return GetTypedArrayData<T>();
+        }
+        else if (IsArrayBuffer())
+        {
+            return MemoryMarshal.Cast<byte, T>(GetArrayBufferInfo());
+        }
+
+        throw new InvalidCastException(
+            $"Value is not a TypedArray or ArrayBuffer. Actual type: {TypeOf()}");
+    }
+
     public unsafe void GetTypedArrayBuffer(
         out JSTypedArrayType type,
         out int length,
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Command-line tool for the node-api-dotnet package.
+// Usage: npx node-api-dotnet doctor [--framework <tfm>] [--dotnet-root <path>] [--json]
+//    or: npx node-api-dotnet repl [--framework <tfm>]
+
+const initialize = require('./init');
+
+const args = process.argv.slice(2);
+const command = args[0];
+
+if (command === 'repl') {
+  const frameworkIndex = args.findIndex((arg) => arg === '--framework' || arg === '-f');
+  require('./repl').start({
+    targetFramework: frameworkIndex >= 0 ? args[frameworkIndex + 1] : undefined,
+  });
+  return;
+}
+
+if (command !== 'doctor') {
+  console.error('Usage: node-api-dotnet doctor [--framework <tfm>] [--dotnet-root <path>] [--json]');
+  console.error('   or: node-api-dotnet repl [--framework <tfm>]');
+  process.exit(1);
+}
+
+const options = {};
+let json = false;
+for (let i = 1; i < args.length; i++) {
+  if (args[i] === '--framework' || args[i] === '-f') {
+    options.targetFramework = args[++i];
+  } else if (args[i] === '--dotnet-root') {
+    options.dotnetRoot = args[++i];
+  } else if (args[i] === '--json') {
+    json = true;
+  } else {
+    console.error(`Unknown option: ${args[i]}`);
+    process.exit(1);
+  }
+}
+
+const report = initialize.probe(options);
+
+if (json) {
+  console.log(JSON.stringify(report, undefined, 2));
+} else {
+  console.log(`Target framework: ${report.targetFramework}`);
+  console.log(`Platform: ${report.platform} (${report.architecture})`);
+  if (report.loadedPath) {
+    console.log(`Loaded .NET host: ${report.loadedPath}`);
+  }
+
+  for (const candidate of report.candidates) {
+    const status = candidate.rejectedReason ? `rejected: ${candidate.rejectedReason}` :
+      candidate.exists ? 'selected' : 'not found';
+    console.log(`\n${candidate.path} (${candidate.source})\n  ${status}`);
+    for (const version of candidate.versions) {
+      const arch = version.architecture ? ` [${version.architecture}]` : '';
+      const versionStatus = version.rejectedReason ? version.rejectedReason : 'selected';
+      console.log(`  ${version.version}${arch}: ${versionStatus}`);
+    }
+  }
+
+  console.log();
+  console.log(report.selectedPath ?
+    `OK: .NET host found at ${report.selectedPath}` :
+    'No compatible .NET host was found. Install a compatible .NET runtime, or set the ' +
+      'DOTNET_ROOT environment variable to the location of a .NET installation.');
+}
+
+process.exitCode = report.selectedPath ? 0 : 1;
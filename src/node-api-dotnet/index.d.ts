@@ -45,29 +45,556 @@ export const runtimeVersion: string;
  */
 export const frameworkMoniker: string;
 
+/**
+ * Gets the target framework moniker that was requested when the .NET host was loaded,
+ * for example "net8.0". Only one .NET version can be loaded in a process; later requests for a
+ * different target framework (such as importing `node-api-dotnet/net9.0` after `net8.0`) return
+ * the already-loaded host and emit a `TargetFrameworkConflictWarning` process warning.
+ */
+export const loadedTargetFramework: string;
+
+/**
+ * Options for initializing the .NET host, passed to the `initialize()` function exported by
+ * `node-api-dotnet/init`.
+ * @description Runtime options other than `targetFramework` are not supported for .NET Framework
+ * (`net472`).
+ */
+export interface InitializeOptions {
+  /**
+   * Minimum requested .NET version, as a target framework moniker such as `"net8.0"`.
+   * The default is `"net8.0"`.
+   */
+  targetFramework?: string;
+
+  /**
+   * Root directory of a .NET installation to use, for example a private (app-local) install.
+   * The default is from the `DOTNET_ROOT` environment variable, or the platform-specific
+   * .NET installation directory.
+   */
+  dotnetRoot?: string;
+
+  /**
+   * Roll-forward policy for selecting the .NET runtime version: `"LatestPatch"`, `"Minor"`,
+   * `"LatestMinor"`, `"Major"`, `"LatestMajor"`, or `"Disable"`. The default is from
+   * the packaged `runtimeconfig.json`. The policy can only be applied via a runtime config file,
+   * so a modified copy of the packaged file is written (temporarily) in the same directory,
+   * which must be writable.
+   */
+  rollForward?: string;
+
+  /**
+   * Whether a prerelease version of the .NET host may be selected. The default is true.
+   */
+  allowPrerelease?: boolean;
+
+  /**
+   * Runtime configuration properties, equivalent to `configProperties` in `runtimeconfig.json`,
+   * for example `{ "System.GC.Server": true }`. Values are converted to strings.
+   */
+  runtimeProperties?: Record<string, string | number | boolean>;
+}
+
+/**
+ * Report of the search for a .NET installation compatible with the requested version.
+ * When .NET fails to load, the thrown error has a `probeReport` property with this report.
+ */
+export interface ProbeReport {
+  /** Requested target framework moniker, for example `"net8.0"`. */
+  targetFramework: string;
+
+  /** Minimum .NET version corresponding to the requested target framework. */
+  targetVersion: string;
+
+  /** Description of the operating system. */
+  platform: string;
+
+  /** Architecture of the current process, for example `"x64"` or `"arm64"`. */
+  architecture: string;
+
+  /** Path of the compatible .NET host library that was found, if any. */
+  selectedPath?: string;
+
+  /** Path of the .NET host library that is already loaded in the process, if any. */
+  loadedPath?: string;
+
+  /** Locations that were searched for a .NET installation, in order of priority. */
+  candidates: {
+    /** Path of the .NET installation root directory. */
+    path: string;
+
+    /** Where the location came from, for example an environment variable. */
+    source: string;
+
+    /** Whether the directory exists. */
+    exists: boolean;
+
+    /** Why the location was not used, or undefined if it was selected. */
+    rejectedReason?: string;
+
+    /** Versions of the .NET host found in the location. */
+    versions: {
+      version: string;
+      path: string;
+      architecture?: string;
+      rejectedReason?: string;
+    }[];
+  }[];
+}
+
+/**
+ * Searches for a .NET installation compatible with the loaded .NET version, or another requested
+ * version. The result describes every location and version that was considered.
+ * @param options Requested .NET version, or an options object with the requested version and
+ * .NET root. The default is the version that was used to initialize the host.
+ */
+export function probe(options?: string | InitializeOptions): ProbeReport;
+
+/**
+ * Options for loading a .NET assembly with `load()` or `require()`.
+ */
+export interface LoadOptions {
+  /**
+   * True to load the assembly (and any dependencies in the same directory) into a separate
+   * collectible load context, so that it can be unloaded later by calling `unload()`.
+   * Not supported for .NET Framework (`net472`).
+   */
+  collectible?: boolean;
+
+  /**
+   * True to load the assembly into a new isolated load context, with its own dependency
+   * resolution and its own root object for the assembly's namespaces. Use this to load
+   * assemblies that depend on conflicting versions of the same dependency. Only supported by
+   * `load()`, and not for .NET Framework (`net472`).
+   */
+  isolated?: boolean;
+
+  /**
+   * Debug symbols (contents of a `.pdb` file) for an assembly that is loaded from a buffer.
+   */
+  pdb?: Uint8Array;
+}
+
+/**
+ * An isolated .NET assembly load context, created by `createLoadContext()` or by `load()` with
+ * the `isolated` option.
+ * @description Dependencies of assemblies loaded in the context are resolved from the .NET system
+ * directories, then from the directories of other assemblies loaded in the same context. Types
+ * from the loaded assemblies are available via namespace properties on the context object, for
+ * example `context.Contoso.Business.Component`, separate from the namespaces on the main dotnet
+ * module.
+ */
+export interface LoadContext {
+  /** Name of the load context. */
+  readonly name: string;
+
+  /**
+   * Loads a .NET assembly into the isolated context. After loading, types from the assembly are
+   * available via namespaces on the context object.
+   * @param assemblyNameOrFilePath Path or `file:` URL of the .NET assembly DLL file, or name of
+   * a system assembly. A relative path is resolved against the directory of the calling module.
+   */
+  load(assemblyNameOrFilePath: string | URL): void;
+
+  /** Top-level namespaces of types in assemblies loaded in the context. */
+  [namespace: string]: any;
+}
+
 /**
  * Loads a .NET assembly that was built to be a Node API module, using static binding to
  * the APIs the module specifically exports to JS.
- * @param dotnetAssemblyFilePath Path to the .NET assembly DLL file.
+ * @param dotnetAssemblyFilePath Path or `file:` URL of the .NET assembly DLL file. A relative
+ * path is resolved against the directory of the calling module, so `__dirname` or
+ * `import.meta.url` is not needed.
+ * @param options Options for loading the assembly.
  * @returns The JavaScript module exported by the assembly. (Type information for the module
  * may be available in a separate generated type-definitions file.)
  * @description The .NET assembly must use `[JSExport]` attributes to export selected types
  * and/or members to JavaScript. These exports _do not_ use .NET namespaces.
  */
-export function require(dotnetAssemblyFilePath: string): any;
+export function require(dotnetAssemblyFilePath: string | URL, options?: LoadOptions): any;
+
+/**
+ * Loads a .NET assembly that was built to be a Node API module, from an in-memory assembly image
+ * rather than a file.
+ * @param dotnetAssembly Contents of the .NET assembly DLL file.
+ * @param options Options for loading the assembly. The `pdb` option may provide debug symbols;
+ * the `collectible` option is not supported.
+ * @returns The JavaScript module exported by the assembly.
+ * @description Unlike modules loaded from files, a module loaded from a buffer is not cached, and
+ * any dependencies of the assembly must be resolvable without a containing directory.
+ */
+export function require(dotnetAssembly: Uint8Array, options?: LoadOptions): any;
 
 /**
  * Loads an arbitrary .NET assembly that isn't necessarily designed as a JS module, enabling
  * dynamic invocation of any APIs in the assembly. After loading, types from the assembly are
  * available via namespaces on the main dotnet module.
- * @param assemblyNameOrFilePath Path to the .NET assembly DLL file, or name of a system assembly.
+ * @param assemblyNameOrFilePath Path or `file:` URL of the .NET assembly DLL file, or name of a
+ * system assembly. A relative path (which must include a directory or the `.dll` extension, to
+ * distinguish it from a system assembly name) is resolved against the directory of the calling
+ * module, so `__dirname` or `import.meta.url` is not needed.
+ * @param options Options for loading the assembly. System assemblies cannot be collectible.
  * @description After loading an assembly, types in the assembly are merged into the .NET
  * namespace hierarchy, with top-level namespaces available as properties on the .NET module.
  * For example, if the assembly defines a type `Contoso.Business.Component`, it can be accessed as
  * `dotnet.Contoso.Business.Component`. (.NET core library types can be accessed the same way, for
  * example `dotnet.System.Console`.)
  */
-export function load(assemblyNameOrFilePath: string): void;
+export function load(
+  assemblyNameOrFilePath: string | URL,
+  options: LoadOptions & { isolated: true },
+): LoadContext;
+export function load(assemblyNameOrFilePath: string | URL, options?: LoadOptions): void;
+
+/**
+ * Loads an arbitrary .NET assembly from an in-memory assembly image rather than a file, enabling
+ * dynamic invocation of any APIs in the assembly. After loading, types from the assembly are
+ * available via namespaces on the main dotnet module, the same as for assemblies loaded from files.
+ * @param assembly Contents of the .NET assembly DLL file.
+ * @param options Options for loading the assembly. The `pdb` option may provide debug symbols;
+ * the `collectible` and `isolated` options are not supported.
+ * @description An assembly with the same name as an already-loaded assembly cannot be loaded.
+ * Any dependencies of the assembly must be resolvable without a containing directory, for example
+ * by loading them first or via a `resolving` event listener.
+ */
+export function load(assembly: Uint8Array, options?: LoadOptions): void;
+
+/**
+ * Options for loading a nuget package with `loadPackage()`.
+ */
+export interface LoadPackageOptions {
+  /**
+   * Path to a local package source folder, which is searched before the global packages folder.
+   * The folder may contain expanded packages (in either the global packages folder layout or the
+   * `nuget install` layout) or `.nupkg` files. A relative path is resolved against the directory of
+   * the calling module.
+   */
+  source?: string;
+}
+
+/**
+ * A nuget package that was resolved by `loadPackage()`.
+ */
+export interface ResolvedPackage {
+  /** ID of the package. */
+  id: string;
+
+  /** Version of the package that was selected. */
+  version: string;
+}
+
+/**
+ * Loads the assemblies of a nuget package and its transitive dependencies, enabling dynamic
+ * invocation of any APIs in the package. After loading, types from the package assemblies are
+ * available via namespaces on the main dotnet module, the same as with `load()`.
+ * @param packageId ID of the nuget package, for example `Newtonsoft.Json`.
+ * @param version Exact version of the package. If omitted, the highest available stable version
+ * is loaded.
+ * @param options Options for locating the package.
+ * @returns The resolved packages, with dependencies before the packages that depend on them
+ * and the requested package last.
+ * @description Packages are never downloaded: the package and all its dependencies must be
+ * available in the `source` folder or in the nuget global packages folder (`NUGET_PACKAGES`
+ * or `~/.nuget/packages`). Assemblies are selected from the package `lib` folder that best
+ * matches the loaded `frameworkMoniker`, and dependencies are selected from the matching
+ * dependency group of each package's `.nuspec`.
+ */
+export function loadPackage(
+  packageId: string,
+  version?: string,
+  options?: LoadPackageOptions,
+): ResolvedPackage[];
+
+/**
+ * Loads the main assembly of a built .NET application, and assemblies of any projects it
+ * references, enabling dynamic invocation of any APIs in those assemblies. After loading, types
+ * from the assemblies are available via namespaces on the main dotnet module, the same as with
+ * `load()`. Not supported for .NET Framework (`net472`).
+ * @param applicationPath Path or `file:` URL of the application's bin (or publish) directory, or
+ * of the application's main assembly file if the directory contains more than one application.
+ * A relative path is resolved against the directory of the calling module.
+ * @description Other managed and native dependencies, including RID-specific assets, are resolved
+ * on demand according to the application's `.deps.json` file, searching the application directory
+ * and then the package probing paths from the application's `.runtimeconfig.json` (and
+ * `.runtimeconfig.dev.json`) and the nuget global packages folder. Runtime config properties from
+ * the application's `.runtimeconfig.json` are set (via `AppContext`) if not already set, except
+ * properties that only take effect when the runtime starts, such as GC, threading, and
+ * globalization settings; those are ignored, and reported in the result.
+ * @returns Details about the loaded application.
+ */
+export function loadApplication(applicationPath: string | URL): LoadApplicationResult;
+
+/**
+ * Result of loading an application with `loadApplication()`.
+ */
+export interface LoadApplicationResult {
+  /**
+   * Names of runtime config properties from the application's `.runtimeconfig.json` that were
+   * ignored, because the .NET runtime was already started by the host.
+   */
+  ignoredConfigProperties: string[];
+}
+
+/**
+ * Options for compiling C# source code.
+ */
+export interface CompileOptions {
+  /**
+   * Names of additional system assemblies, or paths or `file:` URLs of additional assembly files,
+   * referenced by the compilation. Referenced assemblies are loaded if not already loaded.
+   * A relative path is resolved against the directory of the calling module.
+   */
+  references?: (string | URL)[];
+
+  /**
+   * Name of the compiled assembly. If omitted, a unique name is generated.
+   */
+  assemblyName?: string;
+}
+
+/**
+ * An error, warning, or informational message reported by the C# compiler.
+ */
+export interface CompileDiagnostic {
+  /** Diagnostic ID, for example `CS0103`. */
+  id: string;
+  severity: 'error' | 'warning' | 'info';
+  message: string;
+  /** 1-based start line of the diagnostic location in the source, if any. */
+  line?: number;
+  /** 1-based start column of the diagnostic location in the source, if any. */
+  column?: number;
+  endLine?: number;
+  endColumn?: number;
+}
+
+/**
+ * Result of compiling C# source code.
+ */
+export interface CompileResult {
+  /** True if the compilation succeeded and the compiled assembly was loaded. */
+  success: boolean;
+
+  /** True if the source has `[JSExport]` attributes, so the assembly was loaded as a module. */
+  isModule: boolean;
+
+  /** Name of the compiled assembly. */
+  assemblyName: string;
+
+  diagnostics: CompileDiagnostic[];
+
+  /** Compiled assembly image, if the compilation succeeded. */
+  assembly?: Uint8Array;
+
+  /** Compiled assembly debug symbols, if the compilation succeeded. */
+  pdb?: Uint8Array;
+
+  /** Exports of the compiled module, if the compilation succeeded and `isModule` is true. */
+  exports?: any;
+}
+
+/**
+ * Compiles C# source code in memory and loads the compiled assembly. If the source has any
+ * `[JSExport]` attributes, the assembly is loaded as a module the same as with `require()`, and
+ * the module exports are returned in the result. Otherwise, types from the assembly are available
+ * via namespaces on the main dotnet module, the same as with `load()`.
+ * Not supported for .NET Framework (`net472`).
+ * @param source C# source code of a single compilation unit.
+ * @param options Options for the compilation.
+ * @returns The compilation result, including any diagnostics. Compilation errors are reported
+ * via the result diagnostics, not thrown.
+ * @description The C# compiler is loaded from the `node-api-dotnet-generator` package, which must
+ * be installed. The compilation references all .NET system assemblies, the Node API assembly,
+ * and all assemblies already loaded by `load()` or `require()`, along with any additional
+ * `references`.
+ */
+export function compile(source: string, options?: CompileOptions): CompileResult;
+
+/**
+ * Creates an isolated .NET assembly load context, with its own dependency resolution and its own
+ * root object for namespaces. Not supported for .NET Framework (`net472`).
+ * @param name Name of the load context, for diagnostic purposes.
+ */
+export function createLoadContext(name: string): LoadContext;
+
+/** Description of a .NET method or constructor parameter. */
+export interface ParameterDescription {
+  name: string;
+  /** Full name of the parameter type, in C# syntax. */
+  type: string;
+  isOptional: boolean;
+  /** Modifier of a by-reference parameter. */
+  modifier?: 'ref' | 'out' | 'in';
+}
+
+/** Description of a .NET constructor. */
+export interface ConstructorDescription {
+  parameters: ParameterDescription[];
+  summary?: string;
+}
+
+/** Description of one overload of a .NET method. */
+export interface MethodOverloadDescription {
+  parameters: ParameterDescription[];
+  returnType: string;
+  /** Number of generic type parameters of the method, or 0 if it is not generic. */
+  genericArity: number;
+  genericParameters?: string[];
+  summary?: string;
+}
+
+/** Description of a .NET method, with all overloads that have the same name. */
+export interface MethodDescription {
+  name: string;
+  isStatic: boolean;
+  overloads: MethodOverloadDescription[];
+}
+
+/** Description of a .NET property. */
+export interface PropertyDescription {
+  name: string;
+  type: string;
+  isStatic: boolean;
+  canRead: boolean;
+  canWrite: boolean;
+  summary?: string;
+}
+
+/** Description of a .NET event. */
+export interface EventDescription {
+  name: string;
+  /** Full name of the event handler delegate type. */
+  type: string;
+  isStatic: boolean;
+  summary?: string;
+}
+
+/** Description of a .NET type, returned by `describe()`. */
+export interface TypeDescription {
+  kind: 'class' | 'struct' | 'interface' | 'enum' | 'delegate';
+  /** Full name of the type, in C# syntax, for example `System.Collections.Generic.List<T>`. */
+  name: string;
+  /** Name of the type as projected to JS within its namespace, for example `List$`. */
+  jsName: string;
+  namespace?: string;
+  /** Name of the assembly that defines the type. */
+  assembly: string;
+  /** Summary from the XML documentation file next to the assembly, if available. */
+  summary?: string;
+  /** Number of generic type parameters, or 0 if the type is not generic. */
+  genericArity: number;
+  /** Names of the generic type parameters, if the type is a generic type definition. */
+  genericParameters?: string[];
+  /** Full names of the generic type arguments, if the type is a constructed generic type. */
+  typeArguments?: string[];
+  /** Names and values of enum members, if the type is an enum. */
+  values?: { name: string; value: number }[];
+  isStatic?: boolean;
+  isAbstract?: boolean;
+  baseType?: string;
+  interfaces?: string[];
+  constructors?: ConstructorDescription[];
+  methods?: MethodDescription[];
+  properties?: PropertyDescription[];
+  events?: EventDescription[];
+  nestedTypes?: string[];
+}
+
+/** Description of a .NET namespace, returned by `describe()`. */
+export interface NamespaceDescription {
+  kind: 'namespace';
+  /** Full name of the namespace. */
+  name: string;
+  /** Full names of child namespaces. */
+  namespaces: string[];
+  /** Full names of types in the namespace. */
+  types: string[];
+}
+
+/**
+ * Describes a .NET type or namespace, including the constructors, methods and their overloads,
+ * properties, and events that are available to JS, without requiring generated type definitions.
+ * @param typeOrNamespace A .NET type or namespace object projected to JS, for example
+ * `dotnet.System.IO.File`, or the full name of a type or namespace, for example
+ * `'System.IO.File'`. Generic type definitions use a `$` suffix, for example
+ * `dotnet.System.Collections.Generic.List$`.
+ * @returns A plain JS object that describes the type or namespace. Summaries are included from
+ * the XML documentation file next to an assembly, if available.
+ */
+export function describe(typeOrNamespace: any): TypeDescription | NamespaceDescription;
+
+/**
+ * Options for marshalling values between .NET and JS, passed to `configure()`.
+ */
+export interface ConfigureOptions {
+  /**
+   * How .NET `decimal` values are projected to JS: as a lossless decimal `string` (the default),
+   * as a `number` (which may lose precision), or as an instance of the `Decimal` class.
+   */
+  decimal?: 'string' | 'number' | 'decimal';
+
+  /**
+   * How .NET `long`, `ulong`, `nint`, `nuint`, `Int128`, and `UInt128` values are projected to
+   * JS: as a `number` (the default), or as a `bigint`. With the `number` projection, an error is
+   * thrown for a value that cannot be represented exactly by a JS number.
+   */
+  int64?: 'number' | 'bigint';
+
+  /**
+   * How .NET `DateTimeOffset`, `TimeSpan`, `DateOnly`, and `TimeOnly` values are projected to JS.
+   * The `default` projection uses a `Date` with an `offset` property, a number of milliseconds,
+   * and ISO 8601 date and time strings respectively. The `temporal` projection uses
+   * `Temporal.ZonedDateTime`, `Temporal.Duration`, `Temporal.PlainDate`, and `Temporal.PlainTime`,
+   * which requires either a JS runtime that supports the Temporal API or an installed polyfill
+   * package (`@js-temporal/polyfill` or `temporal-polyfill`).
+   */
+  dates?: 'default' | 'temporal';
+}
+
+/**
+ * Sets options for marshalling values between .NET and JS via dynamic invocation.
+ * @param options Marshalling options to set. Options that are omitted are unchanged.
+ * @description Options must be set before loading any assemblies or modules, and before using any
+ * .NET types (including system types via the namespace properties); changing an option afterward
+ * throws an error. (Modules built with `[JSExport]` specify their own options.)
+ */
+export function configure(options: ConfigureOptions): void;
+
+/**
+ * A JS projection of a .NET `decimal` value, when configured with `{ decimal: 'decimal' }`.
+ * Arithmetic is performed by .NET, so there is no loss of precision.
+ * @description Methods that take another value also accept a decimal string, number, or bigint.
+ * A value marshalled to .NET as a `decimal` parameter may likewise be any of those.
+ */
+export class Decimal {
+  constructor(value?: Decimal | string | number | bigint);
+  add(other: Decimal | string | number | bigint): Decimal;
+  subtract(other: Decimal | string | number | bigint): Decimal;
+  multiply(other: Decimal | string | number | bigint): Decimal;
+  divide(other: Decimal | string | number | bigint): Decimal;
+  remainder(other: Decimal | string | number | bigint): Decimal;
+  negate(): Decimal;
+  /** Rounds to a number of decimal places (default 0), rounding midpoints to even. */
+  round(decimals?: number): Decimal;
+  /** Returns a negative number, zero, or a positive number. */
+  compareTo(other: Decimal | string | number | bigint): number;
+  equals(other: Decimal | string | number | bigint): boolean;
+  toNumber(): number;
+  toString(): string;
+  toJSON(): string;
+}
+
+/**
+ * Unloads a .NET assembly that was loaded with the `collectible` option, along with any of its
+ * dependencies that were loaded into the same collectible load context.
+ * @param assemblyFilePathOrModule Path to the .NET assembly DLL file that was passed to `load()`
+ * or `require()`, or the module object that was returned from `require()`.
+ * @description Types from the assembly are removed from the .NET namespaces on the main dotnet
+ * module. An error is thrown (and nothing is unloaded) if JavaScript still holds references to
+ * .NET objects from the assembly. The .NET runtime frees the assembly memory only after all other
+ * references, such as to class constructors or delegates obtained from the assembly, are released.
+ */
+export function unload(assemblyFilePathOrModule: string | object): void;
 
 /**
  * Adds a listener for the `resolving` event, which is raised when a .NET assembly requires
@@ -87,6 +614,57 @@ export function addListener(
   listener: (assemblyName: string, assemblyVersion: string, resolve: (string) => void) => void,
 ): void;
 
+/**
+ * Adds a listener for the `assemblyLoaded` event, which is raised after any .NET assembly is
+ * loaded into the process, including dependencies that were loaded by the .NET runtime.
+ * The event is emitted asynchronously, after the load completes.
+ */
+export function addListener(
+  event: 'assemblyLoaded',
+  /**
+   * Listener function to be invoked after a .NET assembly was loaded.
+   * @param assemblyName Name of the loaded assembly.
+   * @param assemblyVersion Version of the loaded assembly, if any.
+   * @param assemblyFilePath Path of the loaded assembly file, or undefined if the assembly was
+   * loaded from memory.
+   */
+  listener: (assemblyName: string, assemblyVersion?: string, assemblyFilePath?: string) => void,
+): void;
+
+/**
+ * Adds a listener for the `unhandledException` event, which is raised when an exception is not
+ * caught on a .NET background thread, or when a faulted .NET task is never awaited.
+ * @description Normally an unhandled exception on a .NET thread terminates the process. When
+ * running on .NET 10 or later, the process survives if there are any `unhandledException`
+ * listeners, unless the application set its own .NET unhandled exception handler. On earlier
+ * .NET versions the process still terminates, but the listeners are invoked first (if the JS
+ * thread is not blocked) so that the exception can be logged. An unobserved task exception
+ * never terminates the process; it is marked as observed if there are any listeners.
+ */
+export function addListener(
+  event: 'unhandledException',
+  /**
+   * Listener function to be invoked after an exception was not handled.
+   * @param error JS Error that wraps the .NET exception.
+   * @param isTerminating True if the process will terminate after the listeners return.
+   */
+  listener: (error: Error, isTerminating: boolean) => void,
+): void;
+
+/**
+ * Adds a listener for the `firstChanceException` event, which is raised whenever any .NET
+ * exception is thrown, before it may be caught, for diagnostic purposes. The event is emitted
+ * asynchronously, so the exception may have been handled by the time listeners are invoked.
+ */
+export function addListener(
+  event: 'firstChanceException',
+  /**
+   * Listener function to be invoked after a .NET exception was thrown.
+   * @param error JS Error that wraps the .NET exception.
+   */
+  listener: (error: Error) => void,
+): void;
+
 /**
  * Removes a listener for the `resolving` event.
  */
@@ -95,4 +673,28 @@ export function removeListener(
   listener: (assemblyName: string, assemblyVersion: string) => void,
 ): void;
 
+/**
+ * Removes a listener for the `assemblyLoaded` event.
+ */
+export function removeListener(
+  event: 'assemblyLoaded',
+  listener: (assemblyName: string, assemblyVersion?: string, assemblyFilePath?: string) => void,
+): void;
+
+/**
+ * Removes a listener for the `unhandledException` event.
+ */
+export function removeListener(
+  event: 'unhandledException',
+  listener: (error: Error, isTerminating: boolean) => void,
+): void;
+
+/**
+ * Removes a listener for the `firstChanceException` event.
+ */
+export function removeListener(
+  event: 'firstChanceException',
+  listener: (error: Error) => void,
+): void;
+
 }
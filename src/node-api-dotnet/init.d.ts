@@ -0,0 +1,30 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import * as dotnet from 'node-api-dotnet';
+
+/**
+ * Initializes the Node API .NET host with specific options, then returns the host module.
+ * @param options Minimum requested .NET version (target framework moniker), or an object with
+ * the requested version and additional runtime options.
+ * @description This must be called before any other module loads `node-api-dotnet`; after .NET is
+ * initialized, later calls to `require('node-api-dotnet')` return the already-initialized host.
+ * ```JavaScript
+ * const dotnet = require('node-api-dotnet/init')({
+ *   targetFramework: 'net8.0',
+ *   dotnetRoot: '/opt/dotnet',
+ *   runtimeProperties: { 'System.Globalization.Invariant': true },
+ * });
+ * ```
+ */
+declare function initialize(options?: string | dotnet.InitializeOptions): typeof dotnet;
+
+declare namespace initialize {
+  /**
+   * Searches for a .NET installation compatible with the requested version, without loading .NET.
+   * This is also available via the command `npx node-api-dotnet doctor`.
+   */
+  export function probe(options?: string | dotnet.InitializeOptions): dotnet.ProbeReport;
+}
+
+export = initialize;
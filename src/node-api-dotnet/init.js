@@ -7,30 +7,49 @@
 //  - net472.js
 //  - net8.0.js
 //  - ...
+// Applications may also call it directly (via `node-api-dotnet/init`) to pass initialization
+// options, before any of the entrypoint scripts are loaded.
 module.exports = initialize;
 
 const ridPlatform =
   process.platform === 'win32' ? 'win' :
   process.platform === 'darwin' ? 'osx' :
+  process.platform === 'linux' && isMusl() ? 'linux-musl' :
   process.platform;
 const ridArch = process.arch === 'ia32' ? 'x86' : process.arch;
 const rid = `${ridPlatform}-${ridArch}`;
 
 const defaultTargetFramework = 'net8.0';
+const assemblyName = 'Microsoft.JavaScript.NodeApi';
 
 /**
  * The loaded instance of the .NET Runtime. Only one instance/version may be loaded in the process.
  */
 let dotnet = undefined;
 
+/**
+ * Target framework moniker of the loaded .NET host, for example 'net8.0'.
+ */
+let loadedTargetFramework = undefined;
+
+/**
+ * Conflicting target frameworks that were requested after .NET was loaded, tracked so that
+ * a warning is emitted only once for each.
+ */
+const conflictingTargetFrameworks = new Set();
+
 /**
  * Initializes the Node API .NET host.
- * @param {string?} targetFramework Minimum requested .NET version. Must be one of the target
- * framework monikers supported by the Node API .NET package. The actual loaded version of .NET
- * may be higher, if the requested version is not installed.
+ * @param {string | import('./index').InitializeOptions | undefined} options Minimum requested
+ * .NET version, or an options object that includes the requested version. The version must be one
+ * of the target framework monikers supported by the Node API .NET package. The actual loaded
+ * version of .NET may be higher, if the requested version is not installed.
  * @returns {import('./index')} The Node API .NET host.
  */
-function initialize(targetFramework) {
+function initialize(options) {
+  options = normalizeOptions(options);
+
+  let targetFramework = options.targetFramework;
   if (!targetFramework) {
     // Some version was already loaded and no specific version was requested.
     // Return the already-loaded version.
@@ -39,42 +58,145 @@ function initialize(targetFramework) {
     }
 
     targetFramework = defaultTargetFramework;
+  } else if (dotnet) {
+    // Some version was already loaded and a specific version was requested.
+    // Only one .NET runtime can be loaded in the process; return the already-loaded one.
+    if (targetFramework !== loadedTargetFramework &&
+      !conflictingTargetFrameworks.has(targetFramework)
+    ) {
+      conflictingTargetFrameworks.add(targetFramework);
+      process.emitWarning(
+        `.NET target framework '${targetFramework}' was requested, but ` +
+        `'${loadedTargetFramework}' is already loaded in the process. ` +
+        `Using the already-loaded '${loadedTargetFramework}'.`,
+        { type: 'TargetFrameworkConflictWarning', code: 'NODE_API_DOTNET_TFM_CONFLICT' });
+    }
+
+    return dotnet;
+  }
+
+  const nativeHost = loadNativeHost();
+  const managedHostPath = __dirname + `/${targetFramework}/${assemblyName}.DotNetHost.dll`
+
+  // Pass require() and import() functions to the host initialize() method.
+  // Since `import` is a keyword and not a function it has to be wrapped in a function value.
+  const importModule = function importModule(modulePath) { return import(modulePath); };
+
+  const runtimeOptions = getRuntimeOptions(options);
+  try {
+    dotnet = nativeHost.initialize(
+      targetFramework, managedHostPath, require, importModule, runtimeOptions);
+  } catch (e) {
+    // Attach details about the search for a .NET installation, to help diagnose the failure.
+    if (e instanceof Error && !targetFramework.startsWith('net4')) {
+      try {
+        e.probeReport = nativeHost.probe(targetFramework, runtimeOptions);
+      } catch {
+        // Ignore probe failures; the original error is more relevant.
+      }
+    }
+    throw e;
   }
 
+  loadedTargetFramework = targetFramework;
+  if (!Object.prototype.hasOwnProperty.call(dotnet, 'loadedTargetFramework')) {
+    Object.defineProperty(dotnet, 'loadedTargetFramework', { value: targetFramework });
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(dotnet, 'probe')) {
+    // By default, probe for the same version and options that were used to initialize .NET.
+    const initOptions = { ...options, targetFramework };
+    Object.defineProperty(dotnet, 'probe', { value: (o) => probe(o || initOptions) });
+  }
+
+  return dotnet;
+}
+
+/**
+ * Searches for a .NET installation compatible with the requested version, without loading .NET.
+ * @param {string | import('./index').InitializeOptions | undefined} options Requested .NET
+ * version, or an options object that includes the requested version and .NET root.
+ * @returns {import('./index').ProbeReport} Details about the candidate .NET installation locations
+ * and versions, and why each one was rejected or selected.
+ */
+function probe(options) {
+  options = normalizeOptions(options);
+  const targetFramework = options.targetFramework || defaultTargetFramework;
+  return loadNativeHost().probe(targetFramework, getRuntimeOptions(options));
+}
+
+initialize.probe = probe;
+
+function normalizeOptions(options) {
+  return typeof options === 'string' || !options ? { targetFramework: options } : options;
+}
+
+function getRuntimeOptions(options) {
+  // Runtime options are passed as a separate object, excluding the target framework and
+  // any undefined values.
+  const runtimeOptions = {};
+  for (const key of ['dotnetRoot', 'rollForward', 'allowPrerelease', 'runtimeProperties']) {
+    if (options[key] !== undefined) runtimeOptions[key] = options[key];
+  }
+  return runtimeOptions;
+}
+
+function loadNativeHost() {
   /**
    * Build tools like webpack are not able to package up dynamic includes like the default case.
    * The switch supports the currently packaged DLLs to work with build tools while maintaining 
    * potential backwards and future compatibility utilizing the default case. 
    */
-  const assemblyName = 'Microsoft.JavaScript.NodeApi';
-  let nativeHost;
   switch(rid) {
     case 'win-x64':
-      nativeHost = require(`./win-x64/${assemblyName}.node`);
-      break;
+      return require(`./win-x64/${assemblyName}.node`);
     case 'win-arm64':
-      nativeHost = require(`./win-arm64/${assemblyName}.node`);
-      break;
+      return require(`./win-arm64/${assemblyName}.node`);
     case 'osx-x64':
-      nativeHost = require(`./osx-x64/${assemblyName}.node`);
-      break;
+      return require(`./osx-x64/${assemblyName}.node`);
     case 'osx-arm64':
-      nativeHost = require(`./osx-arm64/${assemblyName}.node`);
-      break;
+      return require(`./osx-arm64/${assemblyName}.node`);
     case 'linux-x64':
-      nativeHost = require(`./linux-x64/${assemblyName}.node`);
-      break;
+      return require(`./linux-x64/${assemblyName}.node`);
+    case 'linux-arm64':
+      return require(`./linux-arm64/${assemblyName}.node`);
+    case 'linux-musl-x64':
+      return require(`./linux-musl-x64/${assemblyName}.node`);
+    case 'linux-musl-arm64':
+      return require(`./linux-musl-arm64/${assemblyName}.node`);
     default:
       // Handle unknown platform (Likely will not work with build tools e.g. webpack)
-      nativeHost = require(__dirname + `/${rid}/${assemblyName}.node`);
+      return require(__dirname + `/${rid}/${assemblyName}.node`);
   }
+}
 
-  const managedHostPath = __dirname + `/${targetFramework}/${assemblyName}.DotNetHost.dll`
-
-  // Pass require() and import() functions to the host initialize() method.
-  // Since `import` is a keyword and not a function it has to be wrapped in a function value.
-  const importModule = function importModule(modulePath) { return import(modulePath); };
+/**
+ * Detects whether the current Linux process uses the musl C library (for example on Alpine),
+ * which requires the `linux-musl-*` native host binaries instead of the glibc ones.
+ * @returns {boolean} True if the C runtime library is musl.
+ */
+function isMusl() {
+  // The diagnostic report header includes the glibc version only when running on glibc.
+  if (process.report && typeof process.report.getReport === 'function') {
+    const excludeNetwork = process.report.excludeNetwork;
+    try {
+      // Avoid slow reverse DNS lookups of network handles while generating the report.
+      process.report.excludeNetwork = true;
+      const report = process.report.getReport();
+      const header = typeof report === 'string' ? JSON.parse(report).header : report.header;
+      if (header) {
+        return !header.glibcVersionRuntime;
+      }
+    } catch {
+      // Fall back to checking for the musl dynamic loader.
+    } finally {
+      process.report.excludeNetwork = excludeNetwork;
+    }
+  }
 
-  dotnet = nativeHost.initialize(targetFramework, managedHostPath, require, importModule);
-  return dotnet;
+  try {
+    return require('fs').readdirSync('/lib').some((f) => f.startsWith('ld-musl-'));
+  } catch {
+    return false;
+  }
 }
@@ -20,6 +20,32 @@ if (!packageName || !configuration || rids.length === 0) {
 
 const assemblyName = 'Microsoft.JavaScript.NodeApi';
 
+// Runtime identifiers that have explicit `require()` paths in init.js. Binaries for other RIDs
+// can still be packed, but they are loaded via a dynamic path that bundlers cannot follow.
+const knownRids = [
+  'win-x64',
+  'win-arm64',
+  'osx-x64',
+  'osx-arm64',
+  'linux-x64',
+  'linux-arm64',
+  'linux-musl-x64',
+  'linux-musl-arm64',
+];
+
+const unknownRids = rids.filter((rid) => !knownRids.includes(rid));
+if (unknownRids.length > 0) {
+  console.warn(`Warning: RIDs not explicitly handled by init.js: ${unknownRids.join(' ')}. ` +
+    'The native host will not be resolvable by bundlers.');
+}
+
+// A package built for more than one RID is expected to include all of the known RIDs.
+const missingRids = knownRids.filter((rid) => !rids.includes(rid));
+if (rids.length > 1 && missingRids.length > 0) {
+  console.warn(`Warning: RIDs handled by init.js are missing from the package: ` +
+    `${missingRids.join(' ')}`);
+}
+
 const targetFrameworks = ['net9.0', 'net8.0'];
 const dotnetGlobalJson = require('../../global.json');
 if (dotnetGlobalJson.sdk.version.startsWith('10.')) targetFrameworks.unshift('net10.0');
@@ -56,7 +82,8 @@ function packMainPackage() {
   const packageVersion = writePackageJson(packageStageDir, packageJson);
 
   // Copy script files to the staging dir.
-  copyScriptFiles(packageStageDir, '.', 'init.js', 'index.d.ts');
+  copyScriptFiles(
+    packageStageDir, '.', 'init.js', 'init.d.ts', 'index.d.ts', 'cli.js', 'repl.js', 'repl.d.ts');
   copyScriptFiles(packageStageDir, '../..', 'README.md');
 
   generateTargetFrameworkScriptFiles(packageStageDir);
@@ -114,6 +141,7 @@ function packGeneratorPackage() {
     packageStageDir,
     `NodeApi.Generator/${assemblyName}.Generator.dll`,
     `NodeApi.Generator/Microsoft.CodeAnalysis.dll`,
+    `NodeApi.Generator/Microsoft.CodeAnalysis.CSharp.dll`,
     `NodeApi.Generator/System.Reflection.MetadataLoadContext.dll`
   );
 
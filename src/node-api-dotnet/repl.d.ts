@@ -0,0 +1,27 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+import { ReplOptions, REPLServer } from 'repl';
+
+/**
+ * Options for starting a REPL with the .NET host preloaded. Any standard Node.js REPL options
+ * are passed through to the REPL.
+ */
+export interface StartOptions extends ReplOptions {
+  /**
+   * Minimum requested .NET version (target framework moniker), for example `net8.0`.
+   * If .NET was already initialized, the already-loaded version is used.
+   */
+  targetFramework?: string;
+}
+
+/**
+ * Starts an interactive Node.js REPL with the .NET host preloaded as `dotnet`.
+ * @description The REPL has tab completion for .NET namespaces, types, and static members,
+ * including types that have not been exported yet, and `.load-assembly` and `.load-package`
+ * commands. This is also available via the command `npx node-api-dotnet repl`.
+ * ```JavaScript
+ * require('node-api-dotnet/repl').start({ targetFramework: 'net8.0' });
+ * ```
+ */
+export function start(options?: StartOptions): REPLServer;
@@ -0,0 +1,169 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Interactive Node.js REPL with the .NET host preloaded as `dotnet`.
+// Usage: npx node-api-dotnet repl [--framework <tfm>]
+//    or: node node_modules/node-api-dotnet/repl.js [--framework <tfm>]
+// Applications may also call start() (via `node-api-dotnet/repl`) to pass REPL options.
+
+const path = require('path');
+const nodeRepl = require('repl');
+const vm = require('vm');
+
+const initialize = require('./init');
+
+module.exports = { start };
+
+/**
+ * Starts a REPL with the .NET host preloaded as `dotnet`, with tab completion for .NET namespaces,
+ * types, and members, and with `.load-assembly` and `.load-package` commands.
+ * @param {import('./repl').StartOptions | undefined} options REPL options. Any standard Node.js
+ * REPL options are passed through.
+ * @returns {import('repl').REPLServer} The started REPL server.
+ */
+function start(options) {
+  const { targetFramework, ...replOptions } = options || {};
+  const dotnet = initialize(targetFramework);
+
+  const server = nodeRepl.start({ prompt: 'dotnet> ', ...replOptions });
+  defineDotnet(server.context, dotnet);
+  server.on('reset', (context) => defineDotnet(context, dotnet));
+
+  const defaultCompleter = server.completer;
+  server.completer = (line, callback) => {
+    let completions;
+    try {
+      completions = completeDotnetExpression(server.context, dotnet, line);
+    } catch {
+      // Fall back to the default completer if the expression could not be completed.
+    }
+
+    if (completions) {
+      callback(null, completions);
+    } else {
+      defaultCompleter.call(server, line, callback);
+    }
+  };
+
+  server.defineCommand('load-assembly', {
+    help: 'Load a .NET assembly by name or path, and export its types to the dotnet namespaces',
+    action(assemblyNameOrFilePath) {
+      runCommand(server, () => {
+        dotnet.load(resolveCommandPath(assemblyNameOrFilePath.trim()));
+      });
+    },
+  });
+
+  server.defineCommand('load-package', {
+    help: 'Load a nuget package from local package folders: .load-package <id> [version] [source]',
+    action(args) {
+      runCommand(server, () => {
+        const [packageId, version, source] = args.trim().split(/\s+/);
+        if (!packageId) {
+          throw new Error('Usage: .load-package <id> [version] [source]');
+        }
+        const packageOptions = source ? { source: resolveCommandPath(source) } : undefined;
+        dotnet.loadPackage(packageId, version, packageOptions);
+      });
+    },
+  });
+
+  return server;
+}
+
+function defineDotnet(context, dotnet) {
+  Object.defineProperty(context, 'dotnet', {
+    configurable: true,
+    enumerable: false,
+    value: dotnet,
+  });
+}
+
+/**
+ * Runs a REPL command action, displaying any error and then the prompt.
+ */
+function runCommand(server, action) {
+  server.clearBufferedCommand();
+  try {
+    action();
+  } catch (e) {
+    console.error(e instanceof Error ? e.message : e);
+  }
+  server.displayPrompt();
+}
+
+/**
+ * Resolves a path given to a REPL command against the current working directory, because
+ * the host would otherwise resolve relative paths against the calling module (this script).
+ * Names of system assemblies (without a directory or extension) are unchanged.
+ */
+function resolveCommandPath(nameOrPath) {
+  return /[\\/]|\.dll$/i.test(nameOrPath) ? path.resolve(nameOrPath) : nameOrPath;
+}
+
+/**
+ * Completes a property-access expression that refers to a .NET namespace or type, such as
+ * `dotnet.System.IO.Fi`. Namespaces defer exporting their types until first use, so the default
+ * REPL completer cannot list their contents without exporting every type.
+ * @returns {[string[], string] | undefined} The completions and the completed substring,
+ * or undefined if the expression does not refer to a .NET namespace or type.
+ */
+function completeDotnetExpression(context, dotnet, line) {
+  const match = /([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\.([\w$]*)$/.exec(line);
+  if (!match) return undefined;
+
+  const [expression, objectExpression, partialName] = match;
+  const [rootName, ...propertyNames] = objectExpression.split('.');
+
+  // Evaluate only the root identifier, then access properties only on .NET namespaces, to avoid
+  // invoking any getters with side effects on other objects.
+  let value = context === globalThis ?
+    vm.runInThisContext(rootName) : vm.runInContext(rootName, context);
+  let description = describe(dotnet, value);
+  for (const propertyName of propertyNames) {
+    if (value !== dotnet && description?.kind !== 'namespace') return undefined;
+    value = value[propertyName];
+    description = describe(dotnet, value);
+  }
+
+  let names;
+  if (description?.kind === 'namespace') {
+    // Get the names of child namespaces and types without exporting the types.
+    names = Reflect.ownKeys(value).filter((key) => typeof key === 'string');
+  } else if (description) {
+    // Include static members that may not have been exported yet.
+    names = [
+      ...Object.getOwnPropertyNames(value),
+      ...(description.methods || []).filter((m) => m.isStatic).map((m) => m.name),
+      ...(description.properties || []).filter((p) => p.isStatic).map((p) => p.name),
+      ...(description.values || []).map((v) => v.name),
+    ];
+  } else {
+    return undefined;
+  }
+
+  const prefix = expression.substring(0, expression.length - partialName.length);
+  const completions = [...new Set(names)]
+    .filter((name) => name.startsWith(partialName) && /^[A-Za-z_$][\w$]*$/.test(name))
+    .sort()
+    .map((name) => prefix + name);
+  return [completions, expression];
+}
+
+function describe(dotnet, value) {
+  if ((typeof value !== 'object' && typeof value !== 'function') || value === null) {
+    return undefined;
+  }
+
+  try {
+    return dotnet.describe(value);
+  } catch {
+    return undefined;
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const frameworkIndex = args.findIndex((arg) => arg === '--framework' || arg === '-f');
+  start({ targetFramework: frameworkIndex >= 0 ? args[frameworkIndex + 1] : undefined });
+}
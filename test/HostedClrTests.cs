@@ -19,10 +19,18 @@ public class HostedClrTests
     private static readonly Dictionary<string, string?> s_builtTestModules = new();
 
 #if NETFRAMEWORK
-    // The .NET Framework host does not yet support multiple instances of a module.
+    // The .NET Framework host does not yet support multiple instances of a module,
+    // or unloading or isolating assemblies, or loading applications, or compiling C#,
+    // or .NET runtime options or probing for a .NET installation.
     public static IEnumerable<object[]> TestCases { get; } = ListTestCases((testCaseName) =>
         !testCaseName.StartsWith("projects/", StringComparison.Ordinal) &&
-        !testCaseName.Contains("/multi_instance"));
+        !testCaseName.Contains("/multi_instance") &&
+        !testCaseName.Contains("/dynamic_unload") &&
+        !testCaseName.Contains("/dynamic_isolated") &&
+        !testCaseName.Contains("/dynamic_application") &&
+        !testCaseName.Contains("/dynamic_compile") &&
+        !testCaseName.Contains("/dynamic_init_options") &&
+        !testCaseName.Contains("/dynamic_init_probe"));
 #else
     public static IEnumerable<object[]> TestCases { get; } = ListTestCases((testCaseName) =>
         !testCaseName.StartsWith("projects/", StringComparison.Ordinal));
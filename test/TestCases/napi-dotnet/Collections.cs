@@ -51,6 +51,44 @@ public static class Collections
             = new Memory<StructObject>(new StructObject[] { new StructObject { Value = "A" } });
     }
 
+    public static class Spans
+    {
+        // Span<T> and ReadOnlySpan<T> parameters reference the memory of a JS TypedArray,
+        // Buffer, or ArrayBuffer (without copying), valid only for the duration of the call.
+
+        public static int Sum(ReadOnlySpan<int> values)
+        {
+            int sum = 0;
+            foreach (int value in values)
+            {
+                sum += value;
+            }
+            return sum;
+        }
+
+        public static void Fill(Span<byte> bytes, byte value) => bytes.Fill(value);
+
+        public static int CountOccurrences(ReadOnlySpan<char> text, ReadOnlySpan<char> value)
+        {
+            if (value.IsEmpty) return 0;
+
+            int count = 0;
+            int index;
+            while ((index = text.IndexOf(value, StringComparison.Ordinal)) >= 0)
+            {
+                count++;
+                text = text.Slice(index + value.Length);
+            }
+            return count;
+        }
+
+        public static string Describe(string text) => "string: " + text;
+
+        public static string Describe(ReadOnlySpan<char> text) => "span: " + text.ToString();
+
+        public static string Describe(ReadOnlySpan<double> values) => "doubles: " + values.Length;
+    }
+
     public static class GenericInterfaces
     {
         // Collection interfaces in the System.Collections.Generic namespace are
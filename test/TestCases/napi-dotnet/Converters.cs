@@ -0,0 +1,74 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+using System;
+using System.Globalization;
+using System.Linq;
+using Microsoft.JavaScript.NodeApi;
+using Microsoft.JavaScript.NodeApi.TestCases;
+
+[assembly: JSMarshalAs(typeof(Uri), typeof(UriConverter), TSType = "string")]
+
+namespace Microsoft.JavaScript.NodeApi.TestCases;
+
+/// <summary>
+/// Tests marshalling values with custom converters.
+/// </summary>
+[JSExport]
+public static class Converters
+{
+    public static Money Price { get; set; } = new(1.5m, "USD");
+
+    public static Money Add(Money a, Money b) => a.Currency == b.Currency ?
+        new Money(a.Amount + b.Amount, a.Currency) :
+        throw new ArgumentException("Currencies do not match.");
+
+    public static Money? Nullable(Money? value) => value;
+
+    public static Money[] Split(Money value, int count)
+        => Enumerable.Repeat(new Money(value.Amount / count, value.Currency), count).ToArray();
+
+    public static Uri? Resolve(Uri? baseUri, string relativePath)
+        => baseUri != null ? new Uri(baseUri, relativePath) : null;
+}
+
+/// <summary>
+/// An amount of money, which is marshalled to and from JS as a string such as "1.50 USD".
+/// </summary>
+[JSMarshalAs(typeof(MoneyConverter), TSType = "string")]
+public readonly struct Money
+{
+    public Money(decimal amount, string currency)
+    {
+        Amount = amount;
+        Currency = currency;
+    }
+
+    public decimal Amount { get; }
+
+    public string Currency { get; }
+}
+
+public static class MoneyConverter
+{
+    public static JSValue ToJS(Money value)
+        => value.Amount.ToString(CultureInfo.InvariantCulture) + " " + value.Currency;
+
+    public static Money FromJS(JSValue value)
+    {
+        string[] parts = ((string)value).Split(' ');
+        if (parts.Length != 2)
+        {
+            throw new FormatException("Invalid money value: " + (string)value);
+        }
+
+        return new Money(decimal.Parse(parts[0], CultureInfo.InvariantCulture), parts[1]);
+    }
+}
+
+public static class UriConverter
+{
+    public static JSValue ToJS(Uri value) => value.ToString();
+
+    public static Uri FromJS(JSValue value) => new((string)value);
+}
@@ -0,0 +1,39 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+using System;
+using System.Globalization;
+
+namespace Microsoft.JavaScript.NodeApi.TestCases;
+
+/// <summary>
+/// Tests marshalling date and time values, with either the default or Temporal projection.
+/// </summary>
+[JSExport]
+public static class Dates
+{
+    public static TimeSpan Duration { get; set; }
+        = new TimeSpan(1, 2, 3, 4, 5) + TimeSpan.FromTicks(67);
+
+    public static TimeSpan Add(TimeSpan a, TimeSpan b) => a + b;
+
+    public static DateTimeOffset ToOffset(DateTimeOffset value, int offsetMinutes)
+        => value.ToOffset(TimeSpan.FromMinutes(offsetMinutes));
+
+    public static string Format(DateTimeOffset value)
+        => value.ToString("O", CultureInfo.InvariantCulture);
+
+#if !NETFRAMEWORK
+    public static DateOnly AddDays(DateOnly date, int days) => date.AddDays(days);
+
+    public static TimeOnly AddMinutes(TimeOnly time, int minutes) => time.AddMinutes(minutes);
+
+    public static DateOnly? NullableDate(DateOnly? value) => value;
+
+    public static string FormatTime(TimeOnly time)
+        => time.ToString("O", CultureInfo.InvariantCulture);
+
+    public static DateTimeOffset Combine(DateOnly date, TimeOnly time, TimeSpan offset)
+        => new(date.ToDateTime(time), offset);
+#endif
+}
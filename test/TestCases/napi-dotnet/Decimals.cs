@@ -0,0 +1,36 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+using System.Collections.Generic;
+using System.Linq;
+
+namespace Microsoft.JavaScript.NodeApi.TestCases;
+
+/// <summary>
+/// Tests marshalling decimal values.
+/// </summary>
+[JSExport]
+public static class Decimals
+{
+    public static decimal Value { get; set; } = 1.1m;
+
+    public static decimal Add(decimal a, decimal b) => a + b;
+
+    public static decimal? Nullable(decimal? value) => value;
+
+    public static decimal[] Multiply(IEnumerable<decimal> values, decimal factor)
+        => values.Select((value) => value * factor).ToArray();
+
+    public static DecimalAmount CreateAmount(string currency, decimal amount)
+        => new() { Currency = currency, Amount = amount };
+
+    public static decimal GetAmount(DecimalAmount amount) => amount.Amount;
+}
+
+[JSExport]
+public struct DecimalAmount
+{
+    public string? Currency { get; set; }
+
+    public decimal Amount { get; set; }
+}
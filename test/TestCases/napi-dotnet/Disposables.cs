@@ -0,0 +1,50 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+using System;
+using System.Threading.Tasks;
+
+namespace Microsoft.JavaScript.NodeApi.TestCases;
+
+/// <summary>
+/// Tests mapping of .NET IDisposable and IAsyncDisposable to JS Symbol.dispose and
+/// Symbol.asyncDispose.
+/// </summary>
+[JSExport]
+public static class Disposables
+{
+    public static void Dispose(IDisposable disposable) => disposable.Dispose();
+
+    public static ValueTask DisposeAsync(IAsyncDisposable disposable)
+        => disposable.DisposeAsync();
+
+    public static string UseResource(IDisposableResource resource)
+    {
+        using (resource)
+        {
+            return resource.Name;
+        }
+    }
+}
+
+[JSExport]
+public class DisposableObject : IDisposable, IAsyncDisposable
+{
+    public bool IsDisposed { get; private set; }
+
+    public bool IsAsyncDisposed { get; private set; }
+
+    public void Dispose() => IsDisposed = true;
+
+    public async ValueTask DisposeAsync()
+    {
+        await Task.Yield();
+        IsAsyncDisposed = true;
+    }
+}
+
+[JSExport]
+public interface IDisposableResource : IDisposable
+{
+    string Name { get; }
+}
@@ -2,6 +2,7 @@
 // Licensed under the MIT License.
 
 using System;
+using System.Threading;
 using System.Threading.Tasks;
 
 namespace Microsoft.JavaScript.NodeApi.TestCases;
@@ -24,6 +25,19 @@ public static class Errors
         await Task.Yield();
         throw new Exception(message);
     }
+
+    public static void ThrowOnBackgroundThread(string message)
+    {
+        new Thread(() => throw new Exception(message)) { IsBackground = true }.Start();
+    }
+
+    public static void FaultUnobservedTask(string message)
+    {
+        // The task is not returned, so it is never awaited and can be collected after it faults.
+        Task.Run(() => Throw(message));
+
+        static void Throw(string message) => throw new Exception(message);
+    }
 }
 
 [JSExport]
@@ -0,0 +1,49 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+using System;
+
+namespace Microsoft.JavaScript.NodeApi.TestCases;
+
+[JSExport]
+public interface IEventRaiser
+{
+    event EventHandler<string>? ValueChanged;
+
+    void RaiseValueChanged(string value);
+}
+
+[JSExport]
+public class EventRaiser : IEventRaiser
+{
+    public event EventHandler<string>? ValueChanged;
+
+    public static event Action<int>? CountChanged;
+
+    public int ValueChangedHandlerCount => ValueChanged?.GetInvocationList().Length ?? 0;
+
+    public void RaiseValueChanged(string value) => ValueChanged?.Invoke(this, value);
+
+    public static void RaiseCountChanged(int count) => CountChanged?.Invoke(count);
+}
+
+[JSExport]
+public static class EventListeners
+{
+    /// <summary>
+    /// Adds a handler to an event of a (possibly JS-implemented) interface, raises the event,
+    /// then removes the handler and raises the event again.
+    /// </summary>
+    /// <returns>The values received by the handler.</returns>
+    public static string ListenAndRaise(IEventRaiser raiser, string value)
+    {
+        string received = string.Empty;
+        void OnValueChanged(object? sender, string e) => received += e;
+
+        raiser.ValueChanged += OnValueChanged;
+        raiser.RaiseValueChanged(value);
+        raiser.ValueChanged -= OnValueChanged;
+        raiser.RaiseValueChanged(value);
+        return received;
+    }
+}
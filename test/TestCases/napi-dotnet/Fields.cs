@@ -0,0 +1,58 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+#pragma warning disable CA1051 // Do not declare visible instance fields
+#pragma warning disable CA2211 // Non-constant fields should not be visible
+
+using System.Reflection;
+
+namespace Microsoft.JavaScript.NodeApi.TestCases;
+
+/// <summary>
+/// Tests projecting public fields of a class as properties.
+/// </summary>
+[JSExport]
+public class FieldsObject
+{
+    public const string ConstValue = "const";
+
+    public static readonly string StaticReadonlyValue = "static readonly";
+
+    public static int StaticValue;
+
+    public readonly int ReadonlyValue = 1;
+
+    public string? Value = "initial";
+
+    public static FieldsStruct Scale(FieldsStruct value, double factor)
+        => new() { X = value.X * factor, Y = value.Y * factor };
+
+    public static FieldsUnsupportedStruct Increment(FieldsUnsupportedStruct value)
+        => new() { Id = value.Id + 1, Method = value.Method, Excluded = "excluded" };
+}
+
+/// <summary>
+/// Tests marshalling public fields of a struct (passed by value).
+/// </summary>
+[JSExport]
+public struct FieldsStruct
+{
+    public double X;
+
+    public double Y;
+}
+
+/// <summary>
+/// Tests marshalling a struct (by value) that has public fields which are not projected to JS,
+/// either because the field type is not supported or because the field is excluded.
+/// </summary>
+[JSExport]
+public struct FieldsUnsupportedStruct
+{
+    public int Id;
+
+    public MethodInfo? Method;
+
+    [JSExport(false)]
+    public string? Excluded;
+}
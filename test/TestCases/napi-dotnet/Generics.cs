@@ -33,6 +33,21 @@ public struct GenericStruct<T>
     public readonly T GetValue(T value) => value;
 }
 
+// Generic types with the same name but different numbers of type parameters.
+
+public class GenericTuple<T1>
+{
+    public GenericTuple(T1 item1) { Item1 = item1; }
+    public T1 Item1 { get; }
+}
+
+public class GenericTuple<T1, T2>
+{
+    public GenericTuple(T1 item1, T2 item2) { Item1 = item1; Item2 = item2; }
+    public T1 Item1 { get; }
+    public T2 Item2 { get; }
+}
+
 public static class StaticClassWithGenericMethods
 {
     public static T GetValue<T>(T value) => value;
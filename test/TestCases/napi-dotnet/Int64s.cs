@@ -0,0 +1,39 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace Microsoft.JavaScript.NodeApi.TestCases;
+
+/// <summary>
+/// Tests marshalling 64-bit (and larger) integer values.
+/// </summary>
+[JSExport]
+public static class Int64s
+{
+    public static long MaxLong => long.MaxValue;
+
+    public static ulong MaxULong => ulong.MaxValue;
+
+    public static long SafeLong => (1L << 53) - 1;
+
+    public static long Value { get; set; }
+
+    public static long AddLong(long a, long b) => a + b;
+
+    public static ulong AddULong(ulong a, ulong b) => a + b;
+
+    public static nint AddIntPtr(nint a, nint b) => a + b;
+
+    public static long? Nullable(long? value) => value;
+
+    public static long[] Negate(IEnumerable<long> values) => values.Select((v) => -v).ToArray();
+
+#if !NETFRAMEWORK
+    public static Int128 MaxInt128 => Int128.MaxValue;
+
+    public static UInt128 AddUInt128(UInt128 a, UInt128 b) => a + b;
+#endif
+}
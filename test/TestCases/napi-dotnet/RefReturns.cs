@@ -0,0 +1,29 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+namespace Microsoft.JavaScript.NodeApi.TestCases;
+
+/// <summary>
+/// Tests marshalling methods and properties that return by reference.
+/// </summary>
+[JSExport]
+public class RefReturns
+{
+    private readonly int[] _items = new[] { 1, 2, 3 };
+
+    private static string s_name = "static";
+
+    public static ref string StaticName => ref s_name;
+
+    public int Count => _items.Length;
+
+    public ref int First => ref _items[0];
+
+    public ref readonly int Last => ref _items[_items.Length - 1];
+
+    public ref int ItemAt(int index) => ref _items[index];
+
+    public ref readonly int ReadOnlyItemAt(int index) => ref _items[index];
+
+    public int[] ToArray() => (int[])_items.Clone();
+}
@@ -76,6 +76,26 @@ assert.deepStrictEqual(Collections.Memory.memoryOfInt, memoryOfIntValue2);
 const slicedArrayOfInt = Collections.Memory.slice(new Int32Array([0, 1, 2, 3]), 1, 2);
 assert.deepStrictEqual(slicedArrayOfInt, new Int32Array([1, 2]))
 
+// C# Span<T> and ReadOnlySpan<T> parameters map from JS TypedArray, Buffer, or ArrayBuffer
+// (without copying), and ReadOnlySpan<char> parameters map from JS string.
+assert.strictEqual(Collections.Spans.sum(new Int32Array([1, 2, 3])), 6);
+assert.strictEqual(Collections.Spans.sum(new Int32Array([1, 2, 3]).subarray(1)), 5);
+assert.throws(() => Collections.Spans.sum([1, 2, 3]));
+const bytes = new Uint8Array(4);
+Collections.Spans.fill(bytes, 7);
+assert.deepStrictEqual(bytes, new Uint8Array([7, 7, 7, 7]));
+const buffer = Buffer.alloc(3);
+Collections.Spans.fill(buffer, 1);
+assert.deepStrictEqual([...buffer], [1, 1, 1]);
+const arrayBuffer = new ArrayBuffer(2);
+Collections.Spans.fill(arrayBuffer, 2);
+assert.deepStrictEqual(new Uint8Array(arrayBuffer), new Uint8Array([2, 2]));
+assert.strictEqual(Collections.Spans.countOccurrences('banana', 'an'), 2);
+
+// A string overload is preferred over an equivalent ReadOnlySpan<char> overload.
+assert.strictEqual(Collections.Spans.describe('text'), 'string: text');
+assert.strictEqual(Collections.Spans.describe(new Float64Array(2)), 'doubles: 2');
+
 // C# IEnumerable<T> maps to/from JS Iterable<T> (without copying)
 const iEnumerableOfIntValue = Collections.GenericInterfaces.iEnumerableOfInt;
 assert.strictEqual(typeof iEnumerableOfIntValue, 'object');
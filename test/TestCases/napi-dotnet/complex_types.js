@@ -2,6 +2,7 @@
 // Licensed under the MIT License.
 
 const assert = require('assert');
+const util = require('util');
 
 /** @type {import('./napi-dotnet')} */
 const binding = require('../common').binding;
@@ -30,6 +31,9 @@ classInstance.value = 'test';
 assert.strictEqual(classInstance.value, 'test');
 classInstance = new ClassObject('test1');
 assert.strictEqual(classInstance.value, 'test1');
+assert.strictEqual(
+  util.inspect(classInstance),
+  "Microsoft.JavaScript.NodeApi.TestCases.ClassObject { value: 'test1' }");
 
 // Class instances are passed by reference, so a property change on
 // one reference should be reflected on the other.
@@ -0,0 +1,29 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+const assert = require('assert');
+
+/** @type {import('./napi-dotnet')} */
+const binding = require('../common').binding;
+
+const Converters = binding.Converters;
+
+// The Money struct is marshalled as a string by a converter specified on the type.
+assert.strictEqual(Converters.price, '1.5 USD');
+Converters.price = '2.25 EUR';
+assert.strictEqual(Converters.price, '2.25 EUR');
+
+assert.strictEqual(Converters.add('1.25 USD', '2.5 USD'), '3.75 USD');
+assert.throws(() => Converters.add('1 USD', '1 EUR'), /Currencies do not match/);
+assert.throws(() => Converters.add('1USD', '1 USD'), /Invalid money value: 1USD/);
+
+assert.strictEqual(Converters.nullable('1 USD'), '1 USD');
+assert.strictEqual(Converters.nullable(undefined), undefined);
+
+assert.deepStrictEqual(Converters.split('3 USD', 2), ['1.5 USD', '1.5 USD']);
+
+// The system Uri class is marshalled as a string by a converter specified on the assembly.
+assert.strictEqual(
+  Converters.resolve('https://example.com/a/', 'b'),
+  'https://example.com/a/b');
+assert.strictEqual(Converters.resolve(undefined, 'b'), undefined);
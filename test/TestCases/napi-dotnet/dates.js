@@ -0,0 +1,50 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+const assert = require('assert');
+
+/** @type {import('./napi-dotnet')} */
+const binding = require('../common').binding;
+
+const Dates = binding.Dates;
+
+// By default, TimeSpan values are projected as a number of milliseconds.
+assert.strictEqual(Dates.add(1000, 500), 1500);
+assert(Math.abs(Dates.duration - 93784005.0067) < 1e-6);
+
+// Temporal.Duration-like objects are also accepted.
+assert.strictEqual(Dates.add({ hours: 1, milliseconds: 1 }, 500), 3600501);
+assert.strictEqual(Dates.add({ microseconds: 1500 }, 0), 1.5);
+assert.throws(() => Dates.add({ months: 1 }, 0), /years, months, or weeks/);
+
+// By default, DateTimeOffset values are projected as Date objects with an offset property.
+const date = Dates.toOffset(new Date(Date.UTC(2024, 0, 2, 3, 4, 5, 123)), -90);
+assert(date instanceof Date);
+assert.strictEqual(date.offset, -90);
+assert.strictEqual(Dates.format(date), '2024-01-02T01:34:05.1230000-01:30');
+
+// Temporal.ZonedDateTime-like objects are also accepted, without loss of precision.
+assert.strictEqual(
+  Dates.format({ epochNanoseconds: 1704164645123456700n, offsetNanoseconds: 19800e9 }),
+  '2024-01-02T08:34:05.1234567+05:30');
+
+if ('addDays' in Dates) {
+  // By default, DateOnly and TimeOnly values are projected as ISO 8601 strings.
+  assert.strictEqual(Dates.addDays('2024-02-28', 1), '2024-02-29');
+  assert.strictEqual(Dates.addDays({ year: 2024, month: 12, day: 31 }, 1), '2025-01-01');
+  assert.strictEqual(Dates.nullableDate('2024-01-01'), '2024-01-01');
+  assert.strictEqual(Dates.nullableDate(undefined), undefined);
+  assert.throws(() => Dates.addDays('2024-02-30', 0));
+  assert.throws(() => Dates.addDays(20240228, 0), /Cannot convert JS number to DateOnly/);
+
+  assert.strictEqual(Dates.addMinutes('23:30', 45), '00:15:00');
+  assert.strictEqual(Dates.addMinutes('12:00:00.123456789', 0), '12:00:00.1234567');
+  assert.strictEqual(
+    Dates.formatTime({ hour: 1, minute: 2, second: 3, microsecond: 4, nanosecond: 500 }),
+    '01:02:03.0000045');
+  assert.throws(() => Dates.formatTime('noon'));
+
+  assert.strictEqual(
+    Dates.format(Dates.combine('2024-02-29', '00:15', -480 * 60000)),
+    '2024-02-29T00:15:00.0000000-08:00');
+}
@@ -0,0 +1,37 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+const assert = require('assert');
+
+/** @type {import('./napi-dotnet')} */
+const binding = require('../common').binding;
+
+const Decimals = binding.Decimals;
+
+// Decimal values are projected as lossless strings by default.
+assert.strictEqual(Decimals.add('0.1', '0.2'), '0.3');
+assert.strictEqual(
+  Decimals.add('79228162514264337593543950334', '1'),
+  '79228162514264337593543950335');
+assert.strictEqual(Decimals.add('1e-3', '-2'), '-1.999');
+
+// Numbers and bigints are also accepted.
+assert.strictEqual(Decimals.add(0.5, 2n), '2.5');
+
+assert.strictEqual(Decimals.value, '1.1');
+Decimals.value = '12.340';
+assert.strictEqual(Decimals.value, '12.340');
+
+assert.strictEqual(Decimals.nullable('1.0'), '1.0');
+assert.strictEqual(Decimals.nullable(undefined), undefined);
+
+// Decimal values in collections and struct properties.
+assert.deepStrictEqual(Decimals.multiply(['1.5', '2.25'], '2'), ['3.0', '4.50']);
+const amount = Decimals.createAmount('USD', '19.99');
+assert.strictEqual(amount.currency, 'USD');
+assert.strictEqual(amount.amount, '19.99');
+assert.strictEqual(Decimals.getAmount({ currency: 'EUR', amount: '5.01' }), '5.01');
+
+assert.throws(() => Decimals.add('abc', '1'));
+assert.throws(() => Decimals.add({}, '1'), /Cannot convert JS object to decimal/);
+assert.throws(() => Decimals.add(Number.NaN, '1'));
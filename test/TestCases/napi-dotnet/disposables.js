@@ -0,0 +1,60 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+const assert = require('assert');
+const common = require('../common');
+
+/** @type {import('./napi-dotnet')} */
+const binding = common.binding;
+
+const { Disposables, DisposableObject } = binding;
+
+common.runTest(async () => {
+  // .NET disposable objects can be disposed via the JS explicit resource management symbols.
+  const obj = new DisposableObject();
+  assert.strictEqual(typeof obj[Symbol.dispose], 'function');
+  obj[Symbol.dispose]();
+  assert.strictEqual(obj.isDisposed, true);
+  assert.strictEqual(obj.isAsyncDisposed, false);
+
+  const obj2 = new DisposableObject();
+  const disposePromise = obj2[Symbol.asyncDispose]();
+  assert(disposePromise instanceof Promise);
+  await disposePromise;
+  assert.strictEqual(obj2.isAsyncDisposed, true);
+
+  // A .NET object passed back to .NET is unwrapped.
+  const obj3 = new DisposableObject();
+  Disposables.dispose(obj3);
+  assert.strictEqual(obj3.isDisposed, true);
+
+  // JS objects passed as IDisposable or IAsyncDisposable forward to their dispose symbols.
+  let disposed = false;
+  Disposables.dispose({ [Symbol.dispose]() { disposed = true; } });
+  assert.strictEqual(disposed, true);
+
+  // A dispose() method is also supported, for compatibility.
+  disposed = false;
+  Disposables.dispose({ dispose() { disposed = true; } });
+  assert.strictEqual(disposed, true);
+
+  assert.throws(
+    () => Disposables.dispose({}),
+    /does not have a \[Symbol.dispose\]\(\) or dispose\(\) method/);
+
+  let asyncDisposed = false;
+  await Disposables.disposeAsync({ async [Symbol.asyncDispose]() { asyncDisposed = true; } });
+  assert.strictEqual(asyncDisposed, true);
+
+  // Without an async dispose method, an object is disposed synchronously.
+  disposed = false;
+  await Disposables.disposeAsync({ [Symbol.dispose]() { disposed = true; } });
+  assert.strictEqual(disposed, true);
+
+  // A JS object that implements an interface that extends IDisposable is disposed via its
+  // dispose symbol.
+  disposed = false;
+  const resource = { name: 'test', [Symbol.dispose]() { disposed = true; } };
+  assert.strictEqual(Disposables.useResource(resource), 'test');
+  assert.strictEqual(disposed, true);
+});
@@ -0,0 +1,64 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test loading an application's assemblies according to its deps file.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dotnet = require('../common').dotnet;
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+const appName = path.basename(assemblyPath, '.dll');
+const appDir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-api-dotnet-app-'));
+
+try {
+  const runtimeTarget = '.NETCoreApp,Version=v' + dotnet.frameworkMoniker.substring('net'.length);
+  fs.copyFileSync(assemblyPath, path.join(appDir, appName + '.dll'));
+  fs.writeFileSync(path.join(appDir, appName + '.deps.json'), JSON.stringify({
+    runtimeTarget: { name: runtimeTarget },
+    targets: {
+      [runtimeTarget]: {
+        [appName + '/1.0.0']: {
+          runtime: { [appName + '.dll']: {} },
+        },
+      },
+    },
+    libraries: {
+      [appName + '/1.0.0']: { type: 'project' },
+    },
+  }));
+  fs.writeFileSync(path.join(appDir, appName + '.runtimeconfig.json'), JSON.stringify({
+    runtimeOptions: {
+      framework: { name: 'Microsoft.NETCore.App', version: '8.0.0' },
+      configProperties: {
+        'NodeApiTest.AppSwitch': true,
+        'System.GC.Server': true,
+      },
+    },
+  }));
+
+  assert.throws(
+    () => dotnet.loadApplication(path.join(appDir, 'missing')),
+    /Application directory not found/);
+
+  const result = dotnet.loadApplication(appDir);
+
+  // Properties that only take effect at runtime startup are reported instead of applied.
+  assert.deepStrictEqual(result.ignoredConfigProperties, ['System.GC.Server']);
+  assert.strictEqual(dotnet.System.AppContext.TryGetSwitch('NodeApiTest.AppSwitch'), true);
+
+  // Types from the application's main assembly are merged into the main namespaces.
+  const ClassObject = dotnet.Microsoft.JavaScript.NodeApi.TestCases.ClassObject;
+  const instance = new ClassObject();
+  instance.Value = 'test';
+  assert.strictEqual(instance.Value, 'test');
+} finally {
+  try {
+    fs.rmSync(appDir, { recursive: true, force: true });
+  } catch {
+    // The loaded assembly file may be locked on Windows.
+  }
+}
@@ -0,0 +1,30 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test loading an assembly from an in-memory buffer.
+
+const assert = require('assert');
+const fs = require('fs');
+
+const dotnet = require('../common').dotnet;
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+const pdbPath = assemblyPath.replace(/\.dll$/, '.pdb');
+
+const assemblyBytes = new Uint8Array(fs.readFileSync(assemblyPath));
+const pdbBytes = fs.existsSync(pdbPath) ? fs.readFileSync(pdbPath) : undefined;
+
+assert.throws(
+  () => dotnet.load(assemblyBytes, { collectible: true }),
+  /not supported when loading an assembly from a buffer/);
+
+dotnet.load(assemblyBytes, { pdb: pdbBytes });
+
+// Marshalling options cannot be changed after an assembly was loaded from a buffer.
+assert.throws(() => dotnet.configure({ int64: 'bigint' }), /cannot be changed/);
+
+// Types are exported the same as for an assembly loaded from a file.
+const ClassObject = dotnet.Microsoft.JavaScript.NodeApi.TestCases.ClassObject;
+const instance = new ClassObject();
+instance.Value = 'test';
+assert.strictEqual(instance.Value, 'test');
@@ -0,0 +1,22 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test loading a module assembly from an in-memory buffer. (An assembly can be loaded from a
+// buffer only once in a process, so this is separate from the dynamic_buffer test.)
+
+const assert = require('assert');
+const fs = require('fs');
+
+const dotnet = require('../common').dotnet;
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+const assemblyBytes = new Uint8Array(fs.readFileSync(assemblyPath));
+
+/** @type {import('./napi-dotnet')} */
+const binding = dotnet.require(assemblyBytes);
+
+// APIs exported by the module are available, the same as for a module loaded from a file.
+assert.strictEqual(binding.hello('world'), 'Hello world!');
+
+// Marshalling options cannot be changed after a module was loaded from a buffer.
+assert.throws(() => dotnet.configure({ int64: 'bigint' }), /cannot be changed/);
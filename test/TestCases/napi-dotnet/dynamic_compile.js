@@ -0,0 +1,52 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test compiling C# source code in memory and loading the compiled assembly.
+
+const assert = require('assert');
+
+const dotnet = require('../common').dotnet;
+
+// The C# compiler is loaded from the generator package, which is staged next to the main package
+// by `dotnet pack`. Compiling fails if the generator package was not staged.
+const failedResult = dotnet.compile(`
+  public static class CompileTestFailed
+  {
+      public static int Value => missing;
+  }
+`);
+assert.strictEqual(failedResult.success, false);
+assert.strictEqual(failedResult.assembly, undefined);
+const error = failedResult.diagnostics.find((d) => d.severity === 'error');
+assert(error);
+assert.strictEqual(error.id, 'CS0103');
+assert.strictEqual(error.line, 4);
+assert.strictEqual(typeof error.column, 'number');
+assert.strictEqual(dotnet.CompileTestFailed, undefined);
+
+const result = dotnet.compile(`
+  namespace CompileTest;
+
+  public static class Calculator
+  {
+      public static int Add(int a, int b) => a + b;
+  }
+`, { assemblyName: 'CompileTest' });
+assert.strictEqual(result.success, true);
+assert.strictEqual(result.isModule, false);
+assert.strictEqual(result.assemblyName, 'CompileTest');
+assert(result.assembly instanceof Uint8Array);
+assert.strictEqual(dotnet.CompileTest.Calculator.Add(1, 2), 3);
+
+const moduleResult = dotnet.compile(`
+  using Microsoft.JavaScript.NodeApi;
+
+  [JSExport]
+  public static class CompiledModule
+  {
+      public static string Hello(string name) => "Hello " + name;
+  }
+`);
+assert.strictEqual(moduleResult.success, true);
+assert.strictEqual(moduleResult.isModule, true);
+assert.strictEqual(moduleResult.exports.CompiledModule.hello('world'), 'Hello world');
@@ -0,0 +1,15 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test that marshalling options cannot be changed after system types were used, even though no
+// assemblies were loaded, because the marshalling code for those types is already cached.
+
+const assert = require('assert');
+
+const dotnet = require('../common').dotnet;
+
+assert.strictEqual(dotnet.System.Math.Max(1, 2), 2);
+
+assert.throws(() => dotnet.configure({ int64: 'bigint' }), /cannot be changed/);
+assert.throws(() => dotnet.configure({ decimal: 'number' }), /cannot be changed/);
+dotnet.configure({ int64: 'number' }); // Unchanged options are allowed.
@@ -0,0 +1,25 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test custom converters via dynamic invocation.
+
+const assert = require('assert');
+
+const dotnet = require('../common').dotnet;
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+dotnet.load(assemblyPath);
+const Converters = dotnet.Microsoft.JavaScript.NodeApi.TestCases.Converters;
+
+// The Money struct is marshalled as a string by a converter specified on the type.
+assert.strictEqual(Converters.Price, '1.5 USD');
+assert.strictEqual(Converters.Add('1.25 USD', '2.5 USD'), '3.75 USD');
+assert.throws(() => Converters.Add('1USD', '1 USD'), /Invalid money value: 1USD/);
+assert.strictEqual(Converters.Nullable(undefined), undefined);
+assert.deepStrictEqual(Converters.Split('3 USD', 2), ['1.5 USD', '1.5 USD']);
+
+// The system Uri class is marshalled as a string by a converter specified on the assembly.
+assert.strictEqual(
+  Converters.Resolve('https://example.com/a/', 'b'),
+  'https://example.com/a/b');
+assert.strictEqual(Converters.Resolve(undefined, 'b'), undefined);
@@ -0,0 +1,19 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test that an assembly-level converter cannot be registered after code using the converted type
+// was generated, even if no values of the type itself were marshalled.
+
+const assert = require('assert');
+
+const dotnet = require('../common').dotnet;
+
+// A static method of the system Uri type caches marshalling code for methods of the type.
+assert.strictEqual(
+  dotnet.System.Uri.IsWellFormedUriString('https://example.com/', dotnet.System.UriKind.Absolute),
+  true);
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+assert.throws(
+  () => dotnet.load(assemblyPath),
+  /cannot register converter .*UriConverter for type System\.Uri, because values of the type have already been marshalled/);
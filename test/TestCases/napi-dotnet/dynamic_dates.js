@@ -0,0 +1,60 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test the Temporal projection of .NET date and time values via dynamic invocation.
+
+const assert = require('assert');
+
+const dotnet = require('../common').dotnet;
+
+assert.throws(() => dotnet.configure({ dates: 'other' }), /Invalid dates marshalling option/);
+
+if (typeof Temporal === 'undefined') {
+  // The Temporal projection requires a JS runtime that supports Temporal, or a polyfill.
+  return;
+}
+
+dotnet.configure({ dates: 'temporal' });
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+dotnet.load(assemblyPath);
+const Dates = dotnet.Microsoft.JavaScript.NodeApi.TestCases.Dates;
+
+assert.throws(() => dotnet.configure({ dates: 'default' }), /cannot be changed/);
+
+// TimeSpan values are projected as Temporal.Duration objects, without loss of precision.
+assert(Dates.Duration instanceof Temporal.Duration);
+assert.strictEqual(Dates.Duration.toString(), 'PT26H3M4.0050067S');
+const sum = Dates.Add(Temporal.Duration.from({ minutes: 1, nanoseconds: 100 }), 500);
+assert.strictEqual(sum.toString(), 'PT1M0.5000001S');
+assert.strictEqual(Dates.Add(Temporal.Duration.from({ hours: -1 }), 0).toString(), '-PT1H');
+assert.throws(
+  () => Dates.Add(Temporal.Duration.from({ months: 1 }), 0), /years, months, or weeks/);
+
+// DateTimeOffset values are projected as Temporal.ZonedDateTime objects with an offset time zone.
+const instant = Temporal.Instant.fromEpochNanoseconds(1704164645123456700n);
+const zoned = Dates.ToOffset(instant, 330);
+assert(zoned instanceof Temporal.ZonedDateTime);
+assert.strictEqual(zoned.toString(), '2024-01-02T08:34:05.1234567+05:30[+05:30]');
+assert.strictEqual(Dates.Format(zoned), '2024-01-02T08:34:05.1234567+05:30');
+
+// Date objects are still accepted.
+assert.strictEqual(
+  Dates.Format(new Date(Date.UTC(2024, 0, 2, 3, 4, 5, 123))),
+  '2024-01-02T03:04:05.1230000+00:00');
+
+if ('AddDays' in Dates) {
+  // DateOnly and TimeOnly values are projected as Temporal.PlainDate and Temporal.PlainTime.
+  const date = Dates.AddDays(Temporal.PlainDate.from('2024-02-28'), 1);
+  assert(date instanceof Temporal.PlainDate);
+  assert.strictEqual(date.toString(), '2024-02-29');
+  assert.strictEqual(Dates.AddDays('2024-12-31', 1).toString(), '2025-01-01');
+  assert.strictEqual(Dates.NullableDate(undefined), undefined);
+
+  const time = Dates.AddMinutes(Temporal.PlainTime.from('23:30:00.123456789'), 45);
+  assert(time instanceof Temporal.PlainTime);
+  assert.strictEqual(time.toString(), '00:15:00.1234567');
+
+  const combined = Dates.Combine(date, time, Temporal.Duration.from({ hours: -8 }));
+  assert.strictEqual(combined.toString(), '2024-02-29T00:15:00.1234567-08:00[-08:00]');
+}
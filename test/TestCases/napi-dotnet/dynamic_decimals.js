@@ -0,0 +1,52 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test the Decimal class projection of .NET decimal values via dynamic invocation.
+
+const assert = require('assert');
+
+const dotnet = require('../common').dotnet;
+
+// Marshalling options must be configured before loading any assemblies.
+assert.throws(() => dotnet.configure({ decimal: 'other' }), /Invalid decimal marshalling option/);
+dotnet.configure({ decimal: 'decimal' });
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+dotnet.load(assemblyPath);
+const TestCases = dotnet.Microsoft.JavaScript.NodeApi.TestCases;
+const Decimal = dotnet.Decimal;
+
+assert.throws(() => dotnet.configure({ decimal: 'number' }), /cannot be changed/);
+dotnet.configure({ decimal: 'decimal' }); // Unchanged options are allowed.
+
+const sum = TestCases.Decimals.Add('0.1', '0.2');
+assert(sum instanceof Decimal);
+assert.strictEqual(sum.toString(), '0.3');
+assert.strictEqual(`${sum}`, '0.3');
+assert.strictEqual(JSON.stringify({ sum }), '{"sum":"0.3"}');
+assert.strictEqual(sum.toNumber(), 0.3);
+
+// Arithmetic is performed by .NET, with other values converted from any supported JS type.
+const ten = new Decimal('10');
+assert.strictEqual(ten.add(sum).toString(), '10.3');
+assert.strictEqual(ten.subtract('0.01').toString(), '9.99');
+assert.strictEqual(ten.multiply(sum).toString(), '3.0');
+assert.strictEqual(ten.divide(4).toString(), '2.5');
+assert.strictEqual(ten.remainder(3n).toString(), '1');
+assert.strictEqual(ten.negate().toString(), '-10');
+assert.strictEqual(new Decimal('2.345').round(2).toString(), '2.34');
+assert.strictEqual(new Decimal().toString(), '0');
+assert(sum.compareTo('0.25') > 0);
+assert(sum.equals('0.30'));
+assert.throws(() => ten.divide(0), /divide by zero/);
+assert.throws(() => new Decimal('abc'));
+
+// Decimal objects are accepted as parameters, and returned in collections and struct properties.
+assert.strictEqual(TestCases.Decimals.Add(ten, sum).toString(), '10.3');
+const products = TestCases.Decimals.Multiply([ten, '1.5'], new Decimal(2));
+assert.deepStrictEqual(products.map(String), ['20', '3.0']);
+const amount = TestCases.Decimals.CreateAmount('USD', new Decimal('19.99'));
+assert(amount.Amount instanceof Decimal);
+assert.strictEqual(amount.Amount.toString(), '19.99');
+TestCases.Decimals.Value = ten;
+assert(TestCases.Decimals.Value.equals(10));
@@ -0,0 +1,68 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test describing .NET types and namespaces via dynamic invocation.
+
+const assert = require('assert');
+
+const dotnet = require('../common').dotnet;
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+dotnet.load(assemblyPath);
+const TestCases = dotnet.Microsoft.JavaScript.NodeApi.TestCases;
+
+// Describe a class, by type object or by name.
+const overloads = dotnet.describe(TestCases.Overloads);
+assert.deepStrictEqual(
+  dotnet.describe('Microsoft.JavaScript.NodeApi.TestCases.Overloads'), overloads);
+assert.strictEqual(overloads.kind, 'class');
+assert.strictEqual(overloads.name, 'Microsoft.JavaScript.NodeApi.TestCases.Overloads');
+assert.strictEqual(overloads.namespace, 'Microsoft.JavaScript.NodeApi.TestCases');
+assert.strictEqual(overloads.genericArity, 0);
+assert.strictEqual(overloads.isStatic, false);
+assert.strictEqual(overloads.constructors.length, 5);
+assert.deepStrictEqual(
+  overloads.constructors.find((c) => c.parameters.length === 2).parameters
+    .map((p) => [p.name, p.type]),
+  [['intValue', 'System.Int32'], ['stringValue', 'System.String']]);
+
+const setValue = overloads.methods.find((m) => m.name === 'SetValue');
+assert.strictEqual(setValue.isStatic, false);
+assert(setValue.overloads.length >= 4);
+assert(setValue.overloads.every((o) => o.returnType === 'System.Void'));
+
+const intValue = overloads.properties.find((p) => p.name === 'IntValue');
+assert.strictEqual(intValue.type, 'System.Int32?');
+assert.strictEqual(intValue.canRead, true);
+assert.strictEqual(intValue.canWrite, false);
+
+// Describe a static class with an event.
+const consoleDescription = dotnet.describe(dotnet.System.Console);
+assert.strictEqual(consoleDescription.isStatic, true);
+assert.strictEqual(consoleDescription.constructors.length, 0);
+assert(consoleDescription.methods.some((m) => m.name === 'WriteLine' && m.isStatic));
+assert(consoleDescription.events.some((e) => e.name === 'CancelKeyPress' && e.isStatic));
+
+// Describe a generic type definition.
+const list = dotnet.describe(dotnet.System.Collections.Generic.List$);
+assert.strictEqual(list.name, 'System.Collections.Generic.List<T>');
+assert.strictEqual(list.jsName, 'List$');
+assert.strictEqual(list.genericArity, 1);
+assert.deepStrictEqual(list.genericParameters, ['T']);
+const add = list.methods.find((m) => m.name === 'Add');
+assert.deepStrictEqual(add.overloads[0].parameters.map((p) => p.type), ['T']);
+
+// Describe an enum.
+const dayOfWeek = dotnet.describe(dotnet.System.DayOfWeek);
+assert.strictEqual(dayOfWeek.kind, 'enum');
+assert.deepStrictEqual(dayOfWeek.values[1], { name: 'Monday', value: 1 });
+
+// Describe a namespace.
+const namespace = dotnet.describe(TestCases);
+assert.strictEqual(namespace.kind, 'namespace');
+assert.strictEqual(namespace.name, 'Microsoft.JavaScript.NodeApi.TestCases');
+assert(namespace.types.includes('Microsoft.JavaScript.NodeApi.TestCases.Overloads'));
+assert.deepStrictEqual(dotnet.describe('Microsoft.JavaScript.NodeApi.TestCases'), namespace);
+
+assert.throws(() => dotnet.describe({}), /does not represent a .NET type or namespace/);
+assert.throws(() => dotnet.describe('Missing.Type'), /not found/);
@@ -0,0 +1,36 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test mapping of .NET IDisposable and IAsyncDisposable via dynamic invocation.
+
+const assert = require('assert');
+const common = require('../common');
+
+const dotnet = common.dotnet;
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+dotnet.load(assemblyPath);
+const { Disposables, DisposableObject } = dotnet.Microsoft.JavaScript.NodeApi.TestCases;
+
+common.runTest(async () => {
+  const obj = new DisposableObject();
+  obj[Symbol.dispose]();
+  assert.strictEqual(obj.IsDisposed, true);
+
+  const obj2 = new DisposableObject();
+  await obj2[Symbol.asyncDispose]();
+  assert.strictEqual(obj2.IsAsyncDisposed, true);
+
+  let disposed = false;
+  Disposables.Dispose({ [Symbol.dispose]() { disposed = true; } });
+  assert.strictEqual(disposed, true);
+
+  let asyncDisposed = false;
+  await Disposables.DisposeAsync({ async [Symbol.asyncDispose]() { asyncDisposed = true; } });
+  assert.strictEqual(asyncDisposed, true);
+
+  disposed = false;
+  const resource = { Name: 'test', [Symbol.dispose]() { disposed = true; } };
+  assert.strictEqual(Disposables.UseResource(resource), 'test');
+  assert.strictEqual(disposed, true);
+});
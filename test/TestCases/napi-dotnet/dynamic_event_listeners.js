@@ -0,0 +1,31 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test listening to .NET events via dynamic invocation.
+
+const assert = require('assert');
+
+const dotnet = require('../common').dotnet;
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+dotnet.load(assemblyPath);
+const TestCases = dotnet.Microsoft.JavaScript.NodeApi.TestCases;
+
+const raiser = new TestCases.EventRaiser();
+const received = [];
+const onValueChanged = (value) => received.push(value);
+raiser.on('ValueChanged', onValueChanged).once('ValueChanged', onValueChanged);
+assert.strictEqual(raiser.ValueChangedHandlerCount, 2);
+raiser.RaiseValueChanged('a');
+assert.deepStrictEqual(received, ['a', 'a']);
+assert.strictEqual(raiser.ValueChangedHandlerCount, 1);
+
+raiser.off('ValueChanged', onValueChanged);
+raiser.RaiseValueChanged('b');
+assert.deepStrictEqual(received, ['a', 'a']);
+
+const counts = [];
+TestCases.EventRaiser.once('CountChanged', (count) => counts.push(count));
+TestCases.EventRaiser.RaiseCountChanged(1);
+TestCases.EventRaiser.RaiseCountChanged(2);
+assert.deepStrictEqual(counts, [1]);
@@ -0,0 +1,116 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test diagnostic events raised by the .NET runtime on the dotnet module.
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const path = require('path');
+
+const common = require('../common');
+const dotnet = common.dotnet;
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+
+// The test module assembly must not be loaded before the assemblyLoaded listener is added,
+// so this test does not use the common test runner (which loads the module).
+(async () => {
+  const loadedAssemblies = [];
+  const assemblyLoaded = new Promise((resolve) => {
+    dotnet.addListener('assemblyLoaded', (name, version, filePath) => {
+      loadedAssemblies.push({ name, version, filePath });
+      if (name === path.basename(assemblyPath, '.dll')) resolve();
+    });
+  });
+
+  dotnet.load(assemblyPath);
+  await assemblyLoaded;
+
+  const loadedAssembly = loadedAssemblies.find(
+    (a) => a.name === path.basename(assemblyPath, '.dll'));
+  assert.strictEqual(typeof loadedAssembly.version, 'string');
+  assert.strictEqual(path.resolve(loadedAssembly.filePath), path.resolve(assemblyPath));
+
+  const exceptions = [];
+  function onFirstChanceException(error) {
+    exceptions.push(error);
+  }
+  dotnet.addListener('firstChanceException', onFirstChanceException);
+
+  // The exception is caught in JS, but first-chance listeners are still notified.
+  assert.throws(() => dotnet.System.Int32.Parse('invalid'));
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert(exceptions.some((e) => e instanceof Error && /format/.test(e.message)));
+
+  dotnet.removeListener('firstChanceException', onFirstChanceException);
+  exceptions.length = 0;
+  assert.throws(() => dotnet.System.Int32.Parse('invalid'));
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.strictEqual(exceptions.length, 0);
+
+  const Errors = dotnet.Microsoft.JavaScript.NodeApi.TestCases.Errors;
+
+  // A faulted task that is never observed is reported when the task is collected.
+  const unobservedTaskError = new Promise((resolve) => {
+    dotnet.addListener('unhandledException', function onUnhandledException(error, isTerminating) {
+      dotnet.removeListener('unhandledException', onUnhandledException);
+      resolve({ error, isTerminating });
+    });
+  });
+  Errors.FaultUnobservedTask('unobserved');
+  let unhandledException = undefined;
+  for (let i = 0; i < 20 && !unhandledException; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    dotnet.System.GC.Collect();
+    dotnet.System.GC.WaitForPendingFinalizers();
+    unhandledException = await Promise.race([
+      unobservedTaskError,
+      new Promise((resolve) => setTimeout(resolve, 100)),
+    ]);
+  }
+  assert(unhandledException, 'The unobserved task exception was not reported.');
+  assert(unhandledException.error instanceof Error);
+  assert.strictEqual(unhandledException.error.message, 'unobserved');
+  assert.strictEqual(unhandledException.isTerminating, false);
+
+  // The process keeps running after the unobserved task exception.
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.strictEqual(dotnet.System.Int32.Parse('1'), 1);
+
+  // An exception on a background thread terminates the process before .NET 10, after the
+  // listeners are invoked, so that case runs in a separate node process.
+  const result = childProcess.spawnSync(
+    process.execPath,
+    [
+      '-e',
+      `const dotnet = require(${JSON.stringify(require.resolve('../common'))}).dotnet;
+      dotnet.load(process.env.NODE_API_TEST_MODULE_PATH);
+      dotnet.addListener('unhandledException', (error, isTerminating) => {
+        console.log(JSON.stringify({
+          isError: error instanceof Error,
+          message: error.message,
+          isTerminating,
+        }));
+      });
+      dotnet.Microsoft.JavaScript.NodeApi.TestCases.Errors.ThrowOnBackgroundThread('background');
+      setTimeout(() => console.log(JSON.stringify('running')), 1000);`,
+    ],
+    { encoding: 'utf8' });
+  const output = result.stdout.trim().split('\n').map((line) => JSON.parse(line));
+  // Only .NET 10 or later (not .NET Framework) allows the process to survive.
+  if (/^net\d{2,}\./.test(common.targetFramework)) {
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(output, [
+      { isError: true, message: 'background', isTerminating: false },
+      'running',
+    ]);
+  } else {
+    assert.notStrictEqual(result.status, 0);
+    assert.deepStrictEqual(output, [
+      { isError: true, message: 'background', isTerminating: true },
+    ]);
+  }
+})().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});
@@ -79,6 +79,24 @@ const GenericStructOfInterface = GenericStruct$(TestCases.ITestInterface);
 assert.strictEqual(
   GenericStructOfInterface.toString(), `${ns}.GenericStruct<${ns}.ITestInterface>`);
 
+// Generic types with the same name are made by one function, according to the type arg count.
+const GenericTuple$ = TestCases.GenericTuple$;
+assert.strictEqual(
+  GenericTuple$.toString(), `${ns}.GenericTuple<T1> | ${ns}.GenericTuple<T1,T2>`);
+const GenericTupleOfInt = GenericTuple$(System.Int32);
+assert.strictEqual(GenericTupleOfInt.toString(), `${ns}.GenericTuple<System.Int32>`);
+assert.strictEqual(new GenericTupleOfInt(1).Item1, 1);
+const GenericTupleOfIntString = GenericTuple$(System.Int32, System.String);
+assert.strictEqual(
+  GenericTupleOfIntString.toString(), `${ns}.GenericTuple<System.Int32,System.String>`);
+const genericTuple = new GenericTupleOfIntString(2, 'two');
+assert.strictEqual(genericTuple.Item1, 2);
+assert.strictEqual(genericTuple.Item2, 'two');
+assert.throws(() => GenericTuple$(), {
+  message: `Failed to make generic type ${ns}.GenericTuple<T1> | ${ns}.GenericTuple<T1,T2> ` +
+    'with supplied type arguments: []. Expected 1 or 2 type arguments.',
+});
+
 assert.strictEqual(
   typeof TestCases.StaticClassWithGenericMethods.GetValue$(System.Int32), 'function');
 assert.strictEqual(TestCases.StaticClassWithGenericMethods.GetValue$(System.Int32)(11), 11);
@@ -0,0 +1,60 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test requesting a different .NET target framework after .NET is already loaded. This runs in a
+// separate node process, because the conflict warnings are written to stderr.
+
+const assert = require('assert');
+const childProcess = require('child_process');
+
+const targetFramework = require('../common').targetFramework;
+const initPath = require.resolve('../../../out/pkg/node-api-dotnet/init');
+const conflictingTargetFrameworks =
+  ['net8.0', 'net9.0', 'net10.0'].filter((tfm) => tfm !== targetFramework).slice(0, 2);
+const warningCode = 'NODE_API_DOTNET_TFM_CONFLICT';
+
+const result = childProcess.spawnSync(
+  process.execPath,
+  [
+    '-e',
+    `const initialize = require(${JSON.stringify(initPath)});
+    const warnings = [];
+    process.on('warning', (w) => warnings.push({ name: w.name, code: w.code }));
+
+    const dotnet = initialize(${JSON.stringify(targetFramework)});
+    const conflicting = ${JSON.stringify(conflictingTargetFrameworks)};
+    const sameHost = [
+      initialize(conflicting[0]),
+      initialize(conflicting[0]),
+      initialize({ targetFramework: conflicting[1] }),
+      initialize(conflicting[1]),
+      initialize(conflicting[0]),
+      initialize(${JSON.stringify(targetFramework)}),
+      initialize(),
+    ].every((d) => d === dotnet);
+
+    // Warnings are emitted asynchronously.
+    setImmediate(() => console.log(JSON.stringify({
+      sameHost,
+      loadedTargetFramework: dotnet.loadedTargetFramework,
+      warnings,
+    })));`,
+  ],
+  { encoding: 'utf8' });
+assert.strictEqual(result.status, 0, result.stderr);
+
+const { sameHost, loadedTargetFramework, warnings } = JSON.parse(result.stdout);
+assert.strictEqual(sameHost, true);
+assert.strictEqual(loadedTargetFramework, targetFramework);
+
+// Exactly one warning is emitted for each conflicting target framework.
+assert.deepStrictEqual(warnings, [
+  { name: 'TargetFrameworkConflictWarning', code: warningCode },
+  { name: 'TargetFrameworkConflictWarning', code: warningCode },
+]);
+const printedWarnings = result.stderr.split('\n').filter((line) => line.includes(warningCode));
+assert.strictEqual(printedWarnings.length, 2);
+for (let i = 0; i < conflictingTargetFrameworks.length; i++) {
+  assert(printedWarnings[i].includes(
+    `'${conflictingTargetFrameworks[i]}' was requested, but '${targetFramework}' is already loaded`));
+}
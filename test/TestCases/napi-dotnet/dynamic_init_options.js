@@ -0,0 +1,72 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test .NET runtime options passed to initialize(). Runtime options apply only when .NET is first
+// loaded in the process, so each case runs in a separate node process.
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const targetFramework = require('../common').targetFramework;
+const initPath = require.resolve('../../../out/pkg/node-api-dotnet/init');
+
+function runInitScript(script) {
+  const result = childProcess.spawnSync(
+    process.execPath,
+    [
+      '-e',
+      `const initialize = require(${JSON.stringify(initPath)});\n` +
+      `const targetFramework = ${JSON.stringify(targetFramework)};\n` +
+      script,
+    ],
+    { encoding: 'utf8' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.strictEqual(result.stderr, '');
+  return JSON.parse(result.stdout);
+}
+
+// Runtime property values are converted to strings, and are readable via AppContext.
+assert.deepStrictEqual(
+  runInitScript(`
+    const dotnet = initialize({
+      targetFramework,
+      rollForward: 'latestPatch',
+      runtimeProperties: { 'NodeApiTest.Switch': true },
+    });
+    console.log(JSON.stringify(dotnet.System.AppContext.TryGetSwitch('NodeApiTest.Switch')));
+  `),
+  true);
+
+// The runtime config copy with the roll-forward policy is written next to the packaged config,
+// and removed after the runtime is initialized.
+assert.deepStrictEqual(
+  fs.readdirSync(path.dirname(initPath), { recursive: true })
+    .filter((f) => /\.\d+\.runtimeconfig(\.dev)?\.json$/.test(f)),
+  []);
+
+// An invalid roll-forward policy is rejected before .NET is loaded.
+assert.match(
+  runInitScript(`
+    try {
+      initialize({ targetFramework, rollForward: 'Invalid' });
+      console.log(JSON.stringify(null));
+    } catch (e) {
+      console.log(JSON.stringify(e.message));
+    }
+  `),
+  /^Invalid roll-forward policy: 'Invalid'\. Valid values are: /);
+
+// An explicit .NET root overrides all other locations.
+const { dotnetRoot, report } = runInitScript(`
+  const dotnetRoot = initialize.probe(targetFramework).candidates.find(
+    (c) => c.exists && !c.rejectedReason).path;
+  const dotnet = initialize({ targetFramework, dotnetRoot });
+  console.log(JSON.stringify({ dotnetRoot, report: dotnet.probe() }));
+`);
+assert.strictEqual(report.candidates.length, 1);
+assert.strictEqual(report.candidates[0].path, dotnetRoot);
+assert.strictEqual(report.candidates[0].source, 'dotnetRoot option');
+assert(!report.candidates[0].rejectedReason);
+assert(report.selectedPath.startsWith(dotnetRoot));
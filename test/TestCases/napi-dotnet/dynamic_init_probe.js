@@ -0,0 +1,86 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test reporting the search for a .NET installation, when initialization fails and via the
+// `doctor` command. Each case runs in a separate node process, because .NET can be initialized
+// only once in a process.
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const path = require('path');
+
+const targetFramework = require('../common').targetFramework;
+const packageDir = path.join(__dirname, '../../../out/pkg/node-api-dotnet');
+const missingDotnetRoot = path.join(__dirname, 'missing-dotnet-root');
+
+function runNode(args) {
+  const result = childProcess.spawnSync(process.execPath, args, { encoding: 'utf8' });
+  assert.strictEqual(result.stderr, '');
+  return { status: result.status, output: JSON.parse(result.stdout) };
+}
+
+function assertMissingDotnetRoot(report) {
+  assert.strictEqual(report.targetFramework, targetFramework);
+  assert(!report.selectedPath);
+  assert.strictEqual(report.candidates.length, 1);
+  assert.strictEqual(report.candidates[0].path, missingDotnetRoot);
+  assert.strictEqual(report.candidates[0].source, 'dotnetRoot option');
+  assert.strictEqual(report.candidates[0].exists, false);
+  assert.strictEqual(report.candidates[0].rejectedReason, 'Directory not found.');
+  assert.deepStrictEqual(report.candidates[0].versions, []);
+}
+
+// The probe report is attached to the error when initialization fails.
+const initResult = runNode([
+  '-e',
+  `const initialize = require(${JSON.stringify(path.join(packageDir, 'init'))});
+  try {
+    initialize({
+      targetFramework: ${JSON.stringify(targetFramework)},
+      dotnetRoot: ${JSON.stringify(missingDotnetRoot)},
+    });
+    console.log(JSON.stringify(null));
+  } catch (e) {
+    console.log(JSON.stringify({ message: e.message, probeReport: e.probeReport }));
+  }`,
+]);
+assert.strictEqual(initResult.status, 0);
+assert.strictEqual(typeof initResult.output.message, 'string');
+assertMissingDotnetRoot(initResult.output.probeReport);
+
+// The doctor command prints the same report as JSON, and succeeds if a .NET host was found.
+const doctorResult = runNode([
+  path.join(packageDir, 'cli.js'), 'doctor', '--framework', targetFramework, '--json',
+]);
+assert.strictEqual(doctorResult.status, 0);
+const report = doctorResult.output;
+assert.strictEqual(report.targetFramework, targetFramework);
+assert.strictEqual(typeof report.targetVersion, 'string');
+assert.strictEqual(typeof report.platform, 'string');
+assert.strictEqual(typeof report.architecture, 'string');
+assert.strictEqual(typeof report.selectedPath, 'string');
+assert(report.candidates.length > 0);
+for (const candidate of report.candidates) {
+  assert.strictEqual(typeof candidate.path, 'string');
+  assert.strictEqual(typeof candidate.source, 'string');
+  assert.strictEqual(typeof candidate.exists, 'boolean');
+  for (const version of candidate.versions) {
+    assert.strictEqual(typeof version.version, 'string');
+    assert.strictEqual(typeof version.path, 'string');
+  }
+}
+assert(report.candidates.some(
+  (c) => c.versions.some((v) => v.path === report.selectedPath && !v.rejectedReason)));
+
+// The doctor command fails if no .NET host was found.
+const missingResult = runNode([
+  path.join(packageDir, 'cli.js'),
+  'doctor',
+  '--framework',
+  targetFramework,
+  '--dotnet-root',
+  missingDotnetRoot,
+  '--json',
+]);
+assert.strictEqual(missingResult.status, 1);
+assertMissingDotnetRoot(missingResult.output);
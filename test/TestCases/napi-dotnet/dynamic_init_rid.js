@@ -0,0 +1,58 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test selecting the native host binary for the current platform, architecture, and C library.
+// The platform is simulated, and native host loading is intercepted, so .NET is not loaded.
+
+const assert = require('assert');
+const Module = require('module');
+
+const initPath = require.resolve('../../../out/pkg/node-api-dotnet/init');
+const nativeHostFileName = 'Microsoft.JavaScript.NodeApi.node';
+
+function getNativeHostRid(platform, arch, glibcVersionRuntime) {
+  const originalPlatform = Object.getOwnPropertyDescriptor(process, 'platform');
+  const originalArch = Object.getOwnPropertyDescriptor(process, 'arch');
+  const originalGetReport = process.report.getReport;
+  const originalLoad = Module._load;
+
+  let requestedPath = undefined;
+  try {
+    Object.defineProperty(process, 'platform', { value: platform });
+    Object.defineProperty(process, 'arch', { value: arch });
+
+    // The diagnostic report header includes the glibc version only when running on glibc.
+    process.report.getReport = () => ({ header: { glibcVersionRuntime } });
+
+    Module._load = function (request, ...args) {
+      if (request.endsWith(nativeHostFileName)) {
+        requestedPath = request;
+        throw new Error('Native host loading is intercepted.');
+      }
+      return originalLoad.call(this, request, ...args);
+    };
+
+    delete require.cache[initPath];
+    assert.throws(() => require(initPath).probe(), /Native host loading is intercepted/);
+  } finally {
+    Object.defineProperty(process, 'platform', originalPlatform);
+    Object.defineProperty(process, 'arch', originalArch);
+    process.report.getReport = originalGetReport;
+    Module._load = originalLoad;
+    delete require.cache[initPath];
+  }
+
+  // Explicit `./rid/` paths are used for known RIDs, so bundlers can follow them.
+  const match = /^\.\/([^/]+)\//.exec(requestedPath);
+  assert(match, `Unexpected native host path: ${requestedPath}`);
+  return match[1];
+}
+
+assert.strictEqual(getNativeHostRid('linux', 'x64', '2.31'), 'linux-x64');
+assert.strictEqual(getNativeHostRid('linux', 'arm64', '2.31'), 'linux-arm64');
+assert.strictEqual(getNativeHostRid('linux', 'x64', undefined), 'linux-musl-x64');
+assert.strictEqual(getNativeHostRid('linux', 'arm64', undefined), 'linux-musl-arm64');
+
+// The C library is not checked on other platforms.
+assert.strictEqual(getNativeHostRid('win32', 'arm64', undefined), 'win-arm64');
+assert.strictEqual(getNativeHostRid('darwin', 'arm64', undefined), 'osx-arm64');
@@ -0,0 +1,41 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test the bigint projection of .NET 64-bit integer values via dynamic invocation.
+
+const assert = require('assert');
+
+const dotnet = require('../common').dotnet;
+
+assert.throws(() => dotnet.configure({ int64: 'other' }), /Invalid int64 marshalling option/);
+dotnet.configure({ int64: 'bigint' });
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+dotnet.load(assemblyPath);
+const Int64s = dotnet.Microsoft.JavaScript.NodeApi.TestCases.Int64s;
+
+assert.throws(() => dotnet.configure({ int64: 'number' }), /cannot be changed/);
+
+// 64-bit integers are projected as bigints, without loss of precision.
+assert.strictEqual(Int64s.MaxLong, 2n ** 63n - 1n);
+assert.strictEqual(Int64s.MaxULong, 2n ** 64n - 1n);
+assert.strictEqual(Int64s.AddLong(2n ** 62n, 2n ** 62n - 1n), 2n ** 63n - 1n);
+assert.strictEqual(Int64s.AddULong(2n ** 63n, 1n), 2n ** 63n + 1n);
+assert.strictEqual(Int64s.AddIntPtr(-1n, 2n), 1n);
+assert.strictEqual(Int64s.Nullable(undefined), undefined);
+assert.strictEqual(Int64s.Nullable(-5n), -5n);
+assert.deepStrictEqual(Int64s.Negate([1n, -(2n ** 60n)]), [-1n, 2n ** 60n]);
+
+Int64s.Value = 2n ** 60n + 1n;
+assert.strictEqual(Int64s.Value, 2n ** 60n + 1n);
+
+// Safe integer numbers are also accepted.
+assert.strictEqual(Int64s.AddLong(1, 2), 3n);
+assert.throws(() => Int64s.AddLong(2 ** 60, 0), /outside the range of safe integers/);
+assert.throws(() => Int64s.AddLong(2n ** 63n, 0n), /outside the range of Int64/);
+
+if ('MaxInt128' in Int64s) {
+  assert.strictEqual(Int64s.MaxInt128, 2n ** 127n - 1n);
+  assert.strictEqual(Int64s.AddUInt128(2n ** 127n, 2n ** 100n), 2n ** 127n + 2n ** 100n);
+  assert.throws(() => Int64s.AddUInt128(-1n, 0n), /outside the range of UInt128/);
+}
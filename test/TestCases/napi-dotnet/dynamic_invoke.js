@@ -2,6 +2,7 @@
 // Licensed under the MIT License.
 
 const assert = require('assert');
+const util = require('util');
 
 const dotnet = require('../common').dotnet;
 
@@ -19,6 +20,11 @@ const parsedVersion = Version.TryParse('1.2.3'); // Try* pattern returns result
 assert.deepStrictEqual(version, parsedVersion);
 assert.strictEqual(undefined, Version.TryParse('invalid'));
 
+// Inspecting an instance shows the .NET type name, overridden ToString() and property values.
+assert.match(
+  util.inspect(version), /^System\.Version \(1\.2\.3\) \{.*Major: 1, Minor: 2, Build: 3,/s);
+assert.strictEqual(util.inspect({ version }, { depth: 0 }), '{ version: [System.Version] }');
+
 // Load the test module using dynamic binding `load()` instead of static binding `require()`.
 const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
 dotnet.load(assemblyPath);
@@ -38,6 +44,8 @@ const instance = new ClassObject(); // Construct an instance of a class
 assert.strictEqual(instance.Value, undefined);
 instance.Value = 'test';
 assert.strictEqual(instance.Value, 'test');
+assert.strictEqual(
+  util.inspect(instance), "Microsoft.JavaScript.NodeApi.TestCases.ClassObject { Value: 'test' }");
 
 const results = instance.AppendAndGetPreviousValue('2');
 console.dir(Object.getOwnPropertyNames(results));
@@ -73,6 +81,33 @@ assert.equal(TestCases.ClassObject.NestedClass.toString(),
 const nestedInstance = new TestCases.ClassObject.NestedClass('nested');
 assert.strictEqual(nestedInstance.Value, 'nested');
 
+// Public fields are projected as properties.
+const vector = new dotnet.System.Numerics.Vector3(1, 2, 3);
+assert.strictEqual(vector.X, 1);
+assert.strictEqual(vector.Z, 3);
+assert.strictEqual(TestCases.FieldsObject.ConstValue, 'const');
+const fieldsObject = new TestCases.FieldsObject();
+assert.strictEqual(fieldsObject.ReadonlyValue, 1);
+fieldsObject.Value = 'changed';
+assert.strictEqual(fieldsObject.Value, 'changed');
+const incremented = TestCases.FieldsObject.Increment({ Id: 1, Method: 'method' });
+assert.strictEqual(incremented.Id, 2);
+assert.strictEqual(incremented.Method, undefined);
+assert.strictEqual(incremented.Excluded, undefined);
+
+const Spans = TestCases.Collections.Spans;
+assert.strictEqual(Spans.Sum(new Int32Array([1, 2, 3])), 6);
+const filledBytes = Buffer.alloc(2);
+Spans.Fill(filledBytes, 3);
+assert.deepStrictEqual([...filledBytes], [3, 3]);
+assert.strictEqual(Spans.CountOccurrences('banana', 'a'), 3);
+
+const refReturns = new TestCases.RefReturns();
+refReturns.First = 10;
+assert.strictEqual(refReturns.First, 10);
+assert.strictEqual(refReturns.ItemAt(2), 3);
+assert.strictEqual(refReturns.ReadOnlyItemAt(2), 3);
+
 async function test() {
   const interfaceObj = TestCases.AsyncMethods.InterfaceTest;
   assert.strictEqual(typeof interfaceObj, 'object');
@@ -0,0 +1,40 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test loading the same assembly into separate isolated load contexts.
+
+const assert = require('assert');
+
+const dotnet = require('../common').dotnet;
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+const context1 = dotnet.load(assemblyPath, { isolated: true });
+const context2 = dotnet.createLoadContext('test2');
+assert.strictEqual(context2.name, 'test2');
+context2.load(assemblyPath);
+
+// Types from isolated contexts are not merged into the main namespaces.
+assert.strictEqual(dotnet.Microsoft, undefined);
+
+const TestCases1 = context1.Microsoft.JavaScript.NodeApi.TestCases;
+const TestCases2 = context2.Microsoft.JavaScript.NodeApi.TestCases;
+assert.notStrictEqual(TestCases1.ClassObject, TestCases2.ClassObject);
+
+const instance1 = new TestCases1.ClassObject();
+const instance2 = new TestCases2.ClassObject();
+instance1.Value = 'test1';
+instance2.Value = 'test2';
+assert.strictEqual(instance1.Value, 'test1');
+assert.strictEqual(instance2.Value, 'test2');
+assert(instance1 instanceof TestCases1.ClassObject);
+assert(!(instance1 instanceof TestCases2.ClassObject));
+
+// Static classes with the same name can be exported from both contexts.
+assert.notStrictEqual(TestCases1.Delegates, TestCases2.Delegates);
+assert.strictEqual(
+  TestCases1.Delegates.CallDotnetDelegate((dotnetAction) => dotnetAction('test1')), '#test1');
+assert.strictEqual(
+  TestCases2.Delegates.CallDotnetDelegate((dotnetAction) => dotnetAction('test2')), '#test2');
+
+// System types are shared by all contexts.
+assert.strictEqual(context1.System.Version, dotnet.System.Version);
@@ -0,0 +1,158 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test loading a nuget package and its dependencies from a local package source folder.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dotnet = require('../common').dotnet;
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+const sourceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-api-dotnet-packages-'));
+
+function writePackage(packageDir, id, version, dependencyGroups, libFramework) {
+  const groups = Object.entries(dependencyGroups).map(([framework, dependencies]) =>
+    `<group targetFramework="${framework}">` +
+    dependencies.map(([depId, depVersion]) =>
+      `<dependency id="${depId}" version="${depVersion}" />`).join('') +
+    '</group>');
+  fs.mkdirSync(packageDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(packageDir, id.toLowerCase() + '.nuspec'),
+    '<?xml version="1.0" encoding="utf-8"?>' +
+    '<package xmlns="http://schemas.microsoft.com/packaging/2013/05/nuspec.xsd"><metadata>' +
+    `<id>${id}</id><version>${version}</version>` +
+    `<dependencies>${groups.join('')}</dependencies>` +
+    '</metadata></package>');
+  if (libFramework) {
+    const libDir = path.join(packageDir, 'lib', libFramework);
+    fs.mkdirSync(libDir, { recursive: true });
+    fs.copyFileSync(assemblyPath, path.join(libDir, path.basename(assemblyPath)));
+  }
+}
+
+(async () => {
+  // Global packages folder layout. Only the dependency group for the current framework applies.
+  writePackage(
+    path.join(sourceDir, 'test.package', '1.0.0'),
+    'Test.Package',
+    '1.0.0',
+    {
+      [dotnet.frameworkMoniker]: [['Test.Dependency', '[1.0.0, )']],
+      'netstandard1.0': [['Missing.Package', '1.0.0']],
+    });
+
+  // A package that requires a newer version of the same dependency.
+  writePackage(
+    path.join(sourceDir, 'test.newer', '1.0.0'),
+    'Test.Newer',
+    '1.0.0',
+    { [dotnet.frameworkMoniker]: [['Test.Dependency', '[1.5.0, )']] });
+
+  // `nuget install` layout. Only version 1.0.0 of the dependency has an assembly, because
+  // the test assembly can be loaded only once.
+  const dependencyLibDir = path.join(
+    sourceDir, 'Test.Dependency.1.0.0', 'lib', dotnet.frameworkMoniker);
+  writePackage(
+    path.join(sourceDir, 'Test.Dependency.1.0.0'),
+    'Test.Dependency',
+    '1.0.0',
+    {},
+    dotnet.frameworkMoniker);
+  writePackage(
+    path.join(sourceDir, 'Test.Dependency.2.0.0'), 'Test.Dependency', '2.0.0', {});
+
+  assert.throws(
+    () => dotnet.loadPackage('Test.Package', '2.0.0', { source: sourceDir }),
+    /Test.Package 2.0.0 was not found/);
+
+  // The lowest version allowed by the dependency range is selected, which excludes 1.0.0 here.
+  assert.deepStrictEqual(
+    dotnet.loadPackage('Test.Newer', '1.0.0', { source: sourceDir }),
+    [
+      { id: 'Test.Dependency', version: '2.0.0' },
+      { id: 'Test.Newer', version: '1.0.0' },
+    ]);
+  assert.strictEqual(dotnet.Microsoft, undefined);
+
+  // When packages require different minimum versions of a dependency, the highest one wins.
+  writePackage(
+    path.join(sourceDir, 'test.both', '1.0.0'),
+    'Test.Both',
+    '1.0.0',
+    {
+      [dotnet.frameworkMoniker]: [
+        ['Test.Package', '[1.0.0]'],
+        ['Test.Newer', '[1.0.0]'],
+      ],
+    });
+  assert.deepStrictEqual(
+    dotnet.loadPackage('Test.Both', '1.0.0', { source: sourceDir }),
+    [
+      { id: 'Test.Dependency', version: '2.0.0' },
+      { id: 'Test.Package', version: '1.0.0' },
+      { id: 'Test.Newer', version: '1.0.0' },
+      { id: 'Test.Both', version: '1.0.0' },
+    ]);
+
+  // No version of the dependency satisfies both version ranges.
+  writePackage(
+    path.join(sourceDir, 'test.capped', '1.0.0'),
+    'Test.Capped',
+    '1.0.0',
+    {
+      [dotnet.frameworkMoniker]: [
+        ['Test.Dependency', '[1.0.0, 2.0.0)'],
+        ['Test.Newer', '[1.0.0]'],
+      ],
+    });
+  assert.throws(
+    () => dotnet.loadPackage('Test.Capped', '1.0.0', { source: sourceDir }),
+    /Package Test.Dependency \[1.0.0, 2.0.0\) \(required by Test.Capped 1.0.0\) conflicts with Test.Dependency \[1.5.0, \) \(required by Test.Newer 1.0.0\)/);
+
+  // Numeric pre-release identifiers are compared as numbers.
+  writePackage(
+    path.join(sourceDir, 'Test.Prerelease.1.0.0-beta.2'), 'Test.Prerelease', '1.0.0-beta.2', {});
+  writePackage(
+    path.join(sourceDir, 'Test.Prerelease.1.0.0-beta.10'), 'Test.Prerelease', '1.0.0-beta.10', {});
+  assert.deepStrictEqual(
+    dotnet.loadPackage('Test.Prerelease', undefined, { source: sourceDir }),
+    [{ id: 'Test.Prerelease', version: '1.0.0-beta.10' }]);
+
+  const assemblyLoaded = new Promise((resolve) => {
+    dotnet.addListener('assemblyLoaded', (name, version, filePath) => {
+      if (name === path.basename(assemblyPath, '.dll')) resolve(filePath);
+    });
+  });
+
+  assert.deepStrictEqual(
+    dotnet.loadPackage('Test.Package', '1.0.0', { source: sourceDir }),
+    [
+      { id: 'Test.Dependency', version: '1.0.0' },
+      { id: 'Test.Package', version: '1.0.0' },
+    ]);
+
+  // The transitive dependency assembly was loaded from the resolved package, not by probing.
+  const loadedFilePath = await assemblyLoaded;
+  assert.strictEqual(
+    path.resolve(loadedFilePath),
+    path.resolve(dependencyLibDir, path.basename(assemblyPath)));
+
+  // Types from the package assembly are merged into the main namespaces.
+  const ClassObject = dotnet.Microsoft.JavaScript.NodeApi.TestCases.ClassObject;
+  const instance = new ClassObject();
+  instance.Value = 'test';
+  assert.strictEqual(instance.Value, 'test');
+})().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+}).finally(() => {
+  try {
+    fs.rmSync(sourceDir, { recursive: true, force: true });
+  } catch {
+    // The loaded assembly file may be locked on Windows.
+  }
+});
@@ -0,0 +1,27 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test loading assemblies by paths relative to the calling module, and by file URLs.
+
+const assert = require('assert');
+const path = require('path');
+const url = require('url');
+
+const dotnet = require('../common').dotnet;
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+
+// Relative paths are resolved against this module's directory, not the current directory.
+const relativePath = path.relative(__dirname, assemblyPath);
+process.chdir(path.parse(__dirname).root);
+dotnet.load(relativePath.startsWith('.') ? relativePath : './' + relativePath);
+
+const ClassObject = dotnet.Microsoft.JavaScript.NodeApi.TestCases.ClassObject;
+const instance = new ClassObject();
+instance.Value = 'test';
+assert.strictEqual(instance.Value, 'test');
+
+// Loading the same assembly by file URL (string or URL object) does not load it again.
+dotnet.load(url.pathToFileURL(assemblyPath).href);
+dotnet.load(url.pathToFileURL(assemblyPath));
+assert.strictEqual(dotnet.Microsoft.JavaScript.NodeApi.TestCases.ClassObject, ClassObject);
@@ -0,0 +1,27 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test requiring a module assembly by a path relative to the calling module, and by a file URL
+// resolved against the calling module.
+
+const assert = require('assert');
+const path = require('path');
+const url = require('url');
+
+const dotnet = require('../common').dotnet;
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+
+// Relative paths are resolved against this module's directory, not the current directory.
+let relativePath = path.relative(__dirname, assemblyPath);
+if (!relativePath.startsWith('.')) {
+  relativePath = './' + relativePath;
+}
+process.chdir(path.parse(__dirname).root);
+const binding = dotnet.require(relativePath);
+assert.strictEqual(binding.hello('world'), 'Hello world!');
+
+// A file URL resolved against this module's URL refers to the same (already loaded) module.
+const moduleUrl = new URL(relativePath.replaceAll(path.sep, '/'), url.pathToFileURL(__filename));
+assert.strictEqual(dotnet.require(moduleUrl), binding);
+assert.strictEqual(dotnet.require(moduleUrl.href), binding);
@@ -0,0 +1,55 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test the REPL completer and inspection of .NET namespaces and types.
+
+const assert = require('assert');
+const { PassThrough } = require('stream');
+const util = require('util');
+
+const common = require('../common');
+const dotnet = common.dotnet;
+const { start } = require('../../../out/pkg/node-api-dotnet/repl');
+
+const input = new PassThrough();
+const output = new PassThrough();
+const server = start({
+  targetFramework: common.targetFramework,
+  input,
+  output,
+  terminal: false,
+});
+
+try {
+  assert.strictEqual(server.context.dotnet, dotnet);
+
+  function complete(line) {
+    let result;
+    server.completer(line, (error, completions) => {
+      assert.ifError(error);
+      result = completions;
+    });
+    return result;
+  }
+
+  // Child namespaces and types are completed without exporting the types.
+  const [namespaceCompletions, namespaceSubstring] = complete('x = dotnet.System.Collections.Gen');
+  assert.strictEqual(namespaceSubstring, 'dotnet.System.Collections.Gen');
+  assert.deepStrictEqual(namespaceCompletions, ['dotnet.System.Collections.Generic']);
+
+  const [typeCompletions] = complete('dotnet.System.Collections.Generic.Lis');
+  assert(typeCompletions.includes('dotnet.System.Collections.Generic.List$'));
+
+  // Static members of a type are completed.
+  const [memberCompletions] = complete('dotnet.System.Console.WriteL');
+  assert(memberCompletions.includes('dotnet.System.Console.WriteLine'));
+
+  // Namespaces and types have a custom inspect summary.
+  assert.match(util.inspect(dotnet.System.IO), /^\[Namespace System\.IO\] \{ .*\bFile\b/);
+  assert.strictEqual(util.inspect(dotnet.System.Version), '[class System.Version]');
+  assert.strictEqual(
+    util.inspect(dotnet.System.Collections.Generic.List$),
+    '[class System.Collections.Generic.List<T>]');
+} finally {
+  server.close();
+}
@@ -0,0 +1,39 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test loading an assembly with the `collectible` option, then unloading and re-loading it.
+
+const assert = require('assert');
+
+const dotnet = require('../common').dotnet;
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+dotnet.load(assemblyPath, { collectible: true });
+
+let ClassObject = dotnet.Microsoft.JavaScript.NodeApi.TestCases.ClassObject;
+assert.strictEqual(typeof ClassObject, 'function');
+let instance = new ClassObject();
+instance.Value = 'test';
+assert.strictEqual(instance.Value, 'test');
+
+// Unloading should fail while JS holds a wrapper for an object from the assembly.
+assert.throws(() => dotnet.unload(assemblyPath), /still referenced by JS/);
+assert.strictEqual(dotnet.Microsoft.JavaScript.NodeApi.TestCases.ClassObject, ClassObject);
+
+// Force the JS wrapper object to be collected, then unload should succeed.
+instance = undefined;
+global.gc();
+dotnet.unload(assemblyPath);
+
+// The namespaces that only contained types from the unloaded assembly should be removed.
+assert.strictEqual(dotnet.Microsoft, undefined);
+assert(dotnet.System.Console);
+
+assert.throws(() => dotnet.unload(assemblyPath), /not loaded with the `collectible` option/);
+
+// The same assembly can be loaded again after it was unloaded.
+dotnet.load(assemblyPath, { collectible: true });
+ClassObject = dotnet.Microsoft.JavaScript.NodeApi.TestCases.ClassObject;
+instance = new ClassObject();
+instance.Value = 'test2';
+assert.strictEqual(instance.Value, 'test2');
@@ -0,0 +1,35 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test unloading and re-loading an assembly that registers an assembly-level converter
+// for a type defined in another (system) assembly.
+
+const assert = require('assert');
+
+const dotnet = require('../common').dotnet;
+
+const assemblyPath = process.env.NODE_API_TEST_MODULE_PATH;
+dotnet.load(assemblyPath, { collectible: true });
+
+// Marshalling the system Uri type caches marshalling code that uses the assembly's converter.
+let Converters = dotnet.Microsoft.JavaScript.NodeApi.TestCases.Converters;
+assert.strictEqual(
+  Converters.Resolve('https://example.com/a/', 'b'),
+  'https://example.com/a/b');
+
+dotnet.unload(assemblyPath);
+assert.strictEqual(dotnet.Microsoft, undefined);
+
+// Re-loading the assembly registers the converter again, which requires the converter and the
+// cached marshalling code for the Uri type to have been removed when the assembly was unloaded.
+dotnet.load(assemblyPath, { collectible: true });
+Converters = dotnet.Microsoft.JavaScript.NodeApi.TestCases.Converters;
+assert.strictEqual(
+  Converters.Resolve('https://example.com/c/', 'd'),
+  'https://example.com/c/d');
+
+// Another copy of the assembly in an isolated context has its own converter for the same type,
+// which conflicts with the one that is already registered.
+assert.throws(
+  () => dotnet.load(assemblyPath, { isolated: true }),
+  /cannot register converter .*UriConverter for type System\.Uri, because assembly .* already registered a converter for the type/);
@@ -0,0 +1,62 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+const assert = require('assert');
+
+/** @type {import('./napi-dotnet')} */
+const binding = require('../common').binding;
+
+const EventRaiser = binding.EventRaiser;
+const raiser = new EventRaiser();
+
+// Listeners receive only the event args (not the sender), with `this` set to the emitter.
+const received = [];
+function onValueChanged(value) {
+  assert.strictEqual(this, raiser);
+  received.push(value);
+}
+assert.strictEqual(raiser.on('valueChanged', onValueChanged), raiser);
+assert.strictEqual(raiser.valueChangedHandlerCount, 1);
+raiser.raiseValueChanged('a');
+assert.deepStrictEqual(received, ['a']);
+
+assert.strictEqual(raiser.off('valueChanged', onValueChanged), raiser);
+assert.strictEqual(raiser.valueChangedHandlerCount, 0);
+raiser.raiseValueChanged('b');
+assert.deepStrictEqual(received, ['a']);
+
+// A once() listener is removed after it is invoked.
+raiser.once('valueChanged', onValueChanged);
+raiser.raiseValueChanged('c');
+raiser.raiseValueChanged('d');
+assert.deepStrictEqual(received, ['a', 'c']);
+assert.strictEqual(raiser.valueChangedHandlerCount, 0);
+
+assert.throws(() => raiser.on('missing', () => {}), /Event not found: missing/);
+
+// Static events are listened to via static methods.
+const counts = [];
+const onCountChanged = (count) => counts.push(count);
+EventRaiser.on('countChanged', onCountChanged);
+EventRaiser.raiseCountChanged(1);
+EventRaiser.off('countChanged', onCountChanged);
+EventRaiser.raiseCountChanged(2);
+assert.deepStrictEqual(counts, [1]);
+
+// An interface event implemented by JS is added and removed via on() and off().
+const listeners = new Set();
+const jsRaiser = {
+  on(eventName, listener) {
+    assert.strictEqual(eventName, 'valueChanged');
+    listeners.add(listener);
+  },
+  off(eventName, listener) {
+    assert.strictEqual(eventName, 'valueChanged');
+    listeners.delete(listener);
+  },
+  raiseValueChanged(value) {
+    listeners.forEach((listener) => listener(value));
+  },
+};
+assert.strictEqual(binding.EventListeners.listenAndRaise(jsRaiser, 'x'), 'x');
+assert.strictEqual(listeners.size, 0);
@@ -0,0 +1,40 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+const assert = require('assert');
+
+/** @type {import('./napi-dotnet')} */
+const binding = require('../common').binding;
+
+const FieldsObject = binding.FieldsObject;
+
+// Const and static readonly fields are read-only static properties.
+assert.strictEqual(FieldsObject.constValue, 'const');
+assert.strictEqual(FieldsObject.staticReadonlyValue, 'static readonly');
+assert.throws(() => { 'use strict'; FieldsObject.constValue = 'changed'; }, TypeError);
+assert.strictEqual(FieldsObject.constValue, 'const');
+
+assert.strictEqual(FieldsObject.staticValue, 0);
+FieldsObject.staticValue = 2;
+assert.strictEqual(FieldsObject.staticValue, 2);
+
+// Instance fields are properties of the class instance.
+const obj = new FieldsObject();
+assert.strictEqual(obj.readonlyValue, 1);
+assert.throws(() => { 'use strict'; obj.readonlyValue = 2; }, TypeError);
+assert.strictEqual(obj.value, 'initial');
+obj.value = 'changed';
+assert.strictEqual(obj.value, 'changed');
+obj.value = null;
+assert.strictEqual(obj.value, undefined);
+
+// Struct fields are marshalled by value.
+const scaled = FieldsObject.scale({ x: 3, y: 4 }, 2);
+assert.strictEqual(scaled.x, 6);
+assert.strictEqual(scaled.y, 8);
+
+// Struct fields of unsupported types, or excluded from export, are not marshalled.
+const incremented = FieldsObject.increment({ id: 1, method: 'method', excluded: 'excluded' });
+assert.strictEqual(incremented.id, 2);
+assert.strictEqual(incremented.method, undefined);
+assert.strictEqual(incremented.excluded, undefined);
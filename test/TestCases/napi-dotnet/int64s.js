@@ -0,0 +1,40 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+const assert = require('assert');
+
+/** @type {import('./napi-dotnet')} */
+const binding = require('../common').binding;
+
+const Int64s = binding.Int64s;
+
+// By default, 64-bit integers are projected as numbers, within the range of safe integers.
+assert.strictEqual(Int64s.safeLong, Number.MAX_SAFE_INTEGER);
+assert.strictEqual(Int64s.addLong(1, 2), 3);
+assert.strictEqual(Int64s.addULong(1, 2), 3);
+assert.strictEqual(Int64s.addIntPtr(-1, 2), 1);
+assert.strictEqual(Int64s.nullable(undefined), undefined);
+assert.strictEqual(Int64s.nullable(-5), -5);
+assert.deepStrictEqual(Int64s.negate([1, -2]), [-1, 2]);
+
+Int64s.value = 123;
+assert.strictEqual(Int64s.value, 123);
+
+// Values that would lose precision throw instead of being truncated.
+assert.throws(() => Int64s.maxLong, /outside the range of safe JS integers/);
+assert.throws(() => Int64s.maxULong, /outside the range of safe JS integers/);
+assert.throws(() => Int64s.addLong(Number.MAX_SAFE_INTEGER, 1), /safe JS integers/);
+assert.throws(() => Int64s.addLong(2 ** 60, 0), /outside the range of safe integers/);
+assert.throws(() => Int64s.addLong(1.5, 0), /not an integer/);
+assert.throws(() => Int64s.addLong(Number.NaN, 0), /not an integer/);
+assert.throws(() => Int64s.addULong(-1, 0), /outside the range of UInt64/);
+
+// Bigint values are also accepted, if they are in range.
+assert.strictEqual(Int64s.addLong(2n, 3n), 5);
+assert.throws(() => Int64s.addLong(2n ** 64n, 0), /outside the range of Int64/);
+assert.throws(() => Int64s.addULong(-1n, 0), /outside the range of UInt64/);
+
+if ('maxInt128' in Int64s) {
+  assert.throws(() => Int64s.maxInt128, /outside the range of safe JS integers/);
+  assert.strictEqual(Int64s.addUInt128(2n, 3), 5);
+}
@@ -0,0 +1,31 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+const assert = require('assert');
+
+/** @type {import('./napi-dotnet')} */
+const binding = require('../common').binding;
+
+const RefReturns = binding.RefReturns;
+const refs = new RefReturns();
+
+// A writable ref property is read and assigned by value.
+assert.strictEqual(refs.first, 1);
+refs.first = 10;
+assert.strictEqual(refs.first, 10);
+assert.deepStrictEqual(refs.toArray(), [10, 2, 3]);
+
+assert.strictEqual(RefReturns.staticName, 'static');
+RefReturns.staticName = 'changed';
+assert.strictEqual(RefReturns.staticName, 'changed');
+
+// A ref readonly property is read-only.
+assert.strictEqual(refs.last, 3);
+assert.throws(() => { 'use strict'; refs.last = 30; }, TypeError);
+assert.strictEqual(refs.last, 3);
+
+// A method that returns a writable ref returns the referenced value.
+assert.strictEqual(refs.itemAt(1), 2);
+
+// A method that returns a ref readonly returns the referenced value.
+assert.strictEqual(refs.readOnlyItemAt(2), 3);
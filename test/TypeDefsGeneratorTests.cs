@@ -5,6 +5,7 @@ using System;
 using System.Collections.Generic;
 using System.Linq;
 using System.Reflection;
+using System.Threading.Tasks;
 using System.Xml.Linq;
 using Microsoft.JavaScript.NodeApi.Generator;
 using Xunit;
@@ -291,6 +292,325 @@ public class TypeDefsGeneratorTests
             [$"M:{extensionsName}.TestExtensionB({typeof(SimpleClass).FullName})"] = "extension B",
         }, insertNamespace: false));
     }
+
+    [Fact]
+    public void GenerateEvents()
+    {
+        Assert.Equal("""
+
+            /** class */
+            export class EventClass {
+            	constructor();
+
+            	RaiseTestEvent(value: string): void;
+
+            	static RaiseTestStaticEvent(value: string): void;
+
+            	/** event */
+            	on(eventName: 'TestEvent', listener: (value: string) => void): this;
+
+            	/** event */
+            	once(eventName: 'TestEvent', listener: (value: string) => void): this;
+
+            	/** event */
+            	off(eventName: 'TestEvent', listener: (value: string) => void): this;
+
+            	static on(eventName: 'TestStaticEvent', listener: (arg: string) => void): typeof EventClass;
+
+            	static once(eventName: 'TestStaticEvent', listener: (arg: string) => void): typeof EventClass;
+
+            	static off(eventName: 'TestStaticEvent', listener: (arg: string) => void): typeof EventClass;
+            }
+            """.ReplaceLineEndings(),
+        GenerateTypeDefinition(typeof(EventClass), new Dictionary<string, string>
+        {
+            ["T:EventClass"] = "class",
+            ["E:EventClass.TestEvent"] = "event",
+        }));
+    }
+
+    [Fact]
+    public void GenerateStaticClassEvents()
+    {
+        Assert.Equal("""
+
+            export namespace StaticEventClass {
+            	export function RaiseTestEvent(value: string): void;
+
+            	export function on(eventName: 'TestEvent', listener: (arg: string) => void): typeof StaticEventClass;
+
+            	export function once(eventName: 'TestEvent', listener: (arg: string) => void): typeof StaticEventClass;
+
+            	export function off(eventName: 'TestEvent', listener: (arg: string) => void): typeof StaticEventClass;
+            }
+            """.ReplaceLineEndings(),
+        GenerateTypeDefinition(typeof(StaticEventClass), new Dictionary<string, string>()));
+    }
+
+    [Fact]
+    public void GenerateFields()
+    {
+        Assert.Equal("""
+
+            /** class */
+            export class FieldClass {
+            	constructor();
+
+            	static readonly TestConst: number;
+
+            	static TestStaticField: string;
+
+            	readonly TestReadonlyField: string;
+
+            	/** field */
+            	TestField: string;
+            }
+            """.ReplaceLineEndings(),
+        GenerateTypeDefinition(typeof(FieldClass), new Dictionary<string, string>
+        {
+            ["T:FieldClass"] = "class",
+            ["F:FieldClass.TestField"] = "field",
+        }));
+    }
+
+    [Fact]
+    public void GenerateSpanParameters()
+    {
+        Assert.Equal("""
+
+            /** class */
+            export class SpanClass {
+            	constructor();
+
+            	TestBytes(value: Uint8Array | ArrayBuffer): void;
+
+            	TestReadOnlyDoubles(value: Float64Array | ArrayBuffer): void;
+
+            	TestChars(value: string): void;
+            }
+            """.ReplaceLineEndings(),
+        GenerateTypeDefinition(typeof(SpanClass), new Dictionary<string, string>
+        {
+            ["T:SpanClass"] = "class",
+        }));
+    }
+
+    [Fact]
+    public void GenerateGenericClassesWithSameName()
+    {
+        Dictionary<string, string> docs = new()
+        {
+            ["T:GenericTuple`1"] = "generic-tuple-1",
+            ["T:GenericTuple`2"] = "generic-tuple-2",
+        };
+
+        // The factory overloads for both generic types are generated along with the first one.
+        Assert.Equal("""
+
+            /** [Generic type factory] generic-tuple-1 */
+            export function GenericTuple$(T1: IType): typeof GenericTuple$1<any>;
+            /** [Generic type factory] generic-tuple-2 */
+            export function GenericTuple$(T1: IType, T2: IType): typeof GenericTuple$2<any, any>;
+
+            /** generic-tuple-1 */
+            export class GenericTuple$1<T1> {
+            	constructor(item1: T1);
+
+            	readonly Item1: T1;
+            }
+            """.ReplaceLineEndings(),
+            GenerateTypeDefinition(typeof(GenericTuple<>), docs));
+        Assert.Equal("""
+
+            /** generic-tuple-2 */
+            export class GenericTuple$2<T1, T2> {
+            	constructor(item1: T1, item2: T2);
+
+            	readonly Item1: T1;
+
+            	readonly Item2: T2;
+            }
+            """.ReplaceLineEndings(),
+            GenerateTypeDefinition(typeof(GenericTuple<,>), docs));
+    }
+
+    [Fact]
+    public void GenerateRefReturns()
+    {
+        Assert.Equal("""
+
+            /** class */
+            export class RefClass {
+            	constructor();
+
+            	TestRefProperty: number;
+
+            	readonly TestReadOnlyRefProperty: number;
+
+            	TestRefMethod(): number;
+
+            	TestReadOnlyRefMethod(): number;
+            }
+            """.ReplaceLineEndings(),
+        GenerateTypeDefinition(typeof(RefClass), new Dictionary<string, string>
+        {
+            ["T:RefClass"] = "class",
+        }));
+    }
+
+    [Theory]
+    [InlineData(JSDecimalMarshalling.String, "string")]
+    [InlineData(JSDecimalMarshalling.Number, "number")]
+    [InlineData(JSDecimalMarshalling.Decimal, "Decimal")]
+    public void GenerateDecimals(JSDecimalMarshalling decimalMarshalling, string tsType)
+    {
+        TypeDefinitionsGenerator generator = CreateTypeDefinitionsGenerator(
+            new Dictionary<string, string>
+            {
+                ["T:DecimalClass"] = "class",
+            });
+        generator.DecimalMarshalling = decimalMarshalling;
+
+        Assert.Equal($$"""
+
+            /** class */
+            export class DecimalClass {
+            	constructor();
+
+            	TestProperty: {{tsType}};
+
+            	TestNullableProperty?: {{tsType}};
+
+            	TestMethod(value: {{tsType}}): {{tsType}}[];
+            }
+            """.ReplaceLineEndings(),
+        generator.GenerateTypeDefinition(typeof(DecimalClass)).TrimEnd());
+    }
+
+    [Theory]
+    [InlineData(JSInt64Marshalling.Number, "number")]
+    [InlineData(JSInt64Marshalling.BigInt, "bigint")]
+    public void GenerateInt64s(JSInt64Marshalling int64Marshalling, string tsType)
+    {
+        TypeDefinitionsGenerator generator = CreateTypeDefinitionsGenerator(
+            new Dictionary<string, string>
+            {
+                ["T:Int64Class"] = "class",
+            });
+        generator.Int64Marshalling = int64Marshalling;
+
+        Assert.Equal($$"""
+
+            /** class */
+            export class Int64Class {
+            	constructor();
+
+            	TestProperty: {{tsType}};
+
+            	TestInt128Property: {{tsType}};
+
+            	TestMethod(value: {{tsType}}): {{tsType}};
+
+            	TestIntPtrMethod(value: {{tsType}}): {{tsType}}[];
+
+            	TestIntMethod(value: number): number;
+            }
+            """.ReplaceLineEndings(),
+        generator.GenerateTypeDefinition(typeof(Int64Class)).TrimEnd());
+    }
+
+    [Theory]
+    [InlineData(JSDateMarshalling.Default,
+        "DateTimeOffset", "number", "string", "string")]
+    [InlineData(JSDateMarshalling.Temporal,
+        "Temporal.ZonedDateTime", "Temporal.Duration", "Temporal.PlainDate", "Temporal.PlainTime")]
+    public void GenerateDates(
+        JSDateMarshalling dateMarshalling,
+        string dateTimeOffsetType,
+        string timeSpanType,
+        string dateOnlyType,
+        string timeOnlyType)
+    {
+        TypeDefinitionsGenerator generator = CreateTypeDefinitionsGenerator(
+            new Dictionary<string, string>
+            {
+                ["T:DatesClass"] = "class",
+            });
+        generator.DateMarshalling = dateMarshalling;
+
+        Assert.Equal($$"""
+
+            /** class */
+            export class DatesClass {
+            	constructor();
+
+            	TestDateTimeProperty: DateTime;
+
+            	TestDateTimeOffsetProperty: {{dateTimeOffsetType}};
+
+            	TestTimeSpanProperty: {{timeSpanType}} | undefined;
+
+            	TestMethod(date: {{dateOnlyType}}, time: {{timeOnlyType}}): {{dateOnlyType}}[];
+            }
+            """.ReplaceLineEndings(),
+        generator.GenerateTypeDefinition(typeof(DatesClass)).TrimEnd());
+    }
+
+    [Fact]
+    public void GenerateConvertedTypes()
+    {
+        Assert.Equal("""
+
+            /** class */
+            export class ConvertersClass {
+            	constructor();
+
+            	TestConvertedProperty: string;
+
+            	TestMethod(value: unknown, values: string[]): string | undefined;
+            }
+            """.ReplaceLineEndings(),
+        GenerateTypeDefinition(typeof(ConvertersClass), new Dictionary<string, string>
+        {
+            ["T:ConvertersClass"] = "class",
+        }));
+    }
+
+    [Fact]
+    public void GenerateDisposableClasses()
+    {
+        Assert.Equal("""
+
+            /** class */
+            export class DisposableClass implements IDisposable {
+            	constructor();
+
+            	dispose(): void;
+
+            	[Symbol.dispose](): void;
+            }
+            """.ReplaceLineEndings(),
+        GenerateTypeDefinition(typeof(DisposableClass), new Dictionary<string, string>
+        {
+            ["T:DisposableClass"] = "class",
+        }));
+
+        Assert.Equal("""
+
+            /** class */
+            export class AsyncDisposableClass implements IAsyncDisposable {
+            	constructor();
+
+            	DisposeAsync(): Promise<void>;
+
+            	[Symbol.asyncDispose](): Promise<void>;
+            }
+            """.ReplaceLineEndings(),
+        GenerateTypeDefinition(typeof(AsyncDisposableClass), new Dictionary<string, string>
+        {
+            ["T:AsyncDisposableClass"] = "class",
+        }));
+    }
 }
 
 public interface SimpleInterface
@@ -331,6 +651,123 @@ public class GenericClass<T> : GenericInterface<T>
 
 public delegate T GenericDelegate<T>(T arg);
 
+public class GenericTuple<T1>
+{
+    public GenericTuple(T1 item1) { Item1 = item1; }
+    public T1 Item1 { get; }
+}
+
+public class GenericTuple<T1, T2>
+{
+    public GenericTuple(T1 item1, T2 item2) { Item1 = item1; Item2 = item2; }
+    public T1 Item1 { get; }
+    public T2 Item2 { get; }
+}
+
+public class FieldClass
+{
+    public const int TestConst = 1;
+    public static string TestStaticField = string.Empty;
+    public readonly string TestReadonlyField = string.Empty;
+    public string TestField = string.Empty;
+}
+
+public class SpanClass
+{
+    public void TestBytes(Span<byte> value) { }
+    public void TestReadOnlyDoubles(ReadOnlySpan<double> value) { }
+    public void TestChars(ReadOnlySpan<char> value) { }
+}
+
+public class RefClass
+{
+    private int _value;
+    public ref int TestRefProperty => ref _value;
+    public ref readonly int TestReadOnlyRefProperty => ref _value;
+    public ref int TestRefMethod() => ref _value;
+    public ref readonly int TestReadOnlyRefMethod() => ref _value;
+}
+
+public class DecimalClass
+{
+    public decimal TestProperty { get; set; }
+    public decimal? TestNullableProperty { get; set; }
+    public decimal[] TestMethod(decimal value) => [value];
+}
+
+public class Int64Class
+{
+    public long TestProperty { get; set; }
+    public Int128 TestInt128Property { get; set; }
+    public ulong TestMethod(ulong value) => value;
+    public nint[] TestIntPtrMethod(nuint value) => [(nint)value];
+    public int TestIntMethod(int value) => value;
+}
+
+public class DatesClass
+{
+    public DateTime TestDateTimeProperty { get; set; }
+    public DateTimeOffset TestDateTimeOffsetProperty { get; set; }
+    public TimeSpan? TestTimeSpanProperty { get; set; }
+    public DateOnly[] TestMethod(DateOnly date, TimeOnly time) => [date.AddDays(time.Hour)];
+}
+
+[JSMarshalAs(typeof(ConvertedStructConverter), TSType = "string")]
+public struct ConvertedStruct
+{
+    public string Value { get; set; }
+}
+
+public static class ConvertedStructConverter
+{
+    public static JSValue ToJS(ConvertedStruct value) => value.Value;
+    public static ConvertedStruct FromJS(JSValue value) => new() { Value = (string)value };
+}
+
+[JSMarshalAs(typeof(ConvertedClassConverter))]
+public class ConvertedClass
+{
+}
+
+public static class ConvertedClassConverter
+{
+    public static JSValue ToJS(ConvertedClass value) => JSValue.Undefined;
+    public static ConvertedClass FromJS(JSValue value) => new();
+}
+
+public class ConvertersClass
+{
+    public ConvertedStruct TestConvertedProperty { get; set; }
+    public ConvertedStruct? TestMethod(ConvertedClass value, ConvertedStruct[] values)
+        => values.Length > 0 ? values[0] : null;
+}
+
+public class DisposableClass : IDisposable
+{
+    public void Dispose() { }
+}
+
+public class AsyncDisposableClass : IAsyncDisposable
+{
+    public ValueTask DisposeAsync() => default;
+}
+
+public delegate void SimpleEventHandler(object sender, string value);
+
+public class EventClass
+{
+    public event SimpleEventHandler? TestEvent;
+    public static event SimpleDelegate? TestStaticEvent;
+    public void RaiseTestEvent(string value) => TestEvent?.Invoke(this, value);
+    public static void RaiseTestStaticEvent(string value) => TestStaticEvent?.Invoke(value);
+}
+
+public static class StaticEventClass
+{
+    public static event SimpleDelegate? TestEvent;
+    public static void RaiseTestEvent(string value) => TestEvent?.Invoke(value);
+}
+
 public static class SimpleClassExtensions
 {
     public static void TestExtensionA(this SimpleClass value)